@@ -0,0 +1,93 @@
+/**
+ * WhatsApp chat export import script
+ *
+ * Imports a chat exported from WhatsApp with "Export chat" (.txt, or .zip
+ * with attachments) into the database at DATABASE_PATH, for groups whose
+ * history the bot cannot fetch live. Messages already stored are skipped, so
+ * the same export can be imported again safely. The group is added to the
+ * monitored groups; restart the bot afterwards if it is running, or upload
+ * the file to the bot in Telegram instead.
+ *
+ *   docker-compose run --rm whatsapp-summary-bot npm run import -- "/app/data/WhatsApp Chat with Class 3B.zip"
+ *
+ * Usage: node scripts/import-chat.js <file> [--group <name>] [--chat-id <id>] [--date-order DMY|MDY|YMD] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('../src/services/database');
+const importService = require('../src/services/importer');
+const { DATE_ORDERS } = require('../src/utils/whatsappExport');
+
+const USAGE = 'Usage: node scripts/import-chat.js <file> [--group <name>] [--chat-id <id>] [--date-order DMY|MDY|YMD] [--dry-run]';
+
+/**
+ * Read the command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { file, groupName, chatId, dateOrder, dryRun }
+ */
+function parseArgs(args) {
+    const options = { dryRun: false };
+    const valueFlags = { '--group': 'groupName', '--chat-id': 'chatId', '--date-order': 'dateOrder' };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (valueFlags[args[i]]) {
+            if (i + 1 >= args.length) {
+                throw new Error(`${args[i]} needs a value\n${USAGE}`);
+            }
+            options[valueFlags[args[i]]] = args[++i];
+        } else if (!options.file && !args[i].startsWith('--')) {
+            options.file = args[i];
+        } else {
+            throw new Error(`Unknown argument: ${args[i]}\n${USAGE}`);
+        }
+    }
+
+    if (!options.file) {
+        throw new Error(USAGE);
+    }
+    if (options.dateOrder) {
+        options.dateOrder = options.dateOrder.toUpperCase();
+        if (!DATE_ORDERS.includes(options.dateOrder)) {
+            throw new Error(`--date-order must be one of ${DATE_ORDERS.join(', ')}`);
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!fs.existsSync(options.file)) {
+        throw new Error(`File not found: ${options.file}`);
+    }
+
+    await databaseService.initialize();
+
+    try {
+        const result = await importService.importExport({
+            buffer: fs.readFileSync(options.file),
+            filename: path.basename(options.file),
+            groupName: options.groupName,
+            chatId: options.chatId,
+            dateOrder: options.dateOrder,
+            dryRun: options.dryRun
+        });
+
+        console.log(`Group: ${result.groupName} (${result.chatId})${result.newGroup ? ' - new group' : ''}`);
+        console.log(`Period: ${result.firstTimestamp} to ${result.lastTimestamp} (dates read as ${result.dateOrder})`);
+        console.log(`Messages in export: ${result.total}`);
+        console.log(`${options.dryRun ? 'Would import' : 'Imported'}: ${result.imported}`);
+        console.log(`Already stored: ${result.duplicates}`);
+        console.log(`System lines skipped: ${result.skipped}`);
+    } finally {
+        await databaseService.close();
+    }
+}
+
+main().catch(error => {
+    console.error(`Import failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,56 @@
+/**
+ * Database migration script
+ *
+ * Applies pending schema migrations to the database at DATABASE_PATH, or with
+ * --dry-run only lists them. The bot applies migrations itself on startup;
+ * this script lets you check what an upgrade will do first, e.g. against the
+ * production database in the Docker volume:
+ *
+ *   docker-compose run --rm whatsapp-summary-bot npm run migrate -- --dry-run
+ *
+ * Usage: node scripts/migrate.js [--dry-run]
+ */
+
+const fs = require('fs');
+const config = require('../src/config');
+const databaseService = require('../src/services/database');
+const migrationService = require('../src/services/migrations');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const dbPath = config.get('database.path');
+
+    if (dryRun && !fs.existsSync(dbPath)) {
+        console.log(`No database at ${dbPath}; every migration would run:`);
+        migrationService.loadMigrations().forEach(migration => {
+            console.log(`  ${migration.version}. ${migration.name}`);
+        });
+        return;
+    }
+
+    await databaseService.connect({ readOnly: dryRun });
+
+    try {
+        const currentVersion = await migrationService.getCurrentVersion(databaseService);
+        console.log(`Database: ${dbPath}`);
+        console.log(`Current schema version: ${currentVersion}`);
+
+        const migrations = await migrationService.migrate(databaseService, { dryRun });
+
+        if (migrations.length === 0) {
+            console.log('No pending migrations.');
+        } else {
+            console.log(dryRun ? 'Pending migrations:' : 'Applied migrations:');
+            migrations.forEach(migration => {
+                console.log(`  ${migration.version}. ${migration.name}`);
+            });
+        }
+    } finally {
+        await databaseService.close();
+    }
+}
+
+main().catch(error => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+});
@@ -7,7 +7,7 @@
  * 
  * Features:
  * - Environment variable loading with dotenv
- * - Configuration validation
+ * - Configuration validation on bot startup
  * - Default value fallbacks
  * - Centralized configuration access
  */
@@ -43,14 +43,33 @@ class ConfigManager {
             telegram: {
                 botToken: process.env.TELEGRAM_BOT_TOKEN,
                 statusGroupId: process.env.TELEGRAM_STATUS_GROUP_ID,
-                allowedUsername: process.env.TELEGRAM_ALLOWED_USERNAME || 'dansi',
+                allowedUsername: process.env.TELEGRAM_ALLOWED_USERNAME,
+                adminUserIds: (process.env.TELEGRAM_ADMIN_USER_IDS || '').split(',').map(id => parseInt(id)).filter(Boolean),
                 logAllInteractions: process.env.TELEGRAM_LOG_ALL_INTERACTIONS === 'true',
-                ...appConfig.telegram
+                ...appConfig.telegram,
+                // Webhook mode is used when a public URL is set; otherwise the bot polls
+                webhook: {
+                    ...appConfig.telegram?.webhook,
+                    url: process.env.TELEGRAM_WEBHOOK_URL || appConfig.telegram?.webhook?.url,
+                    path: process.env.TELEGRAM_WEBHOOK_PATH || appConfig.telegram?.webhook?.path || '/telegram/webhook',
+                    secretToken: process.env.TELEGRAM_WEBHOOK_SECRET || appConfig.telegram?.webhook?.secretToken
+                }
             },
             gemini: {
                 apiKey: process.env.GEMINI_API_KEY,
                 ...appConfig.gemini
             },
+            llm: {
+                ...appConfig.llm,
+                // Environment variables take precedence so a deployment can switch providers without editing config.json
+                provider: process.env.LLM_PROVIDER || appConfig.llm?.provider || appConfig.gemini?.provider || 'gemini',
+                openai: {
+                    ...appConfig.llm?.openai,
+                    baseUrl: process.env.LLM_BASE_URL || appConfig.llm?.openai?.baseUrl,
+                    apiKey: process.env.LLM_API_KEY || appConfig.llm?.openai?.apiKey,
+                    model: process.env.LLM_MODEL || appConfig.llm?.openai?.model
+                }
+            },
             whatsapp: {
                 sessionFilePath: process.env.WHATSAPP_SESSION_FILE_PATH || './sessions/session.json',
                 batchIntervalMinutes: parseInt(process.env.WHATSAPP_BATCH_INTERVAL_MINUTES) || 5,
@@ -60,30 +79,43 @@ class ConfigManager {
                 path: process.env.DATABASE_PATH || './data/messages.db',
                 ...appConfig.database
             },
+            scheduler: {
+                timezone: process.env.SCHEDULER_TIMEZONE,
+                ...appConfig.scheduler
+            },
             logging: {
                 level: process.env.LOG_LEVEL || 'info',
                 filePath: process.env.LOG_FILE_PATH || './logs/app.log',
                 ...appConfig.logging
             },
+            api: {
+                ...appConfig.api
+            },
             app: {
-                nodeEnv: process.env.NODE_ENV || 'development',
-                port: parseInt(process.env.PORT) || 3000
+                ...appConfig.app,
+                nodeEnv: process.env.NODE_ENV || appConfig.app?.nodeEnv || 'development',
+                port: parseInt(process.env.PORT) || appConfig.app?.port || 3000
             }
         };
-
-        this.validateConfiguration();
     }
 
     /**
      * Validate required configuration values
+     * Called by the bot on startup rather than on load, so scripts that only
+     * need the database run without Telegram and LLM credentials.
+     * @throws {Error} If a required value is missing
      */
     validateConfiguration() {
         const required = [
             'telegram.botToken',
-            'telegram.statusGroupId',
-            'gemini.apiKey'
+            'telegram.statusGroupId'
         ];
 
+        // Only the Gemini provider needs a Gemini API key
+        if (this.get('llm.provider') === 'gemini') {
+            required.push('gemini.apiKey');
+        }
+
         const missing = required.filter(key => {
             const value = this.get(key);
             return !value || value === 'your_telegram_bot_token_here' || 
@@ -1,23 +1,39 @@
 /**
  * Main Entry Point for WhatsApp to Telegram Bot
  *
- * This file initializes all core services (Database, WhatsApp, Gemini AI, Telegram),
+ * This file initializes all core services (Database, WhatsApp, AI, Telegram),
  * wires up status reporting, and starts the bot. It also handles graceful shutdown
  * and logs startup status for monitoring and debugging.
  *
  * Features:
  * - Service initialization and dependency wiring
  * - Status reporting to Telegram status group
+ * - Periodic database retention cleanup
+ * - Real-time forwarding of selected messages to Telegram
+ * - Per-user keyword and regex alerts
+ * - HTTP server for health checks, metrics, the REST API and the Telegram webhook
  * - Graceful shutdown on SIGINT/SIGTERM
  * - Centralized error handling
  */
 
 const config = require('./config');
+
+// Fail before any service reads the credentials
+config.validateConfiguration();
+
 const logger = require('./utils/logger');
 const databaseService = require('./services/database');
 const whatsappService = require('./services/whatsapp');
 const geminiService = require('./services/gemini');
 const telegramService = require('./services/telegram');
+const schedulerService = require('./services/scheduler');
+const userService = require('./services/users');
+const maintenanceService = require('./services/maintenance');
+const httpService = require('./services/http');
+const healthService = require('./services/health');
+const apiService = require('./services/api');
+const forwardingService = require('./services/forwarding');
+const alertService = require('./services/alerts');
 
 async function main() {
     try {
@@ -27,11 +43,19 @@ async function main() {
         await databaseService.initialize();
         logger.info('Database initialized');
 
-        // Initialize Gemini AI
+        // Serve health and metrics endpoints on app.port; later services add their routes to the same server
+        healthService.initialize();
+        apiService.initialize();
+        await httpService.start();
+
+        // Seed configured admins before Telegram starts taking commands
+        await userService.initialize();
+
+        // Initialize AI service with the configured LLM provider
         await geminiService.initialize();
-        logger.info('Gemini AI initialized');
+        logger.info('AI service initialized');
 
-        // Initialize Telegram bot
+        // Initialize Telegram bot (registers its webhook route in webhook mode)
         await telegramService.initialize();
         logger.info('Telegram bot initialized');
 
@@ -54,6 +78,17 @@ async function main() {
             });
         }
 
+        // Start scheduled digests
+        await schedulerService.initialize();
+        logger.info('Digest scheduler initialized');
+
+        // Start retention cleanup
+        await maintenanceService.initialize();
+
+        // Load forwarding and alert rules before WhatsApp starts delivering messages
+        await forwardingService.initialize();
+        await alertService.initialize();
+
         // Initialize WhatsApp client
         await whatsappService.initialize();
         await whatsappService.start();
@@ -76,8 +111,11 @@ async function main() {
 async function shutdown() {
     logger.info('Shutting down WhatsApp to Telegram Bot...');
     try {
+        schedulerService.stop();
+        maintenanceService.stop();
         await whatsappService.stop();
         await telegramService.stop();
+        await httpService.stop();
         await databaseService.close();
         logger.info('All services stopped. Exiting.');
         process.exit(0);
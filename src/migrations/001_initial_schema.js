@@ -0,0 +1,62 @@
+/**
+ * Initial schema: messages, groups and the pending message staging table
+ *
+ * Tables whose group key changed later (summaries, digest_schedules, homework)
+ * are created by 003_chat_id_keys.
+ */
+
+module.exports = {
+    version: 1,
+    name: 'initial_schema',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                wa_message_id TEXT UNIQUE NOT NULL,
+                chat_id TEXT NOT NULL,
+                chat_name TEXT NOT NULL,
+                sender_id TEXT NOT NULL,
+                sender_name TEXT NOT NULL,
+                timestamp DATETIME NOT NULL,
+                content TEXT NOT NULL,
+                is_group BOOLEAN NOT NULL DEFAULT 1,
+                processed BOOLEAN NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS groups (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT UNIQUE NOT NULL,
+                chat_name TEXT NOT NULL,
+                is_active BOOLEAN NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Write-ahead staging for messages waiting for the next batch
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS pending_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                wa_message_id TEXT UNIQUE NOT NULL,
+                payload TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id)',
+            'CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp)',
+            'CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id)',
+            'CREATE INDEX IF NOT EXISTS idx_messages_processed ON messages(processed)'
+        ];
+
+        for (const index of indexes) {
+            await db.run(index);
+        }
+    }
+};
@@ -0,0 +1,47 @@
+/**
+ * FTS5 full-text index over messages and the triggers that maintain it
+ */
+
+const logger = require('../utils/logger');
+
+module.exports = {
+    version: 2,
+    name: 'full_text_search',
+
+    async up(db) {
+        const existing = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'");
+
+        await db.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                content,
+                sender_name,
+                content='messages',
+                content_rowid='id',
+                tokenize='unicode61 remove_diacritics 2'
+            )
+        `);
+
+        const triggers = [
+            `CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+                INSERT INTO messages_fts(rowid, content, sender_name) VALUES (new.id, new.content, new.sender_name);
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+                INSERT INTO messages_fts(messages_fts, rowid, content, sender_name) VALUES ('delete', old.id, old.content, old.sender_name);
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content, sender_name ON messages BEGIN
+                INSERT INTO messages_fts(messages_fts, rowid, content, sender_name) VALUES ('delete', old.id, old.content, old.sender_name);
+                INSERT INTO messages_fts(rowid, content, sender_name) VALUES (new.id, new.content, new.sender_name);
+            END`
+        ];
+
+        for (const trigger of triggers) {
+            await db.run(trigger);
+        }
+
+        // Index messages stored before the search index existed
+        if (!existing) {
+            await db.run("INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')");
+            logger.database('Full-text search index built');
+        }
+    }
+};
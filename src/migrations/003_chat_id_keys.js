@@ -0,0 +1,172 @@
+/**
+ * Key summaries, digest schedules and homework by WhatsApp chat ID
+ *
+ * Databases from before this migration keyed these tables by group display
+ * name. Those tables are moved aside, their rows copied into the new tables
+ * with names resolved through the groups table, and then dropped. Also adds
+ * the group_renames history table.
+ */
+
+const logger = require('../utils/logger');
+
+// Indexes that belonged to the name-keyed tables and would clash with the new ones
+const LEGACY_INDEXES = {
+    summaries: ['idx_summaries_group_date'],
+    digest_schedules: [],
+    homework: ['idx_homework_due_date', 'idx_homework_unique']
+};
+
+/**
+ * Rename tables that still key groups by display name out of the way
+ * @param {Object} db - Database service
+ * @returns {Promise<Array<string>>} Names of the tables that were renamed
+ */
+async function renameLegacyTables(db) {
+    const legacyTables = [];
+    for (const table of Object.keys(LEGACY_INDEXES)) {
+        const columns = await db.all(`PRAGMA table_info(${table})`);
+        if (columns.length === 0 || columns.some(column => column.name === 'chat_id')) {
+            continue;
+        }
+
+        await db.run(`DROP TABLE IF EXISTS ${table}_legacy`);
+        await db.run(`ALTER TABLE ${table} RENAME TO ${table}_legacy`);
+        for (const index of LEGACY_INDEXES[table]) {
+            await db.run(`DROP INDEX IF EXISTS ${index}`);
+        }
+        legacyTables.push(table);
+    }
+
+    return legacyTables;
+}
+
+/**
+ * Fill the groups table from stored messages the first time it is used
+ * Each chat ID gets the name of its most recent message.
+ * @param {Object} db - Database service
+ */
+async function seedGroups(db) {
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM groups');
+    if (count > 0) {
+        return;
+    }
+
+    const result = await db.run(`
+        INSERT OR IGNORE INTO groups (chat_id, chat_name)
+        SELECT chat_id, chat_name FROM messages m
+        WHERE is_group = 1
+        AND timestamp = (SELECT MAX(timestamp) FROM messages WHERE chat_id = m.chat_id)
+    `);
+
+    if (result.changes > 0) {
+        logger.database('Groups table seeded from stored messages', { count: result.changes });
+    }
+}
+
+/**
+ * Copy rows from renamed legacy tables into the chat ID tables and drop the legacy tables
+ * Rows whose group cannot be resolved are dropped (summaries are regenerated on demand anyway).
+ * @param {Object} db - Database service
+ * @param {Array<string>} legacyTables - Tables returned by renameLegacyTables
+ */
+async function copyLegacyTables(db, legacyTables) {
+    const chatIdForName = '(SELECT chat_id FROM groups WHERE chat_name = legacy.group_name ORDER BY updated_at DESC LIMIT 1)';
+    const copies = {
+        summaries: `
+            INSERT OR IGNORE INTO summaries (chat_id, date, summary, message_count, created_at)
+            SELECT ${chatIdForName}, date, summary, message_count, created_at
+            FROM summaries_legacy legacy WHERE ${chatIdForName} IS NOT NULL
+        `,
+        digest_schedules: `
+            INSERT OR IGNORE INTO digest_schedules (id, chat_id, target_chat_id, time, day_offset, is_active, created_by, last_run_at, created_at)
+            SELECT id, ${chatIdForName}, target_chat_id, time, day_offset, is_active, created_by, last_run_at, created_at
+            FROM digest_schedules_legacy legacy WHERE ${chatIdForName} IS NOT NULL
+        `,
+        homework: `
+            INSERT OR IGNORE INTO homework (chat_id, subject, due_date, description, source_date, created_at)
+            SELECT ${chatIdForName}, subject, due_date, description, source_date, created_at
+            FROM homework_legacy legacy WHERE ${chatIdForName} IS NOT NULL
+        `
+    };
+
+    for (const table of legacyTables) {
+        const { total } = await db.get(`SELECT COUNT(*) AS total FROM ${table}_legacy`);
+        const result = await db.run(copies[table]);
+        await db.run(`DROP TABLE ${table}_legacy`);
+
+        logger.database('Migrated table to chat IDs', { table, migrated: result.changes, dropped: total - result.changes });
+    }
+}
+
+module.exports = {
+    version: 3,
+    name: 'chat_id_keys',
+
+    async up(db) {
+        // Previous names of groups, recorded whenever a group is renamed in WhatsApp
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS group_renames (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT NOT NULL,
+                old_name TEXT NOT NULL,
+                new_name TEXT NOT NULL,
+                renamed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const legacyTables = await renameLegacyTables(db);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS summaries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT NOT NULL,
+                date TEXT NOT NULL,
+                summary TEXT NOT NULL,
+                message_count INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(chat_id, date)
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS digest_schedules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT NOT NULL,
+                target_chat_id TEXT NOT NULL,
+                time TEXT NOT NULL,
+                day_offset INTEGER NOT NULL DEFAULT 0,
+                is_active BOOLEAN NOT NULL DEFAULT 1,
+                created_by TEXT,
+                last_run_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(chat_id, target_chat_id, time)
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS homework (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT NOT NULL,
+                subject TEXT NOT NULL,
+                due_date TEXT,
+                description TEXT NOT NULL,
+                source_date TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_summaries_chat_date ON summaries(chat_id, date)',
+            'CREATE INDEX IF NOT EXISTS idx_group_renames_chat_id ON group_renames(chat_id)',
+            'CREATE INDEX IF NOT EXISTS idx_homework_due_date ON homework(due_date)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_homework_unique ON homework(chat_id, subject, IFNULL(due_date, \'\'), description)'
+        ];
+
+        for (const index of indexes) {
+            await db.run(index);
+        }
+
+        await seedGroups(db);
+        await copyLegacyTables(db, legacyTables);
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * Media metadata, saved file path and transcription/description on messages
+ */
+
+const logger = require('../utils/logger');
+
+const COLUMNS = {
+    media_type: 'TEXT',
+    media_filename: 'TEXT',
+    media_mimetype: 'TEXT',
+    media_caption: 'TEXT',
+    media_path: 'TEXT',
+    media_description: 'TEXT'
+};
+
+module.exports = {
+    version: 4,
+    name: 'message_media',
+
+    async up(db) {
+        // Databases that ran the media code before migrations existed already have some columns
+        const existing = (await db.all('PRAGMA table_info(messages)')).map(column => column.name);
+
+        for (const [name, type] of Object.entries(COLUMNS)) {
+            if (!existing.includes(name)) {
+                await db.run(`ALTER TABLE messages ADD COLUMN ${name} ${type}`);
+                logger.database('Column added', { table: 'messages', column: name });
+            }
+        }
+    }
+};
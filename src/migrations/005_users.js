@@ -0,0 +1,34 @@
+/**
+ * Telegram users with roles and their allowed groups
+ */
+
+module.exports = {
+    version: 5,
+    name: 'users',
+
+    async up(db) {
+        // Telegram users allowed to use the bot, keyed by Telegram user ID
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_user_id INTEGER UNIQUE NOT NULL,
+                username TEXT,
+                role TEXT NOT NULL CHECK (role IN ('admin', 'viewer')),
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Groups a user may see; a user without rows here sees every monitored group
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_groups (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_user_id INTEGER NOT NULL,
+                chat_id TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(telegram_user_id, chat_id)
+            )
+        `);
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * Token usage, latency and estimated cost of every LLM call
+ */
+
+module.exports = {
+    version: 6,
+    name: 'llm_usage',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS llm_usage (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                provider TEXT NOT NULL,
+                model TEXT NOT NULL,
+                operation TEXT,
+                chat_id TEXT,
+                telegram_user_id INTEGER,
+                input_tokens INTEGER NOT NULL DEFAULT 0,
+                output_tokens INTEGER NOT NULL DEFAULT 0,
+                latency_ms INTEGER NOT NULL DEFAULT 0,
+                cost_usd REAL NOT NULL DEFAULT 0,
+                success BOOLEAN NOT NULL DEFAULT 1,
+                error_type TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_llm_usage_chat_id ON llm_usage(chat_id)');
+    }
+};
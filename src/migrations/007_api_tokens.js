@@ -0,0 +1,23 @@
+/**
+ * API tokens for the REST API, stored as SHA-256 hashes
+ */
+
+module.exports = {
+    version: 7,
+    name: 'api_tokens',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS api_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                token_prefix TEXT NOT NULL,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME,
+                revoked_at DATETIME
+            )
+        `);
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * Rules relaying incoming WhatsApp messages to Telegram chats as they arrive
+ */
+
+module.exports = {
+    version: 8,
+    name: 'forward_rules',
+
+    async up(db) {
+        // chat_id NULL matches every monitored group; senders and keywords are JSON arrays, NULL for no filter
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS forward_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT,
+                target_chat_id TEXT NOT NULL,
+                senders TEXT,
+                keywords TEXT,
+                is_active BOOLEAN NOT NULL DEFAULT 1,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_forward_rules_chat_id ON forward_rules(chat_id)');
+    }
+};
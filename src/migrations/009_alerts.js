@@ -0,0 +1,40 @@
+/**
+ * Per-user keyword/regex alert rules and the alerts they raised
+ */
+
+module.exports = {
+    version: 9,
+    name: 'alerts',
+
+    async up(db) {
+        // chat_id NULL watches every group the user may see; quiet hours are local HH:mm times
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS alert_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_user_id INTEGER NOT NULL,
+                chat_id TEXT,
+                pattern TEXT NOT NULL,
+                is_regex BOOLEAN NOT NULL DEFAULT 0,
+                quiet_start TEXT,
+                quiet_end TEXT,
+                is_active BOOLEAN NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // One row per alert sent, so its "Show context" button can find the message again
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS alert_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_id INTEGER NOT NULL,
+                telegram_user_id INTEGER NOT NULL,
+                chat_id TEXT NOT NULL,
+                wa_message_id TEXT NOT NULL,
+                message_timestamp DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_alert_events_created_at ON alert_events(created_at)');
+    }
+};
@@ -0,0 +1,53 @@
+/**
+ * Reply threading, edit history, deletion markers and reactions for messages
+ */
+
+const logger = require('../utils/logger');
+
+const COLUMNS = {
+    // WhatsApp key ID (the middle part of the serialized ID) of the message replied to
+    quoted_message_id: 'TEXT',
+    quoted_content: 'TEXT',
+    edited_at: 'DATETIME',
+    deleted_at: 'DATETIME',
+    // JSON object of reaction emoji to count, kept in step with message_reactions
+    reactions: 'TEXT'
+};
+
+module.exports = {
+    version: 10,
+    name: 'message_threads',
+
+    async up(db) {
+        const existing = (await db.all('PRAGMA table_info(messages)')).map(column => column.name);
+
+        for (const [name, type] of Object.entries(COLUMNS)) {
+            if (!existing.includes(name)) {
+                await db.run(`ALTER TABLE messages ADD COLUMN ${name} ${type}`);
+                logger.database('Column added', { table: 'messages', column: name });
+            }
+        }
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS message_edits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                wa_message_id TEXT NOT NULL,
+                previous_content TEXT,
+                new_content TEXT,
+                edited_at DATETIME NOT NULL
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_message_edits_wa_message_id ON message_edits(wa_message_id)');
+
+        // One reaction per person per message, as in WhatsApp
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS message_reactions (
+                wa_message_id TEXT NOT NULL,
+                sender_id TEXT NOT NULL,
+                reaction TEXT NOT NULL,
+                timestamp DATETIME NOT NULL,
+                PRIMARY KEY (wa_message_id, sender_id)
+            )
+        `);
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * History of retention cleanup runs, so the schedule survives restarts
+ */
+
+module.exports = {
+    version: 11,
+    name: 'maintenance_runs',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS maintenance_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cutoff_date TEXT NOT NULL,
+                deleted_count INTEGER NOT NULL DEFAULT 0,
+                archive_path TEXT,
+                media_files_removed INTEGER NOT NULL DEFAULT 0,
+                size_before INTEGER,
+                size_after INTEGER,
+                duration_ms INTEGER,
+                finished_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
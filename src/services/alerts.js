@@ -0,0 +1,448 @@
+/**
+ * Alert Service for WhatsApp to Telegram Bot
+ *
+ * This module lets each user watch incoming WhatsApp messages for keywords or
+ * regular expressions. Rules live in the alert_rules table and belong to the
+ * Telegram user who created them with /alerts; a matching message is sent to
+ * that user's private chat with a button showing the messages around it.
+ * Users only get alerts for groups they are allowed to see.
+ *
+ * Features:
+ * - Plain keyword (case-insensitive) or /regex/flags rules
+ * - Regexes run with a time limit; rules that exceed it are turned off
+ * - Rules for one group or every group
+ * - Quiet hours: alerts still arrive, but without a notification
+ * - "Show context" button with the surrounding conversation
+ * - Media descriptions checked once ready, without holding back text alerts
+ * - Rules cached in memory and reloaded when they change
+ */
+
+const vm = require('vm');
+const moment = require('moment');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { nowInTimezone } = require('../utils/timezone');
+const { MAX_MESSAGE_LENGTH, getFormatter } = require('../utils/telegramFormat');
+const databaseService = require('./database');
+const userService = require('./users');
+
+// Regexes run against every incoming message, so keep them short
+const MAX_PATTERN_LENGTH = 200;
+// A regex that backtracks catastrophically, such as /(a+)+$/, is stopped after this long
+const REGEX_TIMEOUT_MS = 50;
+const REGEX_TEST = new vm.Script('regex.test(text)');
+const CONTEXT_WINDOW_MINUTES = 30;
+const CONTEXT_MESSAGES = 10;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+class AlertService {
+    constructor() {
+        this.rules = [];
+    }
+
+    /**
+     * Load the stored rules
+     */
+    async initialize() {
+        await this.reloadRules();
+        logger.info('Alert service initialized', { rules: this.rules.length });
+    }
+
+    /**
+     * Refresh the in-memory copy of the rules, compiling their patterns
+     * Rules whose pattern no longer compiles are skipped.
+     */
+    async reloadRules() {
+        const rules = await databaseService.getAlertRules();
+        this.rules = [];
+
+        for (const rule of rules) {
+            try {
+                this.rules.push({ ...rule, matcher: this.compilePattern(rule.pattern, Boolean(rule.is_regex)) });
+            } catch (error) {
+                logger.warn('Skipping alert rule with invalid pattern', { id: rule.id, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Parse a pattern as typed by the user
+     * "/expr/flags" is a regular expression, anything else a keyword.
+     * @param {string} input - Pattern text
+     * @returns {Object} { pattern, isRegex }
+     * @throws {Error} If the pattern is empty, too long or not a valid regex
+     */
+    parsePattern(input) {
+        const text = (input || '').trim();
+        if (!text) {
+            throw new Error('Pattern is empty');
+        }
+        if (text.length > MAX_PATTERN_LENGTH) {
+            throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+        }
+
+        const isRegex = /^\/.+\/[a-z]*$/s.test(text);
+        this.compilePattern(text, isRegex);
+        return { pattern: text, isRegex };
+    }
+
+    /**
+     * Build the matcher of a pattern
+     * Regexes are case-insensitive unless written with flags. They run in a vm
+     * context so a slow one can be interrupted instead of blocking the process.
+     * @param {string} pattern - Keyword, or /expr/flags
+     * @param {boolean} isRegex - Whether pattern is a regular expression
+     * @returns {Function} (text) => boolean, throwing an error with code ERR_SCRIPT_EXECUTION_TIMEOUT if a regex runs too long
+     * @throws {Error} If the regex or its flags are invalid (SyntaxError for a bad expression)
+     */
+    compilePattern(pattern, isRegex) {
+        if (!isRegex) {
+            const keyword = pattern.toLowerCase();
+            return text => text.toLowerCase().includes(keyword);
+        }
+
+        const [, source, flags] = pattern.match(/^\/(.+)\/([a-z]*)$/s) || [];
+        if (!source) {
+            throw new Error('Regular expressions must be written as /expression/flags');
+        }
+        if (!/^[imsu]*$/.test(flags)) {
+            throw new Error('Only the i, m, s and u regex flags are supported');
+        }
+
+        const context = vm.createContext({ regex: new RegExp(source, flags || 'i'), text: '' });
+        return text => {
+            context.text = text;
+            return REGEX_TEST.runInContext(context, { timeout: REGEX_TIMEOUT_MS });
+        };
+    }
+
+    /**
+     * Parse a quiet hours range
+     * @param {string} input - "HH:mm-HH:mm", may cross midnight
+     * @returns {Object} { quietStart, quietEnd }
+     * @throws {Error} If the range is malformed or empty
+     */
+    parseQuietHours(input) {
+        const [start, end] = (input || '').split('-').map(part => part.trim());
+        if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+            throw new Error('Quiet hours must look like 22:00-07:00');
+        }
+
+        const quietStart = moment(start, 'H:mm').format('HH:mm');
+        const quietEnd = moment(end, 'H:mm').format('HH:mm');
+        if (quietStart === quietEnd) {
+            throw new Error('Quiet hours must start and end at different times');
+        }
+
+        return { quietStart, quietEnd };
+    }
+
+    /**
+     * Check whether a rule is in its quiet hours
+     * Quiet hours are read in scheduler.timezone, like digest times, not in the server's timezone.
+     * @param {Object} rule - Alert rule
+     * @param {moment.Moment} now - Wall-clock time to check (see utils/timezone)
+     * @returns {boolean} True during quiet hours
+     */
+    isQuiet(rule, now = nowInTimezone(config.get('scheduler.timezone'))) {
+        if (!rule.quiet_start || !rule.quiet_end) {
+            return false;
+        }
+
+        const time = now.format('HH:mm');
+        if (rule.quiet_start < rule.quiet_end) {
+            return time >= rule.quiet_start && time < rule.quiet_end;
+        }
+        // Range crosses midnight, e.g. 22:00-07:00
+        return time >= rule.quiet_start || time < rule.quiet_end;
+    }
+
+    /**
+     * Create a rule
+     * @param {Object} rule - Rule definition (see DatabaseService.createAlertRule)
+     * @returns {Promise<Object>} Stored rule
+     */
+    async addRule(rule) {
+        const result = await databaseService.createAlertRule(rule);
+        await this.reloadRules();
+        return this.rules.find(stored => stored.id === result.id);
+    }
+
+    /**
+     * Delete one of a user's rules
+     * @param {number} id - Rule ID
+     * @param {number} telegramUserId - Owner of the rule
+     * @returns {Promise<boolean>} True if a rule was removed
+     */
+    async removeRule(id, telegramUserId) {
+        const result = await databaseService.deleteAlertRule(id, telegramUserId);
+        await this.reloadRules();
+        return result.changes > 0;
+    }
+
+    /**
+     * Get a user's rules
+     * @param {number} telegramUserId - Owner of the rules
+     * @returns {Array} Rules
+     */
+    listRules(telegramUserId) {
+        return this.rules.filter(rule => rule.telegram_user_id === telegramUserId);
+    }
+
+    /**
+     * Check whether a message matches a rule
+     * Patterns are checked against the text, caption and media description.
+     * @param {Object} rule - Alert rule
+     * @param {Object} messageData - Message data from WhatsAppService.buildMessageData
+     * @returns {boolean} True if the message should raise an alert
+     */
+    matches(rule, messageData) {
+        if (rule.chat_id && rule.chat_id !== messageData.chatId) {
+            return false;
+        }
+
+        const text = [messageData.content, messageData.mediaCaption, messageData.mediaDescription]
+            .filter(Boolean).join('\n');
+        return text.length > 0 && rule.matcher(text);
+    }
+
+    /**
+     * Alert every user with a matching rule
+     * Each user gets at most one alert per message. Media messages are checked
+     * as soon as they arrive and again once their description is ready; that
+     * second pass only alerts users whose rules match because of the
+     * description. Failures are logged and never affect storing the message.
+     * @param {Object} messageData - Message data from WhatsAppService.buildMessageData
+     * @param {Object} options - Options
+     * @param {boolean} options.describedOnly - Only alert users that the description alone makes match
+     * @returns {Promise<number>} Number of users alerted
+     */
+    async evaluate(messageData, options = {}) {
+        const matchesByUser = await this.getMatchesByUser(messageData);
+        if (options.describedOnly) {
+            const alreadyMatched = await this.getMatchesByUser({ ...messageData, mediaDescription: null });
+            alreadyMatched.forEach((rules, telegramUserId) => matchesByUser.delete(telegramUserId));
+        }
+
+        let sent = 0;
+        for (const [telegramUserId, rules] of matchesByUser) {
+            try {
+                if (await this.sendAlert(telegramUserId, rules, messageData)) {
+                    sent++;
+                }
+            } catch (error) {
+                logger.error('Error sending alert', { telegramUserId, messageId: messageData.waMessageId, error: error.message });
+            }
+        }
+
+        if (sent > 0) {
+            logger.whatsapp('Alerts sent', { chatName: messageData.chatName, users: sent });
+        }
+        return sent;
+    }
+
+    /**
+     * Group the rules a message matches by their owner
+     * @param {Object} messageData - Message data
+     * @returns {Promise<Map>} Telegram user ID -> matching rules
+     */
+    async getMatchesByUser(messageData) {
+        const matchesByUser = new Map();
+        for (const rule of this.rules) {
+            let matched;
+            try {
+                matched = this.matches(rule, messageData);
+            } catch (error) {
+                await this.handleMatchError(rule, error);
+                continue;
+            }
+
+            if (matched) {
+                const userRules = matchesByUser.get(rule.telegram_user_id) || [];
+                userRules.push(rule);
+                matchesByUser.set(rule.telegram_user_id, userRules);
+            }
+        }
+        return matchesByUser;
+    }
+
+    /**
+     * Deal with a rule that failed on a message
+     * A regex that hit the time limit would stall every later message too, so it is turned off and its owner told.
+     * @param {Object} rule - Alert rule
+     * @param {Error} error - Error thrown by the matcher
+     */
+    async handleMatchError(rule, error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            logger.error('Error matching alert rule', { id: rule.id, error: error.message });
+            return;
+        }
+
+        logger.warn('Alert rule turned off, its regex took too long', { id: rule.id, telegramUserId: rule.telegram_user_id, pattern: rule.pattern });
+
+        try {
+            await databaseService.deactivateAlertRule(rule.id);
+            await this.reloadRules();
+
+            const f = getFormatter('HTML');
+            const telegramService = require('./telegram');
+            await telegramService.bot.sendMessage(rule.telegram_user_id,
+                `⚠️ Alert #${rule.id} ${f.code(rule.pattern)} was turned off because its regular expression took too long to check a message. ` +
+                'Add a simpler pattern with /alerts add.', { parse_mode: 'HTML' });
+        } catch (disableError) {
+            logger.error('Error turning off alert rule', { id: rule.id, error: disableError.message });
+        }
+    }
+
+    /**
+     * Send one alert to a user
+     * The alert is silent when every matching rule is in its quiet hours.
+     * @param {number} telegramUserId - User to alert
+     * @param {Array} rules - The user's matching rules
+     * @param {Object} messageData - Message data
+     * @returns {Promise<boolean>} True if the alert was sent
+     */
+    async sendAlert(telegramUserId, rules, messageData) {
+        // Re-check access on every alert so removed users and groups stop receiving them
+        const user = await databaseService.getTelegramUser(telegramUserId);
+        if (!userService.canAccessGroup(user, messageData.chatId)) {
+            return false;
+        }
+
+        const event = await databaseService.createAlertEvent({
+            ruleId: rules[0].id,
+            telegramUserId,
+            chatId: messageData.chatId,
+            waMessageId: messageData.waMessageId,
+            messageTimestamp: messageData.timestamp
+        });
+
+        const now = nowInTimezone(config.get('scheduler.timezone'));
+        const silent = rules.every(rule => this.isQuiet(rule, now));
+
+        const telegramService = require('./telegram');
+        await telegramService.bot.sendMessage(telegramUserId, this.formatAlert(rules, messageData), {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            disable_notification: silent,
+            reply_markup: {
+                inline_keyboard: [[{ text: '📜 Show context', callback_data: `alert_ctx_${event.id}` }]]
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Format an alert as Telegram HTML
+     * @param {Array} rules - Matching rules
+     * @param {Object} messageData - Message data
+     * @returns {string} Alert text, shortened to fit one Telegram message
+     */
+    formatAlert(rules, messageData) {
+        const f = getFormatter('HTML');
+        const time = moment(messageData.timestamp, 'YYYY-MM-DD HH:mm:ss').format('HH:mm');
+        const patterns = rules.map(rule => f.code(rule.pattern)).join(', ');
+
+        const header = `🔔 ${f.bold(f.escape(messageData.chatName))} matched ${patterns}\n👤 ${f.escape(messageData.senderName)} • ${time}`;
+        const body = this.escapeTruncated(messageData.content || messageData.mediaCaption || messageData.mediaDescription || '', MAX_MESSAGE_LENGTH - header.length - 2);
+
+        return body ? `${header}\n\n${body}` : header;
+    }
+
+    /**
+     * Escape text as HTML, cutting it to a length limit
+     * @param {string} text - Raw text
+     * @param {number} limit - Maximum length of the escaped text
+     * @returns {string} Escaped text, ending in … when cut
+     */
+    escapeTruncated(text, limit) {
+        const f = getFormatter('HTML');
+        const escaped = f.escape(text);
+        if (escaped.length <= limit) {
+            return escaped;
+        }
+
+        // Cut the raw text so no HTML entity is split
+        let cut = text.slice(0, Math.max(limit - 1, 0));
+        while (cut && f.escape(cut).length > limit - 1) {
+            cut = cut.slice(0, -50);
+        }
+        return `${f.escape(cut)}…`;
+    }
+
+    /**
+     * Get the messages around an alerted message
+     * Stored messages are merged with ones still waiting for the next batch.
+     * @param {Object} event - Alert event row
+     * @returns {Promise<Array>} Up to CONTEXT_MESSAGES messages on each side, { waMessageId, senderName, timestamp, text }
+     */
+    async getContext(event) {
+        const at = moment(event.message_timestamp, 'YYYY-MM-DD HH:mm:ss');
+        const since = at.clone().subtract(CONTEXT_WINDOW_MINUTES, 'minutes').format('YYYY-MM-DD HH:mm:ss');
+        const until = at.clone().add(CONTEXT_WINDOW_MINUTES, 'minutes').format('YYYY-MM-DD HH:mm:ss');
+
+        const stored = await databaseService.getMessagesByGroupAndTimeRange(event.chat_id, since, until);
+        const messages = new Map(stored.map(message => [message.wa_message_id, {
+            waMessageId: message.wa_message_id,
+            senderName: message.sender_name,
+            timestamp: message.timestamp,
+            text: message.content || message.media_caption || message.media_description || (message.media_type ? `[${message.media_type}]` : '')
+        }]));
+
+        const whatsappService = require('./whatsapp');
+        for (const message of whatsappService.pendingMessages) {
+            if (message.chatId === event.chat_id && message.timestamp >= since && message.timestamp <= until && !messages.has(message.waMessageId)) {
+                messages.set(message.waMessageId, {
+                    waMessageId: message.waMessageId,
+                    senderName: message.senderName,
+                    timestamp: message.timestamp,
+                    text: message.content || message.mediaCaption || message.mediaDescription || (message.mediaType ? `[${message.mediaType}]` : '')
+                });
+            }
+        }
+
+        const sorted = [...messages.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        let index = sorted.findIndex(message => message.waMessageId === event.wa_message_id);
+        if (index === -1) {
+            index = sorted.findIndex(message => message.timestamp >= event.message_timestamp);
+        }
+        if (index === -1) {
+            index = sorted.length;
+        }
+
+        return sorted.slice(Math.max(index - CONTEXT_MESSAGES, 0), index + CONTEXT_MESSAGES + 1);
+    }
+
+    /**
+     * Format the context of an alert as Telegram HTML
+     * @param {Object} event - Alert event row
+     * @param {Array} messages - Messages from getContext
+     * @param {string} groupName - Name of the group
+     * @returns {string} Context text, shortened to fit one Telegram message
+     */
+    formatContext(event, messages, groupName) {
+        const f = getFormatter('HTML');
+        const header = `📜 ${f.bold(f.escape(groupName))} around ${moment(event.message_timestamp, 'YYYY-MM-DD HH:mm:ss').format('DD/MM HH:mm')}`;
+
+        if (messages.length === 0) {
+            return `${header}\n\nThe messages are no longer available.`;
+        }
+
+        // Shorten long messages so the whole conversation fits
+        const maxLineLength = Math.floor((MAX_MESSAGE_LENGTH - header.length - 100) / messages.length);
+        const lines = messages.map(message => {
+            const time = moment(message.timestamp, 'YYYY-MM-DD HH:mm:ss').format('HH:mm');
+            const marker = message.waMessageId === event.wa_message_id ? '➡️ ' : '';
+            const prefix = `${marker}${time} ${f.bold(f.escape(message.senderName))}: `;
+            return prefix + this.escapeTruncated(message.text.replace(/\s+/g, ' '), Math.max(maxLineLength - prefix.length, 20));
+        });
+
+        return `${header}\n\n${lines.join('\n')}`;
+    }
+}
+
+// Create singleton instance
+const alertService = new AlertService();
+
+module.exports = alertService;
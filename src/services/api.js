@@ -0,0 +1,399 @@
+/**
+ * API Service for WhatsApp to Telegram Bot
+ *
+ * This module exposes the collected data as a JSON REST API on the shared
+ * HTTP server, for other internal tools. Every request needs a bearer token
+ * created by an admin with /tokens; tokens are stored as SHA-256 hashes, so
+ * the plain token is only ever shown once, when it is created.
+ *
+ * Endpoints:
+ * - GET  /api/groups - groups with their last message time and message count
+ * - GET  /api/groups/:chatId/messages?date=|startDate=&endDate=&limit=&offset= - paginated messages
+ * - GET  /api/groups/:chatId/summaries - stored summaries of a group
+ * - GET  /api/groups/:chatId/summaries/:date - a stored summary (date or start..end)
+ * - POST /api/groups/:chatId/summaries - get or generate a summary { startDate, endDate, forceRefresh }
+ *
+ * Features:
+ * - Hashed API tokens with last-use tracking
+ * - Pagination with configurable page sizes
+ * - Summaries served from and stored in the summaries cache
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+const summaryService = require('./summary');
+const httpService = require('./http');
+
+const TOKEN_PREFIX = 'wsb_';
+
+class ApiService {
+    /**
+     * Register the API routes
+     */
+    initialize() {
+        if (config.get('api.enabled') === false) {
+            logger.info('REST API disabled');
+            return;
+        }
+
+        this.route('GET', '/api/groups', req => this.listGroups(req));
+        this.route('GET', '/api/groups/:chatId/messages', req => this.listMessages(req));
+        this.route('GET', '/api/groups/:chatId/summaries', req => this.listSummaries(req));
+        this.route('GET', '/api/groups/:chatId/summaries/:date', req => this.getSummary(req));
+        this.route('POST', '/api/groups/:chatId/summaries', (req, body) => this.createSummary(req, body));
+
+        logger.info('REST API enabled');
+    }
+
+    /**
+     * Register an authenticated JSON route
+     * The handler returns the response body; errors carrying a status are sent
+     * to the client as { error }, anything else becomes a 500.
+     * @param {string} method - HTTP method
+     * @param {string} path - Route path
+     * @param {Function} handler - Async (req, body) => response data
+     */
+    route(method, path, handler) {
+        httpService.route(method, path, async (req, res, body) => {
+            try {
+                req.apiToken = await this.authenticate(req);
+                httpService.sendJson(res, 200, await handler(req, body));
+            } catch (error) {
+                const status = this.getErrorStatus(error);
+                if (status === 500) {
+                    logger.error('Error handling API request', { method, path, error: error.message });
+                }
+                httpService.sendJson(res, status, { error: status === 500 ? 'Internal server error' : (error.userMessage || error.message) });
+            }
+        });
+    }
+
+    /**
+     * Map an error to an HTTP status
+     * @param {Error} error - Error thrown by a handler
+     * @returns {number} HTTP status code
+     */
+    getErrorStatus(error) {
+        if (error.status && error.name !== 'LLMError') {
+            return error.status;
+        }
+        if (error.code === 'BUDGET_EXCEEDED' || (error.name === 'LLMError' && error.type === 'quota')) {
+            return 429;
+        }
+        if (error.name === 'LLMError') {
+            return 502;
+        }
+        return 500;
+    }
+
+    /**
+     * Create an error that is returned to the API client
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message
+     * @returns {Error} Error with status
+     */
+    clientError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * Hash a token for storage and lookup
+     * @param {string} token - Plain token
+     * @returns {string} SHA-256 hex digest
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Create an API token
+     * @param {string} name - What the token is for
+     * @param {number} createdBy - Telegram user ID of the admin creating it
+     * @returns {Promise<Object>} { id, name, token }; the plain token cannot be retrieved later
+     */
+    async createToken(name, createdBy) {
+        const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const result = await databaseService.createApiToken({
+            name,
+            tokenHash: this.hashToken(token),
+            tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+            createdBy
+        });
+
+        return { id: result.id, name, token };
+    }
+
+    /**
+     * List active API tokens
+     * @returns {Promise<Array>} Tokens (id, name, token_prefix, created_by, created_at, last_used_at)
+     */
+    async listTokens() {
+        return databaseService.getApiTokens();
+    }
+
+    /**
+     * Revoke an API token
+     * @param {number} id - Token ID
+     * @returns {Promise<boolean>} True if an active token was revoked
+     */
+    async revokeToken(id) {
+        const result = await databaseService.revokeApiToken(id);
+        return result.changes > 0;
+    }
+
+    /**
+     * Check the bearer token of a request
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<Object>} Token row
+     * @throws {Error} 401 error when the token is missing, unknown or revoked
+     */
+    async authenticate(req) {
+        const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+        const token = match && await databaseService.getApiTokenByHash(this.hashToken(match[1]));
+
+        if (!token) {
+            throw this.clientError(401, 'Missing or invalid API token');
+        }
+
+        await databaseService.markApiTokenUsed(token.id);
+        return token;
+    }
+
+    /**
+     * Read and validate a date parameter
+     * @param {string} value - Date string
+     * @param {string} name - Parameter name for the error message
+     * @returns {string} Date (YYYY-MM-DD)
+     */
+    parseDate(value, name) {
+        if (!value || !moment(value, 'YYYY-MM-DD', true).isValid()) {
+            throw this.clientError(400, `${name} must be a date (YYYY-MM-DD)`);
+        }
+        return value;
+    }
+
+    /**
+     * Read the date range of a request, defaulting to today
+     * @param {Object} params - { date } or { startDate, endDate }
+     * @returns {Object} { startDate, endDate }
+     */
+    parseDateRange(params) {
+        if (params.date) {
+            const date = this.parseDate(params.date, 'date');
+            return { startDate: date, endDate: date };
+        }
+
+        const startDate = params.startDate ? this.parseDate(params.startDate, 'startDate') : moment().format('YYYY-MM-DD');
+        const endDate = params.endDate ? this.parseDate(params.endDate, 'endDate') : startDate;
+        if (endDate < startDate) {
+            throw this.clientError(400, 'endDate must not be before startDate');
+        }
+
+        return { startDate, endDate };
+    }
+
+    /**
+     * Make sure a group has stored messages
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @returns {Promise<Object>} Group row from the groups table, or a stub with its chat ID
+     */
+    async getGroupOr404(chatId) {
+        const group = await databaseService.getGroup(chatId);
+        if (!group && !(await databaseService.getLastMessageForGroup(chatId))) {
+            throw this.clientError(404, 'Group not found');
+        }
+        return group || { chat_id: chatId };
+    }
+
+    /**
+     * GET /api/groups
+     * @returns {Promise<Object>} { groups }
+     */
+    async listGroups() {
+        const groups = await databaseService.getGroupsWithLastMessage();
+        return {
+            groups: groups.map(group => ({
+                id: group.id,
+                name: group.name,
+                lastMessageTime: group.last_message_time,
+                messageCount: group.message_count
+            }))
+        };
+    }
+
+    /**
+     * GET /api/groups/:chatId/messages
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<Object>} { messages, total, limit, offset, startDate, endDate }
+     */
+    async listMessages(req) {
+        const { chatId } = req.params;
+        await this.getGroupOr404(chatId);
+
+        const { startDate, endDate } = this.parseDateRange(req.query);
+        const maxPageSize = config.get('api.maxPageSize') || 500;
+        const limit = Math.min(parseInt(req.query.limit) || config.get('api.defaultPageSize') || 100, maxPageSize);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const page = await databaseService.getMessagesPage(chatId, startDate, endDate, limit, offset);
+
+        return {
+            messages: page.messages.map(message => this.formatMessage(message)),
+            total: page.total,
+            limit,
+            offset,
+            startDate,
+            endDate
+        };
+    }
+
+    /**
+     * Shape a message row for the API (local file paths are left out). Deleted
+     * messages keep their metadata but not their text, as in LLM prompts.
+     * @param {Object} message - Message row
+     * @returns {Object} API message
+     */
+    formatMessage(message) {
+        const deleted = Boolean(message.deleted_at);
+
+        return {
+            id: message.id,
+            waMessageId: message.wa_message_id,
+            chatId: message.chat_id,
+            senderId: message.sender_id,
+            senderName: message.sender_name,
+            timestamp: message.timestamp,
+            content: deleted ? '' : message.content,
+            quotedMessageId: message.quoted_message_id || null,
+            editedAt: message.edited_at || null,
+            deletedAt: message.deleted_at || null,
+            reactions: this.parseReactions(message.reactions),
+            media: message.media_type ? {
+                type: message.media_type,
+                filename: message.media_filename,
+                mimetype: message.media_mimetype,
+                caption: deleted ? null : message.media_caption,
+                description: deleted ? null : message.media_description
+            } : null
+        };
+    }
+
+    /**
+     * Parse the reactions column of a message row
+     * @param {string|null} reactions - JSON reaction map stored with the message
+     * @returns {Object|null} Reactions, or null if there are none or the JSON is invalid
+     */
+    parseReactions(reactions) {
+        if (!reactions) {
+            return null;
+        }
+        try {
+            return JSON.parse(reactions);
+        } catch (error) {
+            logger.warn('Invalid reactions JSON on message', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * GET /api/groups/:chatId/summaries
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<Object>} { summaries }
+     */
+    async listSummaries(req) {
+        const { chatId } = req.params;
+        await this.getGroupOr404(chatId);
+
+        const summaries = await databaseService.getSummariesForGroup(chatId);
+        return {
+            summaries: summaries.map(summary => ({
+                date: summary.date,
+                messageCount: summary.message_count,
+                createdAt: summary.created_at
+            }))
+        };
+    }
+
+    /**
+     * GET /api/groups/:chatId/summaries/:date
+     * Only returns stored summaries; use POST to generate one.
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<Object>} Summary
+     */
+    async getSummary(req) {
+        const { chatId, date } = req.params;
+        const [startDate, endDate = startDate] = date.split('..');
+        this.parseDate(startDate, 'date');
+        this.parseDate(endDate, 'date');
+
+        const stored = await databaseService.getSummary(chatId, summaryService.getCacheKey(startDate, endDate));
+        if (!stored) {
+            throw this.clientError(404, 'Summary not found');
+        }
+
+        return {
+            chatId,
+            startDate,
+            endDate,
+            summary: stored.summary,
+            messageCount: stored.message_count,
+            cached: true,
+            createdAt: stored.created_at
+        };
+    }
+
+    /**
+     * POST /api/groups/:chatId/summaries
+     * Returns the stored summary when there is one, otherwise generates and stores it.
+     * @param {http.IncomingMessage} req - Request
+     * @param {Buffer} body - JSON body { date } or { startDate, endDate }, plus optional forceRefresh
+     * @returns {Promise<Object>} Summary
+     */
+    async createSummary(req, body) {
+        const { chatId } = req.params;
+
+        let params;
+        try {
+            params = body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+        } catch (error) {
+            params = null;
+        }
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            throw this.clientError(400, 'Request body must be a JSON object');
+        }
+
+        await this.getGroupOr404(chatId);
+        const { startDate, endDate } = this.parseDateRange(params);
+
+        const result = await summaryService.getSummary(chatId, startDate, endDate, { forceRefresh: params.forceRefresh === true });
+
+        if (result.messageCount === 0) {
+            throw this.clientError(404, 'No messages in this period');
+        }
+        if (!result.summary) {
+            throw this.clientError(502, 'Failed to generate summary');
+        }
+
+        logger.info('Summary requested through API', { chatId, startDate, endDate, token: req.apiToken.name, cached: result.cached });
+
+        return {
+            chatId,
+            startDate,
+            endDate,
+            summary: result.summary,
+            messageCount: result.messageCount,
+            cached: result.cached,
+            createdAt: result.createdAt
+        };
+    }
+}
+
+// Create singleton instance
+const apiService = new ApiService();
+
+module.exports = apiService;
@@ -8,7 +8,7 @@
  * Features:
  * - SQLite database with WAL mode for better concurrency
  * - Message storage and retrieval
- * - Automatic schema creation and migration
+ * - Versioned schema migrations (see src/migrations)
  * - Data cleanup and maintenance
  * - Connection pooling and error handling
  */
@@ -19,6 +19,7 @@ const fs = require('fs');
 const moment = require('moment');
 const config = require('../config');
 const logger = require('../utils/logger');
+const migrationService = require('./migrations');
 
 class DatabaseService {
     constructor() {
@@ -27,33 +28,12 @@ class DatabaseService {
     }
 
     /**
-     * Initialize database connection and create tables
+     * Initialize database connection and apply pending schema migrations
      */
     async initialize() {
         try {
-            // Ensure data directory exists
-            const dbDir = path.dirname(config.get('database.path'));
-            if (!fs.existsSync(dbDir)) {
-                fs.mkdirSync(dbDir, { recursive: true });
-            }
-
-            // Create database connection
-            this.db = new sqlite3.Database(config.get('database.path'), (err) => {
-                if (err) {
-                    logger.error('Error opening database', err);
-                    throw err;
-                }
-                logger.database('Database connection established');
-            });
-
-            // Enable WAL mode for better concurrency
-            await this.run('PRAGMA journal_mode = WAL');
-            await this.run('PRAGMA synchronous = NORMAL');
-            await this.run('PRAGMA cache_size = 10000');
-            await this.run('PRAGMA temp_store = MEMORY');
-
-            // Create tables
-            await this.createTables();
+            await this.connect();
+            await migrationService.migrate(this);
             
             this.isInitialized = true;
             logger.database('Database initialized successfully');
@@ -64,72 +44,50 @@ class DatabaseService {
     }
 
     /**
-     * Create database tables if they don't exist
+     * Open the database connection
+     * @param {Object} options - Options
+     * @param {boolean} options.readOnly - Open without creating or modifying the database file
      */
-    async createTables() {
-        const messagesTable = `
-            CREATE TABLE IF NOT EXISTS messages (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                wa_message_id TEXT UNIQUE NOT NULL,
-                chat_id TEXT NOT NULL,
-                chat_name TEXT NOT NULL,
-                sender_id TEXT NOT NULL,
-                sender_name TEXT NOT NULL,
-                timestamp DATETIME NOT NULL,
-                content TEXT NOT NULL,
-                is_group BOOLEAN NOT NULL DEFAULT 1,
-                processed BOOLEAN NOT NULL DEFAULT 0,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
-
-        const groupsTable = `
-            CREATE TABLE IF NOT EXISTS groups (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                chat_id TEXT UNIQUE NOT NULL,
-                chat_name TEXT NOT NULL,
-                is_active BOOLEAN NOT NULL DEFAULT 1,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
+    async connect(options = {}) {
+        const dbPath = config.get('database.path');
 
-        const summariesTable = `
-            CREATE TABLE IF NOT EXISTS summaries (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                group_name TEXT NOT NULL,
-                date TEXT NOT NULL,
-                summary TEXT NOT NULL,
-                message_count INTEGER NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(group_name, date)
-            )
-        `;
+        if (!options.readOnly) {
+            // Ensure data directory exists
+            const dbDir = path.dirname(dbPath);
+            if (!fs.existsSync(dbDir)) {
+                fs.mkdirSync(dbDir, { recursive: true });
+            }
+        }
 
-        // Create indexes for better performance
-        const indexes = [
-            'CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id)',
-            'CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp)',
-            'CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id)',
-            'CREATE INDEX IF NOT EXISTS idx_messages_processed ON messages(processed)',
-            'CREATE INDEX IF NOT EXISTS idx_summaries_group_date ON summaries(group_name, date)'
-        ];
+        // Create database connection
+        const mode = options.readOnly
+            ? sqlite3.OPEN_READONLY
+            : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
 
-        try {
-            await this.run(messagesTable);
-            await this.run(groupsTable);
-            await this.run(summariesTable);
-            
-            for (const index of indexes) {
-                await this.run(index);
-            }
+        await new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(dbPath, mode, (err) => {
+                if (err) {
+                    logger.error('Error opening database', err);
+                    reject(err);
+                } else {
+                    logger.database('Database connection established', { readOnly: !!options.readOnly });
+                    resolve();
+                }
+            });
+        });
 
-            logger.database('Database tables created successfully');
-        } catch (error) {
-            logger.error('Error creating database tables', error);
-            throw error;
+        if (options.readOnly) {
+            return;
         }
+
+        // Enable WAL mode for better concurrency
+        await this.run('PRAGMA journal_mode = WAL');
+        await this.run('PRAGMA synchronous = NORMAL');
+        await this.run('PRAGMA cache_size = 10000');
+        await this.run('PRAGMA temp_store = MEMORY');
+
+        // Let INSERT OR REPLACE fire delete triggers so the search index stays in sync
+        await this.run('PRAGMA recursive_triggers = ON');
     }
 
     /**
@@ -197,8 +155,10 @@ class DatabaseService {
     async storeMessage(message) {
         const sql = `
             INSERT OR REPLACE INTO messages 
-            (wa_message_id, chat_id, chat_name, sender_id, sender_name, timestamp, content, is_group)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            (wa_message_id, chat_id, chat_name, sender_id, sender_name, timestamp, content, is_group,
+             media_type, media_filename, media_mimetype, media_caption, media_path, media_description,
+             quoted_message_id, quoted_content, edited_at, deleted_at, reactions)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         const params = [
@@ -208,12 +168,27 @@ class DatabaseService {
             message.senderId,
             message.senderName,
             message.timestamp,
-            message.content,
-            message.isGroup ? 1 : 0
+            message.content || '',
+            message.isGroup ? 1 : 0,
+            message.mediaType || null,
+            message.mediaFilename || null,
+            message.mediaMimetype || null,
+            message.mediaCaption || null,
+            message.mediaPath || null,
+            message.mediaDescription || null,
+            message.quotedMessageId || null,
+            message.quotedContent || null,
+            message.editedAt || null,
+            message.deletedAt || null,
+            message.reactions ? JSON.stringify(message.reactions) : null
         ];
 
         try {
             const result = await this.run(sql, params);
+
+            // A new message makes any stored summary for that day stale
+            await this.invalidateSummaries(message.chatId, moment(message.timestamp).format('YYYY-MM-DD'));
+
             logger.database('Message stored successfully', { 
                 messageId: message.waMessageId, 
                 chatName: message.chatName 
@@ -225,27 +200,75 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Stage a received message until it is stored by batch processing
+     * @param {Object} message - Message object (same shape as storeMessage)
+     * @returns {Promise<Object>} Insert result
+     */
+    async enqueuePendingMessage(message) {
+        const sql = 'INSERT OR IGNORE INTO pending_messages (wa_message_id, payload) VALUES (?, ?)';
+
+        try {
+            return await this.run(sql, [message.waMessageId, JSON.stringify(message)]);
+        } catch (error) {
+            logger.error('Error staging pending message', { messageId: message.waMessageId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get all staged messages in arrival order
+     * @returns {Promise<Array>} Message objects
+     */
+    async getPendingMessages() {
+        const sql = 'SELECT payload FROM pending_messages ORDER BY id ASC';
+
+        try {
+            const rows = await this.all(sql);
+            return rows.map(row => JSON.parse(row.payload));
+        } catch (error) {
+            logger.error('Error retrieving pending messages', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a message from the staging table once it has been handled
+     * @param {string} waMessageId - WhatsApp message ID
+     * @returns {Promise<Object>} Delete result
+     */
+    async deletePendingMessage(waMessageId) {
+        const sql = 'DELETE FROM pending_messages WHERE wa_message_id = ?';
+
+        try {
+            return await this.run(sql, [waMessageId]);
+        } catch (error) {
+            logger.error('Error removing pending message', { waMessageId, error });
+            throw error;
+        }
+    }
+
     /**
      * Get messages for a specific group and date range
-     * @param {string} groupName - Group name
+     * @param {string} chatId - WhatsApp chat ID of the group
      * @param {string} startDate - Start date (YYYY-MM-DD)
      * @param {string} endDate - End date (YYYY-MM-DD)
      * @returns {Promise<Array>} Messages array
      */
-    async getMessagesByGroupAndDate(groupName, startDate, endDate) {
+    async getMessagesByGroupAndDate(chatId, startDate, endDate) {
         const sql = `
             SELECT * FROM messages 
-            WHERE chat_name = ? 
+            WHERE chat_id = ? 
             AND DATE(timestamp) BETWEEN ? AND ?
             ORDER BY timestamp ASC
         `;
 
         try {
-            const messages = await this.all(sql, [groupName, startDate, endDate]);
+            const messages = await this.all(sql, [chatId, startDate, endDate]);
             
             // Debug: Log messages retrieved
             logger.database('DEBUG: Messages retrieved by group and date', { 
-                groupName, 
+                chatId, 
                 startDate, 
                 endDate, 
                 count: messages.length,
@@ -259,11 +282,175 @@ class DatabaseService {
             });
             
             logger.database('Retrieved messages by group and date', { 
-                groupName, startDate, endDate, count: messages.length 
+                chatId, startDate, endDate, count: messages.length 
+            });
+            return messages;
+        } catch (error) {
+            logger.error('Error retrieving messages', { chatId, startDate, endDate, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get messages for a specific group within a timestamp window
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} since - Start timestamp (YYYY-MM-DD HH:mm:ss), inclusive
+     * @param {string} until - End timestamp (YYYY-MM-DD HH:mm:ss), inclusive
+     * @returns {Promise<Array>} Messages array
+     */
+    async getMessagesByGroupAndTimeRange(chatId, since, until) {
+        const sql = `
+            SELECT * FROM messages 
+            WHERE chat_id = ? 
+            AND timestamp BETWEEN ? AND ?
+            ORDER BY timestamp ASC
+        `;
+
+        try {
+            const messages = await this.all(sql, [chatId, since, until]);
+            logger.database('Retrieved messages by group and time range', { 
+                chatId, since, until, count: messages.length 
             });
             return messages;
         } catch (error) {
-            logger.error('Error retrieving messages', { groupName, startDate, endDate, error });
+            logger.error('Error retrieving messages', { chatId, since, until, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Find the messages of a group that best match a set of keywords
+     * Messages are ranked by how many distinct keywords they contain.
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {Array<string>} keywords - Keywords to look for
+     * @param {number} limit - Maximum number of messages
+     * @returns {Promise<Array>} Messages array, best matches first
+     */
+    async findMessagesByKeywords(chatId, keywords, limit = 100) {
+        if (!keywords || keywords.length === 0) {
+            return [];
+        }
+
+        const scoreSql = keywords.map(() => "(CASE WHEN content LIKE ? ESCAPE '\\' THEN 1 ELSE 0 END)").join(' + ');
+        const sql = `
+            SELECT * FROM (
+                SELECT *, (${scoreSql}) AS score FROM messages 
+                WHERE chat_id = ?
+            )
+            WHERE score > 0
+            ORDER BY score DESC, timestamp DESC
+            LIMIT ?
+        `;
+
+        const likeParams = keywords.map(keyword => `%${keyword.replace(/[\\%_]/g, '\\$&')}%`);
+
+        try {
+            const messages = await this.all(sql, [...likeParams, chatId, limit]);
+            logger.database('Retrieved messages by keywords', { chatId, keywords, count: messages.length });
+            return messages;
+        } catch (error) {
+            logger.error('Error retrieving messages by keywords', { chatId, keywords, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Build an FTS5 query that matches all terms, each as a prefix
+     * @param {string} terms - Free-text search terms
+     * @returns {string} FTS5 MATCH expression, empty if there are no terms
+     */
+    buildSearchQuery(terms) {
+        const tokens = (terms.match(/[\p{L}\p{N}]+/gu) || []);
+        return tokens.map(token => `"${token}"*`).join(' ');
+    }
+
+    /**
+     * Full-text search over stored messages
+     * @param {Object} search - Search parameters
+     * @param {string} search.terms - Free-text search terms
+     * @param {string} search.chatId - Optional group chat ID filter
+     * @param {Array<string>} search.chatIds - Optional list of group chat IDs to search in
+     * @param {string} search.startDate - Optional start date (YYYY-MM-DD)
+     * @param {string} search.endDate - Optional end date (YYYY-MM-DD)
+     * @param {number} search.limit - Page size
+     * @param {number} search.offset - Rows to skip
+     * @returns {Promise<Object>} { total, results } with a highlighted snippet per result (deleted messages excluded)
+     */
+    async searchMessages(search) {
+        const { terms, chatId, chatIds, startDate, endDate, limit = 5, offset = 0 } = search;
+        const matchQuery = this.buildSearchQuery(terms || '');
+
+        if (!matchQuery) {
+            return { total: 0, results: [] };
+        }
+
+        // Deleted messages keep their text for the edit history but must not be findable
+        const conditions = ['messages_fts MATCH ?', 'm.deleted_at IS NULL'];
+        const params = [matchQuery];
+
+        if (chatId) {
+            conditions.push('m.chat_id = ?');
+            params.push(chatId);
+        } else if (chatIds) {
+            conditions.push(`m.chat_id IN (${chatIds.map(() => '?').join(', ') || 'NULL'})`);
+            params.push(...chatIds);
+        }
+        if (startDate) {
+            conditions.push('DATE(m.timestamp) >= ?');
+            params.push(startDate);
+        }
+        if (endDate) {
+            conditions.push('DATE(m.timestamp) <= ?');
+            params.push(endDate);
+        }
+
+        const whereClause = conditions.join(' AND ');
+        const countSql = `
+            SELECT COUNT(*) AS total 
+            FROM messages_fts 
+            JOIN messages m ON m.id = messages_fts.rowid 
+            WHERE ${whereClause}
+        `;
+        const sql = `
+            SELECT m.id, m.chat_id, COALESCE(g.chat_name, m.chat_name) AS chat_name, m.sender_name, m.timestamp, m.edited_at,
+                snippet(messages_fts, 0, '«', '»', '…', 16) AS snippet
+            FROM messages_fts 
+            JOIN messages m ON m.id = messages_fts.rowid 
+            LEFT JOIN groups g ON g.chat_id = m.chat_id
+            WHERE ${whereClause}
+            ORDER BY m.timestamp DESC
+            LIMIT ? OFFSET ?
+        `;
+
+        try {
+            const { total } = await this.get(countSql, params);
+            const results = await this.all(sql, [...params, limit, offset]);
+            logger.database('Messages searched', { terms, chatId, startDate, endDate, total, offset });
+            return { total, results };
+        } catch (error) {
+            logger.error('Error searching messages', { terms, chatId, startDate, endDate, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the most recent messages of a group
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {number} limit - Maximum number of messages
+     * @returns {Promise<Array>} Messages array, newest first
+     */
+    async getRecentMessages(chatId, limit = 50) {
+        const sql = `
+            SELECT * FROM messages 
+            WHERE chat_id = ?
+            ORDER BY timestamp DESC
+            LIMIT ?
+        `;
+
+        try {
+            return await this.all(sql, [chatId, limit]);
+        } catch (error) {
+            logger.error('Error retrieving recent messages', { chatId, limit, error });
             throw error;
         }
     }
@@ -285,45 +472,114 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Record a group under its chat ID, tracking renames
+     * @param {string} chatId - WhatsApp chat ID
+     * @param {string} chatName - Current display name
+     * @returns {Promise<Object>} { renamed, previousName }
+     */
+    async upsertGroup(chatId, chatName) {
+        try {
+            const existing = await this.get('SELECT * FROM groups WHERE chat_id = ?', [chatId]);
+
+            if (!existing) {
+                await this.run('INSERT INTO groups (chat_id, chat_name) VALUES (?, ?)', [chatId, chatName]);
+                logger.database('Group registered', { chatId, chatName });
+                return { renamed: false, previousName: null };
+            }
+
+            if (existing.chat_name === chatName) {
+                return { renamed: false, previousName: null };
+            }
+
+            await this.run('UPDATE groups SET chat_name = ?, updated_at = CURRENT_TIMESTAMP WHERE chat_id = ?', [chatName, chatId]);
+            await this.run('INSERT INTO group_renames (chat_id, old_name, new_name) VALUES (?, ?, ?)', [chatId, existing.chat_name, chatName]);
+            logger.database('Group renamed', { chatId, previousName: existing.chat_name, chatName });
+            return { renamed: true, previousName: existing.chat_name };
+        } catch (error) {
+            logger.error('Error storing group', { chatId, chatName, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a group by chat ID
+     * @param {string} chatId - WhatsApp chat ID
+     * @returns {Promise<Object|null>} Group object or null
+     */
+    async getGroup(chatId) {
+        try {
+            return await this.get('SELECT * FROM groups WHERE chat_id = ?', [chatId]);
+        } catch (error) {
+            logger.error('Error retrieving group', { chatId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the current display name of a group
+     * @param {string} chatId - WhatsApp chat ID
+     * @returns {Promise<string>} Group name, or the chat ID if the group is unknown
+     */
+    async getGroupName(chatId) {
+        const group = await this.getGroup(chatId);
+        return group ? group.chat_name : chatId;
+    }
+
+    /**
+     * Find the chat ID of a group by its current display name
+     * @param {string} chatName - Group name
+     * @returns {Promise<string|null>} Chat ID or null
+     */
+    async findGroupIdByName(chatName) {
+        try {
+            const group = await this.get('SELECT chat_id FROM groups WHERE chat_name = ? ORDER BY updated_at DESC LIMIT 1', [chatName]);
+            return group ? group.chat_id : null;
+        } catch (error) {
+            logger.error('Error looking up group by name', { chatName, error });
+            throw error;
+        }
+    }
+
     /**
      * Store a summary for a group and date
-     * @param {string} groupName - Group name
+     * @param {string} chatId - WhatsApp chat ID of the group
      * @param {string} date - Date (YYYY-MM-DD)
      * @param {string} summary - Summary text
      * @param {number} messageCount - Number of messages summarized
      * @returns {Promise<Object>} Insert result
      */
-    async storeSummary(groupName, date, summary, messageCount) {
+    async storeSummary(chatId, date, summary, messageCount) {
         const sql = `
             INSERT OR REPLACE INTO summaries 
-            (group_name, date, summary, message_count)
+            (chat_id, date, summary, message_count)
             VALUES (?, ?, ?, ?)
         `;
 
         try {
-            const result = await this.run(sql, [groupName, date, summary, messageCount]);
-            logger.database('Summary stored successfully', { groupName, date, messageCount });
+            const result = await this.run(sql, [chatId, date, summary, messageCount]);
+            logger.database('Summary stored successfully', { chatId, date, messageCount });
             return result;
         } catch (error) {
-            logger.error('Error storing summary', { groupName, date, error });
+            logger.error('Error storing summary', { chatId, date, error });
             throw error;
         }
     }
 
     /**
      * Get existing summary for a group and date
-     * @param {string} groupName - Group name
+     * @param {string} chatId - WhatsApp chat ID of the group
      * @param {string} date - Date (YYYY-MM-DD)
      * @returns {Promise<Object|null>} Summary object or null
      */
-    async getSummary(groupName, date) {
-        const sql = 'SELECT * FROM summaries WHERE group_name = ? AND date = ?';
+    async getSummary(chatId, date) {
+        const sql = 'SELECT * FROM summaries WHERE chat_id = ? AND date = ?';
         
         try {
-            const summary = await this.get(sql, [groupName, date]);
+            const summary = await this.get(sql, [chatId, date]);
             return summary;
         } catch (error) {
-            logger.error('Error retrieving summary', { groupName, date, error });
+            logger.error('Error retrieving summary', { chatId, date, error });
             throw error;
         }
     }
@@ -346,108 +602,1189 @@ class DatabaseService {
     }
 
     /**
-     * Clean up old messages based on retention policy
-     * @returns {Promise<Object>} Cleanup result
+     * Apply an edit to a stored message and keep the previous text in message_edits
+     * The history row is written even if the message is not stored yet, so edits
+     * to messages still waiting for the next batch are not lost.
+     * @param {string} waMessageId - WhatsApp message ID
+     * @param {string} previousContent - Text before the edit
+     * @param {string} newContent - Text after the edit
+     * @param {string} editedAt - Time of the edit (YYYY-MM-DD HH:mm:ss)
+     * @returns {Promise<boolean>} True if a stored message was updated
      */
-    async cleanupOldMessages() {
-        const retentionDays = config.get('database.cleanup.retentionDays') || 30;
-        const cutoffDate = moment().subtract(retentionDays, 'days').format('YYYY-MM-DD');
-        
-        const sql = 'DELETE FROM messages WHERE DATE(timestamp) < ?';
-        
+    async recordMessageEdit(waMessageId, previousContent, newContent, editedAt) {
         try {
-            const result = await this.run(sql, [cutoffDate]);
-            logger.database('Old messages cleaned up', { 
-                cutoffDate, deletedCount: result.changes 
-            });
-            return result;
+            await this.run(
+                'INSERT INTO message_edits (wa_message_id, previous_content, new_content, edited_at) VALUES (?, ?, ?, ?)',
+                [waMessageId, previousContent, newContent, editedAt]
+            );
+
+            const message = await this.getMessageByWhatsAppId(waMessageId);
+            if (!message) {
+                return false;
+            }
+
+            await this.run('UPDATE messages SET content = ?, edited_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [newContent, editedAt, message.id]);
+            await this.invalidateSummaries(message.chat_id, moment(message.timestamp).format('YYYY-MM-DD'));
+
+            logger.database('Message edit recorded', { waMessageId });
+            return true;
         } catch (error) {
-            logger.error('Error cleaning up old messages', error);
+            logger.error('Error recording message edit', { waMessageId, error });
             throw error;
         }
     }
 
     /**
-     * Close database connection
+     * Get the edit history of a message
+     * @param {string} waMessageId - WhatsApp message ID
+     * @returns {Promise<Array>} Edits, oldest first
      */
-    async close() {
-        if (this.db) {
-            return new Promise((resolve, reject) => {
-                this.db.close((err) => {
-                    if (err) {
-                        logger.error('Error closing database', err);
-                        reject(err);
-                    } else {
-                        logger.database('Database connection closed');
-                        resolve();
-                    }
-                });
-            });
+    async getMessageEdits(waMessageId) {
+        const sql = 'SELECT * FROM message_edits WHERE wa_message_id = ? ORDER BY edited_at ASC, id ASC';
+
+        try {
+            return await this.all(sql, [waMessageId]);
+        } catch (error) {
+            logger.error('Error retrieving message edits', { waMessageId, error });
+            throw error;
         }
     }
 
     /**
-     * Check if database is ready
-     * @returns {boolean} True if database is initialized
+     * Mark a stored message as deleted for everyone
+     * The text is kept for the record; prompts show the message as deleted.
+     * @param {string} waMessageId - WhatsApp message ID
+     * @param {string} deletedAt - Time of the deletion (YYYY-MM-DD HH:mm:ss)
+     * @returns {Promise<boolean>} True if a stored message was marked
      */
-    isReady() {
-        return this.isInitialized && this.db;
+    async markMessageDeleted(waMessageId, deletedAt) {
+        try {
+            const message = await this.getMessageByWhatsAppId(waMessageId);
+            if (!message) {
+                return false;
+            }
+
+            await this.run('UPDATE messages SET deleted_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [deletedAt, message.id]);
+            await this.invalidateSummaries(message.chat_id, moment(message.timestamp).format('YYYY-MM-DD'));
+
+            logger.database('Message marked as deleted', { waMessageId });
+            return true;
+        } catch (error) {
+            logger.error('Error marking message as deleted', { waMessageId, error });
+            throw error;
+        }
     }
 
     /**
-     * Delete summary for a group and date
-     * @param {string} groupName - Group name
-     * @param {string} date - Date (YYYY-MM-DD)
-     * @returns {Promise<Object>} Delete result
+     * Set the saved file and description of a stored message's media
+     * @param {string} waMessageId - WhatsApp message ID
+     * @param {string|null} mediaPath - Path of the saved file
+     * @param {string|null} mediaDescription - Transcription or description
+     * @returns {Promise<boolean>} True if the message was stored
      */
-    async deleteSummary(groupName, date) {
-        const sql = 'DELETE FROM summaries WHERE group_name = ? AND date = ?';
-        
+    async updateMessageMedia(waMessageId, mediaPath, mediaDescription) {
         try {
-            const result = await this.run(sql, [groupName, date]);
-            logger.database('Summary deleted successfully', { groupName, date, deletedCount: result.changes });
-            return result;
+            const message = await this.getMessageByWhatsAppId(waMessageId);
+            if (!message) {
+                return false;
+            }
+
+            await this.run(
+                'UPDATE messages SET media_path = ?, media_description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [mediaPath || null, mediaDescription || null, message.id]
+            );
+            await this.invalidateSummaries(message.chat_id, moment(message.timestamp).format('YYYY-MM-DD'));
+
+            logger.database('Message media updated', { waMessageId });
+            return true;
         } catch (error) {
-            logger.error('Error deleting summary', { groupName, date, error });
+            logger.error('Error updating message media', { waMessageId, error });
             throw error;
         }
     }
 
     /**
-     * Clear all summaries (for testing purposes)
-     * @returns {Promise<Object>} Clear result
+     * Set or remove one person's reaction to a message and refresh the message's counts
+     * @param {string} waMessageId - WhatsApp message ID
+     * @param {string} senderId - Serialized ID of the person reacting
+     * @param {string} reaction - Emoji, or an empty string when the reaction was removed
+     * @param {string} timestamp - Time of the reaction (YYYY-MM-DD HH:mm:ss)
+     * @returns {Promise<Object>} Reaction counts of the message, e.g. { '👍': 3 }
      */
-    async clearAllSummaries() {
-        const sql = 'DELETE FROM summaries';
-        
+    async setMessageReaction(waMessageId, senderId, reaction, timestamp) {
         try {
-            const result = await this.run(sql);
-            logger.database('All summaries cleared successfully', { deletedCount: result.changes });
-            return result;
+            if (reaction) {
+                await this.run(
+                    'INSERT OR REPLACE INTO message_reactions (wa_message_id, sender_id, reaction, timestamp) VALUES (?, ?, ?, ?)',
+                    [waMessageId, senderId, reaction, timestamp]
+                );
+            } else {
+                await this.run('DELETE FROM message_reactions WHERE wa_message_id = ? AND sender_id = ?', [waMessageId, senderId]);
+            }
+
+            const rows = await this.all(
+                'SELECT reaction, COUNT(*) AS count FROM message_reactions WHERE wa_message_id = ? GROUP BY reaction ORDER BY count DESC, reaction',
+                [waMessageId]
+            );
+            const reactions = Object.fromEntries(rows.map(row => [row.reaction, row.count]));
+
+            const message = await this.getMessageByWhatsAppId(waMessageId);
+            if (message) {
+                await this.run('UPDATE messages SET reactions = ? WHERE id = ?', [rows.length > 0 ? JSON.stringify(reactions) : null, message.id]);
+                await this.invalidateSummaries(message.chat_id, moment(message.timestamp).format('YYYY-MM-DD'));
+            }
+
+            return reactions;
         } catch (error) {
-            logger.error('Error clearing all summaries', error);
+            logger.error('Error storing message reaction', { waMessageId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Update the staged copy of a message that is still waiting for the next batch
+     * @param {Object} message - Message object (same shape as storeMessage)
+     * @returns {Promise<Object>} Update result
+     */
+    async updatePendingMessage(message) {
+        const sql = 'UPDATE pending_messages SET payload = ? WHERE wa_message_id = ?';
+
+        try {
+            return await this.run(sql, [JSON.stringify(message), message.waMessageId]);
+        } catch (error) {
+            logger.error('Error updating pending message', { messageId: message.waMessageId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the date before which messages fall outside the retention policy
+     * @returns {string} Cutoff date (YYYY-MM-DD)
+     */
+    getRetentionCutoff() {
+        const retentionDays = config.get('database.cleanup.retentionDays') || 30;
+        return moment().subtract(retentionDays, 'days').format('YYYY-MM-DD');
+    }
+
+    /**
+     * Get a batch of messages older than a cutoff date, in ID order
+     * @param {string} cutoffDate - Cutoff date (YYYY-MM-DD), exclusive
+     * @param {number} afterId - Only return messages with a greater ID
+     * @param {number} limit - Maximum number of messages
+     * @returns {Promise<Array>} Messages array
+     */
+    async getMessagesBefore(cutoffDate, afterId = 0, limit = 500) {
+        const sql = `
+            SELECT * FROM messages
+            WHERE DATE(timestamp) < ? AND id > ?
+            ORDER BY id ASC
+            LIMIT ?
+        `;
+
+        try {
+            return await this.all(sql, [cutoffDate, afterId, limit]);
+        } catch (error) {
+            logger.error('Error getting messages before cutoff', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clean up old messages based on retention policy
+     * @param {Object} options - Cleanup options
+     * @param {string} options.cutoffDate - Delete messages before this date (defaults to the retention cutoff)
+     * @param {number} options.maxId - Only delete messages up to this ID, e.g. the last archived one
+     * @returns {Promise<Object>} Delete result
+     */
+    async cleanupOldMessages(options = {}) {
+        const cutoffDate = options.cutoffDate || this.getRetentionCutoff();
+        
+        let where = 'DATE(timestamp) < ?';
+        const params = [cutoffDate];
+
+        if (options.maxId !== undefined && options.maxId !== null) {
+            where += ' AND id <= ?';
+            params.push(options.maxId);
+        }
+        
+        try {
+            // Edits and reactions are only kept as long as the messages they belong to
+            const deletedIds = `SELECT wa_message_id FROM messages WHERE ${where}`;
+            await this.run(`DELETE FROM message_edits WHERE wa_message_id IN (${deletedIds})`, params);
+            await this.run(`DELETE FROM message_reactions WHERE wa_message_id IN (${deletedIds})`, params);
+
+            const result = await this.run(`DELETE FROM messages WHERE ${where}`, params);
+
+            // Old rows for messages that were never stored (still waiting for a batch when the bot stopped)
+            const stored = 'wa_message_id NOT IN (SELECT wa_message_id FROM messages)';
+            await this.run(`DELETE FROM message_edits WHERE DATE(edited_at) < ? AND ${stored}`, [cutoffDate]);
+            await this.run(`DELETE FROM message_reactions WHERE DATE(timestamp) < ? AND ${stored}`, [cutoffDate]);
+
+            logger.database('Old messages cleaned up', { 
+                cutoffDate, deletedCount: result.changes 
+            });
+            return result;
+        } catch (error) {
+            logger.error('Error cleaning up old messages', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reclaim free space and refresh query planner statistics
+     */
+    async optimize() {
+        try {
+            await this.run('PRAGMA optimize');
+            await this.run('VACUUM');
+            // Fold the WAL back into the main file so the size on disk actually shrinks
+            await this.run('PRAGMA wal_checkpoint(TRUNCATE)');
+            logger.database('Database optimized');
+        } catch (error) {
+            logger.error('Error optimizing database', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a finished retention cleanup run
+     * @param {Object} report - Run report { cutoffDate, deletedCount, archivePath, mediaFilesRemoved, sizeBefore, sizeAfter, durationMs }
+     * @returns {Promise<Object>} Insert result
+     */
+    async recordMaintenanceRun(report) {
+        const sql = `
+            INSERT INTO maintenance_runs
+            (cutoff_date, deleted_count, archive_path, media_files_removed, size_before, size_after, duration_ms)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        try {
+            return await this.run(sql, [
+                report.cutoffDate,
+                report.deletedCount,
+                report.archivePath,
+                report.mediaFilesRemoved,
+                report.sizeBefore,
+                report.sizeAfter,
+                report.durationMs
+            ]);
+        } catch (error) {
+            logger.error('Error recording maintenance run', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the most recent retention cleanup run
+     * @returns {Promise<Object|null>} Run or null if cleanup never ran
+     */
+    async getLastMaintenanceRun() {
+        const sql = 'SELECT * FROM maintenance_runs ORDER BY id DESC LIMIT 1';
+
+        try {
+            return await this.get(sql) || null;
+        } catch (error) {
+            logger.error('Error getting last maintenance run', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the size of the database file including its WAL
+     * @returns {number} Size in bytes
+     */
+    getDatabaseSize() {
+        const dbPath = config.get('database.path');
+        return [dbPath, `${dbPath}-wal`]
+            .filter(file => fs.existsSync(file))
+            .reduce((total, file) => total + fs.statSync(file).size, 0);
+    }
+
+    /**
+     * Close database connection
+     */
+    async close() {
+        if (this.db) {
+            return new Promise((resolve, reject) => {
+                this.db.close((err) => {
+                    if (err) {
+                        logger.error('Error closing database', err);
+                        reject(err);
+                    } else {
+                        logger.database('Database connection closed');
+                        resolve();
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * Check if database is ready
+     * @returns {boolean} True if database is initialized
+     */
+    isReady() {
+        return this.isInitialized && this.db;
+    }
+
+    /**
+     * Delete summary for a group and date
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteSummary(chatId, date) {
+        const sql = 'DELETE FROM summaries WHERE chat_id = ? AND date = ?';
+        
+        try {
+            const result = await this.run(sql, [chatId, date]);
+            logger.database('Summary deleted successfully', { chatId, date, deletedCount: result.changes });
+            return result;
+        } catch (error) {
+            logger.error('Error deleting summary', { chatId, date, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Invalidate cached summaries covering a group and date
+     * Summary keys are either a single date or a "start..end" range.
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} date - Date (YYYY-MM-DD) of the new message
+     * @returns {Promise<Object>} Delete result
+     */
+    async invalidateSummaries(chatId, date) {
+        const sql = `
+            DELETE FROM summaries 
+            WHERE chat_id = ? 
+            AND ? BETWEEN substr(date, 1, 10) AND substr(date, -10)
+        `;
+
+        try {
+            const result = await this.run(sql, [chatId, date]);
+            if (result.changes > 0) {
+                logger.database('Cached summary invalidated', { chatId, date, deletedCount: result.changes });
+            }
+            return result;
+        } catch (error) {
+            logger.error('Error invalidating summaries', { chatId, date, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Clear all summaries (for testing purposes)
+     * @returns {Promise<Object>} Clear result
+     */
+    async clearAllSummaries() {
+        const sql = 'DELETE FROM summaries';
+        
+        try {
+            const result = await this.run(sql);
+            logger.database('All summaries cleared successfully', { deletedCount: result.changes });
+            return result;
+        } catch (error) {
+            logger.error('Error clearing all summaries', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a scheduled daily digest
+     * @param {Object} schedule - Schedule definition
+     * @param {string} schedule.chatId - WhatsApp chat ID of the group to summarize
+     * @param {string} schedule.targetChatId - Telegram chat that receives the digest
+     * @param {string} schedule.time - Delivery time (HH:mm)
+     * @param {number} schedule.dayOffset - 0 for the current day, 1 for the previous day
+     * @param {string} schedule.createdBy - Telegram username of the creator
+     * @returns {Promise<Object>} Insert result
+     */
+    async createDigestSchedule(schedule) {
+        const sql = `
+            INSERT INTO digest_schedules 
+            (chat_id, target_chat_id, time, day_offset, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            schedule.chatId,
+            String(schedule.targetChatId),
+            schedule.time,
+            schedule.dayOffset || 0,
+            schedule.createdBy || null
+        ];
+
+        try {
+            const result = await this.run(sql, params);
+            logger.database('Digest schedule created', { id: result.id, chatId: schedule.chatId, time: schedule.time });
+            return result;
+        } catch (error) {
+            logger.error('Error creating digest schedule', { schedule, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a digest schedule by ID
+     * @param {number} id - Schedule ID
+     * @returns {Promise<Object|null>} Schedule object with the current group_name, or null
+     */
+    async getDigestSchedule(id) {
+        const sql = `
+            SELECT s.*, COALESCE(g.chat_name, s.chat_id) AS group_name 
+            FROM digest_schedules s 
+            LEFT JOIN groups g ON g.chat_id = s.chat_id 
+            WHERE s.id = ?
+        `;
+
+        try {
+            return await this.get(sql, [id]);
+        } catch (error) {
+            logger.error('Error retrieving digest schedule', { id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get all active digest schedules
+     * @returns {Promise<Array>} Schedules array with the current group_name of each schedule
+     */
+    async getDigestSchedules() {
+        const sql = `
+            SELECT s.*, COALESCE(g.chat_name, s.chat_id) AS group_name 
+            FROM digest_schedules s 
+            LEFT JOIN groups g ON g.chat_id = s.chat_id 
+            WHERE s.is_active = 1 
+            ORDER BY s.time, group_name
+        `;
+
+        try {
+            const schedules = await this.all(sql);
+            logger.database('Retrieved digest schedules', { count: schedules.length });
+            return schedules;
+        } catch (error) {
+            logger.error('Error retrieving digest schedules', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a digest schedule
+     * @param {number} id - Schedule ID
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteDigestSchedule(id) {
+        const sql = 'DELETE FROM digest_schedules WHERE id = ?';
+
+        try {
+            const result = await this.run(sql, [id]);
+            logger.database('Digest schedule deleted', { id, deletedCount: result.changes });
+            return result;
+        } catch (error) {
+            logger.error('Error deleting digest schedule', { id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Record the last time a digest schedule ran
+     * @param {number} id - Schedule ID
+     * @returns {Promise<Object>} Update result
+     */
+    async markDigestScheduleRun(id) {
+        const sql = 'UPDATE digest_schedules SET last_run_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+        try {
+            return await this.run(sql, [id]);
+        } catch (error) {
+            logger.error('Error updating digest schedule run time', { id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Create a forwarding rule
+     * @param {Object} rule - Rule definition
+     * @param {string|null} rule.chatId - WhatsApp chat ID of the group, null for every monitored group
+     * @param {string|number} rule.targetChatId - Telegram chat receiving the messages
+     * @param {Array<string>} rule.senders - Sender names or numbers to match, empty for any sender
+     * @param {Array<string>} rule.keywords - Keywords to match, empty for any message
+     * @param {string} rule.createdBy - Telegram username of the creator
+     * @returns {Promise<Object>} Insert result
+     */
+    async createForwardRule(rule) {
+        const sql = `
+            INSERT INTO forward_rules
+            (chat_id, target_chat_id, senders, keywords, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            rule.chatId || null,
+            String(rule.targetChatId),
+            rule.senders && rule.senders.length > 0 ? JSON.stringify(rule.senders) : null,
+            rule.keywords && rule.keywords.length > 0 ? JSON.stringify(rule.keywords) : null,
+            rule.createdBy || null
+        ];
+
+        try {
+            const result = await this.run(sql, params);
+            logger.database('Forward rule created', { id: result.id, chatId: rule.chatId, targetChatId: rule.targetChatId });
+            return result;
+        } catch (error) {
+            logger.error('Error creating forward rule', { rule, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get all active forwarding rules
+     * @returns {Promise<Array>} Rules with the current group_name (null for rules on every group) and parsed senders/keywords
+     */
+    async getForwardRules() {
+        const sql = `
+            SELECT r.*, g.chat_name AS group_name
+            FROM forward_rules r
+            LEFT JOIN groups g ON g.chat_id = r.chat_id
+            WHERE r.is_active = 1
+            ORDER BY r.id
+        `;
+
+        try {
+            const rules = await this.all(sql);
+            return rules.map(rule => ({
+                ...rule,
+                senders: rule.senders ? JSON.parse(rule.senders) : [],
+                keywords: rule.keywords ? JSON.parse(rule.keywords) : []
+            }));
+        } catch (error) {
+            logger.error('Error retrieving forward rules', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a forwarding rule
+     * @param {number} id - Rule ID
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteForwardRule(id) {
+        const sql = 'DELETE FROM forward_rules WHERE id = ?';
+
+        try {
+            const result = await this.run(sql, [id]);
+            logger.database('Forward rule deleted', { id, deletedCount: result.changes });
+            return result;
+        } catch (error) {
+            logger.error('Error deleting forward rule', { id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Create an alert rule
+     * @param {Object} rule - Rule definition
+     * @param {number} rule.telegramUserId - Telegram user who receives the alerts
+     * @param {string|null} rule.chatId - WhatsApp chat ID of the group, null for every group the user may see
+     * @param {string} rule.pattern - Keyword, or regular expression source when isRegex is set
+     * @param {boolean} rule.isRegex - Whether pattern is a regular expression
+     * @param {string|null} rule.quietStart - Start of quiet hours (HH:mm)
+     * @param {string|null} rule.quietEnd - End of quiet hours (HH:mm)
+     * @returns {Promise<Object>} Insert result
+     */
+    async createAlertRule(rule) {
+        const sql = `
+            INSERT INTO alert_rules
+            (telegram_user_id, chat_id, pattern, is_regex, quiet_start, quiet_end)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            rule.telegramUserId,
+            rule.chatId || null,
+            rule.pattern,
+            rule.isRegex ? 1 : 0,
+            rule.quietStart || null,
+            rule.quietEnd || null
+        ];
+
+        try {
+            const result = await this.run(sql, params);
+            logger.database('Alert rule created', { id: result.id, telegramUserId: rule.telegramUserId, chatId: rule.chatId });
+            return result;
+        } catch (error) {
+            logger.error('Error creating alert rule', { rule, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get all active alert rules
+     * @returns {Promise<Array>} Rules with the current group_name (null for rules on every group)
+     */
+    async getAlertRules() {
+        const sql = `
+            SELECT r.*, g.chat_name AS group_name
+            FROM alert_rules r
+            LEFT JOIN groups g ON g.chat_id = r.chat_id
+            WHERE r.is_active = 1
+            ORDER BY r.telegram_user_id, r.id
+        `;
+
+        try {
+            return await this.all(sql);
+        } catch (error) {
+            logger.error('Error retrieving alert rules', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an alert rule owned by a user
+     * @param {number} id - Rule ID
+     * @param {number} telegramUserId - Owner of the rule
+     * @returns {Promise<Object>} Delete result (changes is 0 if the user has no such rule)
+     */
+    async deleteAlertRule(id, telegramUserId) {
+        const sql = 'DELETE FROM alert_rules WHERE id = ? AND telegram_user_id = ?';
+
+        try {
+            const result = await this.run(sql, [id, telegramUserId]);
+            logger.database('Alert rule deleted', { id, telegramUserId, deletedCount: result.changes });
+            return result;
+        } catch (error) {
+            logger.error('Error deleting alert rule', { id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Turn off an alert rule without deleting it
+     * @param {number} id - Rule ID
+     * @returns {Promise<Object>} Update result
+     */
+    async deactivateAlertRule(id) {
+        const sql = 'UPDATE alert_rules SET is_active = 0 WHERE id = ?';
+
+        try {
+            const result = await this.run(sql, [id]);
+            logger.database('Alert rule deactivated', { id });
+            return result;
+        } catch (error) {
+            logger.error('Error deactivating alert rule', { id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Record an alert that was sent
+     * @param {Object} event - { ruleId, telegramUserId, chatId, waMessageId, messageTimestamp }
+     * @returns {Promise<Object>} Insert result
+     */
+    async createAlertEvent(event) {
+        const sql = `
+            INSERT INTO alert_events
+            (rule_id, telegram_user_id, chat_id, wa_message_id, message_timestamp)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        try {
+            return await this.run(sql, [event.ruleId, event.telegramUserId, event.chatId, event.waMessageId, event.messageTimestamp]);
+        } catch (error) {
+            logger.error('Error storing alert event', { event, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a sent alert
+     * @param {number} id - Alert event ID
+     * @returns {Promise<Object|null>} Alert event or null
+     */
+    async getAlertEvent(id) {
+        const sql = 'SELECT * FROM alert_events WHERE id = ?';
+
+        try {
+            return await this.get(sql, [id]);
+        } catch (error) {
+            logger.error('Error retrieving alert event', { id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Store extracted homework assignments, ignoring ones already stored
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} sourceDate - Date or range the assignments were extracted from
+     * @param {Array} assignments - Assignments as { subject, dueDate, description } objects
+     * @returns {Promise<number>} Number of new assignments stored
+     */
+    async storeHomework(chatId, sourceDate, assignments) {
+        const sql = `
+            INSERT OR IGNORE INTO homework 
+            (chat_id, subject, due_date, description, source_date)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        try {
+            let storedCount = 0;
+            for (const assignment of assignments) {
+                const result = await this.run(sql, [
+                    chatId,
+                    assignment.subject,
+                    assignment.dueDate || null,
+                    assignment.description,
+                    sourceDate
+                ]);
+                storedCount += result.changes;
+            }
+
+            logger.database('Homework stored successfully', { chatId, sourceDate, storedCount, total: assignments.length });
+            return storedCount;
+        } catch (error) {
+            logger.error('Error storing homework', { chatId, sourceDate, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get homework due within a date range across all groups
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Promise<Array>} Homework array ordered by due date, with the current group_name
+     */
+    async getHomeworkDueBetween(startDate, endDate) {
+        const sql = `
+            SELECT h.*, COALESCE(g.chat_name, h.chat_id) AS group_name 
+            FROM homework h 
+            LEFT JOIN groups g ON g.chat_id = h.chat_id 
+            WHERE h.due_date BETWEEN ? AND ?
+            ORDER BY h.due_date ASC, group_name ASC, h.subject ASC
+        `;
+
+        try {
+            const homework = await this.all(sql, [startDate, endDate]);
+            logger.database('Retrieved homework due between dates', { startDate, endDate, count: homework.length });
+            return homework;
+        } catch (error) {
+            logger.error('Error retrieving homework', { startDate, endDate, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a bot user by Telegram user ID
+     * @param {number} telegramUserId - Telegram user ID
+     * @returns {Promise<Object|null>} User with a groups array of chat IDs, or null
+     */
+    async getTelegramUser(telegramUserId) {
+        try {
+            const user = await this.get('SELECT * FROM users WHERE telegram_user_id = ?', [telegramUserId]);
+            if (!user) {
+                return null;
+            }
+
+            const groups = await this.all('SELECT chat_id FROM user_groups WHERE telegram_user_id = ?', [telegramUserId]);
+            return { ...user, groups: groups.map(group => group.chat_id) };
+        } catch (error) {
+            logger.error('Error retrieving user', { telegramUserId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a bot user by Telegram username
+     * @param {string} username - Telegram username, without the @
+     * @returns {Promise<Object|null>} User or null
+     */
+    async getTelegramUserByUsername(username) {
+        try {
+            const user = await this.get('SELECT telegram_user_id FROM users WHERE LOWER(username) = LOWER(?)', [username]);
+            return user ? this.getTelegramUser(user.telegram_user_id) : null;
+        } catch (error) {
+            logger.error('Error retrieving user by username', { username, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get all bot users
+     * @returns {Promise<Array>} Users with their groups arrays, admins first
+     */
+    async getTelegramUsers() {
+        try {
+            const users = await this.all("SELECT * FROM users ORDER BY role = 'admin' DESC, username");
+            const userGroups = await this.all('SELECT telegram_user_id, chat_id FROM user_groups');
+
+            return users.map(user => ({
+                ...user,
+                groups: userGroups
+                    .filter(group => group.telegram_user_id === user.telegram_user_id)
+                    .map(group => group.chat_id)
+            }));
+        } catch (error) {
+            logger.error('Error retrieving users', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a bot user or change their role
+     * @param {Object} user - User definition
+     * @param {number} user.telegramUserId - Telegram user ID
+     * @param {string} user.username - Telegram username, if known
+     * @param {string} user.role - 'admin' or 'viewer'
+     * @param {number} user.createdBy - Telegram user ID of the admin who granted access
+     * @returns {Promise<Object>} Insert/update result
+     */
+    async upsertTelegramUser(user) {
+        const sql = `
+            INSERT INTO users (telegram_user_id, username, role, created_by)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(telegram_user_id) DO UPDATE SET 
+                username = COALESCE(excluded.username, users.username),
+                role = excluded.role,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        try {
+            const result = await this.run(sql, [user.telegramUserId, user.username || null, user.role, user.createdBy || null]);
+            logger.database('User stored', { telegramUserId: user.telegramUserId, role: user.role });
+            return result;
+        } catch (error) {
+            logger.error('Error storing user', { user, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Record the current username of a bot user
+     * @param {number} telegramUserId - Telegram user ID
+     * @param {string} username - Telegram username
+     * @returns {Promise<Object>} Update result
+     */
+    async updateTelegramUsername(telegramUserId, username) {
+        try {
+            return await this.run('UPDATE users SET username = ?, updated_at = CURRENT_TIMESTAMP WHERE telegram_user_id = ?', [username, telegramUserId]);
+        } catch (error) {
+            logger.error('Error updating username', { telegramUserId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a bot user and their group grants
+     * @param {number} telegramUserId - Telegram user ID
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteTelegramUser(telegramUserId) {
+        try {
+            await this.run('DELETE FROM user_groups WHERE telegram_user_id = ?', [telegramUserId]);
+            const result = await this.run('DELETE FROM users WHERE telegram_user_id = ?', [telegramUserId]);
+            logger.database('User deleted', { telegramUserId, deletedCount: result.changes });
+            return result;
+        } catch (error) {
+            logger.error('Error deleting user', { telegramUserId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Count bot users with the admin role
+     * @returns {Promise<number>} Number of admins
+     */
+    async countAdmins() {
+        const { count } = await this.get("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'");
+        return count;
+    }
+
+    /**
+     * Allow a user to see a group
+     * @param {number} telegramUserId - Telegram user ID
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @returns {Promise<Object>} Insert result
+     */
+    async addUserGroup(telegramUserId, chatId) {
+        try {
+            return await this.run('INSERT OR IGNORE INTO user_groups (telegram_user_id, chat_id) VALUES (?, ?)', [telegramUserId, chatId]);
+        } catch (error) {
+            logger.error('Error granting group to user', { telegramUserId, chatId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Stop a user from seeing a group
+     * @param {number} telegramUserId - Telegram user ID
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @returns {Promise<Object>} Delete result
+     */
+    async removeUserGroup(telegramUserId, chatId) {
+        try {
+            return await this.run('DELETE FROM user_groups WHERE telegram_user_id = ? AND chat_id = ?', [telegramUserId, chatId]);
+        } catch (error) {
+            logger.error('Error revoking group from user', { telegramUserId, chatId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Record one LLM call
+     * @param {Object} usage - Usage record
+     * @returns {Promise<Object>} Insert result
+     */
+    async storeLlmUsage(usage) {
+        const sql = `
+            INSERT INTO llm_usage
+            (provider, model, operation, chat_id, telegram_user_id, input_tokens, output_tokens, latency_ms, cost_usd, success, error_type)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        try {
+            return await this.run(sql, [
+                usage.provider,
+                usage.model,
+                usage.operation || null,
+                usage.chatId || null,
+                usage.telegramUserId || null,
+                usage.inputTokens || 0,
+                usage.outputTokens || 0,
+                usage.latencyMs || 0,
+                usage.costUsd || 0,
+                usage.success ? 1 : 0,
+                usage.errorType || null
+            ]);
+        } catch (error) {
+            logger.error('Error storing LLM usage', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get LLM usage totals since a point in time
+     * @param {string} since - UTC timestamp (YYYY-MM-DD HH:mm:ss)
+     * @returns {Promise<Object>} { calls, failures, input_tokens, output_tokens, cost_usd }
+     */
+    async getLlmUsageTotals(since) {
+        const sql = `
+            SELECT
+                COUNT(*) AS calls,
+                COALESCE(SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END), 0) AS failures,
+                COALESCE(SUM(input_tokens), 0) AS input_tokens,
+                COALESCE(SUM(output_tokens), 0) AS output_tokens,
+                COALESCE(SUM(cost_usd), 0) AS cost_usd
+            FROM llm_usage
+            WHERE created_at >= ?
+        `;
+
+        try {
+            return await this.get(sql, [since]);
+        } catch (error) {
+            logger.error('Error getting LLM usage totals', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get LLM usage since a point in time, grouped by local day, group or user
+     * @param {string} since - UTC timestamp (YYYY-MM-DD HH:mm:ss)
+     * @param {string} groupBy - 'day', 'group' or 'user'
+     * @returns {Promise<Array>} Rows with label, calls, tokens and cost_usd, most expensive first (days newest first)
+     */
+    async getLlmUsageBreakdown(since, groupBy) {
+        const breakdowns = {
+            day: {
+                label: "DATE(u.created_at, 'localtime')",
+                join: '',
+                order: 'label DESC'
+            },
+            group: {
+                label: "COALESCE(g.chat_name, u.chat_id, '(no group)')",
+                join: 'LEFT JOIN groups g ON g.chat_id = u.chat_id',
+                order: 'cost_usd DESC, tokens DESC'
+            },
+            user: {
+                label: "COALESCE('@' || us.username, CAST(u.telegram_user_id AS TEXT), '(scheduled/background)')",
+                join: 'LEFT JOIN users us ON us.telegram_user_id = u.telegram_user_id',
+                order: 'cost_usd DESC, tokens DESC'
+            }
+        };
+
+        const breakdown = breakdowns[groupBy];
+        if (!breakdown) {
+            throw new Error(`Unknown usage breakdown: ${groupBy}`);
+        }
+
+        const sql = `
+            SELECT
+                ${breakdown.label} AS label,
+                COUNT(*) AS calls,
+                SUM(u.input_tokens + u.output_tokens) AS tokens,
+                SUM(u.cost_usd) AS cost_usd
+            FROM llm_usage u
+            ${breakdown.join}
+            WHERE u.created_at >= ?
+            GROUP BY label
+            ORDER BY ${breakdown.order}
+        `;
+
+        try {
+            return await this.all(sql, [since]);
+        } catch (error) {
+            logger.error('Error getting LLM usage breakdown', { groupBy, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get one page of a group's messages in a date range
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @param {number} limit - Page size
+     * @param {number} offset - Number of messages to skip
+     * @returns {Promise<Object>} { messages, total }, messages oldest first
+     */
+    async getMessagesPage(chatId, startDate, endDate, limit, offset) {
+        const where = 'WHERE chat_id = ? AND DATE(timestamp) BETWEEN ? AND ?';
+
+        try {
+            const [messages, count] = await Promise.all([
+                this.all(`SELECT * FROM messages ${where} ORDER BY timestamp ASC, id ASC LIMIT ? OFFSET ?`, [chatId, startDate, endDate, limit, offset]),
+                this.get(`SELECT COUNT(*) AS total FROM messages ${where}`, [chatId, startDate, endDate])
+            ]);
+            return { messages, total: count.total };
+        } catch (error) {
+            logger.error('Error retrieving messages page', { chatId, startDate, endDate, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the stored summaries of a group, newest first
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @returns {Promise<Array>} Summaries without their text (date, message_count, created_at)
+     */
+    async getSummariesForGroup(chatId) {
+        const sql = 'SELECT date, message_count, created_at FROM summaries WHERE chat_id = ? ORDER BY created_at DESC';
+
+        try {
+            return await this.all(sql, [chatId]);
+        } catch (error) {
+            logger.error('Error retrieving summaries', { chatId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Store a new API token
+     * @param {Object} token - { name, tokenHash, tokenPrefix, createdBy }
+     * @returns {Promise<Object>} Insert result
+     */
+    async createApiToken(token) {
+        const sql = `
+            INSERT INTO api_tokens (name, token_hash, token_prefix, created_by)
+            VALUES (?, ?, ?, ?)
+        `;
+
+        try {
+            const result = await this.run(sql, [token.name, token.tokenHash, token.tokenPrefix, token.createdBy || null]);
+            logger.database('API token created', { id: result.id, name: token.name });
+            return result;
+        } catch (error) {
+            logger.error('Error creating API token', { name: token.name, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get an active (not revoked) API token by its hash
+     * @param {string} tokenHash - SHA-256 hash of the token
+     * @returns {Promise<Object|null>} Token row or null
+     */
+    async getApiTokenByHash(tokenHash) {
+        const sql = 'SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL';
+
+        try {
+            return await this.get(sql, [tokenHash]);
+        } catch (error) {
+            logger.error('Error retrieving API token', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all active API tokens
+     * @returns {Promise<Array>} Token rows without hashes, oldest first
+     */
+    async getApiTokens() {
+        const sql = `
+            SELECT id, name, token_prefix, created_by, created_at, last_used_at
+            FROM api_tokens
+            WHERE revoked_at IS NULL
+            ORDER BY id ASC
+        `;
+
+        try {
+            return await this.all(sql);
+        } catch (error) {
+            logger.error('Error retrieving API tokens', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke an API token
+     * @param {number} id - Token ID
+     * @returns {Promise<Object>} Update result (changes is 0 if no active token had this ID)
+     */
+    async revokeApiToken(id) {
+        const sql = 'UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL';
+
+        try {
+            const result = await this.run(sql, [id]);
+            logger.database('API token revoked', { id, changes: result.changes });
+            return result;
+        } catch (error) {
+            logger.error('Error revoking API token', { id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Record that an API token was used
+     * @param {number} id - Token ID
+     * @returns {Promise<Object>} Update result
+     */
+    async markApiTokenUsed(id) {
+        const sql = 'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+        try {
+            return await this.run(sql, [id]);
+        } catch (error) {
+            logger.error('Error updating API token', { id, error });
             throw error;
         }
     }
 
     /**
      * Get the most recent message for a specific group
-     * @param {string} groupName - Name of the group
+     * @param {string} chatId - WhatsApp chat ID of the group
      * @returns {Promise<Object>} Most recent message or null
      */
-    async getLastMessageForGroup(groupName) {
+    async getLastMessageForGroup(chatId) {
         const sql = `
             SELECT * FROM messages 
-            WHERE chat_name = ? AND is_group = 1
+            WHERE chat_id = ? AND is_group = 1
             ORDER BY timestamp DESC 
             LIMIT 1
         `;
         
         try {
-            const message = await this.get(sql, [groupName]);
+            const message = await this.get(sql, [chatId]);
             return message;
         } catch (error) {
-            logger.error('Error getting last message for group', { groupName, error: error.message });
+            logger.error('Error getting last message for group', { chatId, error: error.message });
             return null;
         }
     }
@@ -459,13 +1796,14 @@ class DatabaseService {
     async getGroupsWithLastMessage() {
         const sql = `
             SELECT 
-                m.chat_name as name,
+                COALESCE(g.chat_name, m.chat_name) as name,
                 m.chat_id as id,
                 MAX(m.timestamp) as last_message_time,
                 COUNT(m.id) as message_count
             FROM messages m
+            LEFT JOIN groups g ON g.chat_id = m.chat_id
             WHERE m.is_group = 1
-            GROUP BY m.chat_name, m.chat_id
+            GROUP BY m.chat_id
             ORDER BY last_message_time DESC
         `;
         
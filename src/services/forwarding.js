@@ -0,0 +1,226 @@
+/**
+ * Forwarding Service for WhatsApp to Telegram Bot
+ *
+ * This module relays incoming WhatsApp messages to Telegram chats as soon as
+ * they arrive, instead of waiting for a summary. Each rule in the
+ * forward_rules table names a group (or every monitored group), a target
+ * Telegram chat and optional sender and keyword filters; a message is
+ * forwarded once to every target chat with a matching rule.
+ *
+ * Features:
+ * - Per-group or all-group rules managed with /forward
+ * - Optional sender (name or number) and keyword filters
+ * - Sender, group and time shown with every forwarded message
+ * - Media messages forwarded before their description is ready, then updated
+ * - Rules cached in memory and reloaded when they change
+ */
+
+const moment = require('moment');
+const logger = require('../utils/logger');
+const { MAX_MESSAGE_LENGTH, getFormatter } = require('../utils/telegramFormat');
+const databaseService = require('./database');
+
+class ForwardingService {
+    constructor() {
+        this.rules = [];
+    }
+
+    /**
+     * Load the stored rules
+     */
+    async initialize() {
+        await this.reloadRules();
+        logger.info('Forwarding service initialized', { rules: this.rules.length });
+    }
+
+    /**
+     * Refresh the in-memory copy of the rules
+     */
+    async reloadRules() {
+        this.rules = await databaseService.getForwardRules();
+    }
+
+    /**
+     * Create a rule
+     * @param {Object} rule - Rule definition (see DatabaseService.createForwardRule)
+     * @returns {Promise<Object>} Stored rule
+     */
+    async addRule(rule) {
+        const result = await databaseService.createForwardRule(rule);
+        await this.reloadRules();
+        return this.rules.find(stored => stored.id === result.id);
+    }
+
+    /**
+     * Delete a rule
+     * @param {number} id - Rule ID
+     * @returns {Promise<boolean>} True if a rule was removed
+     */
+    async removeRule(id) {
+        const result = await databaseService.deleteForwardRule(id);
+        await this.reloadRules();
+        return result.changes > 0;
+    }
+
+    /**
+     * Get all rules
+     * @returns {Array} Rules
+     */
+    listRules() {
+        return this.rules;
+    }
+
+    /**
+     * Check whether a message matches a rule
+     * Senders match by name (case-insensitive, partial) or by the phone number of the author;
+     * keywords match anywhere in the text, caption or media description.
+     * @param {Object} rule - Forwarding rule
+     * @param {Object} messageData - Message data from WhatsAppService.buildMessageData
+     * @returns {boolean} True if the message should be forwarded
+     */
+    matches(rule, messageData) {
+        if (rule.chat_id && rule.chat_id !== messageData.chatId) {
+            return false;
+        }
+
+        if (rule.senders.length > 0) {
+            const senderName = (messageData.senderName || '').toLowerCase();
+            const senderNumber = (messageData.authorId || '').replace(/\D/g, '');
+            const senderMatches = rule.senders.some(sender => {
+                const digits = sender.replace(/\D/g, '');
+                return senderName.includes(sender.toLowerCase()) ||
+                    (digits.length >= 5 && senderNumber.endsWith(digits));
+            });
+            if (!senderMatches) {
+                return false;
+            }
+        }
+
+        if (rule.keywords.length > 0) {
+            const text = [messageData.content, messageData.mediaCaption, messageData.mediaDescription]
+                .filter(Boolean).join('\n').toLowerCase();
+            if (!rule.keywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the target chats of the rules a message matches
+     * @param {Object} messageData - Message data from WhatsAppService.buildMessageData
+     * @returns {Set} Target Telegram chat IDs
+     */
+    getTargets(messageData) {
+        return new Set(this.rules
+            .filter(rule => this.matches(rule, messageData))
+            .map(rule => rule.target_chat_id));
+    }
+
+    /**
+     * Forward a message to every chat with a matching rule
+     * Media messages are forwarded as soon as they arrive and checked again once
+     * their description is ready; that second pass only reaches the chats whose
+     * rules match because of the description. Failures are logged and never
+     * affect storing the message.
+     * @param {Object} messageData - Message data from WhatsAppService.buildMessageData
+     * @param {Object} options - Options
+     * @param {boolean} options.describedOnly - Only forward to chats that the description alone makes match
+     * @returns {Promise<Array>} Sent messages as { chatId, messageId, text }, for updateForwarded
+     */
+    async forward(messageData, options = {}) {
+        const targets = this.getTargets(messageData);
+        if (options.describedOnly) {
+            this.getTargets({ ...messageData, mediaDescription: null }).forEach(target => targets.delete(target));
+        }
+
+        if (targets.size === 0) {
+            return [];
+        }
+
+        const telegramService = require('./telegram');
+        const text = this.formatMessage(messageData);
+        const sent = [];
+
+        for (const targetChatId of targets) {
+            try {
+                const result = await telegramService.bot.sendMessage(targetChatId, text, { parse_mode: 'HTML', disable_web_page_preview: true });
+                sent.push({ chatId: targetChatId, messageId: result.message_id, text });
+            } catch (error) {
+                logger.error('Error forwarding message', { targetChatId, messageId: messageData.waMessageId, error: error.message });
+            }
+        }
+
+        logger.whatsapp('Message forwarded', { chatName: messageData.chatName, targets: sent.length });
+        return sent;
+    }
+
+    /**
+     * Show the media description in messages forwarded before it was ready
+     * @param {Object} messageData - Message data, now with its media description
+     * @param {Array} forwarded - Sent messages returned by forward
+     * @returns {Promise<number>} Number of forwarded messages updated
+     */
+    async updateForwarded(messageData, forwarded) {
+        const telegramService = require('./telegram');
+        const text = this.formatMessage(messageData);
+        let updated = 0;
+
+        for (const sent of forwarded) {
+            if (sent.text === text) {
+                continue;
+            }
+
+            try {
+                await telegramService.bot.editMessageText(text, {
+                    chat_id: sent.chatId,
+                    message_id: sent.messageId,
+                    parse_mode: 'HTML',
+                    disable_web_page_preview: true
+                });
+                sent.text = text;
+                updated++;
+            } catch (error) {
+                logger.error('Error updating forwarded message', { targetChatId: sent.chatId, messageId: messageData.waMessageId, error: error.message });
+            }
+        }
+
+        return updated;
+    }
+
+    /**
+     * Format a forwarded message as Telegram HTML
+     * @param {Object} messageData - Message data
+     * @returns {string} Message text, shortened to fit one Telegram message
+     */
+    formatMessage(messageData) {
+        const f = getFormatter('HTML');
+        const time = moment(messageData.timestamp, 'YYYY-MM-DD HH:mm:ss').format('HH:mm');
+
+        let header = `📨 ${f.bold(f.escape(messageData.chatName))}\n👤 ${f.escape(messageData.senderName)} • ${time}`;
+        if (messageData.mediaType) {
+            const caption = messageData.mediaFilename ? `: ${messageData.mediaFilename}` : '';
+            header += `\n📎 ${f.escape(`${messageData.mediaType}${caption}`)}`;
+        }
+
+        const body = messageData.content || messageData.mediaDescription || '';
+        const room = MAX_MESSAGE_LENGTH - header.length - 2;
+        let escaped = f.escape(body);
+        if (escaped.length > room) {
+            // Cut the raw text so no HTML entity is split
+            let cut = body.slice(0, room - 1);
+            while (f.escape(cut).length > room - 1) {
+                cut = cut.slice(0, -50);
+            }
+            escaped = `${f.escape(cut)}…`;
+        }
+
+        return escaped ? `${header}\n\n${escaped}` : header;
+    }
+}
+
+// Create singleton instance
+const forwardingService = new ForwardingService();
+
+module.exports = forwardingService;
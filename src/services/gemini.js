@@ -1,58 +1,62 @@
 /**
- * Gemini AI Service for WhatsApp to Telegram Bot
+ * AI Service for WhatsApp to Telegram Bot
  * 
- * This module handles all interactions with Google's Gemini AI API for
- * message summarization and information extraction. It provides intelligent
- * processing of WhatsApp messages with configurable prompts and parameters.
+ * This module handles all AI processing for message summarization and
+ * information extraction. Requests go through the LLM provider selected in
+ * config (Gemini by default, see src/services/llm), with configurable prompts
+ * and parameters.
  * 
  * Features:
- * - Message summarization using Gemini 1.5 Flash
+ * - Message summarization using the configured LLM provider
+ * - Map-reduce summarization for large message volumes
  * - Homework and information extraction
+ * - Voice note transcription and image description
  * - Configurable prompts and parameters
- * - Rate limiting and error handling
+ * - Rate limiting, retries with jittered backoff and fallback models
  * - Response formatting and validation
  * - Token usage tracking
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const moment = require('moment');
 const config = require('../config');
 const logger = require('../utils/logger');
+const llm = require('./llm');
+const usageService = require('./usage');
 
 class GeminiService {
     constructor() {
-        this.genAI = null;
-        this.model = null;
+        this.provider = null;
+        this.providers = []; // configured model first, then fallback models
         this.isInitialized = false;
         this.rateLimitDelay = 1000; // 1 second between requests
         this.lastRequestTime = 0;
     }
 
     /**
-     * Initialize Gemini AI client
+     * Initialize the configured LLM provider
      */
     async initialize() {
         try {
-            logger.gemini('Initializing Gemini AI service');
+            logger.gemini('Initializing AI service', { provider: llm.getProviderName() });
 
-            const apiKey = config.get('gemini.apiKey');
-            if (!apiKey) {
-                throw new Error('Gemini API key not configured');
+            const providerName = llm.getProviderName();
+            const fallbackModels = config.get('llm.fallbackModels') || [];
+            const providers = [
+                llm.createProvider(providerName),
+                ...fallbackModels.map(model => llm.createProvider(providerName, { model }))
+            ];
+
+            for (const provider of providers) {
+                await provider.initialize();
             }
 
-            this.genAI = new GoogleGenerativeAI(apiKey);
-            const modelName = config.get('gemini.model') || 'gemini-1.5-flash';
-            this.model = this.genAI.getGenerativeModel({ 
-                model: modelName,
-                generationConfig: {
-                    temperature: config.get('gemini.temperature') || 0.3,
-                    maxOutputTokens: config.get('gemini.maxTokens') || 1000000,
-                }
-            });
+            this.providers = providers;
+            this.provider = providers[0];
 
             this.isInitialized = true;
-            logger.gemini(`Gemini AI service initialized with model: ${modelName}`);
+            logger.gemini('AI service initialized', { ...this.provider.getModelInfo(), fallbackModels });
         } catch (error) {
-            logger.error('Gemini AI service initialization failed', error);
+            logger.error('AI service initialization failed', error);
             throw error;
         }
     }
@@ -82,15 +86,13 @@ class GeminiService {
     async generateSummary(messages, groupName, date) {
         try {
             if (!this.isInitialized) {
-                throw new Error('Gemini AI service not initialized');
+                throw new Error('AI service not initialized');
             }
 
             if (!messages || messages.length === 0) {
                 return 'No messages found for the specified period.';
             }
 
-            await this.applyRateLimit();
-
             // Debug: Log messages received by Gemini
             logger.gemini('DEBUG: Messages received for summary generation', {
                 groupName,
@@ -105,8 +107,17 @@ class GeminiService {
                 }))
             });
 
+            // Create the prompt with enhanced instructions
+            const basePrompt = config.get('gemini.prompts.summarization') || 
+                'Analyze the following WhatsApp messages and create a comprehensive summary. IMPORTANT: Respond in the same language as the majority of the messages (Hebrew, French, English, etc.).\n\nStructure your summary as follows:\n1. Identify the main topics discussed\n2. For each topic, specify how many messages were about that topic\n3. Include key details, announcements, and important information\n4. Use bullet points for clarity\n\nExample format:\n• Electricity shutdown - should be fixed at 15:40 (15 messages)\n• New parking regulations announced (8 messages)\n• Community event planning for next week (12 messages)\n\nReplies are marked (reply to ...) and reaction counts [reactions: ...] show what the group agreed with; use them to follow discussions and report decisions.\n\nFocus on practical information that people need to know.';
+
             // Format messages for the prompt
             const formattedMessages = this.formatMessagesForPrompt(messages);
+
+            // Too large for a single prompt: summarize in chunks and merge
+            if (this.isMapReduceEnabled() && this.estimateTokens(formattedMessages) > this.getChunkTokens()) {
+                return await this.generateMapReduceSummary(messages, groupName, date, basePrompt);
+            }
             
             // Debug: Log formatted messages
             logger.gemini('DEBUG: Formatted messages for prompt', {
@@ -114,10 +125,6 @@ class GeminiService {
                 preview: formattedMessages.substring(0, 500) + '...'
             });
             
-            // Create the prompt with enhanced instructions
-            const basePrompt = config.get('gemini.prompts.summarization') || 
-                'Analyze the following WhatsApp messages and create a comprehensive summary. IMPORTANT: Respond in the same language as the majority of the messages (Hebrew, French, English, etc.).\n\nStructure your summary as follows:\n1. Identify the main topics discussed\n2. For each topic, specify how many messages were about that topic\n3. Include key details, announcements, and important information\n4. Use bullet points for clarity\n\nExample format:\n• Electricity shutdown - should be fixed at 15:40 (15 messages)\n• New parking regulations announced (8 messages)\n• Community event planning for next week (12 messages)\n\nFocus on practical information that people need to know.';
-            
             const fullPrompt = `${basePrompt}\n\nGroup: ${groupName}\nDate: ${date}\nTotal Messages: ${messages.length}\n\nMessages:\n${formattedMessages}`;
 
             // Debug: Log full prompt
@@ -133,12 +140,10 @@ class GeminiService {
             });
 
             // Generate content
-            const result = await this.model.generateContent(fullPrompt);
-            const response = await result.response;
-            const summary = response.text();
+            const summary = await this.generateText(fullPrompt);
 
             if (!summary || summary.trim().length === 0) {
-                throw new Error('Empty response from Gemini AI');
+                throw new Error('Empty response from the LLM');
             }
 
             // Debug: Log Gemini response
@@ -167,31 +172,334 @@ class GeminiService {
         }
     }
 
+    /**
+     * Check whether large message sets should be summarized in chunks
+     * @returns {boolean} True if map-reduce summarization is enabled
+     */
+    isMapReduceEnabled() {
+        return config.get('gemini.mapReduce.enabled') !== false;
+    }
+
+    /**
+     * Get the maximum estimated tokens of messages sent in one prompt
+     * @returns {number} Chunk size in tokens
+     */
+    getChunkTokens() {
+        return config.get('gemini.mapReduce.chunkTokens') || 30000;
+    }
+
+    /**
+     * Roughly estimate the number of tokens in a text
+     * @param {string} text - Text to measure
+     * @returns {number} Estimated token count
+     */
+    estimateTokens(text) {
+        const charsPerToken = config.get('gemini.mapReduce.charsPerToken') || 4;
+        return Math.ceil((text || '').length / charsPerToken);
+    }
+
+    /**
+     * Split messages into consecutive chunks that fit the chunk token budget
+     * @param {Array} messages - Array of message objects
+     * @returns {Array<Array>} Array of message chunks
+     */
+    chunkMessages(messages) {
+        const chunkTokens = this.getChunkTokens();
+        const chunks = [];
+        let currentChunk = [];
+        let currentTokens = 0;
+
+        messages.forEach(msg => {
+            const messageTokens = this.estimateTokens(this.formatMessagesForPrompt([msg]));
+
+            // A single oversized message still gets a chunk of its own
+            if (currentChunk.length > 0 && currentTokens + messageTokens > chunkTokens) {
+                chunks.push(currentChunk);
+                currentChunk = [];
+                currentTokens = 0;
+            }
+
+            currentChunk.push(msg);
+            currentTokens += messageTokens;
+        });
+
+        if (currentChunk.length > 0) {
+            chunks.push(currentChunk);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Summarize a large message set by summarizing chunks and merging the partial summaries
+     * @param {Array} messages - Array of message objects
+     * @param {string} groupName - Name of the group
+     * @param {string} date - Date for the summary
+     * @param {string} basePrompt - Summarization instructions
+     * @returns {Promise<string>} Merged summary
+     */
+    async generateMapReduceSummary(messages, groupName, date, basePrompt) {
+        const chunks = this.chunkMessages(messages);
+        const chunkPrompt = config.get('gemini.prompts.chunkSummary') ||
+            'This is one part of a longer conversation. Summarize only the messages in this part. For every topic, state the exact number of messages in this part that were about it, in the form (N messages).';
+
+        logger.gemini('Generating map-reduce summary', {
+            groupName,
+            date,
+            messageCount: messages.length,
+            chunkCount: chunks.length,
+            chunkTokens: this.getChunkTokens()
+        });
+
+        // Map: one partial summary per chunk
+        const partialSummaries = [];
+        for (let i = 0; i < chunks.length; i++) {
+            const chunk = chunks[i];
+            const prompt = `${basePrompt}\n\n${chunkPrompt}\n\nGroup: ${groupName}\nDate: ${date}\nPart: ${i + 1} of ${chunks.length}\nMessages in this part: ${chunk.length}\n\nMessages:\n${this.formatMessagesForPrompt(chunk)}`;
+            const partial = await this.generateText(prompt);
+
+            if (!partial || partial.trim().length === 0) {
+                throw new Error(`Empty response from the LLM for part ${i + 1} of ${chunks.length}`);
+            }
+
+            partialSummaries.push(partial);
+            logger.gemini('Partial summary generated', { groupName, date, part: i + 1, of: chunks.length, messageCount: chunk.length });
+        }
+
+        // Reduce: merge partial summaries, in several rounds if they are still too large
+        return this.mergeSummaries(partialSummaries, groupName, date, messages.length, basePrompt);
+    }
+
+    /**
+     * Merge partial summaries into one summary
+     * @param {Array<string>} summaries - Partial summaries in conversation order
+     * @param {string} groupName - Name of the group
+     * @param {string} date - Date for the summary
+     * @param {number} totalMessages - Total number of messages covered
+     * @param {string} basePrompt - Summarization instructions
+     * @returns {Promise<string>} Merged summary
+     */
+    async mergeSummaries(summaries, groupName, date, totalMessages, basePrompt) {
+        if (summaries.length === 1) {
+            return summaries[0];
+        }
+
+        const mergePrompt = config.get('gemini.prompts.mergeSummaries') ||
+            'The following are partial summaries of consecutive parts of the same WhatsApp conversation. Merge them into one summary that follows the original instructions. When the same topic appears in several parts, combine it into a single bullet and add up its message counts. Keep the message count for every topic.';
+
+        // Group partial summaries so each merge prompt stays within the chunk budget
+        const chunkTokens = this.getChunkTokens();
+        const batches = [];
+        let currentBatch = [];
+        let currentTokens = 0;
+        summaries.forEach(summary => {
+            const tokens = this.estimateTokens(summary);
+            if (currentBatch.length > 1 && currentTokens + tokens > chunkTokens) {
+                batches.push(currentBatch);
+                currentBatch = [];
+                currentTokens = 0;
+            }
+            currentBatch.push(summary);
+            currentTokens += tokens;
+        });
+        batches.push(currentBatch);
+
+        const merged = [];
+        for (const batch of batches) {
+            if (batch.length === 1) {
+                merged.push(batch[0]);
+                continue;
+            }
+
+            const parts = batch.map((summary, index) => `--- Part ${index + 1} ---\n${summary}`).join('\n\n');
+            const prompt = `Original instructions:\n${basePrompt}\n\n${mergePrompt}\n\nGroup: ${groupName}\nDate: ${date}\nTotal Messages: ${totalMessages}\n\nPartial summaries:\n${parts}`;
+            const result = await this.generateText(prompt);
+
+            if (!result || result.trim().length === 0) {
+                throw new Error('Empty response from the LLM while merging summaries');
+            }
+            merged.push(result);
+        }
+
+        logger.gemini('Partial summaries merged', { groupName, date, inputCount: summaries.length, outputCount: merged.length });
+
+        // Stop if a round made no progress (every batch held a single oversized summary)
+        if (merged.length === summaries.length) {
+            return merged.join('\n\n');
+        }
+
+        return this.mergeSummaries(merged, groupName, date, totalMessages, basePrompt);
+    }
+
+    /**
+     * Send a prompt to the model and return the response text
+     * @param {string} prompt - Full prompt
+     * @returns {Promise<string>} Response text
+     */
+    async generateText(prompt) {
+        return this.generate({ prompt });
+    }
+
+    /**
+     * Send a prompt together with a media file and return the response text
+     * @param {string} prompt - Prompt describing what to do with the media
+     * @param {Object} media - Media { mimetype, data (base64) }
+     * @returns {Promise<string>} Response text
+     */
+    async generateTextFromMedia(prompt, media) {
+        return this.generate({ prompt, media });
+    }
+
+    /**
+     * Send a request to the configured model, then to each fallback model, until one succeeds
+     * @param {Object} request - Request { prompt, media }
+     * @returns {Promise<string>} Response text
+     * @throws {LLMError} Classified error of the last model tried
+     */
+    async generate(request) {
+        let lastError = null;
+
+        for (let i = 0; i < this.providers.length; i++) {
+            const provider = this.providers[i];
+            try {
+                return await this.generateWithRetry(provider, request);
+            } catch (error) {
+                lastError = error;
+                if (i < this.providers.length - 1) {
+                    logger.warn('LLM model failed, trying fallback model', {
+                        model: provider.getModelInfo().model,
+                        fallbackModel: this.providers[i + 1].getModelInfo().model,
+                        type: error.type,
+                        error: error.message
+                    });
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Send a request to one model, retrying quota, transient and timeout errors
+     * @param {Object} provider - LLM provider
+     * @param {Object} request - Request { prompt, media }
+     * @returns {Promise<string>} Response text
+     * @throws {LLMError} Classified error once retries are exhausted or the error is not retryable
+     */
+    async generateWithRetry(provider, request) {
+        const maxAttempts = config.get('llm.retry.maxAttempts') || 3;
+
+        for (let attempt = 1; ; attempt++) {
+            await this.applyRateLimit();
+            const startedAt = Date.now();
+
+            try {
+                const result = await provider.generate(request);
+                const latencyMs = Date.now() - startedAt;
+                logger.gemini('LLM response received', {
+                    provider: provider.name,
+                    model: result.model,
+                    attempt,
+                    inputTokens: result.usage.inputTokens,
+                    outputTokens: result.usage.outputTokens,
+                    latencyMs
+                });
+
+                await usageService.record({
+                    provider: provider.name,
+                    model: result.model,
+                    inputTokens: result.usage.inputTokens,
+                    outputTokens: result.usage.outputTokens,
+                    latencyMs,
+                    success: true
+                });
+
+                return result.text;
+            } catch (rawError) {
+                const error = llm.classifyError(rawError);
+
+                await usageService.record({
+                    provider: provider.name,
+                    model: provider.getModelInfo().model,
+                    latencyMs: Date.now() - startedAt,
+                    success: false,
+                    errorType: error.type
+                });
+
+                if (!error.retryable || attempt >= maxAttempts) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt, error);
+                logger.warn('LLM request failed, retrying', {
+                    model: provider.getModelInfo().model,
+                    type: error.type,
+                    status: error.status,
+                    attempt,
+                    maxAttempts,
+                    delayMs: delay
+                });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Get the delay before a retry, from the llm.retry settings (see llm/errors getBackoffDelay)
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @param {LLMError} error - Classified error
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt, error) {
+        return llm.getBackoffDelay(attempt, error, {
+            baseDelayMs: config.get('llm.retry.baseDelayMs') || 1000,
+            maxDelayMs: config.get('llm.retry.maxDelayMs') || 30000
+        });
+    }
+
+    /**
+     * Check whether media of a type can be sent to the provider
+     * @param {string} mimetype - Media MIME type
+     * @returns {boolean} True if the provider is ready and accepts the media
+     */
+    supportsMedia(mimetype) {
+        // Media without a known type is attempted; the provider rejects it if unsupported
+        return this.isReady() && (!mimetype || this.provider.supportsMedia(mimetype));
+    }
+
+    /**
+     * Count the tokens of a text with the provider's tokenizer
+     * Chunking uses the cheaper estimateTokens; this is exact where the provider allows it.
+     * @param {string} text - Text to measure
+     * @returns {Promise<number>} Token count
+     */
+    async countTokens(text) {
+        return this.provider.countTokens(text);
+    }
+
     /**
      * Extract homework assignments from messages
      * @param {Array} messages - Array of message objects
      * @param {string} groupName - Name of the group
      * @param {string} date - Date for the extraction
-     * @returns {Promise<string>} Extracted homework information
+     * @returns {Promise<Array>} Assignments as { subject, dueDate, description } objects
      */
     async extractHomework(messages, groupName, date) {
         try {
             if (!this.isInitialized) {
-                throw new Error('Gemini AI service not initialized');
+                throw new Error('AI service not initialized');
             }
 
             if (!messages || messages.length === 0) {
-                return 'No messages found for the specified period.';
+                return [];
             }
 
-            await this.applyRateLimit();
-
-            // Format messages for the prompt
-            const formattedMessages = this.formatMessagesForPrompt(messages);
+            // Format messages for the prompt, with dates so relative due dates can be resolved
+            const formattedMessages = this.formatMessagesForPrompt(messages, { includeDate: true });
             
             // Create the prompt
             const basePrompt = config.get('gemini.prompts.homeworkExtraction') || 
-                'Extract homework assignments from the following messages. Format as: Subject - Due Date - Description:';
+                'Extract homework assignments from the following messages. Respond only with a JSON array of objects with the keys "subject", "dueDate" (YYYY-MM-DD, or null if unknown) and "description". Resolve relative due dates such as "tomorrow" using the message dates. Respond with [] if there are no assignments.';
             
             const fullPrompt = `${basePrompt}\n\nGroup: ${groupName}\nDate: ${date}\n\nMessages:\n${formattedMessages}`;
 
@@ -202,18 +510,18 @@ class GeminiService {
             });
 
             // Generate content
-            const result = await this.model.generateContent(fullPrompt);
-            const response = await result.response;
-            const homework = response.text();
+            const response = await this.generateText(fullPrompt);
 
-            if (!homework || homework.trim().length === 0) {
-                return 'No homework assignments found in the messages.';
+            if (!response || response.trim().length === 0) {
+                return [];
             }
 
+            const homework = this.parseHomeworkResponse(response);
+
             logger.gemini('Homework extracted successfully', { 
                 groupName, 
                 date, 
-                homeworkLength: homework.length 
+                assignmentCount: homework.length 
             });
 
             return homework;
@@ -229,47 +537,171 @@ class GeminiService {
         }
     }
 
+    /**
+     * Parse a homework extraction response into assignments
+     * Accepts a JSON array (optionally inside a code fence) or, for prompts
+     * that still ask for it, "Subject - Due Date - Description" lines.
+     * @param {string} response - Raw model response
+     * @returns {Array} Assignments as { subject, dueDate, description } objects
+     */
+    parseHomeworkResponse(response) {
+        const normalizeDate = (value) => {
+            if (!value) {
+                return null;
+            }
+            const date = moment(String(value).trim(), ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD.MM.YYYY', 'DD/MM/YY', 'DD.MM.YY'], true);
+            return date.isValid() ? date.format('YYYY-MM-DD') : null;
+        };
+
+        const jsonMatch = response.match(/\[[\s\S]*\]/);
+        if (jsonMatch) {
+            try {
+                const items = JSON.parse(jsonMatch[0]);
+                if (Array.isArray(items)) {
+                    return items
+                        .filter(item => item && (item.description || item.subject))
+                        .map(item => ({
+                            subject: String(item.subject || 'General').trim(),
+                            dueDate: normalizeDate(item.dueDate || item.due_date),
+                            description: String(item.description || '').trim()
+                        }));
+                }
+            } catch (error) {
+                logger.warn('Homework response is not valid JSON, falling back to line parsing', { error: error.message });
+            }
+        }
+
+        return response
+            .split('\n')
+            .map(line => line.replace(/^\s*(?:[-•*]|\d+\.)\s*/, '').trim())
+            .map(line => line.split(/\s+-\s+/))
+            .filter(parts => parts.length >= 3)
+            .map(([subject, dueDate, ...description]) => ({
+                subject: subject.trim(),
+                dueDate: normalizeDate(dueDate),
+                description: description.join(' - ').trim()
+            }));
+    }
+
     /**
      * Format messages for AI prompt
+     * Replies point to the number of the message they answer ("(reply to #3 Dana)")
+     * or quote it when it is not in the list, and reaction counts are appended,
+     * so the model can follow threads and see what the group agreed with.
      * @param {Array} messages - Array of message objects
+     * @param {Object} options - Formatting options
+     * @param {boolean} options.includeDate - Prefix each time with its date
      * @returns {string} Formatted messages string
      */
-    formatMessagesForPrompt(messages) {
+    formatMessagesForPrompt(messages, options = {}) {
         if (!messages || messages.length === 0) {
             return '';
         }
 
+        // Replies store the key ID of the quoted message, the third part of a serialized message ID
+        const numbers = new Map(messages.map((msg, index) => [(msg.wa_message_id || '').split('_')[2], index]));
+
         return messages.map((msg, index) => {
-            const timestamp = new Date(msg.timestamp).toLocaleTimeString();
+            const timestamp = options.includeDate
+                ? moment(msg.timestamp).format('YYYY-MM-DD HH:mm')
+                : new Date(msg.timestamp).toLocaleTimeString();
             const sender = msg.sender_name || 'Unknown';
-            const content = msg.content || '';
+            const content = msg.deleted_at ? '[deleted by sender]' : this.formatMessageContent(msg);
+            const reply = this.formatReplyTo(msg, messages, numbers);
+            const edited = msg.edited_at && !msg.deleted_at ? ' (edited)' : '';
+            const reactions = this.formatReactions(msg.reactions);
             
             // Add message number for better reference
-            return `${index + 1}. [${timestamp}] ${sender}: ${content}`;
+            return `${index + 1}. [${timestamp}] ${sender}: ${reply}${content}${edited}${reactions}`;
         }).join('\n\n');
     }
 
+    /**
+     * Render which message a reply answers
+     * @param {Object} msg - Message object
+     * @param {Array} messages - All messages being formatted
+     * @param {Map} numbers - Quoted key ID to index in messages
+     * @returns {string} e.g. '(reply to #3 Dana) ', '(reply to "see you at 8") ' or ''
+     */
+    formatReplyTo(msg, messages, numbers) {
+        if (!msg.quoted_message_id) {
+            return '';
+        }
+
+        const index = numbers.get(msg.quoted_message_id);
+        if (index !== undefined) {
+            return `(reply to #${index + 1} ${messages[index].sender_name || 'Unknown'}) `;
+        }
+
+        if (msg.quoted_content) {
+            const quoted = msg.quoted_content.replace(/\s+/g, ' ');
+            return `(reply to "${quoted.length > 80 ? `${quoted.substring(0, 80)}…` : quoted}") `;
+        }
+        return '(reply) ';
+    }
+
+    /**
+     * Render reaction counts
+     * @param {string|Object} reactions - Reaction counts, as stored (JSON) or parsed
+     * @returns {string} e.g. ' [reactions: 👍 3, ❤️ 1]' or ''
+     */
+    formatReactions(reactions) {
+        let counts = reactions;
+        if (typeof reactions === 'string') {
+            try {
+                counts = JSON.parse(reactions);
+            } catch (error) {
+                return '';
+            }
+        }
+
+        const entries = Object.entries(counts || {});
+        if (entries.length === 0) {
+            return '';
+        }
+        return ` [reactions: ${entries.map(([emoji, count]) => `${emoji} ${count}`).join(', ')}]`;
+    }
+
+    /**
+     * Render a message's text, with its media shown as a bracketed label
+     * e.g. "[voice note: transcription]" or "[image: description] caption"
+     * @param {Object} msg - Message object
+     * @returns {string} Message content for the prompt
+     */
+    formatMessageContent(msg) {
+        const text = msg.content || '';
+        if (!msg.media_type) {
+            return text;
+        }
+
+        const labels = { ptt: 'voice note', audio: 'audio', image: 'image', video: 'video', document: 'document', sticker: 'sticker' };
+        const label = labels[msg.media_type] || msg.media_type;
+        const details = msg.media_description || msg.media_filename;
+        const media = details ? `[${label}: ${details}]` : `[${label}]`;
+
+        return text ? `${media} ${text}` : media;
+    }
+
     /**
      * Generate a custom analysis based on a specific prompt
      * @param {Array} messages - Array of message objects
      * @param {string} customPrompt - Custom prompt for analysis
      * @param {Object} context - Additional context
+     * @param {Object} options - Message formatting options (see formatMessagesForPrompt)
      * @returns {Promise<string>} Generated analysis
      */
-    async generateCustomAnalysis(messages, customPrompt, context = {}) {
+    async generateCustomAnalysis(messages, customPrompt, context = {}, options = {}) {
         try {
             if (!this.isInitialized) {
-                throw new Error('Gemini AI service not initialized');
+                throw new Error('AI service not initialized');
             }
 
             if (!messages || messages.length === 0) {
                 return 'No messages found for analysis.';
             }
 
-            await this.applyRateLimit();
-
             // Format messages for the prompt
-            const formattedMessages = this.formatMessagesForPrompt(messages);
+            const formattedMessages = this.formatMessagesForPrompt(messages, options);
             
             // Create the full prompt with context
             const contextStr = Object.keys(context).length > 0 
@@ -285,12 +717,10 @@ class GeminiService {
             });
 
             // Generate content
-            const result = await this.model.generateContent(fullPrompt);
-            const response = await result.response;
-            const analysis = response.text();
+            const analysis = await this.generateText(fullPrompt);
 
             if (!analysis || analysis.trim().length === 0) {
-                throw new Error('Empty response from Gemini AI');
+                throw new Error('Empty response from the LLM');
             }
 
             logger.gemini('Custom analysis generated successfully', { 
@@ -310,7 +740,7 @@ class GeminiService {
     }
 
     /**
-     * Test the Gemini AI connection
+     * Test the LLM provider connection
      * @returns {Promise<boolean>} True if connection is working
      */
     async testConnection() {
@@ -320,15 +750,13 @@ class GeminiService {
             }
 
             const testPrompt = 'Hello, this is a test message. Please respond with "Connection successful."';
-            const result = await this.model.generateContent(testPrompt);
-            const response = await result.response;
-            const text = response.text();
+            const text = await this.generateText(testPrompt);
 
             logger.gemini('Connection test successful', { response: text });
             return true;
 
         } catch (error) {
-            logger.error('Gemini AI connection test failed', error);
+            logger.error('LLM connection test failed', error);
             return false;
         }
     }
@@ -338,11 +766,13 @@ class GeminiService {
      * @returns {Object} Status object
      */
     getStatus() {
+        const modelInfo = this.provider
+            ? this.provider.getModelInfo()
+            : { provider: llm.getProviderName() };
+
         return {
             isInitialized: this.isInitialized,
-            model: config.get('gemini.model') || 'gemini-1.5-flash',
-            temperature: config.get('gemini.temperature') || 0.3,
-            maxTokens: config.get('gemini.maxTokens') || 1000000,
+            ...modelInfo,
             rateLimitDelay: this.rateLimitDelay
         };
     }
@@ -361,7 +791,7 @@ class GeminiService {
      * @returns {boolean} True if ready
      */
     isReady() {
-        return this.isInitialized && this.model;
+        return this.isInitialized && !!this.provider;
     }
 }
 
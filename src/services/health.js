@@ -0,0 +1,90 @@
+/**
+ * Health Service for WhatsApp to Telegram Bot
+ *
+ * This module exposes the bot's health on the shared HTTP server so Docker
+ * and monitoring systems can watch it without going through Telegram:
+ * - /healthz: liveness, 200 as long as the process serves requests
+ * - /readyz: readiness, 200 only when WhatsApp, the database and the LLM are ready
+ * - /metrics: counters and gauges in Prometheus text format
+ *
+ * Features:
+ * - Liveness and readiness probes
+ * - Prometheus metrics endpoint
+ * - Queue, database and readiness gauges collected at scrape time
+ */
+
+const metrics = require('../utils/metrics');
+const databaseService = require('./database');
+const whatsappService = require('./whatsapp');
+const geminiService = require('./gemini');
+const httpService = require('./http');
+
+class HealthService {
+    constructor() {
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Register the health endpoints and scrape-time gauges
+     */
+    initialize() {
+        httpService.route('GET', '/healthz', (req, res) => this.handleLiveness(req, res));
+        httpService.route('GET', '/readyz', (req, res) => this.handleReadiness(req, res));
+        httpService.route('GET', '/metrics', (req, res) => this.handleMetrics(req, res));
+
+        metrics.gauge('pending_messages', 'Messages received but not yet stored', () => whatsappService.pendingMessages.length);
+        metrics.gauge('database_size_bytes', 'Size of the SQLite database file', () => databaseService.getDatabaseSize());
+        metrics.gauge('ready', 'Whether each component is ready (1) or not (0)', () =>
+            Object.entries(this.getChecks()).map(([component, ready]) => ({ labels: { component }, value: ready ? 1 : 0 })));
+        metrics.gauge('uptime_seconds', 'Seconds since the bot started', () => Math.floor((Date.now() - this.startedAt) / 1000));
+    }
+
+    /**
+     * Get the readiness of each component
+     * @returns {Object} { whatsapp, database, llm } booleans
+     */
+    getChecks() {
+        return {
+            whatsapp: Boolean(whatsappService.isReady()),
+            database: Boolean(databaseService.isReady()),
+            llm: Boolean(geminiService.isReady())
+        };
+    }
+
+    /**
+     * Handle /healthz
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    handleLiveness(req, res) {
+        httpService.sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000) });
+    }
+
+    /**
+     * Handle /readyz
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    handleReadiness(req, res) {
+        const checks = this.getChecks();
+        const ready = Object.values(checks).every(Boolean);
+
+        httpService.sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not ready', checks });
+    }
+
+    /**
+     * Handle /metrics
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handleMetrics(req, res) {
+        const body = await metrics.render();
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(body);
+    }
+}
+
+// Create singleton instance
+const healthService = new HealthService();
+
+module.exports = healthService;
@@ -0,0 +1,196 @@
+/**
+ * HTTP Service for WhatsApp to Telegram Bot
+ *
+ * This module runs the bot's single HTTP server on the app.port config value.
+ * Other services register their endpoints with route() during initialization,
+ * before or after the server starts; it is only started when at least one
+ * route exists.
+ *
+ * Features:
+ * - One shared server for all endpoints
+ * - Method + path routing with :param segments
+ * - Request body size limit
+ * - JSON response helper
+ */
+
+const http = require('http');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpService {
+    constructor() {
+        this.server = null;
+        this.routes = new Map();
+    }
+
+    /**
+     * Register an endpoint
+     * The handler receives (req, res, body) where body is the raw request body
+     * as a Buffer, and must send the response itself. Path segments starting
+     * with ":" match any single segment and are passed, URL-decoded, in
+     * req.params; req.query holds the query string parameters.
+     * @param {string} method - HTTP method (GET, POST...)
+     * @param {string} path - Request path, e.g. /api/groups/:chatId
+     * @param {Function} handler - Async request handler
+     */
+    route(method, path, handler) {
+        const key = `${method.toUpperCase()} ${path}`;
+        if (this.routes.has(key)) {
+            throw new Error(`HTTP route already registered: ${key}`);
+        }
+
+        const params = [];
+        const pattern = path.split('/').map(segment => {
+            if (segment.startsWith(':')) {
+                params.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+
+        this.routes.set(key, { method: method.toUpperCase(), regex: new RegExp(`^${pattern}$`), params, handler });
+    }
+
+    /**
+     * Find the route for a request
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path without query string
+     * @returns {Object|null} { handler, params }, or null if no route matches
+     */
+    matchRoute(method, path) {
+        for (const route of this.routes.values()) {
+            const match = route.method === method && path.match(route.regex);
+            if (match) {
+                const params = {};
+                route.params.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+                return { handler: route.handler, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Start listening on app.port if any route was registered
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.server || this.routes.size === 0) {
+            return;
+        }
+
+        const port = config.get('app.port');
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.server.on('error', error => logger.error('HTTP server error', error));
+        logger.info('HTTP server listening', { port, routes: [...this.routes.keys()] });
+    }
+
+    /**
+     * Dispatch a request to its route
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url || '/', 'http://localhost');
+        const path = url.pathname;
+        let route;
+
+        try {
+            route = this.matchRoute(req.method, path);
+        } catch (error) {
+            // Malformed percent-encoding in a path parameter
+            this.sendJson(res, 400, { error: 'Invalid request path' });
+            return;
+        }
+
+        if (!route) {
+            this.sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        req.params = route.params;
+        req.query = Object.fromEntries(url.searchParams);
+
+        try {
+            const body = await this.readBody(req);
+            await route.handler(req, res, body);
+        } catch (error) {
+            if (error.code === 'BODY_TOO_LARGE') {
+                this.sendJson(res, 413, { error: 'Request body too large' });
+                return;
+            }
+
+            logger.error('Error handling HTTP request', { method: req.method, path, error: error.message });
+            if (!res.headersSent) {
+                this.sendJson(res, 500, { error: 'Internal server error' });
+            }
+        }
+    }
+
+    /**
+     * Read a request body
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<Buffer>} Body
+     * @throws {Error} Error with code BODY_TOO_LARGE above MAX_BODY_BYTES
+     */
+    async readBody(req) {
+        const chunks = [];
+        let size = 0;
+
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                const error = new Error('Request body too large');
+                error.code = 'BODY_TOO_LARGE';
+                throw error;
+            }
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status code
+     * @param {Object} data - Response body
+     */
+    sendJson(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        const closed = new Promise(resolve => this.server.close(() => resolve()));
+        this.server.closeAllConnections();
+        await closed;
+        this.server = null;
+        logger.info('HTTP server stopped');
+    }
+}
+
+// Create singleton instance
+const httpService = new HttpService();
+
+module.exports = httpService;
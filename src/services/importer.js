@@ -0,0 +1,205 @@
+/**
+ * Import Service for WhatsApp to Telegram Bot
+ *
+ * This module loads WhatsApp "Export chat" files (.txt or .zip) into the
+ * messages table, for history the bot cannot fetch live. Exports carry no
+ * message IDs, so every message gets a synthetic wa_message_id derived from
+ * its group, time, sender and text: importing the same file again stores
+ * nothing new. Messages the bot already captured live are recognised by
+ * sender name, minute and text.
+ *
+ * The target group is the monitored group (or known group) with the given
+ * name, or a new group with a synthetic chat ID. It is added to the monitored
+ * groups, without a live backfill, so it can be summarized right away.
+ *
+ * Features:
+ * - .txt and .zip exports in the formats read by utils/whatsappExport
+ * - Stable synthetic message IDs
+ * - Deduplication against stored and live-captured messages
+ * - Dry runs that only report what would be imported
+ * - Used by scripts/import-chat.js and Telegram document uploads
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const logger = require('../utils/logger');
+const { parseChatExport, readExportText, getGroupNameFromFilename } = require('../utils/whatsappExport');
+const databaseService = require('./database');
+
+class ImportService {
+    /**
+     * Import a chat export
+     * @param {Object} options - Import options
+     * @param {Buffer} options.buffer - File contents
+     * @param {string} options.filename - File name (.txt or .zip); also used to guess the group name
+     * @param {string} options.groupName - Group to import into (defaults to the name in the file name)
+     * @param {string} options.chatId - WhatsApp chat ID to import into, instead of looking the group up by name
+     * @param {string} options.dateOrder - 'DMY', 'MDY' or 'YMD' to override date order detection
+     * @param {boolean} options.dryRun - Only report what would be imported
+     * @returns {Promise<Object>} { chatId, groupName, newGroup, total, imported, duplicates, skipped, firstTimestamp, lastTimestamp, dateOrder }
+     * @throws {Error} With code 'INVALID_EXPORT' for unreadable files, 'GROUP_REQUIRED' if the group cannot be determined
+     */
+    async importExport(options) {
+        const text = await readExportText(options.buffer, options.filename);
+        const parsed = parseChatExport(text, { dateOrder: options.dateOrder });
+        const group = await this.resolveGroup(options.groupName || getGroupNameFromFilename(options.filename), options.chatId);
+
+        const messages = this.toMessageData(parsed.messages, group);
+        const firstTimestamp = messages.reduce((first, message) => message.timestamp < first ? message.timestamp : first, messages[0].timestamp);
+        const lastTimestamp = messages.reduce((last, message) => message.timestamp > last ? message.timestamp : last, messages[0].timestamp);
+        const newMessages = await this.removeDuplicates(messages, group.id, firstTimestamp, lastTimestamp);
+
+        const result = {
+            chatId: group.id,
+            groupName: group.name,
+            newGroup: group.isNew,
+            total: messages.length,
+            imported: newMessages.length,
+            duplicates: messages.length - newMessages.length,
+            skipped: parsed.skipped,
+            firstTimestamp,
+            lastTimestamp,
+            dateOrder: parsed.dateOrder
+        };
+
+        if (options.dryRun) {
+            return result;
+        }
+
+        await databaseService.upsertGroup(group.id, group.name);
+        for (const message of newMessages) {
+            await databaseService.storeMessage(message);
+        }
+
+        // Monitoring the group is what lists it in /summarize, /ask and the digests
+        const whatsappService = require('./whatsapp');
+        if (!whatsappService.isMonitored(group.id)) {
+            await whatsappService.addMonitoredGroup({ id: group.id, name: group.name }, { backfill: false });
+        }
+
+        logger.info('Chat export imported', result);
+        return result;
+    }
+
+    /**
+     * Find the group an export belongs to
+     * A monitored group with the name wins, then a known group; otherwise a
+     * new group gets a chat ID derived from its name.
+     * @param {string|null} groupName - Group name
+     * @param {string|null} chatId - Explicit chat ID
+     * @returns {Promise<Object>} { id, name, isNew }
+     */
+    async resolveGroup(groupName, chatId) {
+        const whatsappService = require('./whatsapp');
+
+        if (chatId) {
+            const name = groupName || (whatsappService.isMonitored(chatId) ? whatsappService.getGroupName(chatId) : await databaseService.getGroupName(chatId));
+            return { id: chatId, name, isNew: !(await databaseService.getGroup(chatId)) };
+        }
+
+        if (!groupName) {
+            const error = new Error('Could not tell which group the export belongs to; give the group name');
+            error.code = 'GROUP_REQUIRED';
+            throw error;
+        }
+
+        const monitored = whatsappService.getMonitoredGroups().find(group => group.name.toLowerCase() === groupName.toLowerCase());
+        if (monitored) {
+            return { id: monitored.id, name: monitored.name, isNew: false };
+        }
+
+        const knownId = await databaseService.findGroupIdByName(groupName);
+        if (knownId) {
+            return { id: knownId, name: groupName, isNew: false };
+        }
+
+        const hash = crypto.createHash('sha1').update(groupName).digest('hex').slice(0, 16);
+        return { id: `imported-${hash}`, name: groupName, isNew: true };
+    }
+
+    /**
+     * Map parsed export messages to the message data shape stored by DatabaseService.storeMessage
+     * @param {Array} messages - Messages from parseChatExport
+     * @param {Object} group - Group from resolveGroup
+     * @returns {Array} Message data
+     */
+    toMessageData(messages, group) {
+        const occurrences = new Map();
+
+        return messages.map(message => {
+            // Identical messages in the same minute are told apart by their position
+            const key = [message.timestamp, message.senderName, message.content, message.mediaFilename || ''].join('\n');
+            const occurrence = occurrences.get(key) || 0;
+            occurrences.set(key, occurrence + 1);
+
+            const hash = crypto.createHash('sha1').update(`${group.id}\n${key}\n${occurrence}`).digest('hex').slice(0, 20);
+
+            return {
+                waMessageId: `imported_${group.id}_${hash}`,
+                chatId: group.id,
+                chatName: group.name,
+                // Like live group messages, which carry the group as sender ID
+                senderId: group.id,
+                senderName: message.senderName,
+                timestamp: message.timestamp,
+                content: message.content,
+                isGroup: true,
+                mediaType: message.mediaType,
+                mediaFilename: message.mediaFilename,
+                editedAt: message.edited ? message.timestamp : null,
+                deletedAt: message.deleted ? message.timestamp : null
+            };
+        });
+    }
+
+    /**
+     * Drop messages that are already stored, whether imported before or captured live
+     * @param {Array} messages - Message data from toMessageData
+     * @param {string} chatId - Chat ID of the group
+     * @param {string} firstTimestamp - Earliest message time
+     * @param {string} lastTimestamp - Latest message time
+     * @returns {Promise<Array>} Messages to store
+     */
+    async removeDuplicates(messages, chatId, firstTimestamp, lastTimestamp) {
+        // Live messages have seconds that exports may leave out, so compare to the minute
+        const until = moment(lastTimestamp, 'YYYY-MM-DD HH:mm:ss').endOf('minute').format('YYYY-MM-DD HH:mm:ss');
+        const stored = await databaseService.getMessagesByGroupAndTimeRange(chatId, firstTimestamp, until);
+
+        const storedIds = new Set(stored.map(message => message.wa_message_id));
+        const storedKeys = new Map();
+        stored.forEach(message => {
+            const key = this.getDuplicateKey(message.timestamp, message.sender_name, message.content);
+            storedKeys.set(key, (storedKeys.get(key) || 0) + 1);
+        });
+
+        return messages.filter(message => {
+            if (storedIds.has(message.waMessageId)) {
+                return false;
+            }
+
+            const key = this.getDuplicateKey(message.timestamp, message.senderName, message.content);
+            const count = storedKeys.get(key) || 0;
+            if (count > 0) {
+                storedKeys.set(key, count - 1);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Build the key under which two copies of a message compare equal
+     * @param {string} timestamp - Message time (YYYY-MM-DD HH:mm:ss)
+     * @param {string} senderName - Sender name
+     * @param {string} content - Message text
+     * @returns {string} Key
+     */
+    getDuplicateKey(timestamp, senderName, content) {
+        return [timestamp.slice(0, 16), senderName, (content || '').trim()].join('\n');
+    }
+}
+
+// Create singleton instance
+const importService = new ImportService();
+
+module.exports = importService;
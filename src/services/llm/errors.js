@@ -0,0 +1,149 @@
+/**
+ * LLM error classification
+ *
+ * Provider errors come in many shapes (Gemini SDK errors, HTTP statuses from
+ * OpenAI-compatible servers, fetch/abort errors). classifyError maps them to
+ * an LLMError with a type that decides whether the call is retried and what
+ * the user is told:
+ * - quota: rate limit or quota exhausted (HTTP 429), retried
+ * - transient: server or network hiccup (HTTP 5xx, connection reset), retried
+ * - timeout: the request took too long, retried
+ * - safety: the model refused the content, not retried
+ * - invalid: the request itself was rejected (bad key, unknown model...), or
+ *   the error was raised locally (a bug, unsupported media), not retried
+ *
+ * getBackoffDelay computes how long to wait before retrying.
+ */
+
+const USER_MESSAGES = {
+    quota: 'The AI service quota is exhausted right now. Please try again in a few minutes.',
+    transient: 'The AI service is temporarily unavailable. Please try again in a few minutes.',
+    timeout: 'The AI service did not respond in time. Please try again.',
+    safety: 'The AI model refused to process these messages because of its safety filters.',
+    invalid: 'The AI service rejected the request. Please check the bot configuration.'
+};
+
+const RETRYABLE_TYPES = ['quota', 'transient', 'timeout'];
+
+// Connection failures worth retrying, whatever the error message says
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+class LLMError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Error details
+     * @param {string} details.type - quota, transient, timeout, safety or invalid
+     * @param {number} details.status - HTTP status, if any
+     * @param {number} details.retryAfterMs - Delay requested by the server, if any
+     * @param {Error} details.cause - Original error
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'LLMError';
+        this.type = details.type;
+        this.status = details.status || null;
+        this.retryAfterMs = details.retryAfterMs || null;
+        this.cause = details.cause;
+    }
+
+    /**
+     * Whether the same request may succeed if retried
+     * @returns {boolean} True for quota, transient and timeout errors
+     */
+    get retryable() {
+        return RETRYABLE_TYPES.includes(this.type);
+    }
+
+    /**
+     * Reason to show to Telegram users
+     * @returns {string} User-facing message
+     */
+    get userMessage() {
+        return USER_MESSAGES[this.type] || USER_MESSAGES.transient;
+    }
+}
+
+/**
+ * Read the retry delay a server asked for
+ * Gemini sends a RetryInfo detail ("23s"); OpenAI-compatible servers may send Retry-After.
+ * @param {Error} error - Provider error
+ * @returns {number|null} Delay in milliseconds
+ */
+function getRetryAfterMs(error) {
+    if (error.retryAfterMs) {
+        return error.retryAfterMs;
+    }
+
+    const retryInfo = (error.errorDetails || []).find(detail => String(detail['@type'] || '').endsWith('RetryInfo'));
+    const seconds = retryInfo && parseFloat(retryInfo.retryDelay);
+    return seconds ? seconds * 1000 : null;
+}
+
+/**
+ * Classify a provider error
+ * @param {Error} error - Error thrown by a provider
+ * @returns {LLMError} Classified error
+ */
+function classifyError(error) {
+    if (error instanceof LLMError) {
+        return error;
+    }
+
+    const message = error.message || String(error);
+    const status = error.status || null;
+    let type;
+
+    if (error.name === 'TimeoutError' || error.name === 'AbortError' || /timed? ?out|ETIMEDOUT|aborted/i.test(message)) {
+        type = 'timeout';
+    } else if (status === 429 || /quota|rate limit|too many requests|RESOURCE_EXHAUSTED/i.test(message)) {
+        type = 'quota';
+    } else if (/SAFETY|blocked|PROHIBITED_CONTENT|RECITATION/.test(message)) {
+        type = 'safety';
+    } else if (status >= 500 || NETWORK_ERROR_CODES.includes(getErrorCode(error)) || /ECONNRESET|ECONNREFUSED|EAI_AGAIN|fetch failed|socket hang up|overloaded|UNAVAILABLE/i.test(message)) {
+        type = 'transient';
+    } else {
+        // Rejected requests (4xx) and errors raised before anything was sent, such as
+        // a TypeError or unsupported media, would fail the same way on every retry
+        type = 'invalid';
+    }
+
+    return new LLMError(message, { type, status, retryAfterMs: getRetryAfterMs(error), cause: error });
+}
+
+/**
+ * Read the system error code of an error or of the error that caused it
+ * fetch rejects with TypeError('fetch failed') whose cause carries the code.
+ * @param {Error} error - Provider error
+ * @returns {string|null} Code such as 'ECONNRESET'
+ */
+function getErrorCode(error) {
+    return error.code || (error.cause && error.cause.code) || null;
+}
+
+/**
+ * Get the delay before retrying a failed request
+ * Exponential backoff with full jitter, so concurrent retries spread out,
+ * but never shorter than a delay the server asked for.
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {LLMError} error - Classified error
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelayMs - Upper bound of the first delay
+ * @param {number} options.maxDelayMs - Upper bound of any delay
+ * @param {Function} options.random - Returns a number in [0, 1) (defaults to Math.random)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, error, options) {
+    const random = options.random || Math.random;
+    const backoff = Math.min(options.maxDelayMs, options.baseDelayMs * Math.pow(2, attempt - 1));
+    const delay = Math.round(random() * backoff);
+
+    return error.retryAfterMs
+        ? Math.max(delay, Math.min(error.retryAfterMs, options.maxDelayMs))
+        : delay;
+}
+
+module.exports = {
+    LLMError,
+    classifyError,
+    getBackoffDelay
+};
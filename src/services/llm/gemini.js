@@ -0,0 +1,107 @@
+/**
+ * Gemini LLM provider
+ *
+ * Talks to Google's Gemini API through @google/generative-ai. Supports media
+ * (voice notes, audio, images) as inline data.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.apiKey - Gemini API key
+     * @param {string} options.model - Model name
+     * @param {number} options.temperature - Sampling temperature
+     * @param {number} options.maxTokens - Maximum output tokens
+     * @param {number} options.timeoutMs - Request timeout
+     */
+    constructor(options) {
+        this.name = 'gemini';
+        this.options = options;
+        this.model = null;
+    }
+
+    /**
+     * Create the Gemini client
+     */
+    async initialize() {
+        if (!this.options.apiKey) {
+            throw new Error('Gemini API key not configured');
+        }
+
+        const genAI = new GoogleGenerativeAI(this.options.apiKey);
+        this.model = genAI.getGenerativeModel({
+            model: this.options.model,
+            generationConfig: {
+                temperature: this.options.temperature,
+                maxOutputTokens: this.options.maxTokens
+            }
+        }, {
+            timeout: this.options.timeoutMs
+        });
+    }
+
+    /**
+     * Generate a response
+     * @param {Object} request - Request
+     * @param {string} request.prompt - Prompt text
+     * @param {Object} request.media - Optional media { mimetype, data (base64) }
+     * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens } }
+     */
+    async generate(request) {
+        const contents = request.media
+            ? [
+                { inlineData: { mimeType: request.media.mimetype.split(';')[0], data: request.media.data } },
+                { text: request.prompt }
+            ]
+            : request.prompt;
+
+        const result = await this.model.generateContent(contents);
+        const response = await result.response;
+        const usage = response.usageMetadata || {};
+
+        return {
+            text: response.text(),
+            model: this.options.model,
+            usage: {
+                inputTokens: usage.promptTokenCount || 0,
+                outputTokens: usage.candidatesTokenCount || 0
+            }
+        };
+    }
+
+    /**
+     * Count the tokens of a text with the Gemini tokenizer
+     * @param {string} text - Text to measure
+     * @returns {Promise<number>} Token count
+     */
+    async countTokens(text) {
+        const result = await this.model.countTokens(text);
+        return result.totalTokens;
+    }
+
+    /**
+     * Check whether a media type can be sent to the model
+     * @param {string} mimetype - Media MIME type
+     * @returns {boolean} True if supported
+     */
+    supportsMedia(mimetype) {
+        return /^(audio|image|video)\//.test(mimetype || '') || mimetype === 'application/pdf';
+    }
+
+    /**
+     * Describe the configured model
+     * @returns {Object} Model info
+     */
+    getModelInfo() {
+        return {
+            provider: this.name,
+            model: this.options.model,
+            temperature: this.options.temperature,
+            maxTokens: this.options.maxTokens
+        };
+    }
+}
+
+module.exports = GeminiProvider;
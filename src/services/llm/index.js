@@ -0,0 +1,94 @@
+/**
+ * LLM Provider Factory for WhatsApp to Telegram Bot
+ *
+ * Every provider implements the same interface:
+ * - initialize(): set up the client
+ * - generate({ prompt, media }): resolve to { text, model, usage: { inputTokens, outputTokens } }
+ * - countTokens(text): resolve to the token count of a text
+ * - supportsMedia(mimetype): whether media of that type can be sent
+ * - getModelInfo(): describe the provider and model
+ *
+ * The provider is selected with llm.provider (LLM_PROVIDER), falling back to
+ * gemini.provider and then to Gemini.
+ */
+
+const config = require('../../config');
+const GeminiProvider = require('./gemini');
+const OpenAICompatibleProvider = require('./openai');
+const StubProvider = require('./stub');
+const { LLMError, classifyError, getBackoffDelay } = require('./errors');
+
+const providers = {
+    gemini: {
+        Provider: GeminiProvider,
+        options: () => ({
+            apiKey: config.get('gemini.apiKey'),
+            model: config.get('gemini.model') || 'gemini-1.5-flash',
+            temperature: config.get('gemini.temperature') || 0.3,
+            maxTokens: config.get('gemini.maxTokens') || 1000000,
+            timeoutMs: config.get('gemini.timeoutMs') || 120000
+        })
+    },
+    openai: {
+        Provider: OpenAICompatibleProvider,
+        options: () => ({
+            baseUrl: config.get('llm.openai.baseUrl'),
+            apiKey: config.get('llm.openai.apiKey'),
+            model: config.get('llm.openai.model'),
+            temperature: config.get('llm.openai.temperature') ?? config.get('gemini.temperature') ?? 0.3,
+            maxTokens: config.get('llm.openai.maxTokens'),
+            timeoutMs: config.get('llm.openai.timeoutMs') || 120000,
+            vision: config.get('llm.openai.vision') === true,
+            charsPerToken: config.get('gemini.mapReduce.charsPerToken') || 4
+        })
+    },
+    stub: {
+        Provider: StubProvider,
+        options: () => ({
+            response: config.get('llm.stub.response'),
+            charsPerToken: config.get('gemini.mapReduce.charsPerToken') || 4
+        })
+    }
+};
+
+/**
+ * Get the name of the configured provider
+ * @returns {string} Provider name
+ */
+function getProviderName() {
+    return config.get('llm.provider') || 'gemini';
+}
+
+/**
+ * Create a provider from configuration
+ * @param {string} name - Provider name (defaults to the configured one)
+ * @param {Object} overrides - Options replacing the configured ones, e.g. { model } for a fallback model
+ * @returns {Object} Provider instance, not yet initialized
+ */
+function createProvider(name = getProviderName(), overrides = {}) {
+    const entry = providers[name];
+    if (!entry) {
+        throw new Error(`Unknown LLM provider: ${name} (available: ${Object.keys(providers).join(', ')})`);
+    }
+
+    return new entry.Provider({ ...entry.options(), ...overrides });
+}
+
+/**
+ * Register an additional provider
+ * @param {string} name - Provider name used in llm.provider
+ * @param {Function} Provider - Provider class
+ * @param {Function} options - Returns the constructor options
+ */
+function registerProvider(name, Provider, options = () => ({})) {
+    providers[name] = { Provider, options };
+}
+
+module.exports = {
+    LLMError,
+    classifyError,
+    getBackoffDelay,
+    createProvider,
+    registerProvider,
+    getProviderName
+};
@@ -0,0 +1,140 @@
+/**
+ * OpenAI-compatible LLM provider
+ *
+ * Calls the /chat/completions endpoint exposed by OpenAI and by self-hosted
+ * servers such as Ollama (http://localhost:11434/v1) or llama.cpp
+ * (http://localhost:8080/v1). Images are sent as data URLs when the model is
+ * marked as vision-capable; other media is not supported.
+ */
+
+const { LLMError } = require('./errors');
+
+class OpenAICompatibleProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.baseUrl - API base URL, including /v1
+     * @param {string} options.apiKey - Optional bearer token
+     * @param {string} options.model - Model name
+     * @param {number} options.temperature - Sampling temperature
+     * @param {number} options.maxTokens - Optional maximum output tokens
+     * @param {number} options.timeoutMs - Request timeout
+     * @param {boolean} options.vision - Whether the model accepts images
+     * @param {number} options.charsPerToken - Characters per token for estimates
+     */
+    constructor(options) {
+        this.name = 'openai';
+        this.options = options;
+    }
+
+    /**
+     * Validate the endpoint configuration
+     */
+    async initialize() {
+        if (!this.options.baseUrl) {
+            throw new Error('LLM base URL not configured (llm.openai.baseUrl)');
+        }
+        if (!this.options.model) {
+            throw new Error('LLM model not configured (llm.openai.model)');
+        }
+    }
+
+    /**
+     * Generate a response
+     * @param {Object} request - Request
+     * @param {string} request.prompt - Prompt text
+     * @param {Object} request.media - Optional image { mimetype, data (base64) }
+     * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens } }
+     */
+    async generate(request) {
+        if (request.media && !this.supportsMedia(request.media.mimetype)) {
+            throw new LLMError(`Media type ${request.media.mimetype} is not supported by model ${this.options.model}`, { type: 'invalid' });
+        }
+
+        const content = request.media
+            ? [
+                { type: 'text', text: request.prompt },
+                { type: 'image_url', image_url: { url: `data:${request.media.mimetype.split(';')[0]};base64,${request.media.data}` } }
+            ]
+            : request.prompt;
+
+        const body = {
+            model: this.options.model,
+            messages: [{ role: 'user', content }],
+            temperature: this.options.temperature
+        };
+        if (this.options.maxTokens) {
+            body.max_tokens = this.options.maxTokens;
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.options.apiKey) {
+            headers.Authorization = `Bearer ${this.options.apiKey}`;
+        }
+
+        const response = await fetch(`${this.options.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.options.timeoutMs)
+        });
+
+        if (!response.ok) {
+            const details = await response.text().catch(() => '');
+            const error = new Error(`LLM request failed with HTTP ${response.status}: ${details.substring(0, 200)}`);
+            error.status = response.status;
+            const retryAfter = parseInt(response.headers.get('retry-after'));
+            if (retryAfter) {
+                error.retryAfterMs = retryAfter * 1000;
+            }
+            throw error;
+        }
+
+        const data = await response.json();
+        const choice = data.choices && data.choices[0];
+        const usage = data.usage || {};
+
+        return {
+            text: (choice && choice.message && choice.message.content) || '',
+            model: data.model || this.options.model,
+            usage: {
+                inputTokens: usage.prompt_tokens || 0,
+                outputTokens: usage.completion_tokens || 0
+            }
+        };
+    }
+
+    /**
+     * Estimate the tokens of a text
+     * There is no standard tokenizer endpoint across compatible servers.
+     * @param {string} text - Text to measure
+     * @returns {Promise<number>} Estimated token count
+     */
+    async countTokens(text) {
+        return Math.ceil((text || '').length / this.options.charsPerToken);
+    }
+
+    /**
+     * Check whether a media type can be sent to the model
+     * @param {string} mimetype - Media MIME type
+     * @returns {boolean} True if supported
+     */
+    supportsMedia(mimetype) {
+        return this.options.vision === true && /^image\//.test(mimetype || '');
+    }
+
+    /**
+     * Describe the configured model
+     * @returns {Object} Model info
+     */
+    getModelInfo() {
+        return {
+            provider: this.name,
+            model: this.options.model,
+            baseUrl: this.options.baseUrl,
+            temperature: this.options.temperature,
+            maxTokens: this.options.maxTokens || null
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
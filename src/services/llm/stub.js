@@ -0,0 +1,82 @@
+/**
+ * Stub LLM provider
+ *
+ * Offline, deterministic provider for tests and local development. It never
+ * calls a network service: it returns the configured fixed response, or a
+ * short text derived from a hash of the prompt, so the same prompt always
+ * produces the same answer.
+ */
+
+const crypto = require('crypto');
+
+class StubProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.response - Fixed response for every prompt
+     * @param {number} options.charsPerToken - Characters per token for estimates
+     */
+    constructor(options) {
+        this.name = 'stub';
+        this.options = options;
+    }
+
+    /**
+     * Nothing to set up
+     */
+    async initialize() {}
+
+    /**
+     * Generate a deterministic response
+     * @param {Object} request - Request
+     * @param {string} request.prompt - Prompt text
+     * @param {Object} request.media - Optional media { mimetype, data (base64) }
+     * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens } }
+     */
+    async generate(request) {
+        const hash = crypto.createHash('sha256')
+            .update(request.prompt)
+            .update(request.media ? request.media.data : '')
+            .digest('hex')
+            .substring(0, 8);
+
+        const text = this.options.response || (request.media
+            ? `Stub description of ${request.media.mimetype.split(';')[0]} (${hash})`
+            : `• Stub response to a ${request.prompt.length}-character prompt (${hash})`);
+
+        return {
+            text,
+            model: 'stub',
+            usage: {
+                inputTokens: await this.countTokens(request.prompt),
+                outputTokens: await this.countTokens(text)
+            }
+        };
+    }
+
+    /**
+     * Estimate the tokens of a text
+     * @param {string} text - Text to measure
+     * @returns {Promise<number>} Estimated token count
+     */
+    async countTokens(text) {
+        return Math.ceil((text || '').length / this.options.charsPerToken);
+    }
+
+    /**
+     * Accept any media
+     * @returns {boolean} Always true
+     */
+    supportsMedia() {
+        return true;
+    }
+
+    /**
+     * Describe the stub model
+     * @returns {Object} Model info
+     */
+    getModelInfo() {
+        return { provider: this.name, model: 'stub' };
+    }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,295 @@
+/**
+ * Maintenance Service for WhatsApp to Telegram Bot
+ *
+ * This module enforces the retention policy from the database.cleanup config
+ * block. On every cleanup interval it deletes messages older than
+ * retentionDays, optionally archiving them to gzip-compressed JSONL files
+ * first, compacts the database and reports what it did to the status group.
+ * Runs are recorded in the database and the next one is scheduled from the
+ * last, so a bot that restarts more often than the interval still cleans up.
+ *
+ * Features:
+ * - Background cleanup every cleanupIntervalHours, counted across restarts
+ * - Optional archive of deleted messages (one JSON object per line, gzipped)
+ * - Removal of downloaded media belonging to deleted messages
+ * - VACUUM and PRAGMA optimize after each cleanup
+ * - Run report sent to the Telegram status group
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const moment = require('moment');
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+const telegramService = require('./telegram');
+
+const BATCH_SIZE = 500;
+
+// Shortest wait after startup before a due cleanup runs, to stay out of the way of startup work
+const STARTUP_DELAY_MS = 5 * 60 * 1000;
+
+class MaintenanceService {
+    constructor() {
+        this.timer = null;
+        this.isRunning = false;
+        this.lastRun = null;
+    }
+
+    /**
+     * Start the periodic cleanup job
+     * The first run is due one interval after the last recorded run, or soon after startup if that has passed.
+     */
+    async initialize() {
+        if (config.get('database.cleanup.enabled') === false) {
+            logger.info('Database maintenance disabled');
+            return;
+        }
+
+        const intervalMs = (config.get('database.cleanup.cleanupIntervalHours') || 24) * 60 * 60 * 1000;
+        const lastRun = await databaseService.getLastMaintenanceRun();
+        const dueInMs = lastRun
+            ? moment.utc(lastRun.finished_at, 'YYYY-MM-DD HH:mm:ss').valueOf() + intervalMs - Date.now()
+            : 0;
+        const delayMs = Math.max(dueInMs, STARTUP_DELAY_MS);
+
+        this.scheduleRun(delayMs, intervalMs);
+
+        logger.info('Database maintenance scheduled', {
+            intervalHours: intervalMs / (60 * 60 * 1000),
+            lastRun: lastRun ? lastRun.finished_at : null,
+            nextRun: moment().add(delayMs, 'ms').format('YYYY-MM-DD HH:mm'),
+            retentionDays: config.get('database.cleanup.retentionDays') || 30,
+            archive: config.get('database.cleanup.archive.enabled') === true
+        });
+    }
+
+    /**
+     * Run cleanup after a delay, then every interval
+     * @param {number} delayMs - Time until the next run
+     * @param {number} intervalMs - Time between later runs
+     */
+    scheduleRun(delayMs, intervalMs) {
+        this.timer = setTimeout(async () => {
+            await this.run();
+            if (this.timer) {
+                this.scheduleRun(intervalMs, intervalMs);
+            }
+        }, delayMs);
+    }
+
+    /**
+     * Run one cleanup pass and report it to the status group
+     * @returns {Promise<Object|null>} Run report, or null if a run was already in progress
+     */
+    async run() {
+        if (this.isRunning) {
+            logger.warn('Database maintenance already running, skipping');
+            return null;
+        }
+
+        this.isRunning = true;
+        const startedAt = Date.now();
+
+        try {
+            const cutoffDate = databaseService.getRetentionCutoff();
+            const sizeBefore = databaseService.getDatabaseSize();
+
+            const report = await this.cleanupMessages(cutoffDate);
+
+            if (config.get('database.cleanup.optimize') !== false) {
+                await databaseService.optimize();
+            }
+
+            report.cutoffDate = cutoffDate;
+            report.sizeBefore = sizeBefore;
+            report.sizeAfter = databaseService.getDatabaseSize();
+            report.durationMs = Date.now() - startedAt;
+            this.lastRun = { ...report, finishedAt: new Date().toISOString() };
+            await databaseService.recordMaintenanceRun(report);
+
+            logger.info('Database maintenance completed', report);
+            await telegramService.sendStatusUpdate(this.formatReport(report));
+            return report;
+        } catch (error) {
+            logger.error('Database maintenance failed', error);
+            await telegramService.sendStatusUpdate(`❌ Database maintenance failed: ${error.message}`);
+            return null;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Archive (if enabled) and delete messages older than the cutoff date
+     * Only the messages that were read for the archive are deleted, so messages
+     * arriving during the run are never removed without being archived.
+     * @param {string} cutoffDate - Cutoff date (YYYY-MM-DD)
+     * @returns {Promise<Object>} { deletedCount, archivePath, mediaFilesRemoved }
+     */
+    async cleanupMessages(cutoffDate) {
+        const archive = config.get('database.cleanup.archive.enabled') === true
+            ? this.createArchive(cutoffDate)
+            : null;
+
+        const mediaPaths = [];
+        let lastId = 0;
+        let archivedCount = 0;
+
+        try {
+            for (;;) {
+                const messages = await databaseService.getMessagesBefore(cutoffDate, lastId, BATCH_SIZE);
+                if (messages.length === 0) {
+                    break;
+                }
+
+                if (archive) {
+                    for (const message of messages) {
+                        await archive.write(message);
+                    }
+                }
+
+                messages.forEach(message => {
+                    if (message.media_path) {
+                        mediaPaths.push(message.media_path);
+                    }
+                });
+
+                archivedCount += messages.length;
+                lastId = messages[messages.length - 1].id;
+            }
+        } catch (error) {
+            if (archive) {
+                await archive.close(false).catch(() => {});
+            }
+            throw error;
+        }
+
+        if (archive) {
+            await archive.close(archivedCount > 0);
+        }
+
+        if (lastId === 0) {
+            return { deletedCount: 0, archivePath: null, mediaFilesRemoved: 0 };
+        }
+
+        const result = await databaseService.cleanupOldMessages({ cutoffDate, maxId: lastId });
+
+        return {
+            deletedCount: result.changes,
+            archivePath: archive ? archive.path : null,
+            mediaFilesRemoved: this.removeMediaFiles(mediaPaths)
+        };
+    }
+
+    /**
+     * Open a gzip-compressed JSONL archive file
+     * The file is written under a temporary name and only renamed once complete.
+     * @param {string} cutoffDate - Cutoff date (YYYY-MM-DD), used in the file name
+     * @returns {Object} Archive { path, write(row), close(keep) }
+     */
+    createArchive(cutoffDate) {
+        const directory = config.get('database.cleanup.archive.directory') || './data/archive';
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+
+        const archivePath = path.join(directory, `messages-before-${cutoffDate}-${moment().format('YYYYMMDD-HHmmss')}.jsonl.gz`);
+        const partialPath = `${archivePath}.partial`;
+
+        const gzip = zlib.createGzip();
+        const done = pipeline(gzip, fs.createWriteStream(partialPath));
+
+        return {
+            path: archivePath,
+
+            async write(row) {
+                if (!gzip.write(`${JSON.stringify(row)}\n`)) {
+                    await once(gzip, 'drain');
+                }
+            },
+
+            async close(keep) {
+                gzip.end();
+                try {
+                    await done;
+                } catch (error) {
+                    if (fs.existsSync(partialPath)) {
+                        fs.unlinkSync(partialPath);
+                    }
+                    throw error;
+                }
+
+                if (keep) {
+                    fs.renameSync(partialPath, archivePath);
+                    logger.database('Messages archived', { archivePath });
+                } else {
+                    fs.unlinkSync(partialPath);
+                }
+            }
+        };
+    }
+
+    /**
+     * Delete downloaded media files of removed messages
+     * @param {Array<string>} mediaPaths - File paths
+     * @returns {number} Number of files removed
+     */
+    removeMediaFiles(mediaPaths) {
+        let removed = 0;
+
+        for (const filePath of mediaPaths) {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                    removed++;
+                }
+            } catch (error) {
+                logger.warn('Could not remove media file', { filePath, error: error.message });
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Format a run report for the status group
+     * @param {Object} report - Run report
+     * @returns {string} Status message
+     */
+    formatReport(report) {
+        const toMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+
+        let message = '🧹 Database maintenance completed\n';
+        message += `• Messages before ${report.cutoffDate} deleted: ${report.deletedCount}\n`;
+        if (report.archivePath) {
+            message += `• Archived to: ${path.basename(report.archivePath)}\n`;
+        }
+        if (report.mediaFilesRemoved > 0) {
+            message += `• Media files removed: ${report.mediaFilesRemoved}\n`;
+        }
+        message += `• Database size: ${toMB(report.sizeBefore)} MB → ${toMB(report.sizeAfter)} MB\n`;
+        message += `• Duration: ${(report.durationMs / 1000).toFixed(1)}s`;
+
+        return message;
+    }
+
+    /**
+     * Stop the periodic cleanup job
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        logger.info('Database maintenance stopped');
+    }
+}
+
+// Create singleton instance
+const maintenanceService = new MaintenanceService();
+
+module.exports = maintenanceService;
@@ -0,0 +1,214 @@
+/**
+ * Media Service for WhatsApp to Telegram Bot
+ *
+ * This module captures the media attached to WhatsApp messages (images, voice
+ * notes, documents...). Media metadata is stored with the message, the file
+ * itself can be saved to a local directory, and a chain of pluggable processors
+ * turns media into text (a transcription or a description) so it can be part
+ * of summaries.
+ *
+ * Features:
+ * - Media type, filename, mimetype and caption extraction
+ * - Optional download to a configurable directory
+ * - Pluggable transcription/description processors
+ * - Opt-in LLM processor for voice notes, audio and images (whatsapp.media.describe.enabled)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const config = require('../config');
+const logger = require('../utils/logger');
+const geminiService = require('./gemini');
+const usageService = require('./usage');
+
+class MediaService {
+    constructor() {
+        this.processors = [];
+        this.directory = config.get('whatsapp.media.directory') || './data/media';
+        this.maxSizeBytes = (config.get('whatsapp.media.maxSizeMB') || 16) * 1024 * 1024;
+
+        // The configured LLM handles the media types listed in whatsapp.media.describe.types, if it accepts them
+        this.registerProcessor({
+            name: 'llm',
+            supports: (mediaType, mimetype) => {
+                const types = config.get('whatsapp.media.describe.types') || ['ptt', 'audio', 'image'];
+                return types.includes(mediaType) && geminiService.supportsMedia(mimetype);
+            },
+            process: (media, messageData) => {
+                const isAudio = messageData.mediaType === 'ptt' || messageData.mediaType === 'audio';
+                const prompt = isAudio
+                    ? config.get('gemini.prompts.mediaTranscription') || 'Transcribe this voice message word for word in its original language. Reply with the transcription only.'
+                    : config.get('gemini.prompts.mediaDescription') || 'Describe this image in one or two sentences, in the language of any text it contains. Include any dates, times or instructions it shows.';
+
+                return geminiService.generateTextFromMedia(prompt, media);
+            }
+        });
+    }
+
+    /**
+     * Register a transcription/description processor
+     * Processors are tried in registration order; the first one that supports
+     * a message's media type produces its description.
+     * @param {Object} processor - Processor definition
+     * @param {string} processor.name - Name used in logs
+     * @param {Function} processor.supports - (mediaType, mimetype) => boolean
+     * @param {Function} processor.process - (media, messageData) => Promise<string>, media is { mimetype, data (base64), filename }
+     */
+    registerProcessor(processor) {
+        this.processors.push(processor);
+        logger.info('Media processor registered', { name: processor.name });
+    }
+
+    /**
+     * Extract media metadata from a WhatsApp message
+     * @param {Object} message - WhatsApp message object
+     * @returns {Object} { mediaType, mediaFilename, mediaMimetype, mediaCaption }, all null for text messages
+     */
+    getMediaInfo(message) {
+        if (!message.hasMedia) {
+            return { mediaType: null, mediaFilename: null, mediaMimetype: null, mediaCaption: null };
+        }
+
+        const data = message._data || {};
+        return {
+            mediaType: message.type,
+            mediaFilename: data.filename || null,
+            mediaMimetype: data.mimetype || null,
+            mediaCaption: data.caption || message.body || null
+        };
+    }
+
+    /**
+     * Check whether a message's media has to be downloaded at all
+     * @param {Object} messageData - Message data object
+     * @returns {boolean} True if the file is saved or described
+     */
+    needsDownload(messageData) {
+        return config.get('whatsapp.media.download') === true || this.shouldDescribe(messageData);
+    }
+
+    /**
+     * Check whether a message's media should be described
+     * Off unless enabled in config, since every description is a paid LLM call.
+     * @param {Object} messageData - Message data object
+     * @returns {boolean} True if a processor supports it and description is enabled
+     */
+    shouldDescribe(messageData) {
+        return config.get('whatsapp.media.describe.enabled') === true && !!this.findProcessor(messageData);
+    }
+
+    /**
+     * Find the first processor supporting a message's media
+     * @param {Object} messageData - Message data object
+     * @returns {Object|undefined} Processor
+     */
+    findProcessor(messageData) {
+        return this.processors.find(processor => processor.supports(messageData.mediaType, messageData.mediaMimetype));
+    }
+
+    /**
+     * Download, save and describe the media of a message
+     * Failures are logged and leave the message without a file or description.
+     * @param {Object} message - WhatsApp message object
+     * @param {Object} messageData - Message data object, updated with mediaPath and mediaDescription
+     * @returns {Promise<Object>} The updated message data
+     */
+    async captureMedia(message, messageData) {
+        if (!messageData.mediaType || !this.needsDownload(messageData)) {
+            return messageData;
+        }
+
+        const size = (message._data && message._data.size) || 0;
+        if (size > this.maxSizeBytes) {
+            logger.whatsapp('Media too large, skipping download', { messageId: messageData.waMessageId, size });
+            return messageData;
+        }
+
+        try {
+            const media = await message.downloadMedia();
+            if (!media || !media.data) {
+                logger.warn('Media not available for download', { messageId: messageData.waMessageId });
+                return messageData;
+            }
+
+            if (config.get('whatsapp.media.download') === true) {
+                messageData.mediaPath = this.saveMedia(media, messageData);
+            }
+
+            if (this.shouldDescribe(messageData)) {
+                messageData.mediaDescription = await this.describeMedia(media, messageData);
+            }
+        } catch (error) {
+            logger.error('Error capturing media', { messageId: messageData.waMessageId, mediaType: messageData.mediaType, error: error.message });
+        }
+
+        return messageData;
+    }
+
+    /**
+     * Write media to the media directory, one folder per day
+     * @param {Object} media - Downloaded media { mimetype, data (base64), filename }
+     * @param {Object} messageData - Message data object
+     * @returns {string} Path of the saved file
+     */
+    saveMedia(media, messageData) {
+        const dayDir = path.join(this.directory, moment(messageData.timestamp).format('YYYY-MM-DD'));
+        if (!fs.existsSync(dayDir)) {
+            fs.mkdirSync(dayDir, { recursive: true });
+        }
+
+        const safeId = messageData.waMessageId.replace(/[^\w.-]/g, '_');
+        const filePath = path.join(dayDir, `${safeId}.${this.getExtension(media)}`);
+        fs.writeFileSync(filePath, Buffer.from(media.data, 'base64'));
+
+        logger.whatsapp('Media saved', { messageId: messageData.waMessageId, filePath });
+        return filePath;
+    }
+
+    /**
+     * Pick a file extension for downloaded media
+     * @param {Object} media - Downloaded media { mimetype, filename }
+     * @returns {string} Extension without the dot
+     */
+    getExtension(media) {
+        const fromName = media.filename ? path.extname(media.filename).slice(1) : '';
+        if (fromName) {
+            return fromName;
+        }
+
+        const subtype = (media.mimetype || '').split('/')[1] || '';
+        const extension = subtype.split(';')[0].trim();
+        return /^[a-z0-9]{1,5}$/i.test(extension) ? extension : 'bin';
+    }
+
+    /**
+     * Run the first supporting processor over downloaded media
+     * @param {Object} media - Downloaded media { mimetype, data (base64), filename }
+     * @param {Object} messageData - Message data object
+     * @returns {Promise<string|null>} Transcription or description
+     */
+    async describeMedia(media, messageData) {
+        const processor = this.findProcessor(messageData);
+        if (!processor) {
+            return null;
+        }
+
+        const description = await usageService.run({ operation: 'media', chatId: messageData.chatId }, () =>
+            processor.process(media, messageData)
+        );
+        logger.whatsapp('Media described', {
+            messageId: messageData.waMessageId,
+            mediaType: messageData.mediaType,
+            processor: processor.name,
+            length: description ? description.length : 0
+        });
+
+        return description ? description.trim() : null;
+    }
+}
+
+// Create singleton instance
+const mediaService = new MediaService();
+
+module.exports = mediaService;
@@ -0,0 +1,149 @@
+/**
+ * Migration Service for WhatsApp to Telegram Bot
+ *
+ * This module evolves the SQLite schema of existing deployments. Migrations
+ * live in src/migrations as numbered files (NNN_name.js) exporting
+ * { version, name, up(db) }. The schema_version table records which ones have
+ * been applied; pending migrations run in order, each inside its own
+ * transaction together with its schema_version row.
+ *
+ * Migrations must be idempotent: databases created before versioning existed
+ * start at version 0 and replay every migration over whatever tables they
+ * already have.
+ *
+ * Features:
+ * - schema_version bookkeeping
+ * - Ordered, transactional up-migrations
+ * - Dry run listing pending migrations without touching the database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+class MigrationService {
+    constructor() {
+        this.migrations = null;
+    }
+
+    /**
+     * Load migration definitions, sorted by version
+     * @returns {Array<Object>} Migrations { version, name, up }
+     */
+    loadMigrations() {
+        if (this.migrations) {
+            return this.migrations;
+        }
+
+        const migrations = fs.readdirSync(MIGRATIONS_DIR)
+            .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+            .map(file => {
+                const migration = require(path.join(MIGRATIONS_DIR, file));
+                if (migration.version !== parseInt(file)) {
+                    throw new Error(`Migration ${file} declares version ${migration.version}`);
+                }
+                return migration;
+            })
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migration.version === migrations[index - 1].version) {
+                throw new Error(`Duplicate migration version ${migration.version}`);
+            }
+        });
+
+        this.migrations = migrations;
+        return migrations;
+    }
+
+    /**
+     * Get the latest applied schema version
+     * @param {Object} db - Database service
+     * @returns {Promise<number>} Schema version, 0 if none was applied
+     */
+    async getCurrentVersion(db) {
+        const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+        if (!table) {
+            return 0;
+        }
+
+        const row = await db.get('SELECT MAX(version) AS version FROM schema_version');
+        return row.version || 0;
+    }
+
+    /**
+     * Get migrations that have not been applied yet
+     * @param {Object} db - Database service
+     * @returns {Promise<Array<Object>>} Pending migrations in order
+     */
+    async getPendingMigrations(db) {
+        const currentVersion = await this.getCurrentVersion(db);
+        const migrations = this.loadMigrations();
+        const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+        if (currentVersion > latestVersion) {
+            logger.warn('Database schema is newer than this version of the bot', { currentVersion, latestVersion });
+        }
+
+        return migrations.filter(migration => migration.version > currentVersion);
+    }
+
+    /**
+     * Apply pending migrations
+     * @param {Object} db - Database service
+     * @param {Object} options - Options
+     * @param {boolean} options.dryRun - Only report pending migrations
+     * @returns {Promise<Array<Object>>} Migrations that were (or would be) applied
+     */
+    async migrate(db, options = {}) {
+        const pending = await this.getPendingMigrations(db);
+
+        if (options.dryRun || pending.length === 0) {
+            return pending;
+        }
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        for (const migration of pending) {
+            await this.apply(db, migration);
+        }
+
+        logger.database('Database schema up to date', { version: pending[pending.length - 1].version, applied: pending.length });
+        return pending;
+    }
+
+    /**
+     * Apply one migration in a transaction
+     * @param {Object} db - Database service
+     * @param {Object} migration - Migration definition
+     */
+    async apply(db, migration) {
+        logger.database('Applying migration', { version: migration.version, name: migration.name });
+
+        await db.run('BEGIN IMMEDIATE');
+        try {
+            await migration.up(db);
+            await db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK').catch(rollbackError => {
+                logger.error('Error rolling back migration', { version: migration.version, error: rollbackError.message });
+            });
+            logger.error('Migration failed', { version: migration.version, name: migration.name, error: error.message });
+            throw error;
+        }
+    }
+}
+
+// Create singleton instance
+const migrationService = new MigrationService();
+
+module.exports = migrationService;
@@ -0,0 +1,95 @@
+/**
+ * Question Service for WhatsApp to Telegram Bot
+ *
+ * This module answers free-form questions about a group's history
+ * ("when is the parent meeting?"). It retrieves the stored messages most
+ * likely to contain the answer, adds the latest messages for context and asks
+ * Gemini to answer with citations to the sender and time of each message used.
+ *
+ * Features:
+ * - Keyword retrieval from the messages table
+ * - Recent messages included for context
+ * - Answers with sender/timestamp citations
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+const geminiService = require('./gemini');
+const usageService = require('./usage');
+
+// Common words that carry no meaning for retrieval
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'was', 'were', 'what', 'when', 'where', 'who', 'why', 'how',
+    'which', 'is', 'does', 'did', 'can', 'will', 'about', 'with', 'this', 'that', 'there',
+    'have', 'has', 'any', 'from', 'our', 'you', 'your', 'they', 'them'
+]);
+
+class QuestionService {
+    /**
+     * Extract search keywords from a question
+     * @param {string} question - Question text
+     * @returns {Array<string>} Distinct keywords
+     */
+    extractKeywords(question) {
+        const words = (question.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(word => word.length >= 3 && !STOP_WORDS.has(word));
+
+        return Array.from(new Set(words));
+    }
+
+    /**
+     * Retrieve the messages used to answer a question
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} question - Question text
+     * @returns {Promise<Array>} Messages in chronological order
+     */
+    async retrieveMessages(chatId, question) {
+        const maxRelevant = config.get('gemini.questionAnswering.maxRelevantMessages') || 150;
+        const recentCount = config.get('gemini.questionAnswering.recentMessages') || 50;
+
+        const keywords = this.extractKeywords(question);
+        const relevant = await databaseService.findMessagesByKeywords(chatId, keywords, maxRelevant);
+        const recent = await databaseService.getRecentMessages(chatId, recentCount);
+
+        // Merge both sets without duplicates, oldest first
+        const byId = new Map();
+        [...relevant, ...recent].forEach(message => byId.set(message.id, message));
+
+        return Array.from(byId.values())
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Answer a question about a group's history
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} question - Question text
+     * @returns {Promise<Object>} Result with answer and messageCount
+     */
+    async answer(chatId, question) {
+        const messages = await this.retrieveMessages(chatId, question);
+
+        if (messages.length === 0) {
+            return { answer: null, messageCount: 0 };
+        }
+
+        const basePrompt = config.get('gemini.prompts.questionAnswering') ||
+            'Answer the question below using only the WhatsApp messages that follow. Respond in the language of the question. Cite the messages your answer relies on as (sender, YYYY-MM-DD HH:mm). If the messages do not contain the answer, say so plainly instead of guessing.';
+
+        const prompt = `${basePrompt}\n\nQuestion: ${question}`;
+        const groupName = await databaseService.getGroupName(chatId);
+
+        logger.info('Answering question', { chatId, groupName, question, messageCount: messages.length });
+
+        const answer = await usageService.run({ operation: 'question', chatId }, () =>
+            geminiService.generateCustomAnalysis(messages, prompt, { group: groupName }, { includeDate: true })
+        );
+
+        return { answer, messageCount: messages.length };
+    }
+}
+
+// Create singleton instance
+const questionService = new QuestionService();
+
+module.exports = questionService;
@@ -0,0 +1,176 @@
+/**
+ * Scheduler Service for WhatsApp to Telegram Bot
+ *
+ * This module delivers daily digests without anyone having to run /summarize.
+ * Each schedule stored in the digest_schedules table gets its own cron job
+ * that summarizes one monitored group and pushes the result to a Telegram chat.
+ *
+ * Features:
+ * - Per-group delivery time persisted in SQLite
+ * - Digest of the current or the previous day
+ * - Jobs registered and removed at runtime from the /schedule command
+ * - Optional timezone for all schedules
+ */
+
+const cron = require('node-cron');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { nowInTimezone } = require('../utils/timezone');
+const databaseService = require('./database');
+const summaryService = require('./summary');
+const telegramService = require('./telegram');
+
+class SchedulerService {
+    constructor() {
+        this.jobs = new Map(); // schedule ID -> cron task
+        this.isInitialized = false;
+        this.timezone = config.get('scheduler.timezone') || undefined;
+    }
+
+    /**
+     * Load stored schedules and register their cron jobs
+     */
+    async initialize() {
+        try {
+            if (config.get('scheduler.enabled') === false) {
+                logger.info('Digest scheduler disabled');
+                return;
+            }
+
+            const schedules = await databaseService.getDigestSchedules();
+            schedules.forEach(schedule => this.registerJob(schedule));
+
+            this.isInitialized = true;
+            logger.info('Digest scheduler initialized', { schedules: schedules.length, timezone: this.timezone });
+        } catch (error) {
+            logger.error('Digest scheduler initialization failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Validate a delivery time
+     * @param {string} time - Time string
+     * @returns {boolean} True if the time is a valid HH:mm value
+     */
+    isValidTime(time) {
+        return /^([01]?\d|2[0-3]):[0-5]\d$/.test(time);
+    }
+
+    /**
+     * Register the cron job for a schedule
+     * @param {Object} schedule - Row from digest_schedules
+     */
+    registerJob(schedule) {
+        this.unregisterJob(schedule.id);
+
+        const [hours, minutes] = schedule.time.split(':').map(part => parseInt(part));
+        const cronExpression = `${minutes} ${hours} * * *`;
+
+        const job = cron.schedule(cronExpression, async () => {
+            await this.runSchedule(schedule);
+        }, {
+            name: `digest-${schedule.id}`,
+            timezone: this.timezone,
+            noOverlap: true
+        });
+
+        this.jobs.set(schedule.id, job);
+        logger.info('Digest job registered', { id: schedule.id, chatId: schedule.chat_id, time: schedule.time });
+    }
+
+    /**
+     * Stop and forget the cron job for a schedule
+     * @param {number} id - Schedule ID
+     */
+    unregisterJob(id) {
+        const job = this.jobs.get(id);
+        if (job) {
+            job.destroy();
+            this.jobs.delete(id);
+        }
+    }
+
+    /**
+     * Create a schedule and start its job
+     * @param {Object} schedule - Schedule definition (see DatabaseService.createDigestSchedule)
+     * @returns {Promise<Object>} Stored schedule
+     */
+    async addSchedule(schedule) {
+        if (!this.isValidTime(schedule.time)) {
+            throw new Error(`Invalid time: ${schedule.time}`);
+        }
+
+        const result = await databaseService.createDigestSchedule(schedule);
+        const stored = await databaseService.getDigestSchedule(result.id);
+        this.registerJob(stored);
+        return stored;
+    }
+
+    /**
+     * Delete a schedule and stop its job
+     * @param {number} id - Schedule ID
+     * @returns {Promise<boolean>} True if a schedule was removed
+     */
+    async removeSchedule(id) {
+        this.unregisterJob(id);
+        const result = await databaseService.deleteDigestSchedule(id);
+        return result.changes > 0;
+    }
+
+    /**
+     * Get all stored schedules
+     * @returns {Promise<Array>} Schedules array
+     */
+    async listSchedules() {
+        return databaseService.getDigestSchedules();
+    }
+
+    /**
+     * Summarize the scheduled day and deliver it to the target chat
+     * @param {Object} schedule - Row from digest_schedules
+     */
+    async runSchedule(schedule) {
+        // The job fires in the configured timezone, so the day must be taken from it too
+        const date = nowInTimezone(this.timezone).subtract(schedule.day_offset || 0, 'days').format('YYYY-MM-DD');
+
+        let groupName = schedule.group_name || schedule.chat_id;
+
+        try {
+            // Look the name up on every run, the group may have been renamed since the job was registered
+            groupName = await databaseService.getGroupName(schedule.chat_id);
+            logger.info('Running digest schedule', { id: schedule.id, chatId: schedule.chat_id, groupName, date });
+
+            const result = await summaryService.getSummary(schedule.chat_id, date, date);
+            await telegramService.sendDigest(schedule.target_chat_id, groupName, date, result);
+            await databaseService.markDigestScheduleRun(schedule.id);
+
+            logger.info('Digest delivered', {
+                id: schedule.id,
+                groupName,
+                date,
+                messageCount: result.messageCount,
+                cached: result.cached
+            });
+        } catch (error) {
+            logger.error('Error running digest schedule', { id: schedule.id, chatId: schedule.chat_id, groupName, date, error });
+            await telegramService.sendStatusUpdate(`❌ Scheduled digest failed for ${groupName} (${date}): ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop all digest jobs
+     */
+    stop() {
+        for (const id of Array.from(this.jobs.keys())) {
+            this.unregisterJob(id);
+        }
+        this.isInitialized = false;
+        logger.info('Digest scheduler stopped');
+    }
+}
+
+// Create singleton instance
+const schedulerService = new SchedulerService();
+
+module.exports = schedulerService;
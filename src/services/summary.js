@@ -0,0 +1,125 @@
+/**
+ * Summary Service for WhatsApp to Telegram Bot
+ *
+ * This module sits between the callers that need a summary (Telegram commands,
+ * scheduled jobs) and the Gemini AI service. Generated summaries are stored in
+ * the summaries table and served from there on repeat lookups, so the same
+ * group and date is only sent to Gemini once until new messages arrive.
+ *
+ * Features:
+ * - Cached summary lookup by group chat ID and date range
+ * - Generation and storage on cache miss
+ * - Forced regeneration on demand
+ * - Uncached rolling windows (e.g. last 24 hours)
+ * - New summaries blocked once the monthly LLM budget is used up
+ */
+
+const moment = require('moment');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+const geminiService = require('./gemini');
+const usageService = require('./usage');
+
+class SummaryService {
+    /**
+     * Build the summaries table key for a date range
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {string} Single date, or "start..end" for multi-day ranges
+     */
+    getCacheKey(startDate, endDate) {
+        return startDate === endDate ? startDate : `${startDate}..${endDate}`;
+    }
+
+    /**
+     * Get a summary for a group and date range, generating it if it is not cached
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD), defaults to the start date
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.forceRefresh - Ignore any stored summary and regenerate
+     * @returns {Promise<Object>} Result with summary, messageCount, cached and createdAt
+     */
+    async getSummary(chatId, startDate, endDate = startDate, options = {}) {
+        const { forceRefresh = false } = options;
+        const cacheKey = this.getCacheKey(startDate, endDate);
+
+        if (forceRefresh) {
+            await databaseService.deleteSummary(chatId, cacheKey);
+        } else {
+            const stored = await databaseService.getSummary(chatId, cacheKey);
+            if (stored) {
+                logger.info('Serving cached summary', { chatId, date: cacheKey, messageCount: stored.message_count });
+                return {
+                    summary: stored.summary,
+                    messageCount: stored.message_count,
+                    cached: true,
+                    createdAt: stored.created_at
+                };
+            }
+        }
+
+        const messages = await databaseService.getMessagesByGroupAndDate(chatId, startDate, endDate);
+        const dateLabel = startDate === endDate ? startDate : `${startDate} to ${endDate}`;
+        const result = await this.summarizeMessages(messages, chatId, dateLabel);
+
+        if (result.summary) {
+            await databaseService.storeSummary(chatId, cacheKey, result.summary, result.messageCount);
+        }
+
+        return result;
+    }
+
+    /**
+     * Summarize a rolling window ending now (never cached, the window moves)
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {number} hours - Window length in hours
+     * @returns {Promise<Object>} Result with summary, messageCount, cached and createdAt
+     */
+    async getRollingSummary(chatId, hours) {
+        const until = moment();
+        const since = until.clone().subtract(hours, 'hours');
+        const messages = await databaseService.getMessagesByGroupAndTimeRange(
+            chatId,
+            since.format('YYYY-MM-DD HH:mm:ss'),
+            until.format('YYYY-MM-DD HH:mm:ss')
+        );
+
+        const dateLabel = `${since.format('YYYY-MM-DD HH:mm')} to ${until.format('YYYY-MM-DD HH:mm')}`;
+        return this.summarizeMessages(messages, chatId, dateLabel);
+    }
+
+    /**
+     * Run Gemini over a set of messages
+     * @param {Array} messages - Messages to summarize
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} dateLabel - Human-readable period passed to the prompt
+     * @returns {Promise<Object>} Result with summary, messageCount, cached and createdAt
+     */
+    async summarizeMessages(messages, chatId, dateLabel) {
+        if (!messages || messages.length === 0) {
+            return { summary: null, messageCount: 0, cached: false, createdAt: null };
+        }
+
+        await usageService.assertWithinBudget();
+
+        // The prompt uses the group's current name, whatever it was called when the messages were sent
+        const groupName = await databaseService.getGroupName(chatId);
+
+        const summary = await usageService.run({ operation: 'summary', chatId }, () =>
+            geminiService.generateSummary(messages, groupName, dateLabel)
+        );
+
+        return {
+            summary: summary || null,
+            messageCount: messages.length,
+            cached: false,
+            createdAt: null
+        };
+    }
+}
+
+// Create singleton instance
+const summaryService = new SummaryService();
+
+module.exports = summaryService;
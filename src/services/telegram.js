@@ -6,26 +6,35 @@
  * services for message processing and summarization.
  * 
  * Features:
- * - User authentication (only allows 'dansi' username)
+ * - User authentication with admin and viewer roles
  * - Inline button navigation for group and date selection
  * - Message summarization and homework extraction
  * - Status reporting to designated group
  * - Error handling and user feedback
  * - Integration with database and Gemini AI services
+ * - Long polling or webhook delivery of Telegram updates
+ * - Importing WhatsApp chat exports sent as documents
  */
 
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 const moment = require('moment');
 const config = require('../config');
 const logger = require('../utils/logger');
 const databaseService = require('./database');
 const geminiService = require('./gemini');
+const userService = require('./users');
+const usageService = require('./usage');
+const { MAX_MESSAGE_LENGTH, getFormatter, renderChunks } = require('../utils/telegramFormat');
+
+// Multi-part summaries whose extra parts are remembered for removal on regenerate
+const MAX_TRACKED_SUMMARIES = 200;
 
 class TelegramService {
     constructor() {
         this.bot = null;
+        this.webhook = null;
         this.isInitialized = false;
-        this.allowedUsername = config.get('telegram.allowedUsername') || 'dansi';
         this.statusGroupId = config.get('telegram.statusGroupId');
         this.userStates = new Map(); // Track user interaction states
         this.maxGroupsPerPage = config.get('telegram.inlineButtons.maxGroupsPerPage') || 5;
@@ -33,6 +42,9 @@ class TelegramService {
         this.userGroupMapping = {}; // Store group mapping for this user's session
         this.userPaginationState = {}; // Store pagination state for each user
         this.userMessageIds = {}; // Store message IDs for each user
+        this.summaryParts = new Map(); // Extra message IDs of recent multi-part summaries
+        this.userSearchState = {}; // Store the last search of each user for pagination
+        this.maxSearchResultsPerPage = config.get('telegram.inlineButtons.maxSearchResultsPerPage') || 5;
     }
 
     /**
@@ -47,11 +59,16 @@ class TelegramService {
                 throw new Error('Telegram bot token not configured');
             }
 
-            this.bot = new TelegramBot(botToken, { polling: true });
+            this.webhook = this.getWebhookConfig();
+            this.bot = new TelegramBot(botToken, { polling: !this.webhook });
 
             // Set up event handlers
             this.setupEventHandlers();
 
+            if (this.webhook) {
+                await this.startWebhook();
+            }
+
             this.isInitialized = true;
             logger.telegram('Telegram bot service initialized successfully');
         } catch (error) {
@@ -60,39 +77,166 @@ class TelegramService {
         }
     }
 
+    /**
+     * Read the webhook settings
+     * Without a configured secret token a random one is generated on every
+     * start; it only has to match between setWebHook and incoming requests.
+     * @returns {Object|null} { url, path, secretToken }, or null to use polling
+     */
+    getWebhookConfig() {
+        const webhook = config.get('telegram.webhook') || {};
+        if (!webhook.url) {
+            return null;
+        }
+
+        const secretToken = webhook.secretToken || crypto.randomBytes(32).toString('hex');
+        if (!/^[A-Za-z0-9_-]{1,256}$/.test(secretToken)) {
+            throw new Error('Telegram webhook secret token may only contain A-Z, a-z, 0-9, _ and - (1-256 characters)');
+        }
+
+        const path = webhook.path.startsWith('/') ? webhook.path : `/${webhook.path}`;
+        return {
+            url: `${webhook.url.replace(/\/+$/, '')}${path}`,
+            path,
+            secretToken
+        };
+    }
+
+    /**
+     * Receive updates through the shared HTTP server and register the webhook with Telegram
+     */
+    async startWebhook() {
+        const httpService = require('./http');
+        httpService.route('POST', this.webhook.path, (req, res, body) => this.handleWebhookRequest(req, res, body));
+
+        await this.bot.setWebHook(this.webhook.url, { secret_token: this.webhook.secretToken });
+
+        logger.telegram('Telegram webhook registered', { url: this.webhook.url });
+    }
+
+    /**
+     * Handle an update posted by Telegram to the webhook
+     * Requests without the secret token are rejected before they reach any handler.
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {Buffer} body - Request body
+     */
+    handleWebhookRequest(req, res, body) {
+        const httpService = require('./http');
+        const received = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''));
+        const expected = Buffer.from(this.webhook.secretToken);
+
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            logger.warn('Rejected Telegram webhook request with invalid secret token', { ip: req.socket.remoteAddress });
+            httpService.sendJson(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+
+        let update;
+        try {
+            update = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            httpService.sendJson(res, 400, { error: 'Invalid JSON' });
+            return;
+        }
+
+        // Acknowledge first so slow handlers (summaries) don't make Telegram resend the update
+        httpService.sendJson(res, 200, { ok: true });
+        this.bot.processUpdate(update);
+    }
+
     /**
      * Set up Telegram bot event handlers
      */
     setupEventHandlers() {
+        // Attribute LLM usage triggered by an update to the Telegram user who sent it
+        const withUser = (handler) => (msg, match) =>
+            usageService.run({ telegramUserId: msg.from && msg.from.id }, () => handler(msg, match));
+
         // Handle /start command
-        this.bot.onText(/\/start/, async (msg) => {
+        this.bot.onText(/\/start/, withUser(async (msg) => {
             await this.handleStartCommand(msg);
-        });
+        }));
 
         // Handle /summarize command
-        this.bot.onText(/\/summarize/, async (msg) => {
+        this.bot.onText(/\/summarize/, withUser(async (msg) => {
             await this.handleSummarizeCommand(msg);
-        });
+        }));
+
+        // Handle /homework command
+        this.bot.onText(/\/homework(?:@\w+)?(?:\s+(.+))?/, withUser(async (msg, match) => {
+            await this.handleHomeworkCommand(msg, match);
+        }));
+
+        // Handle /ask command
+        this.bot.onText(/\/ask(?:@\w+)?(?:\s+([\s\S]+))?/, withUser(async (msg, match) => {
+            await this.handleAskCommand(msg, match);
+        }));
+
+        // Handle /search command
+        this.bot.onText(/\/search(?:@\w+)?(?:\s+(.+))?/, withUser(async (msg, match) => {
+            await this.handleSearchCommand(msg, match);
+        }));
 
         // Handle /groups command
-        this.bot.onText(/\/groups/, async (msg) => {
+        this.bot.onText(/\/groups/, withUser(async (msg) => {
             await this.handleGroupsCommand(msg);
-        });
+        }));
+
+        // Handle /schedule command
+        this.bot.onText(/\/schedule(?:@\w+)?(?:\s+(.+))?/, withUser(async (msg, match) => {
+            await this.handleScheduleCommand(msg, match);
+        }));
+
+        // Handle /users command
+        this.bot.onText(/\/users(?:@\w+)?(?:\s+(.+))?/, withUser(async (msg, match) => {
+            await this.handleUsersCommand(msg, match);
+        }));
+
+        // Handle /usage command
+        this.bot.onText(/\/usage(?:@\w+)?(?:\s+(.+))?/, withUser(async (msg, match) => {
+            await this.handleUsageCommand(msg, match);
+        }));
+
+        // Handle /forward command
+        this.bot.onText(/\/forward(?:@\w+)?(?:\s+(.+))?/, withUser(async (msg, match) => {
+            await this.handleForwardCommand(msg, match);
+        }));
+
+        // Handle /alerts command
+        this.bot.onText(/\/alerts(?:@\w+)?(?:\s+(.+))?/, withUser(async (msg, match) => {
+            await this.handleAlertsCommand(msg, match);
+        }));
+
+        // Handle /import command
+        this.bot.onText(/\/import(?:@\w+)?/, withUser(async (msg) => {
+            await this.handleImportCommand(msg);
+        }));
+
+        // Handle /tokens command
+        this.bot.onText(/\/tokens(?:@\w+)?(?:\s+(.+))?/, withUser(async (msg, match) => {
+            await this.handleTokensCommand(msg, match);
+        }));
 
         // Handle /status command
-        this.bot.onText(/\/status/, async (msg) => {
+        this.bot.onText(/\/status/, withUser(async (msg) => {
             await this.handleStatusCommand(msg);
-        });
+        }));
 
         // Handle callback queries (inline button clicks)
-        this.bot.on('callback_query', async (query) => {
+        this.bot.on('callback_query', withUser(async (query) => {
             await this.handleCallbackQuery(query);
-        });
+        }));
+
+        // Handle uploaded WhatsApp chat exports
+        this.bot.on('document', withUser(async (msg) => {
+            await this.handleDocument(msg);
+        }));
 
         // Handle text messages
-        this.bot.on('message', async (msg) => {
+        this.bot.on('message', withUser(async (msg) => {
             await this.handleTextMessage(msg);
-        });
+        }));
 
         // Handle errors
         this.bot.on('error', (error) => {
@@ -105,147 +249,1199 @@ class TelegramService {
         });
     }
 
-    /**
-     * Handle /start command
-     * @param {Object} msg - Telegram message object
-     */
-    async handleStartCommand(msg) {
-        const chatId = msg.chat.id;
-        const username = msg.from.username;
+    /**
+     * Handle /start command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleStartCommand(msg) {
+        const chatId = msg.chat.id;
+        const username = msg.from.username;
+
+        const user = await this.authorizeUser(msg.from, chatId);
+        if (!user) {
+            return;
+        }
+
+        const welcomeMessage = `🤖 *Welcome to WhatsApp Summary Bot!*\n\n` +
+            `I can help you summarize WhatsApp group messages using AI.\n\n` +
+            `*Available Commands:*\n` +
+            `📋 /summarize - Generate summaries for WhatsApp groups\n` +
+            `📚 /homework - Extract homework (/homework week for what's due)\n` +
+            `❓ /ask - Ask a question about a group's messages\n` +
+            `🔎 /search - Search stored messages\n` +
+            `📱 /groups - Manage monitored groups\n` +
+            `⏰ /schedule - Manage daily digests\n` +
+            `📨 /forward - Relay messages to this chat as they arrive\n` +
+            `🔔 /alerts - Get alerted privately about keywords\n` +
+            `👥 /users - Manage users and roles\n` +
+            `📈 /usage - Show AI token usage and cost\n` +
+            `📥 /import - Import an exported WhatsApp chat\n` +
+            `🔑 /tokens - Manage REST API tokens\n` +
+            `ℹ️ /status - Check bot status\n\n` +
+            `_Viewers can use /summarize and /alerts; all other commands require the admin role._\n\n` +
+            `*How to use:*\n` +
+            `1. Use /summarize to select a group and date\n` +
+            `2. Use /groups to add/remove groups from monitoring\n` +
+            `3. I'll automatically capture messages from monitored groups\n` +
+            `4. Generate AI-powered summaries on demand`;
+
+        await this.bot.sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown' });
+        logger.telegram('Start command handled', { userId: msg.from.id, username });
+
+        // Log interaction to status group if enabled
+        if (config.get('telegram.logAllInteractions')) {
+            await this.sendStatusUpdate(`🚀 User @${username} started the bot`);
+        }
+    }
+
+    /**
+     * Handle /summarize command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleSummarizeCommand(msg) {
+        try {
+            const user = await this.authorizeUser(msg.from, msg.chat.id);
+            if (!user) {
+                return;
+            }
+
+            // Get available groups
+            const groups = await this.getAvailableGroups(user);
+            
+            if (groups.length === 0) {
+                await this.bot.sendMessage(msg.chat.id, '❌ No WhatsApp groups are currently being monitored.');
+                return;
+            }
+
+            // Start a fresh summarize flow
+            this.userStates.set(msg.from.id, { mode: 'summary' });
+
+            // Create inline keyboard for group selection
+            const keyboard = this.createGroupSelectionKeyboard(groups, 0);
+            
+            const message = this.getGroupSelectionPrompt('summary');
+            await this.bot.sendMessage(msg.chat.id, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: keyboard
+                }
+            });
+
+            logger.telegram('Summarize command handled', { userId: msg.from.id, username: msg.from.username });
+
+            // Log interaction to status group if enabled
+            if (config.get('telegram.logAllInteractions')) {
+                await this.sendStatusUpdate(`📊 User @${msg.from.username} (ID: ${msg.from.id}) requested summary - showing group selection`);
+            }
+
+        } catch (error) {
+            logger.error('Error handling summarize command', error);
+            await this.sendErrorMessage(msg.chat.id);
+        }
+    }
+
+    /**
+     * Handle /homework command
+     * Usage: /homework (pick a group and date) | /homework week (due this week in all groups)
+     * @param {Object} msg - Telegram message object
+     * @param {Array} match - Regex match with the command arguments
+     */
+    async handleHomeworkCommand(msg, match) {
+        try {
+            const user = await this.authorizeUser(msg.from, msg.chat.id, 'admin');
+            if (!user) {
+                return;
+            }
+
+            const args = (match && match[1] ? match[1] : '').trim().toLowerCase();
+
+            if (args === 'week') {
+                await this.sendHomeworkDueThisWeek(msg.chat.id, user);
+                logger.telegram('Homework week command handled', { userId: msg.from.id, username: msg.from.username });
+                return;
+            }
+
+            // Get available groups
+            const groups = await this.getAvailableGroups(user);
+
+            if (groups.length === 0) {
+                await this.bot.sendMessage(msg.chat.id, '❌ No WhatsApp groups are currently being monitored.');
+                return;
+            }
+
+            // Start a homework flow, the group and date steps are shared with /summarize
+            this.userStates.set(msg.from.id, { mode: 'homework' });
+
+            const keyboard = this.createGroupSelectionKeyboard(groups, 0);
+            await this.bot.sendMessage(msg.chat.id, this.getGroupSelectionPrompt('homework'), {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: keyboard
+                }
+            });
+
+            logger.telegram('Homework command handled', { userId: msg.from.id, username: msg.from.username });
+
+            // Log interaction to status group if enabled
+            if (config.get('telegram.logAllInteractions')) {
+                await this.sendStatusUpdate(`📚 User @${msg.from.username} (ID: ${msg.from.id}) requested homework - showing group selection`);
+            }
+
+        } catch (error) {
+            logger.error('Error handling homework command', error);
+            await this.sendErrorMessage(msg.chat.id);
+        }
+    }
+
+    /**
+     * Handle /ask command
+     * Usage: /ask <group> <question> | /ask <question> | /ask (pick a group, then send the question)
+     * @param {Object} msg - Telegram message object
+     * @param {Array} match - Regex match with the command arguments
+     */
+    async handleAskCommand(msg, match) {
+        try {
+            const user = await this.authorizeUser(msg.from, msg.chat.id, 'admin');
+            if (!user) {
+                return;
+            }
+
+            const args = (match && match[1] ? match[1] : '').trim();
+            const groups = await this.getAvailableGroups(user);
+
+            if (groups.length === 0) {
+                await this.bot.sendMessage(msg.chat.id, '❌ No WhatsApp groups are currently being monitored.');
+                return;
+            }
+
+            // "/ask <group> <question>": answer right away
+            const { group, rest } = this.matchGroupPrefix(args, groups);
+            if (group && rest) {
+                await this.sendAnswer(msg.chat.id, msg.from, group.id, rest);
+                return;
+            }
+
+            // Otherwise pick the group first, keeping any question already given
+            this.userStates.set(msg.from.id, {
+                mode: 'ask',
+                pendingQuestion: group ? null : (args || null)
+            });
+
+            const keyboard = this.createGroupSelectionKeyboard(groups, 0);
+            await this.bot.sendMessage(msg.chat.id, this.getGroupSelectionPrompt('ask'), {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: keyboard
+                }
+            });
+
+            logger.telegram('Ask command handled', { userId: msg.from.id, username: msg.from.username });
+
+        } catch (error) {
+            logger.error('Error handling ask command', error);
+            await this.sendErrorMessage(msg.chat.id);
+        }
+    }
+
+    /**
+     * Match the longest group name that starts a command argument string
+     * @param {string} args - Command arguments
+     * @param {Array} groups - Array of { id, name } group objects
+     * @returns {Object} { group, rest } with group null if no group matched
+     */
+    matchGroupPrefix(args, groups) {
+        const lowerArgs = args.toLowerCase();
+        const candidates = groups
+            .filter(group => {
+                const lowerGroup = group.name.toLowerCase();
+                return lowerArgs === lowerGroup || lowerArgs.startsWith(`${lowerGroup} `);
+            })
+            .sort((a, b) => b.name.length - a.name.length);
+
+        if (candidates.length === 0) {
+            return { group: null, rest: args };
+        }
+
+        return {
+            group: candidates[0],
+            rest: args.substring(candidates[0].name.length).trim()
+        };
+    }
+
+    /**
+     * Find a group by name, ignoring case
+     * @param {Array} groups - Array of { id, name } group objects
+     * @param {string} name - Group name typed by the user
+     * @returns {Object|undefined} Matching group
+     */
+    findGroupByName(groups, name) {
+        return groups.find(group => group.name.toLowerCase() === name.toLowerCase());
+    }
+
+    /**
+     * Get the current name of a monitored group
+     * @param {string} groupId - WhatsApp chat ID of the group
+     * @returns {string} Group name
+     */
+    getGroupName(groupId) {
+        const whatsappService = require('./whatsapp');
+        return whatsappService.getGroupName(groupId);
+    }
+
+    /**
+     * Answer a question about a group and send the answer to a chat
+     * @param {number} chatId - Telegram chat ID
+     * @param {Object} from - Telegram user who asked
+     * @param {string} groupId - WhatsApp chat ID of the group
+     * @param {string} question - Question text
+     * @param {number|null} messageId - Message to replace with the answer, or null to send a new one
+     */
+    async sendAnswer(chatId, from, groupId, question, messageId = null) {
+        const groupName = this.getGroupName(groupId);
+        const searchingText = `🔎 *Searching ${this.escapeMarkdown(groupName)}...*\n\n${this.escapeMarkdown(question)}`;
+        if (messageId) {
+            await this.bot.editMessageText(searchingText, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown' });
+        } else {
+            const sent = await this.bot.sendMessage(chatId, searchingText, { parse_mode: 'Markdown' });
+            messageId = sent.message_id;
+        }
+
+        const questionService = require('./question');
+        const result = await questionService.answer(groupId, question);
+
+        if (result.messageCount === 0) {
+            await this.bot.editMessageText(`❌ *No messages found*\n\nThere are no stored messages for ${this.escapeMarkdown(groupName)} yet.`, {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown'
+            });
+        } else {
+            await this.sendFormattedMessage(chatId, {
+                header: f => `❓ ${f.bold(f.escape(question))}\n📱 ${f.escape(`${groupName} (${result.messageCount} messages searched)`)}`,
+                body: result.answer
+            }, { editMessageId: messageId, filename: 'answer.md' });
+        }
+
+        logger.telegram('Question answered', { chatId, userId: from.id, groupName, messageCount: result.messageCount });
+
+        // Log interaction to status group if enabled
+        if (config.get('telegram.logAllInteractions')) {
+            await this.sendStatusUpdate(`❓ User @${from.username} asked about ${groupName}: ${question}`);
+        }
+    }
+
+    /**
+     * Handle /search command
+     * Usage: /search <terms> [group:"Group name"] [from:YYYY-MM-DD] [to:YYYY-MM-DD]
+     * @param {Object} msg - Telegram message object
+     * @param {Array} match - Regex match with the command arguments
+     */
+    async handleSearchCommand(msg, match) {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        try {
+            const user = await this.authorizeUser(msg.from, chatId, 'admin');
+            if (!user) {
+                return;
+            }
+
+            const search = this.parseSearchArguments(match && match[1] ? match[1] : '');
+            if (!search.terms) {
+                await this.bot.sendMessage(chatId, '❌ Usage: /search <terms> [group:"Group name"] [from:YYYY-MM-DD] [to:YYYY-MM-DD]');
+                return;
+            }
+
+            // Resolve the group filter against monitored group names
+            if (search.groupName) {
+                const groups = await this.getAvailableGroups(user);
+                const group = this.findGroupByName(groups, search.groupName);
+                if (!group) {
+                    await this.bot.sendMessage(chatId, `❌ "${search.groupName}" is not a monitored group.`);
+                    return;
+                }
+                search.chatId = group.id;
+                search.groupName = group.name;
+            } else if (!userService.isAdmin(user) && user.groups.length > 0) {
+                search.chatIds = user.groups;
+            }
+
+            this.userSearchState[userId] = search;
+            await this.sendSearchPage(chatId, userId, 0);
+
+            logger.telegram('Search command handled', { userId, username: msg.from.username, search });
+
+        } catch (error) {
+            logger.error('Error handling search command', error);
+            await this.sendErrorMessage(chatId);
+        }
+    }
+
+    /**
+     * Parse /search arguments into terms and filters
+     * @param {string} args - Command arguments
+     * @returns {Object} { terms, groupName, chatId, chatIds, startDate, endDate }, chat IDs are resolved by the caller
+     */
+    parseSearchArguments(args) {
+        const search = { terms: '', groupName: null, chatId: null, chatIds: null, startDate: null, endDate: null };
+        const filterPattern = /(group|from|to):(?:"([^"]+)"|(\S+))/gi;
+
+        let filterMatch;
+        while ((filterMatch = filterPattern.exec(args)) !== null) {
+            const key = filterMatch[1].toLowerCase();
+            const value = filterMatch[2] || filterMatch[3];
+
+            if (key === 'group') {
+                search.groupName = value;
+            } else if (key === 'from' && moment(value, 'YYYY-MM-DD', true).isValid()) {
+                search.startDate = value;
+            } else if (key === 'to' && moment(value, 'YYYY-MM-DD', true).isValid()) {
+                search.endDate = value;
+            }
+        }
+
+        search.terms = args.replace(filterPattern, ' ').replace(/\s+/g, ' ').trim();
+        return search;
+    }
+
+    /**
+     * Send or update a page of search results
+     * @param {number} chatId - Telegram chat ID
+     * @param {number} userId - Telegram user ID
+     * @param {number} page - Page number (0-based)
+     * @param {number|null} messageId - Message to update, or null to send a new one
+     */
+    async sendSearchPage(chatId, userId, page, messageId = null) {
+        const search = this.userSearchState[userId];
+        if (!search) {
+            await this.bot.sendMessage(chatId, '❌ Session expired. Please use /search again.');
+            return;
+        }
+
+        const databaseService = require('./database');
+        const { total, results } = await databaseService.searchMessages({
+            ...search,
+            limit: this.maxSearchResultsPerPage,
+            offset: page * this.maxSearchResultsPerPage
+        });
+
+        const totalPages = Math.max(1, Math.ceil(total / this.maxSearchResultsPerPage));
+
+        let messageText = `🔎 *Search:* ${this.escapeMarkdown(search.terms)}\n`;
+        if (search.groupName) {
+            messageText += `📱 *Group:* ${this.escapeMarkdown(search.groupName)}\n`;
+        }
+        if (search.startDate || search.endDate) {
+            messageText += `📅 *Dates:* ${search.startDate || '…'} – ${search.endDate || '…'}\n`;
+        }
+
+        if (total === 0) {
+            messageText += '\nNo messages found.';
+        } else {
+            messageText += `*Page ${page + 1} of ${totalPages}* • ${total} results\n`;
+            results.forEach((result, index) => {
+                const position = page * this.maxSearchResultsPerPage + index + 1;
+                const time = moment(result.timestamp).format('MMM DD, HH:mm');
+                const edited = result.edited_at ? ' (edited)' : '';
+                messageText += `\n${position}. 📱 ${this.escapeMarkdown(result.chat_name)} • ${this.escapeMarkdown(result.sender_name)} • ${time}${edited}\n` +
+                    `${this.escapeMarkdown(result.snippet)}\n`;
+            });
+        }
+
+        // Add navigation buttons
+        const navigationRow = [];
+        if (page > 0) {
+            navigationRow.push({
+                text: '⬅️ Previous',
+                callback_data: `search_page_${page - 1}`
+            });
+        }
+        if (page < totalPages - 1) {
+            navigationRow.push({
+                text: 'Next ➡️',
+                callback_data: `search_page_${page + 1}`
+            });
+        }
+
+        const options = {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: navigationRow.length > 0 ? [navigationRow] : []
+            }
+        };
+
+        if (messageId) {
+            await this.bot.editMessageText(messageText, { chat_id: chatId, message_id: messageId, ...options });
+        } else {
+            await this.bot.sendMessage(chatId, messageText, options);
+        }
+    }
+
+    /**
+     * Handle search results page navigation
+     * @param {Object} query - Telegram callback query object
+     * @param {string} data - Callback data
+     */
+    async handleSearchPageNavigation(query, data) {
+        try {
+            const page = parseInt(data.replace('search_page_', ''));
+
+            if (!this.userSearchState[query.from.id]) {
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ Session expired' });
+                return;
+            }
+
+            await this.sendSearchPage(query.message.chat.id, query.from.id, page, query.message.message_id);
+            await this.bot.answerCallbackQuery(query.id);
+        } catch (error) {
+            logger.error('Error handling search page navigation', error);
+            await this.bot.answerCallbackQuery(query.id, { text: '❌ Error occurred' });
+        }
+    }
+
+    /**
+     * Show the messages around an alerted message
+     * The context is sent as a reply, so the alert itself stays as it was.
+     * @param {Object} query - Telegram callback query object
+     * @param {string} data - Callback data (alert_ctx_<event id>)
+     * @param {Object} user - Authenticated user
+     */
+    async handleAlertContext(query, data, user) {
+        try {
+            const alertService = require('./alerts');
+            const event = await databaseService.getAlertEvent(parseInt(data.replace('alert_ctx_', '')));
+
+            if (!event || event.telegram_user_id !== query.from.id || !userService.canAccessGroup(user, event.chat_id)) {
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ Alert not found' });
+                return;
+            }
+
+            const group = await databaseService.getGroup(event.chat_id);
+            const messages = await alertService.getContext(event);
+            const text = alertService.formatContext(event, messages, group ? group.chat_name : event.chat_id);
+
+            await this.bot.sendMessage(query.message.chat.id, text, {
+                parse_mode: 'HTML',
+                disable_web_page_preview: true,
+                reply_to_message_id: query.message.message_id
+            });
+            await this.bot.answerCallbackQuery(query.id);
+        } catch (error) {
+            logger.error('Error showing alert context', error);
+            await this.bot.answerCallbackQuery(query.id, { text: '❌ Error occurred' });
+        }
+    }
+
+    /**
+     * Get the group selection prompt for a flow
+     * @param {string} mode - Flow mode ('summary' or 'homework')
+     * @returns {string} Prompt text
+     */
+    getGroupSelectionPrompt(mode) {
+        if (mode === 'homework') {
+            return '📚 *Select a WhatsApp group to extract homework from:*';
+        }
+        if (mode === 'ask') {
+            return '❓ *Select a WhatsApp group to ask about:*';
+        }
+        return '📱 *Select a WhatsApp group to summarize:*';
+    }
+
+    /**
+     * Handle /status command
+     * @param {Object} msg - Telegram message object
+     */
+    async handleStatusCommand(msg) {
+        const chatId = msg.chat.id;
+        const username = msg.from.username;
+
+        const user = await this.authorizeUser(msg.from, chatId, 'admin');
+        if (!user) {
+            return;
+        }
+
+        try {
+            // Import services dynamically
+            const whatsappService = require('./whatsapp');
+            const geminiService = require('./gemini');
+            const databaseService = require('./database');
+
+            // Get status from all services
+            const whatsappStatus = whatsappService.getStatus();
+            const geminiStatus = geminiService.getStatus();
+            const telegramStatus = this.getStatus();
+            const databaseStatus = databaseService.isReady();
+
+            // Get monitored groups
+            const monitoredGroups = whatsappService.getMonitoredGroups();
+            const allGroups = await this.getAllWhatsAppGroups();
+
+            const statusMessage = `🤖 *Bot Status Report*\n\n` +
+                `*WhatsApp Service:*\n` +
+                `• Connected: ${whatsappStatus.isConnected ? '✅' : '❌'}\n` +
+                `• Authenticated: ${whatsappStatus.isAuthenticated ? '✅' : '❌'}\n` +
+                `• Ready: ${whatsappStatus.isReady ? '✅' : '❌'}\n\n` +
+                `*Telegram Service:*\n` +
+                `• Initialized: ${telegramStatus.isInitialized ? '✅' : '❌'}\n` +
+                `• Active Users: ${telegramStatus.activeUsers}\n\n` +
+                `*AI Service:*\n` +
+                `• Ready: ${geminiStatus.isInitialized ? '✅' : '❌'}\n` +
+                `• Provider: ${geminiStatus.provider}\n` +
+                `• Model: ${geminiStatus.model}\n\n` +
+                `*Database:*\n` +
+                `• Ready: ${databaseStatus ? '✅' : '❌'}\n\n` +
+                `*Group Monitoring:*\n` +
+                `• Monitored: ${monitoredGroups.length}\n` +
+                `• Total Available: ${allGroups.length}\n` +
+                `• Coverage: ${allGroups.length > 0 ? ((monitoredGroups.length / allGroups.length) * 100).toFixed(1) : 0}%\n\n` +
+                `*Monitored Groups:*\n` +
+                monitoredGroups.map(group => `• ${group.name}`).join('\n') +
+                `\n\n*Last Updated:* ${new Date().toLocaleString()}`;
+
+            await this.bot.sendMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
+            logger.telegram('Status command handled', { userId: msg.from.id, username });
+
+            // Log interaction to status group if enabled
+            if (config.get('telegram.logAllInteractions')) {
+                await this.sendStatusUpdate(`ℹ️ User @${username} checked bot status`);
+            }
+
+        } catch (error) {
+            logger.error('Error handling status command', error);
+            await this.bot.sendMessage(chatId, 
+                '❌ *Error getting status*\n\nPlease try again later.',
+                { parse_mode: 'Markdown' }
+            );
+        }
+    }
+
+    /**
+     * Handle /schedule command
+     * Usage: /schedule [list] | /schedule add HH:mm [yesterday] <group> | /schedule remove <id>
+     * @param {Object} msg - Telegram message object
+     * @param {Array} match - Regex match with the command arguments
+     */
+    async handleScheduleCommand(msg, match) {
+        const chatId = msg.chat.id;
+        const username = msg.from.username;
+
+        const user = await this.authorizeUser(msg.from, chatId, 'admin');
+        if (!user) {
+            return;
+        }
+
+        try {
+            const schedulerService = require('./scheduler');
+            const args = (match && match[1] ? match[1] : '').trim();
+            const [subcommand = 'list', ...rest] = args.split(/\s+/).filter(Boolean);
+
+            if (subcommand === 'list') {
+                const schedules = await schedulerService.listSchedules();
+                if (schedules.length === 0) {
+                    await this.bot.sendMessage(chatId, '⏰ No daily digests scheduled.\n\nUse /schedule add HH:mm [yesterday] <group> to create one.');
+                    return;
+                }
+
+                const lines = schedules.map(schedule => {
+                    const day = schedule.day_offset > 0 ? 'previous day' : 'same day';
+                    return `#${schedule.id} • ${schedule.time} • ${schedule.group_name} (${day}) → chat ${schedule.target_chat_id}`;
+                });
+                await this.bot.sendMessage(chatId, `⏰ Daily digests:\n\n${lines.join('\n')}`);
+
+            } else if (subcommand === 'add') {
+                const [time, ...groupParts] = rest;
+                let dayOffset = 0;
+                if (groupParts[0] && groupParts[0].toLowerCase() === 'yesterday') {
+                    dayOffset = 1;
+                    groupParts.shift();
+                }
+                const requestedGroup = groupParts.join(' ');
+
+                if (!time || !schedulerService.isValidTime(time) || !requestedGroup) {
+                    await this.bot.sendMessage(chatId, '❌ Usage: /schedule add HH:mm [yesterday] <group name>');
+                    return;
+                }
+
+                const groups = await this.getAvailableGroups(user);
+                const group = this.findGroupByName(groups, requestedGroup);
+                if (!group) {
+                    await this.bot.sendMessage(chatId, `❌ "${requestedGroup}" is not a monitored group.`);
+                    return;
+                }
+                const groupName = group.name;
+
+                const schedule = await schedulerService.addSchedule({
+                    chatId: group.id,
+                    targetChatId: chatId,
+                    time,
+                    dayOffset,
+                    createdBy: username
+                });
+
+                await this.bot.sendMessage(chatId, `✅ Digest #${schedule.id} scheduled: ${groupName} every day at ${time}${dayOffset ? ' (previous day)' : ''}.`);
+
+                if (config.get('telegram.logAllInteractions')) {
+                    await this.sendStatusUpdate(`⏰ User @${username} scheduled a daily digest for ${groupName} at ${time}`);
+                }
+
+            } else if (subcommand === 'remove') {
+                const id = parseInt(rest[0]);
+                if (!id) {
+                    await this.bot.sendMessage(chatId, '❌ Usage: /schedule remove <id>');
+                    return;
+                }
+
+                const removed = await schedulerService.removeSchedule(id);
+                await this.bot.sendMessage(chatId, removed ? `✅ Digest #${id} removed.` : `❌ Digest #${id} not found.`);
+
+            } else {
+                await this.bot.sendMessage(chatId, '❌ Usage: /schedule [list] | /schedule add HH:mm [yesterday] <group> | /schedule remove <id>');
+            }
+
+            logger.telegram('Schedule command handled', { userId: msg.from.id, username, subcommand });
+
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                await this.bot.sendMessage(chatId, '❌ That digest is already scheduled.');
+                return;
+            }
+            logger.error('Error handling schedule command', error);
+            await this.sendErrorMessage(chatId);
+        }
+    }
+
+    /**
+     * Handle /forward command (admins only)
+     * Usage: /forward [list] | /forward add <group|*> [; from: <sender>, ...] [; keywords: <word>, ...] | /forward remove <id>
+     * Matching messages are relayed to the chat the rule was created in.
+     * @param {Object} msg - Telegram message object
+     * @param {Array} match - Regex match with the command arguments
+     */
+    async handleForwardCommand(msg, match) {
+        const chatId = msg.chat.id;
+        const username = msg.from.username;
+        const usage = '❌ Usage: /forward [list] | /forward add <group|*> [; from: <sender>, ...] [; keywords: <word>, ...] | /forward remove <id>';
+
+        const user = await this.authorizeUser(msg.from, chatId, 'admin');
+        if (!user) {
+            return;
+        }
+
+        try {
+            const forwardingService = require('./forwarding');
+            const args = (match && match[1] ? match[1] : '').trim();
+            const [subcommand = 'list'] = args.split(/\s+/).filter(Boolean);
+            const rest = args.slice(subcommand.length).trim();
+
+            if (subcommand === 'list') {
+                const rules = forwardingService.listRules();
+                if (rules.length === 0) {
+                    await this.bot.sendMessage(chatId, '📨 No forwarding rules.\n\nUse /forward add <group> to relay a group\'s messages here as they arrive.');
+                    return;
+                }
+
+                const lines = rules.map(rule => {
+                    const filters = [
+                        rule.senders.length > 0 ? `from ${rule.senders.join(', ')}` : null,
+                        rule.keywords.length > 0 ? `keywords ${rule.keywords.join(', ')}` : null
+                    ].filter(Boolean).join('; ');
+                    const group = rule.chat_id ? (rule.group_name || rule.chat_id) : 'all groups';
+                    return `#${rule.id} • ${group}${filters ? ` (${filters})` : ''} → chat ${rule.target_chat_id}`;
+                });
+                await this.bot.sendMessage(chatId, `📨 Forwarding rules:\n\n${lines.join('\n')}`);
+
+            } else if (subcommand === 'add') {
+                const [requestedGroup, ...filterParts] = rest.split(';').map(part => part.trim());
+                const filters = { from: [], keywords: [] };
+                let invalidFilter = false;
+
+                filterParts.filter(Boolean).forEach(part => {
+                    const filter = part.match(/^(from|keywords?)\s*:\s*(.+)$/i);
+                    if (!filter) {
+                        invalidFilter = true;
+                        return;
+                    }
+                    const key = filter[1].toLowerCase() === 'from' ? 'from' : 'keywords';
+                    filters[key].push(...filter[2].split(',').map(value => value.trim()).filter(Boolean));
+                });
+
+                if (!requestedGroup || invalidFilter) {
+                    await this.bot.sendMessage(chatId, '❌ Usage: /forward add <group|*> [; from: <sender>, ...] [; keywords: <word>, ...]');
+                    return;
+                }
+
+                let group = null;
+                if (requestedGroup !== '*') {
+                    group = this.findGroupByName(await this.getAvailableGroups(user), requestedGroup);
+                    if (!group) {
+                        await this.bot.sendMessage(chatId, `❌ "${requestedGroup}" is not a monitored group.`);
+                        return;
+                    }
+                }
+
+                const rule = await forwardingService.addRule({
+                    chatId: group ? group.id : null,
+                    targetChatId: chatId,
+                    senders: filters.from,
+                    keywords: filters.keywords,
+                    createdBy: username
+                });
+
+                const scope = group ? group.name : 'all groups';
+                await this.bot.sendMessage(chatId, `✅ Forwarding rule #${rule.id} created: messages from ${scope}` +
+                    `${filters.from.length > 0 ? ` sent by ${filters.from.join(', ')}` : ''}` +
+                    `${filters.keywords.length > 0 ? ` mentioning ${filters.keywords.join(', ')}` : ''} will be relayed here.`);
+
+                if (config.get('telegram.logAllInteractions')) {
+                    await this.sendStatusUpdate(`📨 User @${username} added forwarding rule #${rule.id} for ${scope}`);
+                }
+
+            } else if (subcommand === 'remove') {
+                const id = parseInt(rest);
+                if (!id) {
+                    await this.bot.sendMessage(chatId, '❌ Usage: /forward remove <id>');
+                    return;
+                }
+
+                const removed = await forwardingService.removeRule(id);
+                await this.bot.sendMessage(chatId, removed ? `✅ Forwarding rule #${id} removed.` : `❌ Forwarding rule #${id} not found.`);
+
+            } else {
+                await this.bot.sendMessage(chatId, usage);
+            }
+
+            logger.telegram('Forward command handled', { userId: msg.from.id, username, subcommand });
+
+        } catch (error) {
+            logger.error('Error handling forward command', error);
+            await this.sendErrorMessage(chatId);
+        }
+    }
+
+    /**
+     * Handle /alerts command
+     * Usage: /alerts [list] | /alerts add <keyword|/regex/> [; group: <name>] [; quiet: HH:mm-HH:mm] | /alerts remove <id>
+     * Alerts go to the private chat of the user who created the rule; during
+     * quiet hours they are delivered without a notification.
+     * @param {Object} msg - Telegram message object
+     * @param {Array} match - Regex match with the command arguments
+     */
+    async handleAlertsCommand(msg, match) {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const username = msg.from.username;
+        const usage = '❌ Usage: /alerts [list] | /alerts add <keyword|/regex/> [; group: <name>] [; quiet: 22:00-07:00] | /alerts remove <id>';
+
+        const user = await this.authorizeUser(msg.from, chatId);
+        if (!user) {
+            return;
+        }
+
+        try {
+            const alertService = require('./alerts');
+            const args = (match && match[1] ? match[1] : '').trim();
+            const [subcommand = 'list'] = args.split(/\s+/).filter(Boolean);
+            const rest = args.slice(subcommand.length).trim();
+
+            if (subcommand === 'list') {
+                const rules = alertService.listRules(userId);
+                if (rules.length === 0) {
+                    await this.bot.sendMessage(chatId, '🔔 You have no alerts.\n\nUse /alerts add <keyword> to be told when a message mentions it.');
+                    return;
+                }
+
+                const lines = rules.map(rule => {
+                    const group = rule.chat_id ? (rule.group_name || rule.chat_id) : 'all groups';
+                    const quiet = rule.quiet_start ? `, quiet ${rule.quiet_start}-${rule.quiet_end}` : '';
+                    return `#${rule.id} • ${rule.is_regex ? 'regex' : 'keyword'} ${rule.pattern} in ${group}${quiet}`;
+                });
+                await this.bot.sendMessage(chatId, `🔔 Your alerts:\n\n${lines.join('\n')}`);
+
+            } else if (subcommand === 'add') {
+                const [patternText, ...optionParts] = rest.split(';').map(part => part.trim());
+                const options = {};
+                let invalidOption = false;
+
+                optionParts.filter(Boolean).forEach(part => {
+                    const option = part.match(/^(group|quiet)\s*:\s*(.+)$/i);
+                    if (!option) {
+                        invalidOption = true;
+                        return;
+                    }
+                    options[option[1].toLowerCase()] = option[2].trim();
+                });
+
+                if (!patternText || invalidOption) {
+                    await this.bot.sendMessage(chatId, '❌ Usage: /alerts add <keyword|/regex/> [; group: <name>] [; quiet: 22:00-07:00]');
+                    return;
+                }
+
+                let pattern;
+                let quietHours = {};
+                try {
+                    pattern = alertService.parsePattern(patternText);
+                    if (options.quiet) {
+                        quietHours = alertService.parseQuietHours(options.quiet);
+                    }
+                } catch (error) {
+                    await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+                    return;
+                }
+
+                let group = null;
+                if (options.group && options.group !== '*') {
+                    group = this.findGroupByName(await this.getAvailableGroups(user), options.group);
+                    if (!group) {
+                        await this.bot.sendMessage(chatId, `❌ "${options.group}" is not a monitored group.`);
+                        return;
+                    }
+                }
+
+                const rule = await alertService.addRule({
+                    telegramUserId: userId,
+                    chatId: group ? group.id : null,
+                    pattern: pattern.pattern,
+                    isRegex: pattern.isRegex,
+                    ...quietHours
+                });
+
+                const scope = group ? group.name : 'any of your groups';
+                const quiet = quietHours.quietStart ? ` Between ${quietHours.quietStart} and ${quietHours.quietEnd} they arrive silently.` : '';
+                await this.bot.sendMessage(chatId, `✅ Alert #${rule.id} created: messages in ${scope} matching ${pattern.pattern} ` +
+                    `will be sent to your private chat with me.${quiet}`);
+
+                if (config.get('telegram.logAllInteractions')) {
+                    await this.sendStatusUpdate(`🔔 User @${username} added alert #${rule.id} for ${group ? group.name : 'all groups'}`);
+                }
+
+            } else if (subcommand === 'remove') {
+                const id = parseInt(rest);
+                if (!id) {
+                    await this.bot.sendMessage(chatId, '❌ Usage: /alerts remove <id>');
+                    return;
+                }
+
+                const removed = await alertService.removeRule(id, userId);
+                await this.bot.sendMessage(chatId, removed ? `✅ Alert #${id} removed.` : `❌ You have no alert #${id}.`);
+
+            } else {
+                await this.bot.sendMessage(chatId, usage);
+            }
+
+            logger.telegram('Alerts command handled', { userId, username, subcommand });
+
+        } catch (error) {
+            logger.error('Error handling alerts command', error);
+            await this.sendErrorMessage(chatId);
+        }
+    }
+
+    /**
+     * Handle /import command (admins only)
+     * Explains how to import a chat; the import itself starts when the export is uploaded.
+     * @param {Object} msg - Telegram message object
+     */
+    async handleImportCommand(msg) {
+        const chatId = msg.chat.id;
+
+        const user = await this.authorizeUser(msg.from, chatId, 'admin');
+        if (!user) {
+            return;
+        }
+
+        await this.sendFormattedMessage(chatId, {
+            header: f => `📥 ${f.bold('Import a WhatsApp chat')}`,
+            body: '1. In WhatsApp, open the group and choose **More → Export chat** (with or without media)\n' +
+                '2. Send the .txt or .zip file to me here\n\n' +
+                'The group name is taken from the file name. To import into another group, write its name as the file\'s caption. ' +
+                'If dates come out wrong, add `; dates: DMY` (or `MDY`) to the caption.\n\n' +
+                'Messages already stored are skipped, so sending the same export twice is safe.'
+        }, { filename: 'import-help.md' });
+    }
+
+    /**
+     * Import an uploaded WhatsApp chat export (admins only)
+     * Only .txt and .zip files are treated as exports; other documents are ignored.
+     * The caption may name the group and override the date order: "<group> [; dates: DMY|MDY|YMD]".
+     * @param {Object} msg - Telegram message object with a document
+     */
+    async handleDocument(msg) {
+        const chatId = msg.chat.id;
+        const document = msg.document;
+        if (!document || !/\.(txt|zip)$/i.test(document.file_name || '')) {
+            return;
+        }
+
+        const user = await this.authorizeUser(msg.from, chatId, 'admin');
+        if (!user) {
+            return;
+        }
+
+        // Bots cannot download files larger than this from Telegram
+        if (document.file_size > 20 * 1024 * 1024) {
+            await this.bot.sendMessage(chatId, '❌ The file is larger than 20 MB, the most a bot can download. Export without media, or use scripts/import-chat.js on the server.');
+            return;
+        }
+
+        const [groupName, ...optionParts] = (msg.caption || '').split(';').map(part => part.trim());
+        const dateOption = optionParts.map(part => part.match(/^dates?\s*:\s*(DMY|MDY|YMD)$/i)).find(Boolean);
+        if (optionParts.length > 0 && !dateOption) {
+            await this.bot.sendMessage(chatId, '❌ Caption format: <group name> [; dates: DMY|MDY|YMD]');
+            return;
+        }
+
+        try {
+            const importService = require('./importer');
+            await this.bot.sendMessage(chatId, `⏳ Importing ${document.file_name}...`);
+
+            const result = await importService.importExport({
+                buffer: await this.downloadFile(document.file_id),
+                filename: document.file_name,
+                groupName: groupName || null,
+                dateOrder: dateOption ? dateOption[1].toUpperCase() : undefined
+            });
+
+            const period = `${moment(result.firstTimestamp).format('DD/MM/YYYY')} – ${moment(result.lastTimestamp).format('DD/MM/YYYY')}`;
+            await this.bot.sendMessage(chatId, `✅ Imported ${result.imported} messages into ${result.groupName}${result.newGroup ? ' (new group)' : ''}.\n\n` +
+                `📅 ${period}\n` +
+                `♻️ ${result.duplicates} already stored\n` +
+                `⚙️ ${result.skipped} system lines skipped\n\n` +
+                'Use /summarize to summarize it.');
+
+            logger.telegram('Chat export imported', { userId: msg.from.id, fileName: document.file_name, chatId: result.chatId, imported: result.imported });
+            if (config.get('telegram.logAllInteractions')) {
+                await this.sendStatusUpdate(`📥 User @${msg.from.username} imported ${result.imported} messages into ${result.groupName}`);
+            }
+        } catch (error) {
+            if (error.code === 'INVALID_EXPORT' || error.code === 'GROUP_REQUIRED') {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}${error.code === 'GROUP_REQUIRED' ? ' as the caption.' : ''}`);
+                return;
+            }
+            logger.error('Error importing chat export', error);
+            await this.sendErrorMessage(chatId);
+        }
+    }
+
+    /**
+     * Download a file sent to the bot
+     * @param {string} fileId - Telegram file ID
+     * @returns {Promise<Buffer>} File contents
+     */
+    async downloadFile(fileId) {
+        const chunks = [];
+        for await (const chunk of this.bot.getFileStream(fileId)) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Handle /users command (admins only)
+     * Usage: /users [list] | /users add <user id> <admin|viewer> | /users remove <user>
+     *        | /users allow <user> <group> | /users deny <user> <group>
+     * Users are referred to by Telegram user ID or, once known to the bot, by @username.
+     * @param {Object} msg - Telegram message object
+     * @param {Array} match - Regex match with the command arguments
+     */
+    async handleUsersCommand(msg, match) {
+        const chatId = msg.chat.id;
+        const usage = '❌ Usage: /users [list] | /users add <user id> <admin|viewer> | /users remove <user> | /users allow <user> <group> | /users deny <user> <group>';
+
+        const admin = await this.authorizeUser(msg.from, chatId, 'admin');
+        if (!admin) {
+            return;
+        }
+
+        try {
+            const args = (match && match[1] ? match[1] : '').trim();
+            const [subcommand = 'list', reference, ...rest] = args.split(/\s+/).filter(Boolean);
+
+            if (subcommand === 'list') {
+                const users = await userService.listUsers();
+                const lines = users.map(user => {
+                    const name = user.username ? `@${user.username}` : 'unknown username';
+                    const groups = user.role === 'admin' || user.groups.length === 0
+                        ? 'all groups'
+                        : user.groups.map(groupId => this.getGroupName(groupId)).join(', ');
+                    return `• ${user.telegram_user_id} (${name}) - ${user.role} - ${groups}`;
+                });
+                await this.bot.sendMessage(chatId, `👥 Users:\n\n${lines.join('\n') || 'No users yet.'}`);
+
+            } else if (subcommand === 'add') {
+                const role = (rest[0] || '').toLowerCase();
+                const existing = reference ? await userService.findUser(reference) : null;
+                const telegramUserId = existing ? existing.telegram_user_id : parseInt(reference);
+
+                if (!telegramUserId || !userService.isValidRole(role)) {
+                    await this.bot.sendMessage(chatId, '❌ Usage: /users add <user id> <admin|viewer>');
+                    return;
+                }
+
+                await userService.grant(telegramUserId, role, admin);
+                await this.bot.sendMessage(chatId, `✅ User ${telegramUserId} is now ${role === 'admin' ? 'an admin' : 'a viewer'}.`);
+                await this.sendStatusUpdate(`👥 User @${msg.from.username} granted ${role} to user ${telegramUserId}`);
+
+            } else if (['remove', 'allow', 'deny'].includes(subcommand)) {
+                const user = reference ? await userService.findUser(reference) : null;
+                if (!user) {
+                    await this.bot.sendMessage(chatId, reference ? `❌ User ${reference} not found.` : usage);
+                    return;
+                }
+
+                if (subcommand === 'remove') {
+                    await userService.revoke(user);
+                    await this.bot.sendMessage(chatId, `✅ Access revoked for user ${user.telegram_user_id}.`);
+                    await this.sendStatusUpdate(`👥 User @${msg.from.username} revoked access of user ${user.telegram_user_id}`);
+                    return;
+                }
+
+                const requestedGroup = rest.join(' ');
+                const group = requestedGroup ? this.findGroupByName(await this.getAvailableGroups(admin), requestedGroup) : null;
+                if (!group) {
+                    await this.bot.sendMessage(chatId, requestedGroup ? `❌ "${requestedGroup}" is not a monitored group.` : usage);
+                    return;
+                }
 
-        if (!this.isUserAllowed(username)) {
-            await this.sendUnauthorizedMessage(chatId);
-            return;
-        }
+                if (subcommand === 'allow') {
+                    await userService.allowGroup(user, group.id);
+                    await this.bot.sendMessage(chatId, `✅ User ${user.telegram_user_id} can now see ${group.name}.`);
+                } else {
+                    const removed = await userService.denyGroup(user, group.id);
+                    await this.bot.sendMessage(chatId, removed
+                        ? `✅ User ${user.telegram_user_id} can no longer see ${group.name}.`
+                        : `❌ ${group.name} was not in the groups of user ${user.telegram_user_id}.`);
+                }
 
-        const welcomeMessage = `🤖 *Welcome to WhatsApp Summary Bot!*\n\n` +
-            `I can help you summarize WhatsApp group messages using AI.\n\n` +
-            `*Available Commands:*\n` +
-            `📋 /summarize - Generate summaries for WhatsApp groups\n` +
-            `📱 /groups - Manage monitored groups\n` +
-            `ℹ️ /status - Check bot status\n\n` +
-            `*How to use:*\n` +
-            `1. Use /summarize to select a group and date\n` +
-            `2. Use /groups to add/remove groups from monitoring\n` +
-            `3. I'll automatically capture messages from monitored groups\n` +
-            `4. Generate AI-powered summaries on demand`;
+            } else {
+                await this.bot.sendMessage(chatId, usage);
+            }
 
-        await this.bot.sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown' });
-        logger.telegram('Start command handled', { userId: msg.from.id, username });
+            logger.telegram('Users command handled', { userId: msg.from.id, username: msg.from.username, subcommand });
 
-        // Log interaction to status group if enabled
-        if (config.get('telegram.logAllInteractions')) {
-            await this.sendStatusUpdate(`🚀 User @${username} started the bot`);
+        } catch (error) {
+            if (error.code === 'LAST_ADMIN' || error.code === 'LAST_GROUP') {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}.`);
+                return;
+            }
+            logger.error('Error handling users command', error);
+            await this.sendErrorMessage(chatId);
         }
     }
 
     /**
-     * Handle /summarize command
+     * Handle /tokens command (admins only)
+     * Usage: /tokens [list] | /tokens create <name> | /tokens revoke <id>
      * @param {Object} msg - Telegram message object
+     * @param {Array} match - Regex match with the command arguments
      */
-    async handleSummarizeCommand(msg) {
+    async handleTokensCommand(msg, match) {
+        const chatId = msg.chat.id;
+        const usage = '❌ Usage: /tokens [list] | /tokens create <name> | /tokens revoke <id>';
+
+        const admin = await this.authorizeUser(msg.from, chatId, 'admin');
+        if (!admin) {
+            return;
+        }
+
         try {
-            if (!this.isUserAllowed(msg.from.username)) {
-                await this.sendUnauthorizedMessage(msg.chat.id);
-                return;
-            }
+            const apiService = require('./api');
+            const args = (match && match[1] ? match[1] : '').trim();
+            const [subcommand = 'list', ...rest] = args.split(/\s+/).filter(Boolean);
+
+            if (subcommand === 'list') {
+                const tokens = await apiService.listTokens();
+                const lines = tokens.map(token => {
+                    const lastUsed = token.last_used_at
+                        ? moment.utc(token.last_used_at).local().format('MMM DD, HH:mm')
+                        : 'never';
+                    return `• ${token.id}: ${token.name} (${token.token_prefix}…) - last used ${lastUsed}`;
+                });
+                await this.bot.sendMessage(chatId, `🔑 API tokens:\n\n${lines.join('\n') || 'No API tokens yet.'}`);
 
-            // Get available groups
-            const groups = await this.getAvailableGroups();
-            
-            if (groups.length === 0) {
-                await this.bot.sendMessage(msg.chat.id, '❌ No WhatsApp groups are currently being monitored.');
-                return;
-            }
+            } else if (subcommand === 'create') {
+                const name = rest.join(' ');
+                if (!name) {
+                    await this.bot.sendMessage(chatId, '❌ Usage: /tokens create <name>');
+                    return;
+                }
 
-            // Create inline keyboard for group selection
-            const keyboard = this.createGroupSelectionKeyboard(groups, 0);
-            
-            const message = '📱 *Select a WhatsApp group to summarize:*';
-            await this.bot.sendMessage(msg.chat.id, message, {
-                parse_mode: 'Markdown',
-                reply_markup: {
-                    inline_keyboard: keyboard
+                const created = await apiService.createToken(name, msg.from.id);
+                await this.bot.sendMessage(chatId,
+                    `✅ API token ${created.id} created for "${name}":\n\n${created.token}\n\n` +
+                    'Copy it now, it will not be shown again. Send it as "Authorization: Bearer <token>".');
+                await this.sendStatusUpdate(`🔑 User @${msg.from.username} created API token ${created.id} (${name})`);
+
+            } else if (subcommand === 'revoke') {
+                const id = parseInt(rest[0]);
+                if (!id) {
+                    await this.bot.sendMessage(chatId, '❌ Usage: /tokens revoke <id>');
+                    return;
                 }
-            });
 
-            logger.telegram('Summarize command handled', { userId: msg.from.id, username: msg.from.username });
+                const revoked = await apiService.revokeToken(id);
+                await this.bot.sendMessage(chatId, revoked ? `✅ API token ${id} revoked.` : `❌ No active API token with ID ${id}.`);
+                if (revoked) {
+                    await this.sendStatusUpdate(`🔑 User @${msg.from.username} revoked API token ${id}`);
+                }
 
-            // Log interaction to status group if enabled
-            if (config.get('telegram.logAllInteractions')) {
-                await this.sendStatusUpdate(`📊 User @${msg.from.username} (ID: ${msg.from.id}) requested summary - showing group selection`);
+            } else {
+                await this.bot.sendMessage(chatId, usage);
             }
 
+            logger.telegram('Tokens command handled', { userId: msg.from.id, username: msg.from.username, subcommand });
+
         } catch (error) {
-            logger.error('Error handling summarize command', error);
-            await this.sendErrorMessage(msg.chat.id);
+            logger.error('Error handling tokens command', error);
+            await this.sendErrorMessage(chatId);
         }
     }
 
     /**
-     * Handle /status command
+     * Handle /usage command (admins only)
+     * Usage: /usage [days] - this month's totals, the last N days (default 7) and the month per group and user
      * @param {Object} msg - Telegram message object
+     * @param {Array} match - Regex match with the command arguments
      */
-    async handleStatusCommand(msg) {
+    async handleUsageCommand(msg, match) {
         const chatId = msg.chat.id;
-        const username = msg.from.username;
 
-        if (!this.isUserAllowed(username)) {
-            await this.sendUnauthorizedMessage(chatId);
+        const user = await this.authorizeUser(msg.from, chatId, 'admin');
+        if (!user) {
             return;
         }
 
         try {
-            // Import services dynamically
-            const whatsappService = require('./whatsapp');
-            const geminiService = require('./gemini');
-            const databaseService = require('./database');
-
-            // Get status from all services
-            const whatsappStatus = whatsappService.getStatus();
-            const geminiStatus = geminiService.getStatus();
-            const telegramStatus = this.getStatus();
-            const databaseStatus = databaseService.isReady();
+            const days = Math.min(Math.max(parseInt(match && match[1]) || 7, 1), 31);
+            const report = await usageService.getReport(days);
 
-            // Get monitored groups
-            const monitoredGroups = config.get('whatsapp.groups') || [];
-            const allGroups = await this.getAllWhatsAppGroups();
+            const formatCost = cost => `$${(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+            const formatRow = row => `• ${row.label}: ${row.calls} calls, ${(row.tokens || 0).toLocaleString()} tokens, ${formatCost(row.cost_usd)}`;
+            const top = rows => rows.slice(0, 10).map(formatRow).join('\n') || '• No usage';
 
-            const statusMessage = `🤖 *Bot Status Report*\n\n` +
-                `*WhatsApp Service:*\n` +
-                `• Connected: ${whatsappStatus.isConnected ? '✅' : '❌'}\n` +
-                `• Authenticated: ${whatsappStatus.isAuthenticated ? '✅' : '❌'}\n` +
-                `• Ready: ${whatsappStatus.isReady ? '✅' : '❌'}\n\n` +
-                `*Telegram Service:*\n` +
-                `• Initialized: ${telegramStatus.isInitialized ? '✅' : '❌'}\n` +
-                `• Active Users: ${telegramStatus.activeUsers}\n\n` +
-                `*AI Service:*\n` +
-                `• Gemini Ready: ${geminiStatus.isInitialized ? '✅' : '❌'}\n` +
-                `• Model: ${geminiStatus.model}\n\n` +
-                `*Database:*\n` +
-                `• Ready: ${databaseStatus ? '✅' : '❌'}\n\n` +
-                `*Group Monitoring:*\n` +
-                `• Monitored: ${monitoredGroups.length}\n` +
-                `• Total Available: ${allGroups.length}\n` +
-                `• Coverage: ${allGroups.length > 0 ? ((monitoredGroups.length / allGroups.length) * 100).toFixed(1) : 0}%\n\n` +
-                `*Monitored Groups:*\n` +
-                monitoredGroups.map(group => `• ${group}`).join('\n') +
-                `\n\n*Last Updated:* ${new Date().toLocaleString()}`;
+            const { month, budget } = report;
+            const budgetLines = [];
+            if (budget.monthlyCostUSD) {
+                budgetLines.push(`${formatCost(budget.costUsd)} of ${formatCost(budget.monthlyCostUSD)} (${Math.round((budget.costUsd / budget.monthlyCostUSD) * 100)}%)`);
+            }
+            if (budget.monthlyTokens) {
+                budgetLines.push(`${budget.tokens.toLocaleString()} of ${budget.monthlyTokens.toLocaleString()} tokens (${Math.round((budget.tokens / budget.monthlyTokens) * 100)}%)`);
+            }
 
-            await this.bot.sendMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
-            logger.telegram('Status command handled', { userId: msg.from.id, username });
+            const message = `📈 AI usage since ${moment().startOf('month').format('YYYY-MM-DD')}\n\n` +
+                `• Calls: ${month.calls} (${month.failures} failed)\n` +
+                `• Tokens: ${month.input_tokens.toLocaleString()} in / ${month.output_tokens.toLocaleString()} out\n` +
+                `• Estimated cost: ${formatCost(month.cost_usd)}\n` +
+                `• Budget: ${budgetLines.length > 0 ? budgetLines.join(', ') : 'none'}${budget.exceeded ? ' - exceeded, new summaries are blocked' : ''}\n\n` +
+                `Last ${days} days:\n${top(report.days)}\n\n` +
+                `By group (this month):\n${top(report.groups)}\n\n` +
+                `By user (this month):\n${top(report.users)}`;
 
-            // Log interaction to status group if enabled
-            if (config.get('telegram.logAllInteractions')) {
-                await this.sendStatusUpdate(`ℹ️ User @${username} checked bot status`);
-            }
+            await this.bot.sendMessage(chatId, message);
+            logger.telegram('Usage command handled', { userId: msg.from.id, username: msg.from.username, days });
 
         } catch (error) {
-            logger.error('Error handling status command', error);
-            await this.bot.sendMessage(chatId, 
-                '❌ *Error getting status*\n\nPlease try again later.',
-                { parse_mode: 'Markdown' }
-            );
+            logger.error('Error handling usage command', error);
+            await this.sendErrorMessage(chatId);
         }
     }
 
@@ -258,9 +1454,9 @@ class TelegramService {
             const userId = msg.from.id;
             const username = msg.from.username;
 
-            // Check if user is authorized
-            if (!this.isUserAllowed(username)) {
-                await this.sendUnauthorizedMessage(chatId);
+            // Only admins change which groups are monitored
+            const user = await this.authorizeUser(msg.from, chatId, 'admin');
+            if (!user) {
                 return;
             }
 
@@ -321,7 +1517,7 @@ class TelegramService {
 
         // Add groups for this page
         pageGroups.forEach((group, index) => {
-            const isMonitored = monitoredGroups.includes(group.name);
+            const isMonitored = monitoredGroups.some(monitored => monitored.id === group.id);
             const status = isMonitored ? '✅' : '❌';
             const displayName = group.name.length > 40 ? group.name.substring(0, 37) + '...' : group.name;
             
@@ -357,7 +1553,7 @@ class TelegramService {
         let currentRow = [];
         
         pageGroups.forEach((group, index) => {
-            const isMonitored = monitoredGroups.includes(group.name);
+            const isMonitored = monitoredGroups.some(monitored => monitored.id === group.id);
             const action = isMonitored ? 'remove' : 'add';
             const buttonText = isMonitored ? '❌' : '✅';
             
@@ -368,7 +1564,7 @@ class TelegramService {
             if (!this.userGroupMapping[userId]) {
                 this.userGroupMapping[userId] = {};
             }
-            this.userGroupMapping[userId][globalIndex] = group.name;
+            this.userGroupMapping[userId][globalIndex] = { id: group.id, name: group.name };
             
             currentRow.push({
                 text: `${buttonText} Group ${globalIndex}`,
@@ -464,12 +1660,21 @@ class TelegramService {
             const data = query.data;
 
             // Check if user is authorized
-            if (!this.isUserAllowed(username)) {
+            const user = await userService.authenticate(query.from);
+            if (!user) {
                 logger.telegram('Unauthorized callback attempt', { userId, username, data });
                 await this.bot.answerCallbackQuery(query.id, { text: '❌ Unauthorized' });
                 return;
             }
 
+            // Group management buttons are for admins only
+            const isGroupManagement = data.startsWith('group_add_') || data.startsWith('group_remove_') || data.startsWith('groups_');
+            if (isGroupManagement && !userService.isAdmin(user)) {
+                logger.telegram('Non-admin group management attempt', { userId, username, data });
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ Admins only' });
+                return;
+            }
+
             // Handle different callback types
             if (data.startsWith('group_add_')) {
                 await this.handleGroupAdd(query, data);
@@ -484,12 +1689,26 @@ class TelegramService {
             } else if (data === 'groups_close') {
                 await this.handleGroupsClose(query);
             } else if (data.startsWith('group_')) {
-                await this.handleGroupSelection(query, data);
+                await this.handleGroupSelection(query, data, user);
             } else if (data.startsWith('date_')) {
                 await this.handleDateSelection(query, data);
+            } else if (data.startsWith('range_')) {
+                await this.handleRangeSelection(query, data);
+            } else if (data.startsWith('cal_')) {
+                await this.handleCalendarNavigation(query, data);
+            } else if (data.startsWith('calpick_')) {
+                await this.handleCalendarPick(query, data);
+            } else if (data.startsWith('search_page_')) {
+                await this.handleSearchPageNavigation(query, data);
+            } else if (data.startsWith('alert_ctx_')) {
+                await this.handleAlertContext(query, data, user);
+            } else if (data === 'noop') {
+                await this.bot.answerCallbackQuery(query.id);
+            } else if (data.startsWith('regen_')) {
+                await this.handleSummaryRegenerate(query, data, user);
             } else if (data.startsWith('page_groups_')) {
                 // Handle group pagination for summarize workflow
-                await this.handleGroupPagination(query, data);
+                await this.handleGroupPagination(query, data, user);
             } else if (data === 'cancel') {
                 // Handle cancel action
                 await this.handleCancel(query);
@@ -512,20 +1731,20 @@ class TelegramService {
             const userId = query.from.id;
             const chatId = query.message.chat.id;
             const globalIndex = data.replace('group_add_', '');
-            const groupName = this.userGroupMapping[userId]?.[globalIndex];
+            const group = this.userGroupMapping[userId]?.[globalIndex];
             
-            if (!groupName) {
+            if (!group) {
                 await this.bot.answerCallbackQuery(query.id, { text: '❌ Group not found' });
                 return;
             }
 
             // Add to monitored groups
             const whatsappService = require('./whatsapp');
-            const success = await whatsappService.addMonitoredGroup(groupName);
+            const success = await whatsappService.addMonitoredGroup(group);
             
             if (success) {
-                await this.bot.answerCallbackQuery(query.id, { text: `✅ Added "${groupName}" to monitoring` });
-                logger.telegram('Group added to monitoring', { userId, groupName });
+                await this.bot.answerCallbackQuery(query.id, { text: `✅ Added "${group.name}" to monitoring` });
+                logger.telegram('Group added to monitoring', { userId, chatId: group.id, groupName: group.name });
                 
                 // Refresh the current page to show updated status
                 await this.refreshCurrentPage(chatId, userId);
@@ -546,20 +1765,20 @@ class TelegramService {
             const userId = query.from.id;
             const chatId = query.message.chat.id;
             const globalIndex = data.replace('group_remove_', '');
-            const groupName = this.userGroupMapping[userId]?.[globalIndex];
+            const group = this.userGroupMapping[userId]?.[globalIndex];
             
-            if (!groupName) {
+            if (!group) {
                 await this.bot.answerCallbackQuery(query.id, { text: '❌ Group not found' });
                 return;
             }
 
             // Remove from monitored groups
             const whatsappService = require('./whatsapp');
-            const success = await whatsappService.removeMonitoredGroup(groupName);
+            const success = whatsappService.removeMonitoredGroup(group.id);
             
             if (success) {
-                await this.bot.answerCallbackQuery(query.id, { text: `❌ Removed "${groupName}" from monitoring` });
-                logger.telegram('Group removed from monitoring', { userId, groupName });
+                await this.bot.answerCallbackQuery(query.id, { text: `❌ Removed "${group.name}" from monitoring` });
+                logger.telegram('Group removed from monitoring', { userId, chatId: group.id, groupName: group.name });
                 
                 // Refresh the current page to show updated status
                 await this.refreshCurrentPage(chatId, userId);
@@ -652,7 +1871,7 @@ class TelegramService {
         
         // Escape group names for Markdown
         const escapedGroups = monitoredGroups.map(group => {
-            return group
+            return group.name
                 .replace(/\*/g, '\\*')
                 .replace(/_/g, '\\_')
                 .replace(/`/g, '\\`')
@@ -713,33 +1932,78 @@ class TelegramService {
      * @param {Object} msg - Telegram message object
      */
     async handleTextMessage(msg) {
-        // Only respond to commands, ignore other text messages
-        if (!msg.text.startsWith('/')) {
+        // Commands are handled by their own listeners
+        if (!msg.text || msg.text.startsWith('/')) {
             return;
         }
+
+        // A question sent after picking a group in the /ask flow
+        const userState = this.userStates.get(msg.from.id);
+        if (userState && userState.mode === 'ask' && userState.awaitingQuestion) {
+            this.userStates.delete(msg.from.id);
+            try {
+                // Access may have been revoked while the question was being typed
+                const user = await userService.authenticate(msg.from);
+                if (!userService.canAccessGroup(user, userState.selectedGroup)) {
+                    await this.sendUnauthorizedMessage(msg.chat.id, msg.from.id);
+                    return;
+                }
+
+                await this.sendAnswer(msg.chat.id, msg.from, userState.selectedGroup, msg.text.trim());
+            } catch (error) {
+                logger.error('Error answering question', error);
+                await this.sendErrorMessage(msg.chat.id);
+            }
+        }
     }
 
     /**
-     * Check if user is allowed to use the bot
-     * @param {string} username - Telegram username
-     * @returns {boolean} True if allowed
+     * Resolve the bot user behind a command and check their role
+     * Replies with the reason when access is denied.
+     * @param {Object} from - Telegram user (msg.from)
+     * @param {number} chatId - Telegram chat ID to reply in
+     * @param {string} requiredRole - 'viewer' for any user, 'admin' for admin-only commands
+     * @returns {Promise<Object|null>} User with role and groups, or null if access is denied
      */
-    isUserAllowed(username) {
-        return username === this.allowedUsername;
+    async authorizeUser(from, chatId, requiredRole = 'viewer') {
+        try {
+            const user = await userService.authenticate(from);
+
+            if (!user) {
+                await this.sendUnauthorizedMessage(chatId, from.id);
+                return null;
+            }
+
+            if (requiredRole === 'admin' && !userService.isAdmin(user)) {
+                await this.bot.sendMessage(chatId, '❌ This command is only available to admins.');
+                logger.telegram('Admin command refused', { chatId, userId: from.id });
+                return null;
+            }
+
+            return user;
+        } catch (error) {
+            logger.error('Error authorizing user', { userId: from.id, error: error.message });
+            await this.sendErrorMessage(chatId);
+            return null;
+        }
     }
 
     /**
      * Send unauthorized access message
      * @param {number} chatId - Telegram chat ID
+     * @param {number} userId - Telegram user ID, shown so an admin can grant access
      */
-    async sendUnauthorizedMessage(chatId) {
-        const message = '❌ *Unauthorized Access*\n\nThis bot is only available to authorized users.';
+    async sendUnauthorizedMessage(chatId, userId = null) {
+        let message = '❌ *Unauthorized Access*\n\nThis bot is only available to authorized users.';
+        if (userId) {
+            message += `\n\nYour Telegram user ID is \`${userId}\`. An admin can grant access with /users add ${userId} viewer`;
+        }
         await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-        logger.telegram('Unauthorized access attempt', { chatId });
+        logger.telegram('Unauthorized access attempt', { chatId, userId });
 
         // Log unauthorized access to status group if enabled
         if (config.get('telegram.logAllInteractions')) {
-            await this.sendStatusUpdate(`🚫 Unauthorized access attempt from chat ID: ${chatId}`);
+            await this.sendStatusUpdate(`🚫 Unauthorized access attempt from chat ID: ${chatId} (user ID: ${userId || 'unknown'})`);
         }
     }
 
@@ -753,17 +2017,18 @@ class TelegramService {
     }
 
     /**
-     * Get available groups from configuration
-     * @returns {Array} Array of group names
+     * Get the monitored groups a user may see
+     * @param {Object} user - Bot user from authorizeUser
+     * @returns {Array} Array of { id, name } group objects
      */
-    async getAvailableGroups() {
+    async getAvailableGroups(user) {
         try {
             // Get monitored groups from WhatsApp service
             const whatsappService = require('./whatsapp');
             const monitoredGroups = whatsappService.getMonitoredGroups();
             
-            // Return the monitored groups as an array of group names
-            return monitoredGroups;
+            // Return the monitored groups as { id, name } objects
+            return userService.filterGroups(user, monitoredGroups);
         } catch (error) {
             logger.error('Error getting available groups', error);
             return [];
@@ -772,7 +2037,7 @@ class TelegramService {
 
     /**
      * Create inline keyboard for group selection
-     * @param {Array} groups - Array of group names
+     * @param {Array} groups - Array of { id, name } group objects
      * @param {number} page - Current page number
      * @returns {Array} Inline keyboard array
      */
@@ -782,8 +2047,8 @@ class TelegramService {
         const pageGroups = groups.slice(startIndex, endIndex);
 
         const keyboard = pageGroups.map(group => [{
-            text: group,
-            callback_data: `group_${group}`
+            text: group.name,
+            callback_data: `group_${group.id}`
         }]);
 
         // Add navigation buttons
@@ -813,50 +2078,368 @@ class TelegramService {
             callback_data: 'cancel'
         }]);
 
-        return keyboard;
+        return keyboard;
+    }
+
+    /**
+     * Create inline keyboard for date selection
+     * Offers quick ranges, the most recent days and a calendar for custom ranges.
+     * @returns {Array} Inline keyboard array
+     */
+    createDateSelectionKeyboard() {
+        const keyboard = [];
+        const today = moment();
+
+        // Quick range presets
+        keyboard.push([
+            { text: '🕐 Last 24h', callback_data: 'range_24h' },
+            { text: '🗓 This week', callback_data: 'range_week' },
+            { text: '📆 Last 7 days', callback_data: 'range_7d' }
+        ]);
+
+        // Single days, most recent first, four per row
+        let currentRow = [];
+        for (let i = 0; i < this.maxDatesPerPage; i++) {
+            const date = today.clone().subtract(i, 'days');
+            const dateStr = date.format('YYYY-MM-DD');
+            const displayStr = date.format('MMM DD');
+
+            currentRow.push({
+                text: displayStr,
+                callback_data: `date_${dateStr}`
+            });
+
+            if (currentRow.length === 4) {
+                keyboard.push(currentRow);
+                currentRow = [];
+            }
+        }
+        if (currentRow.length > 0) {
+            keyboard.push(currentRow);
+        }
+
+        keyboard.push([{
+            text: '📅 Custom range',
+            callback_data: 'range_custom'
+        }]);
+
+        // Add cancel button
+        keyboard.push([{
+            text: '❌ Cancel',
+            callback_data: 'cancel'
+        }]);
+
+        return keyboard;
+    }
+
+    /**
+     * Get the oldest date that can still hold messages under the retention policy
+     * @returns {moment.Moment} Oldest selectable date
+     */
+    getOldestSelectableDate() {
+        const retentionDays = config.get('database.cleanup.retentionDays') || 30;
+        return moment().startOf('day').subtract(retentionDays, 'days');
+    }
+
+    /**
+     * Create a month calendar keyboard for picking a custom range
+     * @param {string} month - Month to display (YYYY-MM)
+     * @param {string|null} rangeStart - Already selected start date (YYYY-MM-DD)
+     * @returns {Array} Inline keyboard array
+     */
+    createCalendarKeyboard(month, rangeStart = null) {
+        const keyboard = [];
+        const monthStart = moment(month, 'YYYY-MM').startOf('month');
+        const oldest = this.getOldestSelectableDate();
+        const today = moment().startOf('day');
+
+        // Header with month navigation, limited to the retention window
+        const header = [];
+        const previousMonth = monthStart.clone().subtract(1, 'month');
+        header.push(previousMonth.clone().endOf('month').isBefore(oldest)
+            ? { text: ' ', callback_data: 'noop' }
+            : { text: '«', callback_data: `cal_${previousMonth.format('YYYY-MM')}` });
+        header.push({ text: monthStart.format('MMMM YYYY'), callback_data: 'noop' });
+        const nextMonth = monthStart.clone().add(1, 'month');
+        header.push(nextMonth.isAfter(today)
+            ? { text: ' ', callback_data: 'noop' }
+            : { text: '»', callback_data: `cal_${nextMonth.format('YYYY-MM')}` });
+        keyboard.push(header);
+
+        // Weekday names, following the locale's first day of the week
+        keyboard.push(moment.weekdaysMin(true).map(day => ({ text: day, callback_data: 'noop' })));
+
+        // Day grid
+        const cursor = monthStart.clone().startOf('week');
+        const gridEnd = monthStart.clone().endOf('month').endOf('week');
+        let week = [];
+        while (cursor.isSameOrBefore(gridEnd, 'day')) {
+            const dateStr = cursor.format('YYYY-MM-DD');
+            const selectable = cursor.isSame(monthStart, 'month') &&
+                cursor.isSameOrAfter(oldest, 'day') &&
+                cursor.isSameOrBefore(today, 'day');
+
+            if (selectable) {
+                week.push({
+                    text: dateStr === rangeStart ? `•${cursor.date()}•` : String(cursor.date()),
+                    callback_data: `calpick_${dateStr}`
+                });
+            } else {
+                week.push({ text: ' ', callback_data: 'noop' });
+            }
+
+            if (week.length === 7) {
+                keyboard.push(week);
+                week = [];
+            }
+            cursor.add(1, 'day');
+        }
+
+        keyboard.push([
+            { text: '⬅️ Back', callback_data: 'range_back' },
+            { text: '❌ Cancel', callback_data: 'cancel' }
+        ]);
+
+        return keyboard;
+    }
+
+    /**
+     * Describe a summary period for display
+     * @param {string|Object} period - Date (YYYY-MM-DD), { startDate, endDate } or { hours }
+     * @returns {string} Human-readable period
+     */
+    formatPeriodLabel(period) {
+        if (typeof period === 'string') {
+            return moment(period).format('MMM DD, YYYY');
+        }
+
+        if (period.hours) {
+            return `Last ${period.hours}h`;
+        }
+
+        if (period.startDate === period.endDate) {
+            return moment(period.startDate).format('MMM DD, YYYY');
+        }
+
+        return `${moment(period.startDate).format('MMM DD')} – ${moment(period.endDate).format('MMM DD, YYYY')}`;
+    }
+
+    /**
+     * Format the header shown above a summary
+     * @param {Object} f - Formatter of the parse mode (see utils/telegramFormat)
+     * @param {string} groupName - Group name
+     * @param {string|Object} period - Date (YYYY-MM-DD) or period object (see formatPeriodLabel)
+     * @param {number} messageCount - Number of messages
+     * @returns {string} Formatted header
+     */
+    formatSummaryHeader(f, groupName, period, messageCount) {
+        const formattedDate = this.formatPeriodLabel(period);
+
+        return `📋 ${f.bold(f.escape(`Summary for ${groupName}`))}\n` +
+            `📅 ${f.bold('Date:')} ${f.escape(formattedDate)}\n` +
+            `📊 ${f.bold('Messages:')} ${messageCount}`;
+    }
+
+    /**
+     * Send model-written Markdown, split into as many messages as needed
+     * The body is converted to the telegram.parseMode format (HTML by default)
+     * and split at paragraph and bullet boundaries into numbered parts. If
+     * Telegram rejects the formatting, the text is sent again as plain text; if
+     * it needs more than telegram.maxMessageParts messages, or still cannot be
+     * sent, it is attached as a Markdown document instead.
+     * @param {number|string} chatId - Telegram chat ID
+     * @param {Object} content - Message content
+     * @param {Function} content.header - Builds the header from a formatter (optional)
+     * @param {string} content.body - Markdown body
+     * @param {Function} content.footer - Builds the footer from a formatter (optional)
+     * @param {Object} options - Options
+     * @param {number} options.editMessageId - Message to replace with the first part
+     * @param {Object} options.replyMarkup - Inline keyboard attached to the first part
+     * @param {string} options.filename - Document name used for the file fallback
+     * @returns {Promise<Array<number>>} IDs of the messages showing the content, first part first
+     */
+    async sendFormattedMessage(chatId, content, options = {}) {
+        const parseMode = config.get('telegram.parseMode') || 'HTML';
+        const maxParts = config.get('telegram.maxMessageParts') || 5;
+        const modes = parseMode === 'plain' ? ['plain'] : [parseMode, 'plain'];
+
+        for (const mode of modes) {
+            const parts = this.renderMessageParts(content, mode);
+            if (parts.length > maxParts) {
+                logger.telegram('Message too long for chat messages, sending as document', { chatId, parts: parts.length });
+                break;
+            }
+
+            try {
+                return await this.sendMessageParts(chatId, parts, mode, options);
+            } catch (error) {
+                if (!this.isFormattingError(error)) {
+                    throw error;
+                }
+                logger.warn('Telegram rejected formatted message', { chatId, parseMode: mode, error: error.message });
+            }
+        }
+
+        return this.sendMarkdownDocument(chatId, content, options);
+    }
+
+    /**
+     * Render header, body and footer into message-sized parts
+     * The header opens the first part, the footer closes the last one and each
+     * part is labelled "Part i/n" when there is more than one.
+     * @param {Object} content - Message content (see sendFormattedMessage)
+     * @param {string} mode - 'HTML', 'MarkdownV2' or 'plain'
+     * @returns {Array<string>} Rendered parts
+     */
+    renderMessageParts(content, mode) {
+        const f = getFormatter(mode);
+        const header = content.header ? content.header(f) : '';
+        const footer = content.footer ? content.footer(f) : '';
+
+        // Leave room for the header, footer and part label in every part
+        const reserved = header.length + footer.length + 32;
+        const chunks = renderChunks(content.body, mode, Math.max(MAX_MESSAGE_LENGTH - reserved, 1000));
+
+        return chunks.map((chunk, index) => {
+            const sections = [];
+            if (index === 0 && header) {
+                sections.push(header);
+            }
+            if (chunks.length > 1) {
+                sections.push(f.italic(f.escape(`Part ${index + 1}/${chunks.length}`)));
+            }
+            sections.push(chunk);
+            if (index === chunks.length - 1 && footer) {
+                sections.push(footer);
+            }
+            return sections.join('\n\n');
+        });
+    }
+
+    /**
+     * Send rendered parts, editing the original message with the first one
+     * If a part is rejected, the parts already sent as new messages are deleted
+     * so the caller can retry in another format without duplicates.
+     * @param {number|string} chatId - Telegram chat ID
+     * @param {Array<string>} parts - Rendered parts
+     * @param {string} mode - 'HTML', 'MarkdownV2' or 'plain'
+     * @param {Object} options - Options (see sendFormattedMessage)
+     * @returns {Promise<Array<number>>} Message IDs
+     */
+    async sendMessageParts(chatId, parts, mode, options) {
+        const messageIds = [];
+        const sentIds = [];
+
+        try {
+            for (const [index, part] of parts.entries()) {
+                const messageOptions = {};
+                if (mode !== 'plain') {
+                    messageOptions.parse_mode = mode;
+                }
+                if (index === 0 && options.replyMarkup) {
+                    messageOptions.reply_markup = options.replyMarkup;
+                }
+
+                if (index === 0 && options.editMessageId) {
+                    await this.bot.editMessageText(part, { chat_id: chatId, message_id: options.editMessageId, ...messageOptions });
+                    messageIds.push(options.editMessageId);
+                } else {
+                    const sent = await this.bot.sendMessage(chatId, part, messageOptions);
+                    messageIds.push(sent.message_id);
+                    sentIds.push(sent.message_id);
+                }
+            }
+        } catch (error) {
+            await this.deleteMessages(chatId, sentIds);
+            throw error;
+        }
+
+        return messageIds;
+    }
+
+    /**
+     * Send content as a Markdown document
+     * The original message, if any, is replaced with the header and a note.
+     * @param {number|string} chatId - Telegram chat ID
+     * @param {Object} content - Message content (see sendFormattedMessage)
+     * @param {Object} options - Options (see sendFormattedMessage)
+     * @returns {Promise<Array<number>>} Message IDs
+     */
+    async sendMarkdownDocument(chatId, content, options) {
+        const plain = getFormatter('plain');
+        const header = content.header ? content.header(plain) : '';
+        const footer = content.footer ? content.footer(plain) : '';
+        const document = [header, content.body, footer].filter(Boolean).join('\n\n');
+        const note = [header, '📎 The full text is attached as a file.'].filter(Boolean).join('\n\n');
+
+        const messageIds = [];
+        const documentOptions = {};
+        if (options.editMessageId) {
+            await this.bot.editMessageText(note, {
+                chat_id: chatId,
+                message_id: options.editMessageId,
+                ...(options.replyMarkup ? { reply_markup: options.replyMarkup } : {})
+            });
+            messageIds.push(options.editMessageId);
+        } else {
+            documentOptions.caption = note.slice(0, 1024);
+        }
+
+        const sent = await this.bot.sendDocument(chatId, Buffer.from(document, 'utf8'), documentOptions, {
+            filename: options.filename || 'message.md',
+            contentType: 'text/markdown'
+        });
+        messageIds.push(sent.message_id);
+
+        return messageIds;
     }
 
     /**
-     * Create inline keyboard for date selection
-     * @returns {Array} Inline keyboard array
+     * Check whether Telegram refused a message because of its formatting or length
+     * @param {Error} error - Error from the Telegram API
+     * @returns {boolean} True if the same text may be sent in another form
      */
-    createDateSelectionKeyboard() {
-        const keyboard = [];
-        const today = moment();
-        
-        // Create date options for the last 7 days
-        for (let i = 0; i < this.maxDatesPerPage; i++) {
-            const date = today.clone().subtract(i, 'days');
-            const dateStr = date.format('YYYY-MM-DD');
-            const displayStr = date.format('MMM DD');
-            
-            keyboard.push([{
-                text: displayStr,
-                callback_data: `date_${dateStr}`
-            }]);
-        }
-
-        // Add cancel button
-        keyboard.push([{
-            text: '❌ Cancel',
-            callback_data: 'cancel'
-        }]);
+    isFormattingError(error) {
+        return error.code === 'ETELEGRAM' && /can't parse entities|can't find end|message is too long|text is too long/i.test(error.message);
+    }
 
-        return keyboard;
+    /**
+     * Delete messages, ignoring ones that are already gone
+     * @param {number|string} chatId - Telegram chat ID
+     * @param {Array<number>} messageIds - Message IDs
+     */
+    async deleteMessages(chatId, messageIds) {
+        for (const messageId of messageIds) {
+            try {
+                await this.bot.deleteMessage(chatId, messageId);
+            } catch (error) {
+                logger.warn('Could not delete message', { chatId, messageId, error: error.message });
+            }
+        }
     }
 
     /**
-     * Format summary message for Telegram
+     * Deliver a scheduled digest to a chat
+     * @param {string|number} chatId - Target Telegram chat ID
      * @param {string} groupName - Group name
-     * @param {string} date - Date
-     * @param {string} summary - Summary text
-     * @param {number} messageCount - Number of messages
-     * @returns {string} Formatted message
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {Object} result - Result from the summary service
      */
-    formatSummaryMessage(groupName, date, summary, messageCount) {
-        const formattedDate = moment(date).format('MMM DD, YYYY');
-        
-        return `📋 *Summary for ${groupName}*\n📅 *Date:* ${formattedDate}\n📊 *Messages:* ${messageCount}\n\n${summary}`;
+    async sendDigest(chatId, groupName, date, result) {
+        if (result.messageCount === 0) {
+            await this.bot.sendMessage(chatId, `📭 No messages in ${groupName} on ${moment(date).format('MMM DD, YYYY')}.`);
+            return;
+        }
+
+        if (!result.summary) {
+            throw new Error('Empty summary');
+        }
+
+        await this.sendFormattedMessage(chatId, {
+            header: f => `⏰ ${f.bold('Daily digest')}\n\n${this.formatSummaryHeader(f, groupName, date, result.messageCount)}`,
+            body: result.summary
+        }, { filename: `digest-${date}.md` });
+        logger.telegram('Digest sent', { chatId, groupName, date, messageCount: result.messageCount });
     }
 
     /**
@@ -895,7 +2478,6 @@ class TelegramService {
     getStatus() {
         return {
             isInitialized: this.isInitialized,
-            allowedUsername: this.allowedUsername,
             statusGroupId: this.statusGroupId,
             activeUsers: this.userStates.size
         };
@@ -906,7 +2488,10 @@ class TelegramService {
      */
     async stop() {
         try {
-            if (this.bot) {
+            if (this.bot && this.webhook) {
+                await this.bot.deleteWebHook();
+                logger.telegram('Telegram webhook removed');
+            } else if (this.bot) {
                 await this.bot.stopPolling();
             }
             this.isInitialized = false;
@@ -1002,13 +2587,13 @@ class TelegramService {
         const keyboard = [];
         
         allGroups.forEach(group => {
-            const isMonitored = monitoredGroups.includes(group.name);
+            const isMonitored = monitoredGroups.some(monitored => monitored.id === group.id);
             const statusIcon = isMonitored ? '✅' : '❌';
             const action = isMonitored ? 'remove' : 'add';
             
             keyboard.push([{
                 text: `${statusIcon} ${group.name} (${group.participantsCount} members)`,
-                callback_data: `group_manage_${action}_${group.name}`
+                callback_data: `group_manage_${action}_${group.id}`
             }]);
         });
 
@@ -1043,15 +2628,18 @@ class TelegramService {
         const chatId = query.message.chat.id;
         const parts = data.split('_');
         const action = parts[2]; // 'add' or 'remove'
-        const groupName = parts.slice(3).join('_'); // Reconstruct group name with underscores
+        const groupId = parts.slice(3).join('_'); // Reconstruct the chat ID in case it contains underscores
 
         try {
             // Import WhatsApp service dynamically
             const whatsappService = require('./whatsapp');
+            const allGroups = await this.getAllWhatsAppGroups();
+            const group = allGroups.find(candidate => candidate.id === groupId) || { id: groupId, name: whatsappService.getGroupName(groupId) };
+            const groupName = group.name;
             
             if (action === 'add') {
                 // Add group to monitoring
-                await whatsappService.addMonitoredGroup(groupName);
+                await whatsappService.addMonitoredGroup(group);
                 await this.answerCallbackQuery(query.id, `✅ Added "${groupName}" to monitoring`);
                 
                 logger.telegram('Group added to monitoring', { 
@@ -1065,7 +2653,7 @@ class TelegramService {
 
             } else if (action === 'remove') {
                 // Remove group from monitoring
-                await whatsappService.removeMonitoredGroup(groupName);
+                whatsappService.removeMonitoredGroup(groupId);
                 await this.answerCallbackQuery(query.id, `❌ Removed "${groupName}" from monitoring`);
                 
                 logger.telegram('Group removed from monitoring', { 
@@ -1102,14 +2690,14 @@ class TelegramService {
                 await this.refreshGroupsManagement(query.message);
 
             } else if (action === 'status') {
-                const monitoredGroups = config.get('whatsapp.groups') || [];
+                const monitoredGroups = require('./whatsapp').getMonitoredGroups();
                 const allGroups = await this.getAllWhatsAppGroups();
                 
                 const statusMessage = `📊 *Group Monitoring Status*\n\n` +
                     `*Monitored Groups:* ${monitoredGroups.length}\n` +
                     `*Total Groups:* ${allGroups.length}\n\n` +
                     `*Currently Monitored:*\n` +
-                    monitoredGroups.map(group => `• ${group}`).join('\n') +
+                    monitoredGroups.map(group => `• ${group.name}`).join('\n') +
                     `\n\n*Monitoring Coverage:* ${((monitoredGroups.length / allGroups.length) * 100).toFixed(1)}%`;
 
                 await this.bot.editMessageText(statusMessage, {
@@ -1139,7 +2727,7 @@ class TelegramService {
     async refreshGroupsManagement(message) {
         try {
             const allGroups = await this.getAllWhatsAppGroups();
-            const monitoredGroups = config.get('whatsapp.groups') || [];
+            const monitoredGroups = require('./whatsapp').getMonitoredGroups();
             const keyboard = this.createGroupManagementKeyboard(allGroups, monitoredGroups);
             
             const updatedMessage = `📱 *Group Management*\n\n` +
@@ -1165,22 +2753,49 @@ class TelegramService {
     /**
      * Handle group selection for summarize workflow
      */
-    async handleGroupSelection(query, data) {
+    async handleGroupSelection(query, data, user) {
         try {
-            const groupName = data.replace('group_', '');
+            const groupId = data.replace('group_', '');
+            if (!userService.canAccessGroup(user, groupId)) {
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ You do not have access to this group' });
+                return;
+            }
+
+            const groupName = this.getGroupName(groupId);
             const chatId = query.message.chat.id;
             const userId = query.from.id;
 
-            // Store selected group in user state
+            // Store selected group (chat ID) in user state
             this.userStates = this.userStates || new Map();
             const userState = this.userStates.get(userId) || {};
-            userState.selectedGroup = groupName;
+            userState.selectedGroup = groupId;
             this.userStates.set(userId, userState);
 
+            // The ask flow needs a question instead of a date
+            if (userState.mode === 'ask') {
+                await this.bot.answerCallbackQuery(query.id, { text: `Selected: ${groupName}` });
+
+                if (userState.pendingQuestion) {
+                    this.userStates.delete(userId);
+                    await this.sendAnswer(chatId, query.from, groupId, userState.pendingQuestion, query.message.message_id);
+                    return;
+                }
+
+                userState.awaitingQuestion = true;
+                await this.bot.editMessageText(`❓ *What would you like to know about ${this.escapeMarkdown(groupName)}?*\n\nSend your question as a message.`, {
+                    chat_id: chatId,
+                    message_id: query.message.message_id,
+                    parse_mode: 'Markdown'
+                });
+                return;
+            }
+
             // Create date selection keyboard
             const keyboard = this.createDateSelectionKeyboard();
             
-            const message = `📅 *Select a date for ${groupName}:*`;
+            const message = userState.mode === 'homework'
+                ? `📅 *Select a date to extract homework from ${groupName}:*`
+                : `📅 *Select a date for ${groupName}:*`;
             await this.bot.editMessageText(message, {
                 chat_id: chatId,
                 message_id: query.message.message_id,
@@ -1210,85 +2825,503 @@ class TelegramService {
             // Get user state
             this.userStates = this.userStates || new Map();
             const userState = this.userStates.get(userId) || {};
-            const groupName = userState.selectedGroup;
 
-            if (!groupName) {
+            if (!userState.selectedGroup) {
                 await this.bot.answerCallbackQuery(query.id, { text: '❌ No group selected' });
                 return;
             }
 
-            // Show processing message
-            await this.bot.editMessageText('🔄 *Processing summary...*\n\nPlease wait while I generate the summary.', {
-                chat_id: chatId,
+            await this.bot.answerCallbackQuery(query.id, { text: 'Processing...' });
+
+            await this.sendPeriodResult(query, userState, { startDate: dateStr, endDate: dateStr });
+
+            // Clean up user state
+            this.userStates.delete(userId);
+
+        } catch (error) {
+            logger.error('Error handling date selection', error);
+            await this.sendSummaryError(query, error);
+        }
+    }
+
+    /**
+     * Replace the query message with a summary failure and its reason
+     * AI errors carry a user-facing reason (quota, safety filter, timeout...);
+     * anything else gets a generic message.
+     * @param {Object} query - Telegram callback query object
+     * @param {Error} error - Error that stopped the summary
+     */
+    async sendSummaryError(query, error) {
+        const reason = error.userMessage || 'Please try again later.';
+
+        try {
+            await this.bot.editMessageText(`❌ *Error generating summary*\n\n${this.escapeMarkdown(reason)}`, {
+                chat_id: query.message.chat.id,
                 message_id: query.message.message_id,
                 parse_mode: 'Markdown'
             });
+        } catch (editError) {
+            logger.error('Error sending summary error message', editError);
+        }
+    }
 
-            await this.bot.answerCallbackQuery(query.id, { text: 'Processing...' });
+    /**
+     * Handle the regenerate button shown under a summary
+     * @param {Object} query - Telegram callback query object
+     * @param {string} data - Callback data (see getRegenerateCallbackData)
+     * @param {Object} user - Authenticated user pressing the button
+     */
+    async handleSummaryRegenerate(query, data, user) {
+        try {
+            const summaryContext = this.parseRegenerateCallbackData(data);
 
-            // Get messages from database
-            const databaseService = require('./database');
-            const messages = await databaseService.getMessagesByGroupAndDate(groupName, dateStr, dateStr);
+            if (!summaryContext) {
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ Session expired. Please use /summarize again.' });
+                return;
+            }
+
+            // The button may be pressed by someone else in a shared chat, or after access was revoked
+            if (!userService.canAccessGroup(user, summaryContext.groupId)) {
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ You do not have access to this group' });
+                return;
+            }
+
+            await this.bot.answerCallbackQuery(query.id, { text: 'Regenerating...' });
+
+            await this.sendSummary(query, summaryContext.groupId, summaryContext.period, { forceRefresh: true });
+
+        } catch (error) {
+            logger.error('Error regenerating summary', error);
+            await this.sendSummaryError(query, error);
+        }
+    }
+
+    /**
+     * Build the callback data of the regenerate button
+     * The group and period travel in the button itself, so it keeps working after a restart.
+     * @param {string} groupId - WhatsApp chat ID of the group
+     * @param {Object} period - { startDate, endDate } (YYYY-MM-DD) or { hours }
+     * @returns {string} Callback data, e.g. "regen_20240501_20240507_<chat id>" or "regen_h24_<chat id>"
+     */
+    getRegenerateCallbackData(groupId, period) {
+        const range = period.hours
+            ? `h${period.hours}`
+            : `${period.startDate.replace(/-/g, '')}_${period.endDate.replace(/-/g, '')}`;
+        return `regen_${range}_${groupId}`;
+    }
+
+    /**
+     * Read the callback data of the regenerate button
+     * @param {string} data - Callback data from getRegenerateCallbackData
+     * @returns {Object|null} { groupId, period }, or null if the data is malformed
+     */
+    parseRegenerateCallbackData(data) {
+        const match = data.match(/^regen_(?:h(\d+)|(\d{8})_(\d{8}))_(.+)$/);
+        if (!match) {
+            return null;
+        }
 
-            if (!messages || messages.length === 0) {
-                await this.bot.editMessageText(`❌ *No messages found*\n\nNo messages found for ${groupName} on ${dateStr}`, {
+        const toDate = compact => moment(compact, 'YYYYMMDD').format('YYYY-MM-DD');
+        const period = match[1]
+            ? { hours: Number(match[1]) }
+            : { startDate: toDate(match[2]), endDate: toDate(match[3]) };
+        return { groupId: match[4], period };
+    }
+
+    /**
+     * Handle quick range presets and the custom range entry point
+     * @param {Object} query - Telegram callback query object
+     * @param {string} data - Callback data
+     */
+    async handleRangeSelection(query, data) {
+        try {
+            const chatId = query.message.chat.id;
+            const userId = query.from.id;
+            const userState = this.userStates.get(userId) || {};
+            const groupName = userState.selectedGroup && this.getGroupName(userState.selectedGroup);
+
+            if (!groupName) {
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ No group selected' });
+                return;
+            }
+
+            const range = data.replace('range_', '');
+            const today = moment();
+
+            if (range === 'custom') {
+                userState.rangeStart = null;
+                this.userStates.set(userId, userState);
+
+                await this.bot.editMessageText(`📅 *Select the start date for ${groupName}:*\n\nTap the same day twice for a single day.`, {
                     chat_id: chatId,
                     message_id: query.message.message_id,
-                    parse_mode: 'Markdown'
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: this.createCalendarKeyboard(today.format('YYYY-MM'))
+                    }
                 });
+                await this.bot.answerCallbackQuery(query.id);
                 return;
             }
 
-            // Generate summary using Gemini
-            const geminiService = require('./gemini');
-            const summary = await geminiService.generateSummary(messages, groupName, dateStr);
+            if (range === 'back') {
+                userState.rangeStart = null;
+                this.userStates.set(userId, userState);
 
-            if (!summary) {
-                await this.bot.editMessageText(`❌ *Error generating summary*\n\nFailed to generate summary for ${groupName} on ${dateStr}`, {
+                await this.bot.editMessageText(`📅 *Select a date for ${groupName}:*`, {
                     chat_id: chatId,
                     message_id: query.message.message_id,
-                    parse_mode: 'Markdown'
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: this.createDateSelectionKeyboard()
+                    }
                 });
+                await this.bot.answerCallbackQuery(query.id);
                 return;
             }
 
-            // Format and send summary
-            const summaryMessage = this.formatSummaryMessage(groupName, dateStr, summary, messages.length);
-            await this.bot.editMessageText(summaryMessage, {
-                chat_id: chatId,
-                message_id: query.message.message_id,
-                parse_mode: 'Markdown'
+            let period;
+            if (range === '24h') {
+                period = { hours: 24 };
+            } else if (range === 'week') {
+                period = { startDate: today.clone().startOf('week').format('YYYY-MM-DD'), endDate: today.format('YYYY-MM-DD') };
+            } else if (range === '7d') {
+                period = { startDate: today.clone().subtract(6, 'days').format('YYYY-MM-DD'), endDate: today.format('YYYY-MM-DD') };
+            } else {
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ Unknown range' });
+                return;
+            }
+
+            await this.bot.answerCallbackQuery(query.id, { text: 'Processing...' });
+            await this.sendPeriodResult(query, userState, period);
+            this.userStates.delete(userId);
+
+        } catch (error) {
+            logger.error('Error handling range selection', error);
+            await this.sendSummaryError(query, error);
+        }
+    }
+
+    /**
+     * Handle calendar month navigation
+     * @param {Object} query - Telegram callback query object
+     * @param {string} data - Callback data
+     */
+    async handleCalendarNavigation(query, data) {
+        try {
+            const month = data.replace('cal_', '');
+            const userState = this.userStates.get(query.from.id) || {};
+
+            await this.bot.editMessageReplyMarkup({
+                inline_keyboard: this.createCalendarKeyboard(month, userState.rangeStart)
+            }, {
+                chat_id: query.message.chat.id,
+                message_id: query.message.message_id
             });
 
-            // Log interaction to status group if enabled
-            if (config.get('telegram.logAllInteractions')) {
-                await this.sendStatusUpdate(`📊 User @${query.from.username} generated summary for ${groupName} (${dateStr}) - ${messages.length} messages`);
+            await this.bot.answerCallbackQuery(query.id);
+        } catch (error) {
+            logger.error('Error handling calendar navigation', error);
+            await this.bot.answerCallbackQuery(query.id, { text: '❌ Error navigating calendar' });
+        }
+    }
+
+    /**
+     * Handle a day picked in the custom range calendar
+     * The first pick sets the start of the range, the second one the end.
+     * @param {Object} query - Telegram callback query object
+     * @param {string} data - Callback data
+     */
+    async handleCalendarPick(query, data) {
+        try {
+            const pickedDate = data.replace('calpick_', '');
+            const chatId = query.message.chat.id;
+            const userId = query.from.id;
+            const userState = this.userStates.get(userId) || {};
+            const groupName = userState.selectedGroup && this.getGroupName(userState.selectedGroup);
+
+            if (!groupName) {
+                await this.bot.answerCallbackQuery(query.id, { text: '❌ No group selected' });
+                return;
             }
 
-            // Clean up user state
+            if (!userState.rangeStart) {
+                userState.rangeStart = pickedDate;
+                this.userStates.set(userId, userState);
+
+                await this.bot.editMessageText(`📅 *Select the end date for ${groupName}:*\n\nStart: ${moment(pickedDate).format('MMM DD, YYYY')}`, {
+                    chat_id: chatId,
+                    message_id: query.message.message_id,
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: this.createCalendarKeyboard(pickedDate.substring(0, 7), pickedDate)
+                    }
+                });
+                await this.bot.answerCallbackQuery(query.id, { text: `Start: ${pickedDate}` });
+                return;
+            }
+
+            const [startDate, endDate] = [userState.rangeStart, pickedDate].sort();
+
+            await this.bot.answerCallbackQuery(query.id, { text: 'Processing...' });
+            await this.sendPeriodResult(query, userState, { startDate, endDate });
             this.userStates.delete(userId);
 
         } catch (error) {
-            logger.error('Error handling date selection', error);
-            await this.bot.editMessageText('❌ *Error generating summary*\n\nPlease try again later.', {
-                chat_id: query.message.chat.id,
-                message_id: query.message.message_id,
+            logger.error('Error handling calendar pick', error);
+            await this.sendSummaryError(query, error);
+        }
+    }
+
+    /**
+     * Run the selected flow (summary or homework) for the chosen group and period
+     * @param {Object} query - Telegram callback query object
+     * @param {Object} userState - User state holding the flow mode and selected group
+     * @param {Object} period - { startDate, endDate } (YYYY-MM-DD) or { hours } for a rolling window
+     */
+    async sendPeriodResult(query, userState, period) {
+        if (userState.mode === 'homework') {
+            await this.sendHomework(query, userState.selectedGroup, period);
+        } else {
+            await this.sendSummary(query, userState.selectedGroup, period);
+        }
+    }
+
+    /**
+     * Get stored messages for a group and period
+     * @param {string} groupId - WhatsApp chat ID of the group
+     * @param {Object} period - { startDate, endDate } (YYYY-MM-DD) or { hours } for a rolling window
+     * @returns {Promise<Array>} Messages array
+     */
+    async getMessagesForPeriod(groupId, period) {
+        const databaseService = require('./database');
+
+        if (period.hours) {
+            const until = moment();
+            const since = until.clone().subtract(period.hours, 'hours');
+            return databaseService.getMessagesByGroupAndTimeRange(
+                groupId,
+                since.format('YYYY-MM-DD HH:mm:ss'),
+                until.format('YYYY-MM-DD HH:mm:ss')
+            );
+        }
+
+        return databaseService.getMessagesByGroupAndDate(groupId, period.startDate, period.endDate);
+    }
+
+    /**
+     * Extract, store and display homework in place of the query message
+     * @param {Object} query - Telegram callback query object
+     * @param {string} groupId - WhatsApp chat ID of the group
+     * @param {Object} period - { startDate, endDate } (YYYY-MM-DD) or { hours } for a rolling window
+     */
+    async sendHomework(query, groupId, period) {
+        const groupName = this.getGroupName(groupId);
+        const chatId = query.message.chat.id;
+        const messageId = query.message.message_id;
+        const periodLabel = this.formatPeriodLabel(period);
+
+        await this.bot.editMessageText('🔄 *Extracting homework...*\n\nPlease wait while I read the messages.', {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'Markdown'
+        });
+
+        const messages = await this.getMessagesForPeriod(groupId, period);
+
+        if (!messages || messages.length === 0) {
+            await this.sendFormattedMessage(chatId, {
+                header: f => `❌ ${f.bold('No messages found')}`,
+                body: `No messages found for ${groupName} (${periodLabel})`
+            }, { editMessageId: messageId });
+            return;
+        }
+
+        const sourceDate = period.hours
+            ? moment().format('YYYY-MM-DD')
+            : (period.startDate === period.endDate ? period.startDate : `${period.startDate}..${period.endDate}`);
+
+        const geminiService = require('./gemini');
+        const databaseService = require('./database');
+        const assignments = await usageService.run({ operation: 'homework', chatId: groupId }, () =>
+            geminiService.extractHomework(messages, groupName, sourceDate)
+        );
+        const storedCount = await databaseService.storeHomework(groupId, sourceDate, assignments);
+
+        // The list can outgrow one Telegram message in a busy week
+        await this.sendFormattedMessage(chatId, {
+            header: f => `📚 ${f.bold(f.escape(`Homework for ${groupName}`))}\n` +
+                `📅 ${f.bold('Date:')} ${f.escape(periodLabel)}\n` +
+                `📊 ${f.bold('Messages:')} ${messages.length}`,
+            body: assignments.length === 0
+                ? 'No homework assignments found in the messages.'
+                : assignments.map(assignment => this.formatHomeworkItem(assignment)).join('\n')
+        }, { editMessageId: messageId, filename: 'homework.md' });
+
+        logger.telegram('Homework sent', { chatId, groupName, period, assignmentCount: assignments.length, storedCount });
+
+        // Log interaction to status group if enabled
+        if (config.get('telegram.logAllInteractions')) {
+            await this.sendStatusUpdate(`📚 User @${query.from.username} extracted homework for ${groupName} (${periodLabel}) - ${assignments.length} assignments`);
+        }
+    }
+
+    /**
+     * Send the homework due this week across all groups the user may see
+     * @param {number} chatId - Telegram chat ID
+     * @param {Object} user - Bot user from authorizeUser
+     */
+    async sendHomeworkDueThisWeek(chatId, user) {
+        const databaseService = require('./database');
+        const startDate = moment().startOf('week').format('YYYY-MM-DD');
+        const endDate = moment().endOf('week').format('YYYY-MM-DD');
+        const homework = (await databaseService.getHomeworkDueBetween(startDate, endDate))
+            .filter(item => userService.canAccessGroup(user, item.chat_id));
+
+        if (homework.length === 0) {
+            await this.bot.sendMessage(chatId, `📚 No homework due this week (${this.formatPeriodLabel({ startDate, endDate })}).`);
+            return;
+        }
+
+        // Group assignments by group
+        const byGroup = new Map();
+        homework.forEach(item => {
+            if (!byGroup.has(item.chat_id)) {
+                byGroup.set(item.chat_id, []);
+            }
+            byGroup.get(item.chat_id).push(item);
+        });
+
+        const sections = [];
+        byGroup.forEach(items => {
+            sections.push(`## ${items[0].group_name}\n` + items.map(item => this.formatHomeworkItem({
+                subject: item.subject,
+                dueDate: item.due_date,
+                description: item.description
+            })).join('\n'));
+        });
+
+        await this.sendFormattedMessage(chatId, {
+            header: f => `📚 ${f.bold('Homework due this week')}\n📅 ${f.escape(this.formatPeriodLabel({ startDate, endDate }))}`,
+            body: sections.join('\n\n')
+        }, { filename: `homework-${startDate}.md` });
+    }
+
+    /**
+     * Format one homework assignment as a Markdown bullet line for sendFormattedMessage
+     * @param {Object} assignment - Assignment as { subject, dueDate, description }
+     * @returns {string} Markdown line
+     */
+    formatHomeworkItem(assignment) {
+        const due = assignment.dueDate ? moment(assignment.dueDate).format('ddd MMM DD') : 'no due date';
+        return `- **${assignment.subject}** (${due}): ${assignment.description}`;
+    }
+
+    /**
+     * Escape text for Telegram's legacy Markdown parse mode
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeMarkdown(text) {
+        return String(text || '').replace(/([_*`\[])/g, '\\$1');
+    }
+
+    /**
+     * Fetch (from cache or Gemini) and display a summary in place of the query message
+     * @param {Object} query - Telegram callback query object
+     * @param {string} groupId - WhatsApp chat ID of the group
+     * @param {Object} period - { startDate, endDate } (YYYY-MM-DD) or { hours } for a rolling window
+     * @param {Object} options - Options passed to the summary service
+     */
+    async sendSummary(query, groupId, period, options = {}) {
+        const groupName = this.getGroupName(groupId);
+        const chatId = query.message.chat.id;
+        const messageId = query.message.message_id;
+        const periodLabel = this.formatPeriodLabel(period);
+
+        // Remove the extra parts of the summary this message showed before
+        const partsKey = `${chatId}:${messageId}`;
+        if (this.summaryParts.has(partsKey)) {
+            await this.deleteMessages(chatId, this.summaryParts.get(partsKey));
+            this.summaryParts.delete(partsKey);
+        }
+
+        // Show processing message
+        await this.bot.editMessageText('🔄 *Processing summary...*\n\nPlease wait while I generate the summary.', {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'Markdown'
+        });
+
+        const summaryService = require('./summary');
+        const result = period.hours
+            ? await summaryService.getRollingSummary(groupId, period.hours)
+            : await summaryService.getSummary(groupId, period.startDate, period.endDate, options);
+
+        if (result.messageCount === 0) {
+            await this.bot.editMessageText(`❌ *No messages found*\n\nNo messages found for ${groupName} (${periodLabel})`, {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+
+        if (!result.summary) {
+            await this.bot.editMessageText(`❌ *Error generating summary*\n\nFailed to generate summary for ${groupName} (${periodLabel})`, {
+                chat_id: chatId,
+                message_id: messageId,
                 parse_mode: 'Markdown'
             });
+            return;
+        }
+
+        // Format and send summary
+        const cachedNote = result.cached
+            ? `🗂 Cached summary from ${moment.utc(result.createdAt).local().format('MMM DD, HH:mm')}`
+            : null;
+
+        const messageIds = await this.sendFormattedMessage(chatId, {
+            header: f => this.formatSummaryHeader(f, groupName, period, result.messageCount),
+            body: result.summary,
+            footer: cachedNote && (f => f.escape(cachedNote))
+        }, {
+            editMessageId: messageId,
+            filename: `summary-${moment().format('YYYY-MM-DD')}.md`,
+            replyMarkup: {
+                inline_keyboard: [[{
+                    text: '🔄 Regenerate',
+                    callback_data: this.getRegenerateCallbackData(groupId, period)
+                }]]
+            }
+        });
+
+        // Remember the extra parts so regenerating replaces them instead of leaving them behind
+        if (messageIds.length > 1) {
+            this.summaryParts.set(partsKey, messageIds.slice(1));
+            if (this.summaryParts.size > MAX_TRACKED_SUMMARIES) {
+                this.summaryParts.delete(this.summaryParts.keys().next().value);
+            }
+        }
+
+        // Log interaction to status group if enabled
+        if (config.get('telegram.logAllInteractions')) {
+            const source = result.cached ? 'served cached summary' : 'generated summary';
+            await this.sendStatusUpdate(`📊 User @${query.from.username} ${source} for ${groupName} (${periodLabel}) - ${result.messageCount} messages`);
         }
     }
 
     /**
      * Handle group pagination for summarize workflow
      */
-    async handleGroupPagination(query, data) {
+    async handleGroupPagination(query, data, user) {
         try {
             const page = parseInt(data.replace('page_groups_', ''));
             const chatId = query.message.chat.id;
             const userId = query.from.id;
 
             // Get available groups
-            const groups = await this.getAvailableGroups();
+            const groups = await this.getAvailableGroups(user);
             
             if (groups.length === 0) {
                 await this.bot.editMessageText('❌ No WhatsApp groups are currently being monitored.', {
@@ -1301,7 +3334,8 @@ class TelegramService {
             // Create inline keyboard for group selection
             const keyboard = this.createGroupSelectionKeyboard(groups, page);
             
-            const message = '📱 *Select a WhatsApp group to summarize:*';
+            const userState = this.userStates.get(userId) || {};
+            const message = this.getGroupSelectionPrompt(userState.mode);
             await this.bot.editMessageText(message, {
                 chat_id: chatId,
                 message_id: query.message.message_id,
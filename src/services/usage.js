@@ -0,0 +1,187 @@
+/**
+ * Usage Service for WhatsApp to Telegram Bot
+ *
+ * This module records the token usage, latency and estimated cost of every
+ * LLM call in the llm_usage table and enforces the optional monthly budget.
+ * Callers describe what a call is for (operation, group, Telegram user) with
+ * run(), which keeps that context for every LLM call made inside it, however
+ * deep, without passing it through each function.
+ *
+ * Features:
+ * - Per-call usage records with operation, group and user
+ * - Cost estimates from per-model prices in llm.pricing
+ * - Monthly cost and token budgets blocking new summaries
+ * - Totals per day, group and user for /usage
+ * - LLM call, error and token counters for /metrics
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const moment = require('moment');
+const config = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const databaseService = require('./database');
+
+const llmCalls = metrics.counter('llm_calls_total', 'LLM calls by provider, model and outcome');
+const llmErrors = metrics.counter('llm_errors_total', 'Failed LLM calls by error type');
+const llmTokens = metrics.counter('llm_tokens_total', 'LLM tokens by model and direction');
+
+class UsageService {
+    constructor() {
+        this.context = new AsyncLocalStorage();
+        this.budgetAlertMonth = null;
+    }
+
+    /**
+     * Run a function with usage context
+     * Context from enclosing run() calls is kept unless overridden.
+     * @param {Object} context - { operation, chatId, telegramUserId }
+     * @param {Function} fn - Function to run
+     * @returns {*} The function's return value
+     */
+    run(context, fn) {
+        return this.context.run({ ...this.getContext(), ...context }, fn);
+    }
+
+    /**
+     * Get the usage context of the current call
+     * @returns {Object} Context, empty outside run()
+     */
+    getContext() {
+        return this.context.getStore() || {};
+    }
+
+    /**
+     * Estimate the cost of a call
+     * Prices are USD per million tokens in llm.pricing, keyed by model name or
+     * model name prefix (the longest matching key wins). Unpriced models, such as
+     * self-hosted ones, cost nothing.
+     * @param {string} model - Model name
+     * @param {number} inputTokens - Prompt tokens
+     * @param {number} outputTokens - Completion tokens
+     * @returns {number} Cost in USD
+     */
+    estimateCost(model, inputTokens, outputTokens) {
+        const pricing = config.get('llm.pricing') || {};
+        const key = Object.keys(pricing)
+            .filter(name => (model || '').startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (!key) {
+            return 0;
+        }
+
+        const price = pricing[key];
+        return ((inputTokens * (price.input || 0)) + (outputTokens * (price.output || 0))) / 1000000;
+    }
+
+    /**
+     * Record one LLM call with the current context and count it in the metrics
+     * Failures to record are logged and never fail the call itself.
+     * @param {Object} call - { provider, model, inputTokens, outputTokens, latencyMs, success, errorType }
+     */
+    async record(call) {
+        const context = this.getContext();
+
+        llmCalls.inc({ provider: call.provider, model: call.model, status: call.success ? 'success' : 'failure' });
+        if (call.success) {
+            llmTokens.inc({ model: call.model, direction: 'input' }, call.inputTokens || 0);
+            llmTokens.inc({ model: call.model, direction: 'output' }, call.outputTokens || 0);
+        } else {
+            llmErrors.inc({ type: call.errorType || 'unknown' });
+        }
+
+        try {
+            await databaseService.storeLlmUsage({
+                ...call,
+                operation: context.operation,
+                chatId: context.chatId,
+                telegramUserId: context.telegramUserId,
+                costUsd: this.estimateCost(call.model, call.inputTokens || 0, call.outputTokens || 0)
+            });
+        } catch (error) {
+            logger.error('Error recording LLM usage', { model: call.model, error: error.message });
+        }
+    }
+
+    /**
+     * Get the start of the current budget month as a UTC timestamp
+     * @returns {string} UTC timestamp (YYYY-MM-DD HH:mm:ss)
+     */
+    getMonthStart() {
+        return moment().startOf('month').utc().format('YYYY-MM-DD HH:mm:ss');
+    }
+
+    /**
+     * Compare this month's usage with the configured budget
+     * @returns {Promise<Object>} { exceeded, costUsd, tokens, monthlyCostUSD, monthlyTokens }
+     */
+    async getBudgetStatus() {
+        const monthlyCostUSD = config.get('llm.budget.monthlyCostUSD') || null;
+        const monthlyTokens = config.get('llm.budget.monthlyTokens') || null;
+        const totals = await databaseService.getLlmUsageTotals(this.getMonthStart());
+
+        const tokens = totals.input_tokens + totals.output_tokens;
+        const exceeded = (monthlyCostUSD !== null && totals.cost_usd >= monthlyCostUSD) ||
+            (monthlyTokens !== null && tokens >= monthlyTokens);
+
+        return { exceeded, costUsd: totals.cost_usd, tokens, monthlyCostUSD, monthlyTokens };
+    }
+
+    /**
+     * Refuse new work once the monthly budget is used up
+     * The status group is told the first time this happens each month.
+     * @throws {Error} Error with code BUDGET_EXCEEDED and a userMessage
+     */
+    async assertWithinBudget() {
+        if (!config.get('llm.budget.monthlyCostUSD') && !config.get('llm.budget.monthlyTokens')) {
+            return;
+        }
+
+        const budget = await this.getBudgetStatus();
+        if (!budget.exceeded) {
+            return;
+        }
+
+        const month = moment().format('YYYY-MM');
+        if (this.budgetAlertMonth !== month) {
+            this.budgetAlertMonth = month;
+            logger.warn('Monthly LLM budget exceeded, blocking new summaries', budget);
+
+            const telegramService = require('./telegram');
+            await telegramService.sendStatusUpdate(
+                `💸 Monthly AI budget reached: $${budget.costUsd.toFixed(2)} / ${budget.tokens} tokens used this month. New summaries are blocked until next month or until llm.budget is raised.`
+            );
+        }
+
+        const error = new Error('Monthly LLM budget exceeded');
+        error.code = 'BUDGET_EXCEEDED';
+        error.userMessage = 'The monthly AI budget has been reached. Cached summaries are still available; new ones can be generated next month.';
+        throw error;
+    }
+
+    /**
+     * Get usage totals for /usage
+     * @param {number} days - Number of days in the per-day breakdown
+     * @returns {Promise<Object>} { month, budget, days, groups, users }
+     */
+    async getReport(days = 7) {
+        const monthStart = this.getMonthStart();
+        const daysStart = moment().startOf('day').subtract(days - 1, 'days').utc().format('YYYY-MM-DD HH:mm:ss');
+
+        const [month, budget, byDay, byGroup, byUser] = await Promise.all([
+            databaseService.getLlmUsageTotals(monthStart),
+            this.getBudgetStatus(),
+            databaseService.getLlmUsageBreakdown(daysStart, 'day'),
+            databaseService.getLlmUsageBreakdown(monthStart, 'group'),
+            databaseService.getLlmUsageBreakdown(monthStart, 'user')
+        ]);
+
+        return { month, budget, days: byDay, groups: byGroup, users: byUser };
+    }
+}
+
+// Create singleton instance
+const usageService = new UsageService();
+
+module.exports = usageService;
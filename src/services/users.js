@@ -0,0 +1,248 @@
+/**
+ * User Service for WhatsApp to Telegram Bot
+ *
+ * This module decides who may use the bot and what they may do. Users are
+ * stored in SQLite keyed by their Telegram user ID, so access survives
+ * username changes. Admins manage groups, schedules and users and can use
+ * every command; viewers can only read summaries and set up their own alerts,
+ * optionally limited to a set of groups.
+ *
+ * Features:
+ * - Admin and viewer roles
+ * - Per-user allowed groups (no restriction when none are set)
+ * - Admins seeded from TELEGRAM_ADMIN_USER_IDS
+ * - First-contact claim for the configured allowedUsername/allowedUsers
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const databaseService = require('./database');
+
+const ROLES = ['admin', 'viewer'];
+
+class UserService {
+    constructor() {
+        this.adminUserIds = config.get('telegram.adminUserIds') || [];
+
+        // Usernames from the single-user setup become admins the first time they talk to the bot
+        this.bootstrapUsernames = [
+            config.get('telegram.allowedUsername'),
+            ...(config.get('telegram.allowedUsers') || [])
+        ].filter(Boolean).map(username => username.replace(/^@/, '').toLowerCase());
+    }
+
+    /**
+     * Store the admins configured by Telegram user ID
+     */
+    async initialize() {
+        for (const telegramUserId of this.adminUserIds) {
+            const existing = await databaseService.getTelegramUser(telegramUserId);
+            if (!existing || existing.role !== 'admin') {
+                await databaseService.upsertTelegramUser({ telegramUserId, role: 'admin' });
+            }
+        }
+
+        if (this.adminUserIds.length === 0 && this.bootstrapUsernames.length === 0) {
+            logger.warn('No admins configured: set TELEGRAM_ADMIN_USER_IDS to manage the bot');
+        }
+
+        logger.info('User service initialized', { configuredAdmins: this.adminUserIds.length });
+    }
+
+    /**
+     * Validate a role name
+     * @param {string} role - Role name
+     * @returns {boolean} True if the role exists
+     */
+    isValidRole(role) {
+        return ROLES.includes(role);
+    }
+
+    /**
+     * Resolve the bot user behind a Telegram user
+     * @param {Object} from - Telegram user object (msg.from / query.from)
+     * @returns {Promise<Object|null>} User with role and groups, or null if not allowed
+     */
+    async authenticate(from) {
+        if (!from) {
+            return null;
+        }
+
+        const user = await databaseService.getTelegramUser(from.id);
+        if (user) {
+            // Keep the username current so admins can refer to users by @username
+            if (from.username && from.username !== user.username) {
+                await databaseService.updateTelegramUsername(from.id, from.username);
+                user.username = from.username;
+            }
+            return user;
+        }
+
+        return this.claimBootstrapAdmin(from);
+    }
+
+    /**
+     * Register a configured username as admin on first contact
+     * Only the first Telegram account to use a configured username can claim it.
+     * @param {Object} from - Telegram user object
+     * @returns {Promise<Object|null>} New admin user, or null if the username is not configured
+     */
+    async claimBootstrapAdmin(from) {
+        const username = (from.username || '').toLowerCase();
+        if (!username || !this.bootstrapUsernames.includes(username)) {
+            return null;
+        }
+
+        const claimed = await databaseService.getTelegramUserByUsername(username);
+        if (claimed) {
+            logger.warn('Configured username already claimed by another account', { username, telegramUserId: from.id });
+            return null;
+        }
+
+        await databaseService.upsertTelegramUser({ telegramUserId: from.id, username: from.username, role: 'admin' });
+        logger.info('Configured user registered as admin', { username, telegramUserId: from.id });
+        return databaseService.getTelegramUser(from.id);
+    }
+
+    /**
+     * Check whether a user is an admin
+     * @param {Object} user - User from authenticate
+     * @returns {boolean} True for admins
+     */
+    isAdmin(user) {
+        return !!user && user.role === 'admin';
+    }
+
+    /**
+     * Check whether a user may see a group
+     * @param {Object} user - User from authenticate
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @returns {boolean} True if allowed
+     */
+    canAccessGroup(user, chatId) {
+        if (!user) {
+            return false;
+        }
+        return this.isAdmin(user) || user.groups.length === 0 || user.groups.includes(chatId);
+    }
+
+    /**
+     * Keep only the groups a user may see
+     * @param {Object} user - User from authenticate
+     * @param {Array} groups - Array of { id, name } group objects
+     * @returns {Array} Allowed groups
+     */
+    filterGroups(user, groups) {
+        return groups.filter(group => this.canAccessGroup(user, group.id));
+    }
+
+    /**
+     * Find a user by Telegram user ID or @username
+     * @param {string} reference - Numeric ID or @username
+     * @returns {Promise<Object|null>} User or null
+     */
+    async findUser(reference) {
+        if (/^\d+$/.test(reference)) {
+            return databaseService.getTelegramUser(parseInt(reference));
+        }
+        return databaseService.getTelegramUserByUsername(reference.replace(/^@/, ''));
+    }
+
+    /**
+     * Get all users
+     * @returns {Promise<Array>} Users array
+     */
+    async listUsers() {
+        return databaseService.getTelegramUsers();
+    }
+
+    /**
+     * Grant a role to a Telegram user
+     * @param {number} telegramUserId - Telegram user ID
+     * @param {string} role - 'admin' or 'viewer'
+     * @param {Object} grantedBy - Admin user granting the role
+     * @param {string} username - Telegram username, if known
+     * @returns {Promise<Object>} Stored user
+     */
+    async grant(telegramUserId, role, grantedBy, username = null) {
+        if (!this.isValidRole(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+
+        const existing = await databaseService.getTelegramUser(telegramUserId);
+        if (existing && existing.role === 'admin' && role !== 'admin') {
+            await this.ensureAnotherAdmin();
+        }
+
+        await databaseService.upsertTelegramUser({
+            telegramUserId,
+            username,
+            role,
+            createdBy: grantedBy.telegram_user_id
+        });
+
+        logger.info('User role granted', { telegramUserId, role, grantedBy: grantedBy.telegram_user_id });
+        return databaseService.getTelegramUser(telegramUserId);
+    }
+
+    /**
+     * Revoke all access of a Telegram user
+     * @param {Object} user - User to remove
+     * @returns {Promise<boolean>} True if the user was removed
+     */
+    async revoke(user) {
+        if (this.isAdmin(user)) {
+            await this.ensureAnotherAdmin();
+        }
+
+        const result = await databaseService.deleteTelegramUser(user.telegram_user_id);
+        logger.info('User access revoked', { telegramUserId: user.telegram_user_id });
+        return result.changes > 0;
+    }
+
+    /**
+     * Refuse changes that would leave the bot without an admin
+     */
+    async ensureAnotherAdmin() {
+        if (await databaseService.countAdmins() <= 1) {
+            const error = new Error('The last admin cannot be removed or demoted');
+            error.code = 'LAST_ADMIN';
+            throw error;
+        }
+    }
+
+    /**
+     * Allow a user to see a group
+     * @param {Object} user - User to update
+     * @param {string} chatId - WhatsApp chat ID of the group
+     */
+    async allowGroup(user, chatId) {
+        await databaseService.addUserGroup(user.telegram_user_id, chatId);
+        logger.info('Group allowed for user', { telegramUserId: user.telegram_user_id, chatId });
+    }
+
+    /**
+     * Stop a user from seeing a group
+     * A user without groups sees every group, so the last one cannot be taken away this way.
+     * @param {Object} user - User to update
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @returns {Promise<boolean>} True if the group was allowed before
+     * @throws {Error} With code 'LAST_GROUP' if it is the user's only allowed group
+     */
+    async denyGroup(user, chatId) {
+        if (user.groups.length === 1 && user.groups[0] === chatId) {
+            const error = new Error('This is the only group the user can see; removing it would let them see every group. Use /users remove to revoke their access');
+            error.code = 'LAST_GROUP';
+            throw error;
+        }
+
+        const result = await databaseService.removeUserGroup(user.telegram_user_id, chatId);
+        logger.info('Group denied for user', { telegramUserId: user.telegram_user_id, chatId });
+        return result.changes > 0;
+    }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+module.exports = userService;
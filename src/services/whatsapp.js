@@ -10,6 +10,12 @@
  * - QR code authentication and automatic reconnection
  * - Real-time message listening from configured groups
  * - Batch message processing with configurable intervals
+ * - Media metadata capture, optional download and transcription
+ * - History backfill for newly monitored groups
+ * - Matching messages relayed to Telegram as they arrive (/forward rules)
+ * - Keyword and regex alerts for individual users (/alerts rules)
+ * - Reply threading, edit history, deletions and reactions recorded on messages
+ * - Durable staging of pending messages, flushed on shutdown and replayed on startup
  * - Robust error handling and status reporting
  * - Headless browser support for containerized deployment
  */
@@ -22,9 +28,23 @@ const moment = require('moment');
 const cron = require('node-cron');
 const config = require('../config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 const databaseService = require('./database');
+const mediaService = require('./media');
+const forwardingService = require('./forwarding');
+const alertService = require('./alerts');
 const qrcode = require('qrcode-terminal');
 
+// Quoted text kept with a reply, enough to tell what it answered
+const MAX_QUOTED_LENGTH = 200;
+
+// Least time between backfill progress messages in the status group
+const BACKFILL_PROGRESS_INTERVAL_MS = 30000;
+
+const messagesReceived = metrics.counter('messages_received_total', 'Messages received from monitored WhatsApp groups');
+const messagesStored = metrics.counter('messages_stored_total', 'Messages written to the database');
+const lastBatchSize = metrics.gauge('last_batch_size', 'Number of messages in the last processed batch');
+
 class WhatsAppService {
     constructor() {
         this.client = null;
@@ -35,7 +55,8 @@ class WhatsAppService {
         this.reconnectInterval = config.get('whatsapp.sessionManagement.reconnectInterval') || 30000;
         this.batchInterval = config.get('whatsapp.batchIntervalMinutes') || 5;
         this.pendingMessages = [];
-        this.monitoredGroups = new Set();
+        this.monitoredGroups = new Map(); // chat ID -> current group name
+        this.legacyGroupNames = new Set(); // names from files saved before groups were keyed by chat ID
         this.groupsFilePath = './data/monitored-groups.json';
         this.batchJob = null;
         this.statusCallback = null;
@@ -95,6 +116,12 @@ class WhatsAppService {
             // Set up event handlers
             this.setupEventHandlers();
 
+            // Resolve groups saved by name in older monitored groups files
+            await this.resolveLegacyGroupsFromDatabase();
+
+            // Recover messages that were received but not stored before the last shutdown
+            await this.replayPendingMessages();
+
             // Start batch processing
             this.startBatchProcessing();
 
@@ -144,16 +171,15 @@ class WhatsAppService {
                 });
                 
                 // Store the groups for later use
-                this.availableGroups = chats.filter(chat => chat.isGroup).map(chat => ({
-                    id: chat.id._serialized || chat.id || 'unknown',
-                    name: chat.name || 'Unknown Group',
-                    participantsCount: chat.participantsCount || 0
-                }));
+                this.availableGroups = chats.filter(chat => chat.isGroup).map(chat => this.toGroupInfo(chat));
                 
                 logger.whatsapp('Stored available groups', { 
                     totalGroups: this.availableGroups.length,
                     groupNames: this.availableGroups.map(g => g.name)
                 });
+
+                this.resolveLegacyGroups(this.availableGroups);
+                this.syncMonitoredGroupNames(this.availableGroups);
             }).catch(error => {
                 logger.error('Error getting chats', error);
             });
@@ -167,9 +193,6 @@ class WhatsAppService {
             
             logger.whatsapp('WhatsApp Web should be fully loaded now');
             this.sendStatusUpdate('✅ WhatsApp Web fully loaded');
-
-            // Historical message loading disabled - will be implemented better later
-            // await this.loadHistoricalMessages();
         });
 
         this.client.on('authenticated', () => {
@@ -228,6 +251,19 @@ class WhatsAppService {
             }
         });
 
+        // Changes to messages that were already received
+        this.client.on('message_edit', async (message, newBody, prevBody) => {
+            await this.handleMessageEdit(message, newBody, prevBody);
+        });
+
+        this.client.on('message_revoke_everyone', async (message) => {
+            await this.handleMessageRevoke(message);
+        });
+
+        this.client.on('message_reaction', async (reaction) => {
+            await this.handleMessageReaction(reaction);
+        });
+
         // Error handling
         this.client.on('error', (error) => {
             logger.error('WhatsApp client error', error);
@@ -248,45 +284,32 @@ class WhatsAppService {
 
             // Get chat information
             const chat = await message.getChat();
-            
-            // Handle different ways to get chat ID
-            let chatId;
-            if (chat.id && chat.id._serialized) {
-                chatId = chat.id._serialized;
-            } else if (chat.id && typeof chat.id === 'string') {
-                chatId = chat.id;
-            } else if (chat._serialized) {
-                chatId = chat._serialized;
-            } else {
-                chatId = chat.id || 'unknown';
-            }
+            const chatId = this.getSerializedId(chat);
 
-            // Handle different ways to get message ID
-            let messageId;
-            if (message.id && message.id._serialized) {
-                messageId = message.id._serialized;
-            } else if (message.id && typeof message.id === 'string') {
-                messageId = message.id;
-            } else if (message._serialized) {
-                messageId = message._serialized;
-            } else {
-                messageId = message.id || 'unknown';
+            // A group saved by name before groups were keyed by chat ID
+            if (chat.isGroup && this.legacyGroupNames.has(chat.name)) {
+                this.resolveLegacyGroups([{ id: chatId, name: chat.name }]);
             }
-            
+
             // Debug: Log all incoming messages with group ID mapping
             logger.whatsapp('DEBUG: Message received from chat', {
                 chatId: chatId,
                 chatName: chat.name,
                 isGroup: chat.isGroup,
-                isMonitored: this.monitoredGroups.has(chat.name),
-                monitoredGroups: Array.from(this.monitoredGroups)
+                isMonitored: this.monitoredGroups.has(chatId),
+                monitoredGroups: this.getMonitoredGroups()
             });
             
             // Only process messages from monitored groups
-            if (!chat.isGroup || !this.monitoredGroups.has(chat.name)) {
+            if (!chat.isGroup || !this.monitoredGroups.has(chatId)) {
                 return; // Silently ignore non-monitored groups
             }
 
+            // Follow renames so monitoring and history stay attached to the chat ID
+            if (this.monitoredGroups.get(chatId) !== chat.name) {
+                await this.handleGroupRename(chatId, chat.name);
+            }
+
             // Debug: Log only monitored group messages
             logger.whatsapp('DEBUG: Message received from monitored group', {
                 chatName: chat.name,
@@ -294,27 +317,40 @@ class WhatsAppService {
             });
 
             // Extract message data
-            const messageData = {
-                waMessageId: messageId,
-                chatId: chatId,
-                chatName: chat.name,
-                senderId: message.from,
-                senderName: message._data.notifyName || message.author || 'Unknown',
-                timestamp: moment(message.timestamp * 1000).format('YYYY-MM-DD HH:mm:ss'),
-                content: message.body,
-                isGroup: chat.isGroup
-            };
+            const messageData = this.buildMessageData(message, chat);
+
+            // Stage the message durably before it waits for the next batch or for its media
+            await this.stagePendingMessage(messageData);
 
             // Add to pending messages for batch processing
             this.pendingMessages.push(messageData);
+            messagesReceived.inc();
 
             logger.whatsapp('Message received', {
                 chatName: messageData.chatName,
                 senderName: messageData.senderName,
                 contentLength: messageData.content.length,
+                mediaType: messageData.mediaType,
                 isFromMe: message.fromMe
             });
 
+            // Relay it to Telegram chats with a matching /forward rule
+            const forwarded = await forwardingService.forward(messageData);
+
+            // Alert users whose keyword or regex rules match
+            await alertService.evaluate(messageData);
+
+            // Download and describe attached media while the message object is at hand; this can
+            // take minutes, so only the rules that need the description wait for it
+            if (message.hasMedia) {
+                await this.captureMedia(message, messageData);
+                if (messageData.mediaDescription) {
+                    await forwardingService.updateForwarded(messageData, forwarded);
+                    await forwardingService.forward(messageData, { describedOnly: true });
+                    await alertService.evaluate(messageData, { describedOnly: true });
+                }
+            }
+
             // If batch processing is disabled, process immediately
             if (!config.get('whatsapp.batchProcessing.enabled')) {
                 await this.processMessage(messageData);
@@ -325,6 +361,205 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Download and describe the media of a received message, then save the result
+     * The message is already queued, and may have been stored by a batch meanwhile,
+     * so whichever copy exists is updated.
+     * @param {Object} message - WhatsApp message object
+     * @param {Object} messageData - Queued message data object
+     */
+    async captureMedia(message, messageData) {
+        await mediaService.captureMedia(message, messageData);
+        if (!messageData.mediaPath && !messageData.mediaDescription) {
+            return;
+        }
+
+        try {
+            const changes = { mediaPath: messageData.mediaPath, mediaDescription: messageData.mediaDescription };
+            if (!(await this.updatePendingMessage(messageData.waMessageId, changes)) && databaseService.isReady()) {
+                await databaseService.updateMessageMedia(messageData.waMessageId, changes.mediaPath, changes.mediaDescription);
+            }
+        } catch (error) {
+            logger.error('Error saving media description', { messageId: messageData.waMessageId, error: error.message });
+        }
+    }
+
+    /**
+     * Get the serialized ID of a chat or message, whatever shape the library returned
+     * @param {Object} item - WhatsApp chat or message object
+     * @returns {string} Serialized ID
+     */
+    getSerializedId(item) {
+        if (item.id && item.id._serialized) {
+            return item.id._serialized;
+        } else if (item.id && typeof item.id === 'string') {
+            return item.id;
+        } else if (item._serialized) {
+            return item._serialized;
+        }
+        return item.id || 'unknown';
+    }
+
+    /**
+     * Reduce a WhatsApp chat to the group fields used across the bot
+     * @param {Object} chat - WhatsApp chat object
+     * @returns {Object} { id, name, participantsCount }
+     */
+    toGroupInfo(chat) {
+        return {
+            id: this.getSerializedId(chat),
+            name: chat.name || 'Unknown Group',
+            participantsCount: chat.participantsCount || 0
+        };
+    }
+
+    /**
+     * Build the stored representation of a WhatsApp message
+     * Media metadata is included; the file and its description are added by the media service.
+     * @param {Object} message - WhatsApp message object
+     * @param {Object} chat - WhatsApp chat the message belongs to
+     * @returns {Object} Message data object
+     */
+    buildMessageData(message, chat) {
+        return {
+            waMessageId: this.getSerializedId(message),
+            chatId: this.getSerializedId(chat),
+            chatName: chat.name,
+            senderId: message.from,
+            // In groups message.from is the group itself; the author is the person who wrote it
+            authorId: message.author || message.from,
+            senderName: (message._data && message._data.notifyName) || message.author || 'Unknown',
+            timestamp: moment(message.timestamp * 1000).format('YYYY-MM-DD HH:mm:ss'),
+            content: message.body || '',
+            isGroup: chat.isGroup,
+            ...mediaService.getMediaInfo(message),
+            mediaPath: null,
+            mediaDescription: null,
+            ...this.getQuotedInfo(message)
+        };
+    }
+
+    /**
+     * Read which message a reply quotes, without an extra round trip to WhatsApp Web
+     * @param {Object} message - WhatsApp message object
+     * @returns {Object} { quotedMessageId, quotedContent }, both null if the message is not a reply
+     */
+    getQuotedInfo(message) {
+        const data = message._data || {};
+        if (!message.hasQuotedMsg || !data.quotedStanzaID) {
+            return { quotedMessageId: null, quotedContent: null };
+        }
+
+        const quoted = data.quotedMsg || {};
+        const text = quoted.body || quoted.caption || (quoted.type ? `[${quoted.type}]` : '');
+        return {
+            quotedMessageId: data.quotedStanzaID,
+            quotedContent: text ? text.substring(0, MAX_QUOTED_LENGTH) : null
+        };
+    }
+
+    /**
+     * Get the chat a message key belongs to
+     * @param {Object} key - Message key (message.id or reaction.msgId)
+     * @returns {string|null} Serialized chat ID
+     */
+    getRemoteChatId(key) {
+        const remote = key && key.remote;
+        return remote && typeof remote === 'object' ? remote._serialized : remote || null;
+    }
+
+    /**
+     * Apply changes to a message that is still waiting for the next batch
+     * @param {string} waMessageId - WhatsApp message ID
+     * @param {Object} changes - Fields to set on the message data
+     * @returns {Promise<boolean>} True if the message was pending
+     */
+    async updatePendingMessage(waMessageId, changes) {
+        const pending = this.pendingMessages.find(message => message.waMessageId === waMessageId);
+        if (!pending) {
+            return false;
+        }
+
+        Object.assign(pending, changes);
+        if (databaseService.isReady()) {
+            await databaseService.updatePendingMessage(pending);
+        }
+        return true;
+    }
+
+    /**
+     * Record an edit to a message of a monitored group
+     * @param {Object} message - WhatsApp message object, with the new text
+     * @param {string} newBody - Text after the edit
+     * @param {string} prevBody - Text before the edit
+     */
+    async handleMessageEdit(message, newBody, prevBody) {
+        try {
+            const chatId = this.getRemoteChatId(message.id);
+            if (!this.monitoredGroups.has(chatId)) {
+                return;
+            }
+
+            const waMessageId = this.getSerializedId(message);
+            const editedAt = moment().format('YYYY-MM-DD HH:mm:ss');
+
+            const pending = await this.updatePendingMessage(waMessageId, { content: newBody || '', editedAt });
+            const stored = await databaseService.recordMessageEdit(waMessageId, prevBody || '', newBody || '', editedAt);
+
+            logger.whatsapp('Message edited', { chatId, messageId: waMessageId, pending, stored });
+        } catch (error) {
+            logger.error('Error handling message edit', error);
+        }
+    }
+
+    /**
+     * Mark a message of a monitored group as deleted for everyone
+     * @param {Object} message - WhatsApp message object of the revoked message
+     */
+    async handleMessageRevoke(message) {
+        try {
+            const chatId = this.getRemoteChatId(message.id);
+            if (!this.monitoredGroups.has(chatId)) {
+                return;
+            }
+
+            const waMessageId = this.getSerializedId(message);
+            const deletedAt = moment().format('YYYY-MM-DD HH:mm:ss');
+
+            const pending = await this.updatePendingMessage(waMessageId, { deletedAt });
+            const stored = await databaseService.markMessageDeleted(waMessageId, deletedAt);
+
+            logger.whatsapp('Message deleted for everyone', { chatId, messageId: waMessageId, pending, stored });
+        } catch (error) {
+            logger.error('Error handling message deletion', error);
+        }
+    }
+
+    /**
+     * Record a reaction being added, changed or removed on a message of a monitored group
+     * @param {Object} reaction - WhatsApp reaction object
+     */
+    async handleMessageReaction(reaction) {
+        try {
+            const chatId = this.getRemoteChatId(reaction.msgId);
+            if (!this.monitoredGroups.has(chatId) || !reaction.msgId._serialized) {
+                return;
+            }
+
+            const waMessageId = reaction.msgId._serialized;
+            // Reaction timestamps have been reported in both seconds and milliseconds
+            const time = reaction.timestamp > 1e12 ? reaction.timestamp : reaction.timestamp * 1000;
+
+            const reactions = await databaseService.setMessageReaction(waMessageId, reaction.senderId, reaction.reaction || '',
+                moment(time || Date.now()).format('YYYY-MM-DD HH:mm:ss'));
+            await this.updatePendingMessage(waMessageId, { reactions: Object.keys(reactions).length > 0 ? reactions : null });
+
+            logger.whatsapp('Message reaction updated', { chatId, messageId: waMessageId, reactions });
+        } catch (error) {
+            logger.error('Error handling message reaction', error);
+        }
+    }
+
     /**
      * Process a single message (store in database)
      * @param {Object} messageData - Message data object
@@ -343,10 +578,13 @@ class WhatsAppService {
                     messageId: messageData.waMessageId, 
                     chatName: messageData.chatName 
                 });
+                await databaseService.deletePendingMessage(messageData.waMessageId);
                 return;
             }
 
             await databaseService.storeMessage(messageData);
+            await databaseService.deletePendingMessage(messageData.waMessageId);
+            messagesStored.inc();
             
             logger.whatsapp('Message processed successfully', {
                 messageId: messageData.waMessageId,
@@ -393,6 +631,7 @@ class WhatsAppService {
 
             const maxMessagesPerBatch = config.get('whatsapp.batchProcessing.maxMessagesPerBatch') || 100;
             const messagesToProcess = this.pendingMessages.splice(0, maxMessagesPerBatch);
+            lastBatchSize.set(messagesToProcess.length);
 
             // Process messages in parallel with concurrency limit
             const concurrencyLimit = 10;
@@ -408,6 +647,63 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Write a received message to the staging table
+     * @param {Object} messageData - Message data object
+     */
+    async stagePendingMessage(messageData) {
+        try {
+            if (!databaseService.isReady()) {
+                logger.warn('Database not ready, message only queued in memory', { messageId: messageData.waMessageId });
+                return;
+            }
+
+            await databaseService.enqueuePendingMessage(messageData);
+        } catch (error) {
+            // Keep the message in memory even if staging failed
+            logger.error('Error staging message', { messageId: messageData.waMessageId, error });
+        }
+    }
+
+    /**
+     * Load staged messages left over from a previous run into the pending queue
+     */
+    async replayPendingMessages() {
+        try {
+            if (!databaseService.isReady()) {
+                return;
+            }
+
+            const stagedMessages = await databaseService.getPendingMessages();
+            const queuedIds = new Set(this.pendingMessages.map(message => message.waMessageId));
+            const replayed = stagedMessages.filter(message => !queuedIds.has(message.waMessageId));
+
+            if (replayed.length > 0) {
+                this.pendingMessages.push(...replayed);
+                logger.whatsapp('Replayed staged messages from previous run', { count: replayed.length });
+                this.sendStatusUpdate(`♻️ Recovered ${replayed.length} unsaved messages from the previous run`);
+            }
+        } catch (error) {
+            logger.error('Error replaying staged messages', error);
+        }
+    }
+
+    /**
+     * Store every pending message now instead of waiting for the next batch
+     */
+    async flushPendingMessages() {
+        if (this.pendingMessages.length === 0) {
+            return;
+        }
+
+        logger.whatsapp(`Flushing ${this.pendingMessages.length} pending messages`);
+
+        // processBatchMessages removes up to maxMessagesPerBatch messages per call
+        while (this.pendingMessages.length > 0) {
+            await this.processBatchMessages();
+        }
+    }
+
     /**
      * Schedule reconnection attempt
      */
@@ -482,54 +778,165 @@ class WhatsAppService {
             isReady: this.isReady(),
             reconnectAttempts: this.reconnectAttempts,
             pendingMessages: this.pendingMessages.length,
-            monitoredGroups: Array.from(this.monitoredGroups)
+            monitoredGroups: this.getMonitoredGroups()
         };
     }
 
     /**
      * Get monitored groups
-     * @returns {Array} Array of group names
+     * @returns {Array} Array of { id, name } objects sorted by name
      */
     getMonitoredGroups() {
-        return Array.from(this.monitoredGroups);
+        return Array.from(this.monitoredGroups, ([id, name]) => ({ id, name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Check whether a group is monitored
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @returns {boolean} True if monitored
+     */
+    isMonitored(chatId) {
+        return this.monitoredGroups.has(chatId);
+    }
+
+    /**
+     * Get the current name of a monitored group
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @returns {string} Group name, or the chat ID if the group is not monitored
+     */
+    getGroupName(chatId) {
+        return this.monitoredGroups.get(chatId) || chatId;
     }
 
     /**
      * Add a group to monitoring
-     * @param {string} groupName - Name of the group to add
-     * @returns {boolean} True if added successfully, false if already exists
+     * @param {Object} group - Group to add
+     * @param {string} group.id - WhatsApp chat ID
+     * @param {string} group.name - Current group name
+     * @param {Object} options - Options
+     * @param {boolean} options.backfill - Fetch recent history (default true; imported groups skip it)
+     * @returns {Promise<boolean>} True if added successfully, false if already exists
      */
-    addMonitoredGroup(groupName) {
-        if (!this.monitoredGroups.has(groupName)) {
-            this.monitoredGroups.add(groupName);
+    async addMonitoredGroup(group, options = {}) {
+        if (!this.monitoredGroups.has(group.id)) {
+            this.monitoredGroups.set(group.id, group.name);
             this.saveMonitoredGroups();
-            logger.whatsapp('Group added to monitoring', { groupName });
-            this.sendStatusUpdate(`✅ Added group to monitoring: ${groupName}`);
+            logger.whatsapp('Group added to monitoring', { chatId: group.id, groupName: group.name });
+            this.sendStatusUpdate(`✅ Added group to monitoring: ${group.name}`);
+
+            if (databaseService.isReady()) {
+                await databaseService.upsertGroup(group.id, group.name);
+            }
+
+            // Fetch recent history in the background so the group can be summarized right away
+            if (options.backfill !== false && config.get('whatsapp.backfill.enabled') !== false) {
+                this.loadHistoricalMessages(group.id).catch(error => {
+                    logger.error('Error backfilling group history', { chatId: group.id, groupName: group.name, error: error.message });
+                });
+            }
             return true;
         } else {
-            logger.whatsapp('Group already in monitoring', { groupName });
+            logger.whatsapp('Group already in monitoring', { chatId: group.id, groupName: group.name });
             return false;
         }
     }
 
     /**
      * Remove a group from monitoring
-     * @param {string} groupName - Name of the group to remove
+     * @param {string} chatId - WhatsApp chat ID of the group to remove
      * @returns {boolean} True if removed successfully, false if not found
      */
-    removeMonitoredGroup(groupName) {
-        if (this.monitoredGroups.has(groupName)) {
-            this.monitoredGroups.delete(groupName);
+    removeMonitoredGroup(chatId) {
+        if (this.monitoredGroups.has(chatId)) {
+            const groupName = this.monitoredGroups.get(chatId);
+            this.monitoredGroups.delete(chatId);
             this.saveMonitoredGroups();
-            logger.whatsapp('Group removed from monitoring', { groupName });
+            logger.whatsapp('Group removed from monitoring', { chatId, groupName });
             this.sendStatusUpdate(`❌ Removed group from monitoring: ${groupName}`);
             return true;
         } else {
-            logger.whatsapp('Group not found in monitoring', { groupName });
+            logger.whatsapp('Group not found in monitoring', { chatId });
             return false;
         }
     }
 
+    /**
+     * Record a new name for a monitored group
+     * @param {string} chatId - WhatsApp chat ID of the group
+     * @param {string} newName - New group name
+     */
+    async handleGroupRename(chatId, newName) {
+        const previousName = this.monitoredGroups.get(chatId);
+        this.monitoredGroups.set(chatId, newName);
+        this.saveMonitoredGroups();
+
+        if (databaseService.isReady()) {
+            await databaseService.upsertGroup(chatId, newName);
+        }
+
+        logger.whatsapp('Monitored group renamed', { chatId, previousName, newName });
+        this.sendStatusUpdate(`✏️ Monitored group renamed: ${previousName} → ${newName}`);
+    }
+
+    /**
+     * Pick up renames of monitored groups from a fresh group list
+     * @param {Array} groups - Array of { id, name } objects
+     */
+    syncMonitoredGroupNames(groups) {
+        groups
+            .filter(group => this.monitoredGroups.has(group.id) && this.monitoredGroups.get(group.id) !== group.name)
+            .forEach(group => {
+                this.handleGroupRename(group.id, group.name).catch(error => {
+                    logger.error('Error recording group rename', { chatId: group.id, error: error.message });
+                });
+            });
+    }
+
+    /**
+     * Move groups saved by name to their chat IDs
+     * @param {Array} groups - Array of { id, name } objects to match names against
+     */
+    resolveLegacyGroups(groups) {
+        let resolved = 0;
+        groups.forEach(group => {
+            if (this.legacyGroupNames.has(group.name)) {
+                this.legacyGroupNames.delete(group.name);
+                this.monitoredGroups.set(group.id, group.name);
+                resolved++;
+
+                if (databaseService.isReady()) {
+                    databaseService.upsertGroup(group.id, group.name).catch(error => {
+                        logger.error('Error storing migrated group', { chatId: group.id, error: error.message });
+                    });
+                }
+            }
+        });
+
+        if (resolved > 0) {
+            this.saveMonitoredGroups();
+            logger.whatsapp('Monitored groups migrated to chat IDs', { resolved, unresolved: Array.from(this.legacyGroupNames) });
+        }
+    }
+
+    /**
+     * Resolve groups saved by name through the groups table
+     */
+    async resolveLegacyGroupsFromDatabase() {
+        if (this.legacyGroupNames.size === 0 || !databaseService.isReady()) {
+            return;
+        }
+
+        const groups = [];
+        for (const name of this.legacyGroupNames) {
+            const id = await databaseService.findGroupIdByName(name);
+            if (id) {
+                groups.push({ id, name });
+            }
+        }
+        this.resolveLegacyGroups(groups);
+    }
+
     /**
      * Save monitored groups to file
      */
@@ -544,17 +951,24 @@ class WhatsAppService {
                 fs.mkdirSync(dataDir, { recursive: true });
             }
             
-            // Save groups as array of objects with metadata
-            const groupsData = Array.from(this.monitoredGroups).map(groupName => ({
-                name: groupName,
-                addedAt: new Date().toISOString()
-            }));
+            // Save groups as array of objects with metadata, keeping unresolved legacy names until they match a chat
+            const groupsData = [
+                ...this.getMonitoredGroups().map(group => ({
+                    id: group.id,
+                    name: group.name,
+                    addedAt: new Date().toISOString()
+                })),
+                ...Array.from(this.legacyGroupNames).map(name => ({
+                    name,
+                    addedAt: new Date().toISOString()
+                }))
+            ];
             
             fs.writeFileSync(this.groupsFilePath, JSON.stringify(groupsData, null, 2));
             
             logger.whatsapp('Monitored groups saved to file', { 
                 totalGroups: this.monitoredGroups.size,
-                groupNames: Array.from(this.monitoredGroups),
+                groupNames: Array.from(this.monitoredGroups.values()),
                 filePath: this.groupsFilePath
             });
         } catch (error) {
@@ -584,6 +998,9 @@ class WhatsAppService {
                 this.batchJob.stop();
             }
 
+            // Store what is still queued; anything that fails stays staged for the next start
+            await this.flushPendingMessages();
+
             if (this.client) {
                 await this.client.destroy();
             }
@@ -638,7 +1055,7 @@ class WhatsAppService {
             // Fallback: try to get groups directly
             logger.whatsapp('No stored groups, trying to get groups directly');
             const chats = await this.client.getChats();
-            const groups = chats.filter(chat => chat.isGroup);
+            const groups = chats.filter(chat => chat.isGroup).map(chat => this.toGroupInfo(chat));
             
             logger.whatsapp('Retrieved groups directly', { 
                 totalGroups: groups.length,
@@ -663,12 +1080,91 @@ class WhatsAppService {
     }
 
     /**
-     * Load historical messages from monitored groups
+     * Load the last days of history of a monitored group into the database
+     * Messages are fetched in growing pages through chat.fetchMessages, with a
+     * safety check before every WhatsApp call. Already stored messages are skipped.
+     * @param {string} chatId - WhatsApp chat ID of the group to backfill
+     * @param {number} days - Number of days of history to load
+     * @returns {Promise<Object>} Counts of fetched, stored and skipped messages
      */
-    async loadHistoricalMessages() {
-        // Historical message loading disabled - will be implemented better later
-        logger.whatsapp('Historical message loading is disabled');
-        return;
+    async loadHistoricalMessages(chatId, days = config.get('whatsapp.backfill.days') || 1) {
+        const batchSize = config.get('whatsapp.backfill.batchSize') || 50;
+        const maxMessages = config.get('whatsapp.backfill.maxMessages') || 1000;
+        const cutoff = moment().subtract(days, 'days').startOf('day');
+        const result = { fetched: 0, stored: 0, skipped: 0 };
+
+        if (!this.isReadyForChats()) {
+            logger.warn('WhatsApp client not ready for backfill', { chatId });
+            return result;
+        }
+
+        if (!databaseService.isReady()) {
+            logger.warn('Database not ready, skipping backfill', { chatId });
+            return result;
+        }
+
+        await this.safetyCheck();
+        const chat = await this.client.getChatById(chatId);
+        if (!chat || !chat.isGroup) {
+            logger.warn('Group not found for backfill', { chatId });
+            return result;
+        }
+        const groupName = chat.name;
+
+        logger.whatsapp('Starting history backfill', { groupName, days, batchSize, maxMessages });
+        logger.sendToTelegram(`📥 Loading the last ${days} day(s) of history for ${groupName}...`);
+
+        // Long backfills report progress to the status group, at most every BACKFILL_PROGRESS_INTERVAL_MS
+        let lastProgressAt = Date.now();
+        const reportProgress = (text) => {
+            if (Date.now() - lastProgressAt >= BACKFILL_PROGRESS_INTERVAL_MS) {
+                lastProgressAt = Date.now();
+                logger.sendToTelegram(`📥 Backfill for ${groupName}: ${text}`);
+            }
+        };
+
+        // Grow the fetch window until it reaches past the cutoff or the configured limit
+        let limit = batchSize;
+        let messages = [];
+        while (true) {
+            await this.safetyCheck();
+            messages = await chat.fetchMessages({ limit });
+
+            const oldest = messages[0];
+            const reachedCutoff = !oldest || oldest.timestamp * 1000 < cutoff.valueOf();
+            if (messages.length < limit || reachedCutoff || limit >= maxMessages) {
+                break;
+            }
+
+            limit = Math.min(limit + batchSize, maxMessages);
+            const oldestTime = moment(oldest.timestamp * 1000).format('YYYY-MM-DD HH:mm');
+            logger.whatsapp('Backfill progress', { groupName, fetched: messages.length, oldest: oldestTime });
+            reportProgress(`fetched ${messages.length} messages so far, back to ${oldestTime}`);
+        }
+
+        const inRange = messages.filter(message => !message.isStatus && message.timestamp * 1000 >= cutoff.valueOf());
+        result.fetched = inRange.length;
+
+        for (const message of inRange) {
+            // Media of historical messages is recorded by type only, without downloading it
+            const messageData = this.buildMessageData(message, chat);
+
+            // Dedupe against messages already stored live or by an earlier backfill
+            const existingMessage = await databaseService.getMessageByWhatsAppId(messageData.waMessageId);
+            if (existingMessage) {
+                result.skipped++;
+                continue;
+            }
+
+            await databaseService.storeMessage(messageData);
+            result.stored++;
+            reportProgress(`stored ${result.stored} of ${inRange.length} messages`);
+        }
+
+        logger.whatsapp('History backfill completed', { groupName, ...result });
+        logger.sendToTelegram(`📥 Backfill for ${groupName} done: ${result.stored} messages stored, ${result.skipped} already stored (last ${days} day(s))`);
+
+        return result;
     }
 
     /**
@@ -730,13 +1226,17 @@ class WhatsAppService {
             if (fs.existsSync(this.groupsFilePath)) {
                 const groupsData = JSON.parse(fs.readFileSync(this.groupsFilePath, 'utf-8'));
                 groupsData.forEach(group => {
-                    if (group.name) {
-                        this.monitoredGroups.add(group.name);
+                    if (group.id) {
+                        this.monitoredGroups.set(group.id, group.name || group.id);
+                    } else if (group.name) {
+                        // Saved before groups were keyed by chat ID, resolved once the chat is known
+                        this.legacyGroupNames.add(group.name);
                     }
                 });
                 logger.whatsapp('Monitored groups loaded from file', { 
                     totalGroups: this.monitoredGroups.size,
-                    groupNames: Array.from(this.monitoredGroups)
+                    groupNames: Array.from(this.monitoredGroups.values()),
+                    legacyGroupNames: Array.from(this.legacyGroupNames)
                 });
             } else {
                 logger.whatsapp('No monitored groups file found, starting with empty list');
@@ -19,6 +19,9 @@ const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
 const config = require('../config');
+const metrics = require('./metrics');
+
+const errorsLogged = metrics.counter('errors_total', 'Errors logged by the application');
 
 /**
  * Custom Winston transport for Telegram notifications
@@ -417,6 +420,7 @@ class Logger {
             ...error
         } : error;
         
+        errorsLogged.inc();
         this.logger.error(message, meta);
     }
 
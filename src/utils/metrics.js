@@ -0,0 +1,154 @@
+/**
+ * Metrics Utility for WhatsApp to Telegram Bot
+ *
+ * This module keeps in-process counters and gauges and renders them in the
+ * Prometheus text exposition format for the /metrics endpoint. Services
+ * declare their metrics once at module level and update them as they work;
+ * gauges may instead compute their value when metrics are scraped.
+ *
+ * Features:
+ * - Counters and gauges with labels
+ * - Gauges collected at scrape time
+ * - Prometheus text format output
+ */
+
+const PREFIX = 'whatsapp_bot_';
+
+class Metric {
+    /**
+     * @param {string} type - 'counter' or 'gauge'
+     * @param {string} name - Metric name without prefix
+     * @param {string} help - Description
+     * @param {Function} collect - Returns the current value, or [{ labels, value }] (gauges only)
+     */
+    constructor(type, name, help, collect = null) {
+        this.type = type;
+        this.name = PREFIX + name;
+        this.help = help;
+        this.collect = collect;
+        this.values = new Map();
+    }
+
+    /**
+     * Increase the value of a label set
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount to add
+     */
+    inc(labels = {}, value = 1) {
+        const key = JSON.stringify(labels);
+        const current = this.values.get(key);
+        this.values.set(key, { labels, value: (current ? current.value : 0) + value });
+    }
+
+    /**
+     * Set the value of a label set (gauges)
+     * @param {number} value - New value
+     * @param {Object} labels - Label values
+     */
+    set(value, labels = {}) {
+        this.values.set(JSON.stringify(labels), { labels, value });
+    }
+
+    /**
+     * Get the samples of this metric
+     * @returns {Promise<Array<Object>>} Samples { labels, value }
+     */
+    async samples() {
+        if (!this.collect) {
+            return [...this.values.values()];
+        }
+
+        const collected = await this.collect();
+        return Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+    }
+
+    /**
+     * Render in Prometheus text format
+     * @returns {Promise<string>} HELP, TYPE and sample lines
+     */
+    async render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+        for (const sample of await this.samples()) {
+            const labels = Object.entries(sample.labels)
+                .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+                .join(',');
+            lines.push(`${this.name}${labels ? `{${labels}}` : ''} ${Number(sample.value)}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Declare a counter, or get the one already declared under this name
+     * @param {string} name - Metric name without prefix (should end in _total)
+     * @param {string} help - Description
+     * @returns {Metric} Counter
+     */
+    counter(name, help) {
+        return this.register('counter', name, help);
+    }
+
+    /**
+     * Declare a gauge, or get the one already declared under this name
+     * @param {string} name - Metric name without prefix
+     * @param {string} help - Description
+     * @param {Function} collect - Computes the value at scrape time (optional)
+     * @returns {Metric} Gauge
+     */
+    gauge(name, help, collect = null) {
+        return this.register('gauge', name, help, collect);
+    }
+
+    /**
+     * Add a metric to the registry
+     * @param {string} type - 'counter' or 'gauge'
+     * @param {string} name - Metric name without prefix
+     * @param {string} help - Description
+     * @param {Function} collect - Scrape-time collector
+     * @returns {Metric} Metric
+     */
+    register(type, name, help, collect = null) {
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`Metric ${name} already declared as a ${existing.type}`);
+            }
+            return existing;
+        }
+
+        const metric = new Metric(type, name, help, collect);
+        this.metrics.set(name, metric);
+        return metric;
+    }
+
+    /**
+     * Render every metric in Prometheus text format
+     * A collector that fails is left out rather than failing the whole scrape.
+     * @returns {Promise<string>} Exposition text
+     */
+    async render() {
+        const sections = [];
+
+        for (const metric of this.metrics.values()) {
+            try {
+                sections.push(await metric.render());
+            } catch (error) {
+                sections.push(`# ${metric.name} unavailable: ${error.message.replace(/\n/g, ' ')}`);
+            }
+        }
+
+        return `${sections.join('\n')}\n`;
+    }
+}
+
+// Create singleton instance
+const metrics = new MetricsRegistry();
+
+module.exports = metrics;
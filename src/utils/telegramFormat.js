@@ -0,0 +1,304 @@
+/**
+ * Telegram Message Formatting Utility for WhatsApp to Telegram Bot
+ *
+ * LLM output is loosely written Markdown (**bold**, *italic*, `code`, # headings,
+ * "* " bullets) that Telegram's legacy Markdown parser rejects as soon as a
+ * marker is unbalanced. This module converts it into Telegram HTML or
+ * MarkdownV2 with every other character escaped, or into plain text, and splits
+ * long texts at paragraph, then line, then word boundaries so each part fits in
+ * one Telegram message.
+ *
+ * Features:
+ * - Markdown to Telegram HTML / MarkdownV2 / plain text conversion
+ * - Unbalanced markers kept as literal, escaped text
+ * - Fenced code blocks kept intact (or re-fenced when split)
+ * - Length-aware splitting on paragraph, line and word boundaries
+ */
+
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Inline Markdown: code spans, bold, links, then single-marker italics that are not inside words
+const INLINE_PATTERN = /(`+)([^`]+?)\1|\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|(?<![\w*])\*(?=\S)(.+?)(?<=\S)\*(?![\w*])|(?<![\w_])_(?=\S)(.+?)(?<=\S)_(?![\w_])/g;
+
+const FORMATTERS = {
+    HTML: {
+        escape: text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+        bold: text => `<b>${text}</b>`,
+        italic: text => `<i>${text}</i>`,
+        code: text => `<code>${FORMATTERS.HTML.escape(text)}</code>`,
+        pre: text => `<pre>${FORMATTERS.HTML.escape(text)}</pre>`,
+        link: (text, url) => `<a href="${url.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">${text}</a>`
+    },
+    MarkdownV2: {
+        escape: text => text.replace(/([_*\[\]()~`>#+\-=|{}.!\\])/g, '\\$1'),
+        bold: text => `*${text}*`,
+        italic: text => `_${text}_`,
+        code: text => `\`${text.replace(/([`\\])/g, '\\$1')}\``,
+        pre: text => `\`\`\`\n${text.replace(/([`\\])/g, '\\$1')}\n\`\`\``,
+        link: (text, url) => `[${text}](${url.replace(/([)\\])/g, '\\$1')})`
+    },
+    plain: {
+        escape: text => text,
+        bold: text => text,
+        italic: text => text,
+        code: text => text,
+        pre: text => text,
+        link: (text, url) => `${text} (${url})`
+    }
+};
+
+/**
+ * Get the formatting helpers of a parse mode
+ * @param {string} parseMode - 'HTML', 'MarkdownV2' or 'plain'
+ * @returns {Object} { escape, bold, italic, code, pre, link }, each taking already-escaped inner text except code/pre
+ */
+function getFormatter(parseMode) {
+    const formatter = FORMATTERS[parseMode];
+    if (!formatter) {
+        throw new Error(`Unsupported parse mode: ${parseMode}`);
+    }
+    return formatter;
+}
+
+/**
+ * Render inline Markdown of a single line
+ * @param {string} text - Line text
+ * @param {Object} f - Formatter
+ * @returns {string} Rendered text
+ */
+function renderInline(text, f) {
+    let result = '';
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        result += f.escape(text.slice(lastIndex, match.index));
+        const [, , code, bold, boldUnderscore, linkText, url, italic, italicUnderscore] = match;
+
+        if (code !== undefined) {
+            result += f.code(code);
+        } else if (bold !== undefined || boldUnderscore !== undefined) {
+            result += f.bold(renderInline(bold !== undefined ? bold : boldUnderscore, f));
+        } else if (linkText !== undefined) {
+            result += f.link(renderInline(linkText, f), url);
+        } else {
+            result += f.italic(renderInline(italic !== undefined ? italic : italicUnderscore, f));
+        }
+
+        lastIndex = match.index + match[0].length;
+    }
+
+    return result + f.escape(text.slice(lastIndex));
+}
+
+/**
+ * Render one line of Markdown outside code blocks
+ * Headings become bold lines and "* "/"- " bullets become "•".
+ * @param {string} line - Source line
+ * @param {Object} f - Formatter
+ * @returns {string} Rendered line
+ */
+function renderLine(line, f) {
+    const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+        return f.bold(renderInline(heading[1].replace(/^\*\*(.*)\*\*$/, '$1'), f));
+    }
+
+    const bullet = line.match(/^(\s*)[*\-+]\s+(.*)$/);
+    if (bullet) {
+        return `${bullet[1]}• ${renderInline(bullet[2], f)}`;
+    }
+
+    return renderInline(line, f);
+}
+
+/**
+ * Render a Markdown block (paragraph, lines or a fenced code block)
+ * @param {string} block - Source block
+ * @param {string} parseMode - 'HTML', 'MarkdownV2' or 'plain'
+ * @returns {string} Rendered block
+ */
+function renderBlock(block, parseMode) {
+    const f = getFormatter(parseMode);
+    const lines = block.split('\n');
+    const rendered = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        if (/^\s*```/.test(lines[i])) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```/.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            rendered.push(f.pre(code.join('\n')));
+        } else {
+            rendered.push(renderLine(lines[i], f));
+        }
+    }
+
+    return rendered.join('\n');
+}
+
+/**
+ * Render Markdown in a parse mode
+ * @param {string} markdown - Source Markdown
+ * @param {string} parseMode - 'HTML', 'MarkdownV2' or 'plain'
+ * @returns {string} Rendered text
+ */
+function renderMarkdown(markdown, parseMode) {
+    return renderBlock(String(markdown || '').replace(/\r\n/g, '\n'), parseMode);
+}
+
+/**
+ * Split Markdown into blocks that can be rendered independently
+ * Fenced code blocks stay in one piece; in line mode a code block is a block
+ * of its own, ending at its closing fence.
+ * @param {string} text - Source text
+ * @param {string} separator - '\n\n' for paragraphs, '\n' for lines
+ * @returns {Array<string>} Blocks
+ */
+function splitBlocks(text, separator) {
+    const blocks = [];
+    let inFence = false;
+    let current = [];
+
+    const flush = () => {
+        if (current.length > 0) {
+            blocks.push(current.join('\n'));
+        }
+        current = [];
+    };
+
+    for (const line of text.split('\n')) {
+        if (/^\s*```/.test(line)) {
+            current.push(line);
+            inFence = !inFence;
+            if (!inFence && separator === '\n') {
+                flush();
+            }
+        } else if (inFence) {
+            current.push(line);
+        } else if (separator === '\n\n') {
+            if (line.trim() === '') {
+                flush();
+            } else {
+                current.push(line);
+            }
+        } else {
+            current.push(line);
+            flush();
+        }
+    }
+
+    flush();
+    return blocks;
+}
+
+/**
+ * Split a block that is too long on its own into smaller source pieces
+ * Code blocks are split by lines and re-fenced; other text by words, then by characters.
+ * @param {string} block - Source block
+ * @param {string} parseMode - Parse mode used to measure rendered length
+ * @param {number} limit - Maximum rendered length
+ * @returns {Array<string>} Source pieces
+ */
+function splitOversizedBlock(block, parseMode, limit) {
+    // The closing fence may be missing when the model's output was cut off
+    const fence = block.match(/^\s*```[^\n]*\n([\s\S]*?)(?:\n\s*```\s*)?$/);
+    const units = fence ? fence[1].split('\n') : block.split(/(?<=\s)/);
+    const wrap = text => (fence ? `\`\`\`\n${text}\n\`\`\`` : text);
+    const joiner = fence ? '\n' : '';
+
+    const pieces = [];
+    let current = '';
+
+    for (const unit of units) {
+        const candidate = current ? `${current}${joiner}${unit}` : unit;
+        if (renderBlock(wrap(candidate), parseMode).length <= limit) {
+            current = candidate;
+            continue;
+        }
+
+        if (current) {
+            pieces.push(wrap(current));
+        }
+
+        // A single word or code line longer than the limit is cut by characters
+        let rest = unit;
+        while (renderBlock(wrap(rest), parseMode).length > limit) {
+            let size = Math.max(1, Math.floor(rest.length / 2));
+            while (size > 1 && renderBlock(wrap(rest.slice(0, size)), parseMode).length > limit) {
+                size = Math.floor(size / 2);
+            }
+            pieces.push(wrap(rest.slice(0, size)));
+            rest = rest.slice(size);
+        }
+        current = rest;
+    }
+
+    if (current) {
+        pieces.push(wrap(current));
+    }
+
+    return pieces;
+}
+
+/**
+ * Render Markdown and split it into chunks of at most `limit` rendered characters
+ * Breaks go between paragraphs where possible, then between lines (bullets),
+ * then between words, so formatting never straddles two chunks.
+ * @param {string} markdown - Source Markdown
+ * @param {string} parseMode - 'HTML', 'MarkdownV2' or 'plain'
+ * @param {number} limit - Maximum rendered length of a chunk
+ * @returns {Array<string>} Rendered chunks
+ */
+function renderChunks(markdown, parseMode, limit = MAX_MESSAGE_LENGTH) {
+    const source = String(markdown || '').replace(/\r\n/g, '\n').trim();
+    const chunks = [];
+    let current = '';
+
+    const add = (rendered, separator) => {
+        if (!current) {
+            current = rendered;
+        } else if (current.length + separator.length + rendered.length <= limit) {
+            current += separator + rendered;
+        } else {
+            chunks.push(current);
+            current = rendered;
+        }
+    };
+
+    for (const paragraph of splitBlocks(source, '\n\n')) {
+        const rendered = renderBlock(paragraph, parseMode);
+        if (rendered.length <= limit) {
+            add(rendered, '\n\n');
+            continue;
+        }
+
+        // Paragraph too long: fall back to its lines, and to words for overlong lines
+        let first = true;
+        for (const line of splitBlocks(paragraph, '\n')) {
+            const pieces = renderBlock(line, parseMode).length <= limit
+                ? [line]
+                : splitOversizedBlock(line, parseMode, limit);
+
+            for (const piece of pieces) {
+                add(renderBlock(piece, parseMode), first ? '\n\n' : '\n');
+                first = false;
+            }
+        }
+    }
+
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    getFormatter,
+    renderMarkdown,
+    renderChunks
+};
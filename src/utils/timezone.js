@@ -0,0 +1,70 @@
+/**
+ * Timezone Utility for WhatsApp to Telegram Bot
+ *
+ * This module gives the wall-clock time in a configured IANA timezone
+ * (scheduler.timezone), which may differ from the process timezone: Docker
+ * containers usually run in UTC. The result is a plain moment whose fields
+ * read as the time in that zone, so callers can format it or compare hours
+ * and minutes without a timezone library.
+ *
+ * Features:
+ * - Current date and time in any IANA timezone via Intl
+ * - Falls back to the process timezone when none is configured
+ */
+
+const moment = require('moment');
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+/**
+ * Get the formatter that splits a date into fields in a timezone
+ * @param {string} timezone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {RangeError} If the timezone is unknown
+ */
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * Get the current wall-clock time in a timezone
+ * @param {string|undefined} timezone - IANA timezone name, e.g. 'Europe/Paris'; the process timezone if empty
+ * @param {Date} date - Instant to convert (defaults to now)
+ * @returns {moment.Moment} Moment whose fields are the local time in the timezone
+ * @throws {RangeError} If the timezone is unknown
+ */
+function nowInTimezone(timezone, date = new Date()) {
+    if (!timezone) {
+        return moment(date);
+    }
+
+    const fields = {};
+    getFormatter(timezone).formatToParts(date).forEach(part => {
+        fields[part.type] = Number(part.value);
+    });
+
+    return moment({
+        year: fields.year,
+        month: fields.month - 1,
+        day: fields.day,
+        hour: fields.hour,
+        minute: fields.minute,
+        second: fields.second
+    });
+}
+
+module.exports = {
+    nowInTimezone
+};
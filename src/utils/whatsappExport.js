@@ -0,0 +1,322 @@
+/**
+ * WhatsApp Export Utility for WhatsApp to Telegram Bot
+ *
+ * This module reads the files WhatsApp produces with "Export chat": a .txt
+ * file, or a .zip holding the .txt and the attachments. The date and time
+ * format depends on the phone and its locale, e.g.
+ *
+ *   12/31/23, 9:41 PM - Dana: See you tomorrow          (Android, US)
+ *   31/12/2023, 21:41 - Dana: See you tomorrow          (Android, 24h)
+ *   31.12.23, 21:41 - Dana: See you tomorrow            (Android, German)
+ *   [31/12/2023, 21:41:05] Dana: See you tomorrow       (iOS)
+ *
+ * iOS puts a left-to-right mark (U+200E) right after "Name: " on system lines
+ * (the sender is then the group or the person who acted) and on media and
+ * deleted placeholders; it is looked for before invisible characters are
+ * stripped.
+ *
+ * Whether dates are day-first or month-first is decided once per file, from
+ * the dates that can only be read one way; callers can override the guess
+ * for files where every date fits both.
+ *
+ * Features:
+ * - Android and iOS export layouts in numeric locale date formats
+ * - 12-hour and 24-hour times, with or without seconds
+ * - Multi-line messages
+ * - Attachments, omitted media, deleted and edited markers (English exports)
+ * - System lines (joins, encryption notice, ...) skipped, including iOS ones that look like messages
+ * - .txt from a .zip export, with an uncompressed size limit
+ */
+
+const path = require('path');
+const moment = require('moment');
+const yauzl = require('yauzl');
+
+// Largest chat text read from a .zip export
+const MAX_TEXT_BYTES = 50 * 1024 * 1024;
+
+// Longer "names" are system lines that happen to contain ": "
+const MAX_SENDER_LENGTH = 60;
+
+// Direction marks and odd spaces that exports put around dates and names
+const INVISIBLE_CHARACTERS = /[\u200e\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+const SPECIAL_SPACES = /[\u00a0\u202f\u2007]/g;
+
+// iOS mark after "Name: " on system lines and placeholders; times never have ": "
+const MARKED_BODY = /: \u200e/;
+
+const HEADER_PATTERN = /^\[?(\d{1,4})[./-](\d{1,2})[./-](\d{1,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?)?\]?\s*(?:-\s+)?(.*)$/i;
+
+const MEDIA_TYPES = {
+    jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', heic: 'image',
+    webp: 'sticker',
+    mp4: 'video', mov: 'video', '3gp': 'video',
+    opus: 'ptt', ogg: 'ptt', m4a: 'audio', mp3: 'audio', aac: 'audio'
+};
+
+const OMITTED_MEDIA = /^<?(media|image|video|audio|sticker|document|gif) omitted>?$/i;
+const DELETED_MESSAGE = /^(this message was deleted|you deleted this message)\.?$/i;
+const EDITED_MARKER = /\s*<this message was edited>$/i;
+
+/**
+ * Split an export into message headers and their text
+ * @param {string} text - Export text
+ * @returns {Array<Object>} Raw entries { date: [a, b, c], hour, minute, second, meridiem, marked, body }
+ */
+function splitEntries(text) {
+    const entries = [];
+
+    for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const line = rawLine.replace(INVISIBLE_CHARACTERS, '').replace(SPECIAL_SPACES, ' ');
+        const header = line.match(HEADER_PATTERN);
+
+        if (header) {
+            entries.push({
+                date: [header[1], header[2], header[3]].map(Number),
+                yearFirst: header[1].length === 4,
+                hour: Number(header[4]),
+                minute: Number(header[5]),
+                second: Number(header[6] || 0),
+                meridiem: header[7] ? header[7].replace(/[.\s]/g, '').toLowerCase() : null,
+                marked: MARKED_BODY.test(rawLine.replace(SPECIAL_SPACES, ' ')),
+                body: header[8]
+            });
+        } else if (entries.length > 0) {
+            // A line without a date continues the previous message
+            entries[entries.length - 1].body += `\n${rawLine.replace(INVISIBLE_CHARACTERS, '')}`;
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Check that the text before ": " can be a sender name
+ * System lines such as 'Dana changed the subject to "Trip: Friday"' also contain ": ".
+ * @param {string} name - Candidate sender name
+ * @returns {boolean} True for a plausible name or phone number
+ */
+function isSenderName(name) {
+    return name.length > 0 && name.length <= MAX_SENDER_LENGTH && !/["“”]/.test(name);
+}
+
+/**
+ * Work out the date order of an export
+ * A day above 12 settles it; otherwise 12-hour exports are taken as US
+ * (month first) and 24-hour ones as day first.
+ * @param {Array<Object>} entries - Entries from splitEntries
+ * @returns {string} 'DMY', 'MDY' or 'YMD'
+ */
+function detectDateOrder(entries) {
+    if (entries.some(entry => entry.yearFirst)) {
+        return 'YMD';
+    }
+    if (entries.some(entry => entry.date[0] > 12)) {
+        return 'DMY';
+    }
+    if (entries.some(entry => entry.date[1] > 12)) {
+        return 'MDY';
+    }
+    return entries.some(entry => entry.meridiem) ? 'MDY' : 'DMY';
+}
+
+/**
+ * Build the timestamp of an entry
+ * @param {Object} entry - Entry from splitEntries
+ * @param {string} order - Date order from detectDateOrder
+ * @returns {string|null} Timestamp (YYYY-MM-DD HH:mm:ss), or null if the date is invalid
+ */
+function toTimestamp(entry, order) {
+    const [a, b, c] = entry.date;
+    const parts = { YMD: [a, b, c], DMY: [c, b, a], MDY: [c, a, b] }[order];
+    const year = parts[0] < 100 ? 2000 + parts[0] : parts[0];
+
+    let hour = entry.hour;
+    if (entry.meridiem === 'pm' && hour < 12) {
+        hour += 12;
+    } else if (entry.meridiem === 'am' && hour === 12) {
+        hour = 0;
+    }
+
+    const time = moment({ year, month: parts[1] - 1, day: parts[2], hour, minute: entry.minute, second: entry.second });
+    return time.isValid() ? time.format('YYYY-MM-DD HH:mm:ss') : null;
+}
+
+/**
+ * Turn the text of a message into message fields
+ * @param {string} content - Message text as exported
+ * @returns {Object} { content, mediaType, mediaFilename, deleted, edited }
+ */
+function parseContent(content) {
+    const fields = { content: content.trim(), mediaType: null, mediaFilename: null, deleted: false, edited: false };
+
+    if (EDITED_MARKER.test(fields.content)) {
+        fields.edited = true;
+        fields.content = fields.content.replace(EDITED_MARKER, '');
+    }
+
+    if (DELETED_MESSAGE.test(fields.content)) {
+        return { ...fields, content: '', deleted: true };
+    }
+
+    const omitted = fields.content.match(OMITTED_MEDIA);
+    if (omitted) {
+        const type = omitted[1].toLowerCase();
+        return { ...fields, content: '', mediaType: type === 'media' ? 'media' : type };
+    }
+
+    // "<attached: 00000012-PHOTO-....jpg>" (iOS) or "IMG-2023...jpg (file attached)" (Android), optionally followed by a caption
+    const attached = fields.content.match(/^<attached: ([^>]+)>\s*([\s\S]*)$/i) ||
+        fields.content.match(/^(\S[^\n]*?\.\w{2,4}) \(file attached\)\s*([\s\S]*)$/i);
+    if (attached) {
+        const extension = path.extname(attached[1]).slice(1).toLowerCase();
+        return {
+            ...fields,
+            content: attached[2].trim(),
+            mediaType: MEDIA_TYPES[extension] || 'document',
+            mediaFilename: attached[1]
+        };
+    }
+
+    return fields;
+}
+
+/**
+ * Parse the text of a WhatsApp chat export
+ * @param {string} text - Export text
+ * @param {Object} options - Parsing options
+ * @param {string} options.dateOrder - 'DMY', 'MDY' or 'YMD' for files whose dates fit either order (detected by default)
+ * @returns {Object} { messages: [{ timestamp, senderName, content, mediaType, mediaFilename, deleted, edited }], dateOrder, skipped }
+ *                   where skipped counts system lines and lines with impossible dates
+ * @throws {Error} With code 'INVALID_EXPORT' if no message could be read
+ */
+function parseChatExport(text, options = {}) {
+    const entries = splitEntries(text);
+    const dateOrder = options.dateOrder || detectDateOrder(entries);
+    const messages = [];
+    let skipped = 0;
+
+    for (const entry of entries) {
+        const timestamp = toTimestamp(entry, dateOrder);
+        // "Sender: text" on the first line; lines without a sender are system messages
+        const separator = entry.body.split('\n')[0].indexOf(': ');
+        const senderName = entry.body.slice(0, Math.max(separator, 0)).trim();
+        if (!timestamp || !isSenderName(senderName)) {
+            skipped++;
+            continue;
+        }
+
+        const fields = parseContent(entry.body.slice(separator + 2));
+        // A marked body that is not a placeholder is an iOS system line, e.g. "Class 3B: Dana added Bob"
+        if (entry.marked && !fields.mediaType && !fields.deleted) {
+            skipped++;
+            continue;
+        }
+
+        messages.push({ timestamp, senderName, ...fields });
+    }
+
+    if (messages.length === 0) {
+        const error = new Error('No WhatsApp messages found in the file. Is it a chat exported with "Export chat"?');
+        error.code = 'INVALID_EXPORT';
+        throw error;
+    }
+
+    return { messages, dateOrder, skipped };
+}
+
+/**
+ * Read the chat text of an export file
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - File name, used to tell .zip from .txt
+ * @returns {Promise<string>} Chat text
+ * @throws {Error} With code 'INVALID_EXPORT' if a .zip holds no chat text or it is too large
+ */
+async function readExportText(buffer, filename) {
+    const isZip = /\.zip$/i.test(filename || '') || buffer.slice(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+    if (!isZip) {
+        return buffer.toString('utf8').replace(/^\ufeff/, '');
+    }
+
+    return (await readZipText(buffer)).replace(/^\ufeff/, '');
+}
+
+/**
+ * Extract the chat text from a .zip export
+ * iOS names it _chat.txt; Android uses the chat name, so the first .txt is taken otherwise.
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Promise<string>} Chat text
+ */
+function readZipText(buffer) {
+    const invalid = message => Object.assign(new Error(message), { code: 'INVALID_EXPORT' });
+
+    return new Promise((resolve, reject) => {
+        yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zipfile) => {
+            if (error) {
+                reject(invalid(`Could not open the .zip file: ${error.message}`));
+                return;
+            }
+
+            const textEntries = [];
+            zipfile.on('entry', entry => {
+                if (/\.txt$/i.test(entry.fileName) && !entry.fileName.startsWith('__MACOSX/')) {
+                    textEntries.push(entry);
+                }
+                zipfile.readEntry();
+            });
+
+            zipfile.on('end', () => {
+                const entry = textEntries.find(candidate => path.basename(candidate.fileName) === '_chat.txt') || textEntries[0];
+                if (!entry) {
+                    reject(invalid('The .zip file does not contain a chat .txt file'));
+                    return;
+                }
+                if (entry.uncompressedSize > MAX_TEXT_BYTES) {
+                    reject(invalid('The chat text in the .zip file is too large'));
+                    return;
+                }
+
+                zipfile.openReadStream(entry, (streamError, stream) => {
+                    if (streamError) {
+                        reject(invalid(`Could not read the .zip file: ${streamError.message}`));
+                        return;
+                    }
+
+                    const chunks = [];
+                    let size = 0;
+                    stream.on('data', chunk => {
+                        size += chunk.length;
+                        if (size > MAX_TEXT_BYTES) {
+                            stream.destroy(invalid('The chat text in the .zip file is too large'));
+                            return;
+                        }
+                        chunks.push(chunk);
+                    });
+                    stream.on('error', reject);
+                    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+                });
+            });
+
+            zipfile.on('error', streamError => reject(invalid(`Could not read the .zip file: ${streamError.message}`)));
+            zipfile.readEntry();
+        });
+    });
+}
+
+/**
+ * Guess the group name from the name WhatsApp gives export files
+ * e.g. "WhatsApp Chat with Class 3B.txt" or "WhatsApp Chat - Class 3B.zip"
+ * @param {string} filename - Export file name
+ * @returns {string|null} Group name, or null if the file name does not follow the pattern
+ */
+function getGroupNameFromFilename(filename) {
+    const match = path.basename(filename || '').match(/^WhatsApp Chat (?:with|-) (.+?)(?: \(\d+\))?\.(?:txt|zip)$/i);
+    return match ? match[1].trim() : null;
+}
+
+module.exports = {
+    DATE_ORDERS: ['DMY', 'MDY', 'YMD'],
+    parseChatExport,
+    readExportText,
+    getGroupNameFromFilename
+};
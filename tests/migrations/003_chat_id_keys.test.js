@@ -0,0 +1,114 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const databaseService = require('../../src/services/database');
+const migrationService = require('../../src/services/migrations');
+
+// Tables as created before schema versioning, with summaries and homework keyed by group name
+const LEGACY_SCHEMA = [
+    `CREATE TABLE messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wa_message_id TEXT UNIQUE NOT NULL,
+        chat_id TEXT NOT NULL,
+        chat_name TEXT NOT NULL,
+        sender_id TEXT NOT NULL,
+        sender_name TEXT NOT NULL,
+        timestamp DATETIME NOT NULL,
+        content TEXT NOT NULL,
+        is_group BOOLEAN NOT NULL DEFAULT 1,
+        processed BOOLEAN NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT UNIQUE NOT NULL,
+        chat_name TEXT NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE summaries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_name TEXT NOT NULL,
+        date TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        message_count INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(group_name, date)
+    )`,
+    `CREATE TABLE homework (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_name TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        due_date TEXT,
+        description TEXT NOT NULL,
+        source_date TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_summaries_group_date ON summaries(group_name, date)'
+];
+
+beforeAll(async () => {
+    await databaseService.connect();
+
+    for (const sql of LEGACY_SCHEMA) {
+        await databaseService.run(sql);
+    }
+
+    const insertMessage = 'INSERT INTO messages (wa_message_id, chat_id, chat_name, sender_id, sender_name, timestamp, content) VALUES (?, ?, ?, ?, ?, ?, ?)';
+    await databaseService.run(insertMessage, ['m1', 'class3b@g.us', 'Class 3B', 'class3b@g.us', 'Dana', '2024-01-08 08:00:00', 'Trip on Friday']);
+    await databaseService.run(insertMessage, ['m2', 'parents@g.us', 'Parents (old name)', 'parents@g.us', 'Bob', '2024-01-07 08:00:00', 'Hi']);
+    await databaseService.run(insertMessage, ['m3', 'parents@g.us', 'Parents', 'parents@g.us', 'Bob', '2024-01-08 09:00:00', 'Hello']);
+
+    const insertSummary = 'INSERT INTO summaries (group_name, date, summary, message_count) VALUES (?, ?, ?, ?)';
+    await databaseService.run(insertSummary, ['Class 3B', '2024-01-08', 'Trip on Friday', 1]);
+    await databaseService.run(insertSummary, ['Parents', '2024-01-01..2024-01-08', 'Greetings', 2]);
+    await databaseService.run(insertSummary, ['Deleted group', '2024-01-08', 'Gone', 1]);
+
+    await databaseService.run(
+        'INSERT INTO homework (group_name, subject, due_date, description, source_date) VALUES (?, ?, ?, ?, ?)',
+        ['Class 3B', 'Math', '2024-01-12', 'Page 12', '2024-01-08']
+    );
+
+    await migrationService.migrate(databaseService);
+});
+
+afterAll(async () => {
+    await databaseService.close();
+});
+
+describe('migration 003 on a database from before schema versioning', () => {
+    test('applies every migration', async () => {
+        const latest = migrationService.loadMigrations().slice(-1)[0].version;
+        await expect(migrationService.getCurrentVersion(databaseService)).resolves.toBe(latest);
+    });
+
+    test('seeds groups with the latest name of each chat', async () => {
+        const groups = await databaseService.all('SELECT chat_id, chat_name FROM groups ORDER BY chat_id');
+        expect(groups).toEqual([
+            { chat_id: 'class3b@g.us', chat_name: 'Class 3B' },
+            { chat_id: 'parents@g.us', chat_name: 'Parents' }
+        ]);
+    });
+
+    test('rekeys summaries by chat ID and drops those of unknown groups', async () => {
+        const summaries = await databaseService.all('SELECT chat_id, date, summary FROM summaries ORDER BY chat_id');
+        expect(summaries).toEqual([
+            { chat_id: 'class3b@g.us', date: '2024-01-08', summary: 'Trip on Friday' },
+            { chat_id: 'parents@g.us', date: '2024-01-01..2024-01-08', summary: 'Greetings' }
+        ]);
+    });
+
+    test('rekeys homework by chat ID', async () => {
+        const homework = await databaseService.all('SELECT chat_id, subject, due_date FROM homework');
+        expect(homework).toEqual([{ chat_id: 'class3b@g.us', subject: 'Math', due_date: '2024-01-12' }]);
+    });
+
+    test('removes the legacy tables and indexes existing messages for search', async () => {
+        const legacy = await databaseService.all("SELECT name FROM sqlite_master WHERE name LIKE '%_legacy' OR name = 'idx_summaries_group_date'");
+        expect(legacy).toEqual([]);
+
+        const { total } = await databaseService.searchMessages({ terms: 'friday' });
+        expect(total).toBe(1);
+    });
+});
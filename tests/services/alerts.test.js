@@ -0,0 +1,14 @@
+const alertService = require('../../src/services/alerts');
+
+describe('AlertService.formatAlert', () => {
+    test('escapes the pattern and message once', () => {
+        const text = alertService.formatAlert([{ id: 1, pattern: '/a&b|<x>/' }], {
+            chatName: 'Class <3B>',
+            senderName: 'Dana',
+            timestamp: '2024-01-08 08:15:00',
+            content: 'a&b'
+        });
+
+        expect(text).toBe('🔔 <b>Class &lt;3B&gt;</b> matched <code>/a&amp;b|&lt;x&gt;/</code>\n👤 Dana • 08:15\n\na&amp;b');
+    });
+});
@@ -0,0 +1,137 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const databaseService = require('../../src/services/database');
+
+const GROUP_ID = '120363012345678901@g.us';
+
+/**
+ * Store a message in the test group
+ * @param {string} waMessageId - WhatsApp message ID
+ * @param {string} timestamp - YYYY-MM-DD HH:mm:ss
+ * @param {string} content - Message text
+ */
+function storeMessage(waMessageId, timestamp, content = 'Hello') {
+    return databaseService.storeMessage({
+        waMessageId,
+        chatId: GROUP_ID,
+        chatName: 'Class 3B',
+        senderId: GROUP_ID,
+        senderName: 'Dana',
+        timestamp,
+        content,
+        isGroup: true
+    });
+}
+
+beforeAll(async () => {
+    await databaseService.initialize();
+});
+
+afterAll(async () => {
+    await databaseService.close();
+});
+
+beforeEach(async () => {
+    for (const table of ['messages', 'message_edits', 'message_reactions', 'summaries']) {
+        await databaseService.run(`DELETE FROM ${table}`);
+    }
+});
+
+describe('cleanupOldMessages', () => {
+    test('removes the edits and reactions of the deleted messages only', async () => {
+        await storeMessage('old', '2024-01-01 10:00:00');
+        await storeMessage('late', '2024-01-01 11:00:00');
+        const { id: lateId } = await databaseService.getMessageByWhatsAppId('late');
+
+        // Made after the cutoff, on messages from before it
+        await databaseService.recordMessageEdit('old', 'Hello', 'Hello!', '2024-03-01 10:00:00');
+        await databaseService.setMessageReaction('old', 'bob@c.us', '👍', '2024-03-01 10:00:00');
+        await databaseService.setMessageReaction('late', 'bob@c.us', '👍', '2024-03-01 10:00:00');
+        // Still waiting for a batch
+        await databaseService.setMessageReaction('pending', 'bob@c.us', '👍', '2024-03-01 10:00:00');
+
+        const result = await databaseService.cleanupOldMessages({ cutoffDate: '2024-02-01', maxId: lateId - 1 });
+
+        expect(result.changes).toBe(1);
+        expect(await databaseService.getMessageEdits('old')).toEqual([]);
+        const reactions = await databaseService.all('SELECT wa_message_id FROM message_reactions ORDER BY wa_message_id');
+        expect(reactions.map(row => row.wa_message_id)).toEqual(['late', 'pending']);
+    });
+});
+
+describe('searchMessages', () => {
+    beforeEach(async () => {
+        await storeMessage('m1', '2024-01-08 08:00:00', 'The school trip is on Friday');
+        await storeMessage('m2', '2024-01-09 09:00:00', 'Remember the trip permission slips');
+        await storeMessage('m3', '2024-01-10 10:00:00', 'Math homework: page 12');
+        await databaseService.storeMessage({
+            waMessageId: 'other', chatId: 'other@g.us', chatName: 'Other', senderId: 'other@g.us',
+            senderName: 'Bob', timestamp: '2024-01-09 12:00:00', content: 'Our trip got cancelled', isGroup: true
+        });
+    });
+
+    test('finds messages by word prefix with a highlighted snippet, newest first', async () => {
+        const { total, results } = await databaseService.searchMessages({ terms: 'tri', chatId: GROUP_ID });
+
+        expect(total).toBe(2);
+        expect(results.map(result => result.snippet)).toEqual([
+            'Remember the «trip» permission slips',
+            'The school «trip» is on Friday'
+        ]);
+        expect(results[0]).toMatchObject({ chat_id: GROUP_ID, chat_name: 'Class 3B', sender_name: 'Dana' });
+    });
+
+    test('filters by groups and dates and pages the results', async () => {
+        expect((await databaseService.searchMessages({ terms: 'trip' })).total).toBe(3);
+        expect((await databaseService.searchMessages({ terms: 'trip', chatIds: ['other@g.us'] })).total).toBe(1);
+        expect((await databaseService.searchMessages({ terms: 'trip', chatIds: [] })).total).toBe(0);
+        expect((await databaseService.searchMessages({ terms: 'trip', startDate: '2024-01-09', endDate: '2024-01-09' })).total).toBe(2);
+
+        const page = await databaseService.searchMessages({ terms: 'trip', limit: 2, offset: 2 });
+        expect(page.total).toBe(3);
+        expect(page.results.map(result => result.snippet)).toEqual(['The school «trip» is on Friday']);
+    });
+
+    test('keeps the index in sync with edits and deletes', async () => {
+        await databaseService.recordMessageEdit('m3', 'Math homework: page 12', 'Science homework: page 40', '2024-01-10 10:05:00');
+        await databaseService.markMessageDeleted('m1', '2024-01-10 11:00:00');
+        await databaseService.run('DELETE FROM messages WHERE wa_message_id = ?', ['m2']);
+
+        expect((await databaseService.searchMessages({ terms: 'math' })).total).toBe(0);
+        const { results } = await databaseService.searchMessages({ terms: 'science' });
+        expect(results).toEqual([expect.objectContaining({ edited_at: '2024-01-10 10:05:00' })]);
+        expect((await databaseService.searchMessages({ terms: 'trip', chatId: GROUP_ID })).total).toBe(0);
+    });
+
+    test('returns nothing for terms without words', async () => {
+        await expect(databaseService.searchMessages({ terms: '"*) -' })).resolves.toEqual({ total: 0, results: [] });
+    });
+});
+
+describe('invalidateSummaries', () => {
+    test('deletes the single-day and range summaries that cover the date', async () => {
+        for (const date of ['2024-01-08', '2024-01-09', '2024-01-01..2024-01-07', '2024-01-07..2024-01-09', '2024-01-09..2024-01-15']) {
+            await databaseService.storeSummary(GROUP_ID, date, 'Summary', 3);
+        }
+        await databaseService.storeSummary('other@g.us', '2024-01-08', 'Summary', 3);
+
+        const result = await databaseService.invalidateSummaries(GROUP_ID, '2024-01-08');
+
+        expect(result.changes).toBe(2);
+        const remaining = await databaseService.all('SELECT chat_id, date FROM summaries ORDER BY chat_id, date');
+        expect(remaining).toEqual([
+            { chat_id: GROUP_ID, date: '2024-01-01..2024-01-07' },
+            { chat_id: GROUP_ID, date: '2024-01-09' },
+            { chat_id: GROUP_ID, date: '2024-01-09..2024-01-15' },
+            { chat_id: 'other@g.us', date: '2024-01-08' }
+        ]);
+    });
+
+    test('runs when a message is stored for the day', async () => {
+        await databaseService.storeSummary(GROUP_ID, '2024-01-05..2024-01-12', 'Summary', 3);
+
+        await storeMessage('new', '2024-01-10 18:00:00');
+
+        await expect(databaseService.getSummary(GROUP_ID, '2024-01-05..2024-01-12')).resolves.toBeFalsy();
+    });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../src/services/telegram', () => ({
+    bot: { sendMessage: jest.fn(), editMessageText: jest.fn() }
+}));
+
+const telegramService = require('../../src/services/telegram');
+const forwardingService = require('../../src/services/forwarding');
+
+// A group message as WhatsAppService.buildMessageData stores it: message.from is the group
+const groupMessage = {
+    waMessageId: 'false_120363012345678901@g.us_3EB0',
+    chatId: '120363012345678901@g.us',
+    chatName: 'Class 3B',
+    senderId: '120363012345678901@g.us',
+    authorId: '972501234567@c.us',
+    senderName: 'Dana',
+    timestamp: '2024-01-08 08:15:00',
+    content: 'Trip forms are due Friday',
+    mediaType: null,
+    mediaDescription: null
+};
+
+const rule = (overrides = {}) => ({ id: 1, chat_id: null, target_chat_id: 100, senders: [], keywords: [], ...overrides });
+
+describe('ForwardingService.matches', () => {
+    test('matches a group message by the phone number of its author', () => {
+        expect(forwardingService.matches(rule({ senders: ['972501234567'] }), groupMessage)).toBe(true);
+        expect(forwardingService.matches(rule({ senders: ['+972 50-123-4567'] }), groupMessage)).toBe(true);
+        expect(forwardingService.matches(rule({ senders: ['050 123 4568'] }), groupMessage)).toBe(false);
+    });
+
+    test('does not match a sender number against the group ID', () => {
+        expect(forwardingService.matches(rule({ senders: ['120363012345678901'] }), groupMessage)).toBe(false);
+    });
+
+    test('matches senders by name, and keywords in the text', () => {
+        expect(forwardingService.matches(rule({ senders: ['dan'], keywords: ['TRIP'] }), groupMessage)).toBe(true);
+        expect(forwardingService.matches(rule({ keywords: ['homework'] }), groupMessage)).toBe(false);
+        expect(forwardingService.matches(rule({ chat_id: 'other@g.us' }), groupMessage)).toBe(false);
+    });
+});
+
+describe('ForwardingService.forward', () => {
+    beforeEach(() => {
+        let messageId = 0;
+        telegramService.bot.sendMessage.mockReset().mockImplementation(async () => ({ message_id: ++messageId }));
+        telegramService.bot.editMessageText.mockReset().mockResolvedValue(true);
+        forwardingService.rules = [
+            rule({ target_chat_id: 100 }),
+            rule({ id: 2, target_chat_id: 200, keywords: ['homework'] }),
+            rule({ id: 3, target_chat_id: 100, keywords: ['homework'] })
+        ];
+    });
+
+    test('sends a media message at once and only the description-dependent matches later', async () => {
+        const voiceNote = { ...groupMessage, content: '', mediaType: 'ptt' };
+
+        const forwarded = await forwardingService.forward(voiceNote);
+        expect(forwarded).toEqual([expect.objectContaining({ chatId: 100, messageId: 1 })]);
+
+        const described = { ...voiceNote, mediaDescription: 'Reminder about the math homework' };
+        await expect(forwardingService.updateForwarded(described, forwarded)).resolves.toBe(1);
+        expect(telegramService.bot.editMessageText).toHaveBeenCalledWith(
+            expect.stringContaining('math homework'),
+            expect.objectContaining({ chat_id: 100, message_id: 1 })
+        );
+
+        const later = await forwardingService.forward(described, { describedOnly: true });
+        expect(later.map(sent => sent.chatId)).toEqual([200]);
+        expect(telegramService.bot.sendMessage).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,73 @@
+process.env.DATABASE_PATH = ':memory:';
+
+jest.mock('../../src/services/whatsapp', () => ({
+    isMonitored: jest.fn(() => true),
+    getMonitoredGroups: jest.fn(() => [{ id: 'class3b@g.us', name: 'Class 3B' }]),
+    getGroupName: jest.fn(() => 'Class 3B'),
+    addMonitoredGroup: jest.fn()
+}));
+
+const databaseService = require('../../src/services/database');
+const importService = require('../../src/services/importer');
+
+const EXPORT = [
+    '08/01/2024, 08:00 - Dana: Trip on Friday',
+    '08/01/2024, 08:01 - Bob: OK',
+    '08/01/2024, 08:01 - Bob: OK',
+    '08/01/2024, 08:02 - Dana: Bring a hat'
+].join('\n');
+
+/**
+ * Import the test export into Class 3B
+ * @param {string} text - Export text
+ * @returns {Promise<Object>} Import result
+ */
+function importText(text) {
+    return importService.importExport({ buffer: Buffer.from(text), filename: 'WhatsApp Chat with Class 3B.txt' });
+}
+
+beforeAll(async () => {
+    await databaseService.initialize();
+});
+
+afterAll(async () => {
+    await databaseService.close();
+});
+
+beforeEach(async () => {
+    await databaseService.run('DELETE FROM messages');
+});
+
+describe('ImportService.importExport', () => {
+    test('stores nothing new when the same export is imported again', async () => {
+        await expect(importText(EXPORT)).resolves.toMatchObject({ chatId: 'class3b@g.us', total: 4, imported: 4, duplicates: 0 });
+        await expect(importText(EXPORT)).resolves.toMatchObject({ total: 4, imported: 0, duplicates: 4 });
+
+        const { count } = await databaseService.get('SELECT COUNT(*) AS count FROM messages');
+        expect(count).toBe(4);
+    });
+
+    test('recognises messages captured live by sender, minute and text', async () => {
+        await databaseService.storeMessage({
+            waMessageId: 'false_class3b@g.us_3EB0',
+            chatId: 'class3b@g.us',
+            chatName: 'Class 3B',
+            senderId: 'class3b@g.us',
+            senderName: 'Bob',
+            timestamp: '2024-01-08 08:01:37',
+            content: 'OK',
+            isGroup: true
+        });
+
+        // Only one of the two "OK"s was captured live
+        await expect(importText(EXPORT)).resolves.toMatchObject({ imported: 3, duplicates: 1 });
+    });
+
+    test('reports without storing on a dry run', async () => {
+        const result = await importService.importExport({ buffer: Buffer.from(EXPORT), filename: 'export.txt', groupName: 'Class 3B', dryRun: true });
+
+        expect(result).toMatchObject({ imported: 4, firstTimestamp: '2024-01-08 08:00:00', lastTimestamp: '2024-01-08 08:02:00' });
+        const { count } = await databaseService.get('SELECT COUNT(*) AS count FROM messages');
+        expect(count).toBe(0);
+    });
+});
@@ -0,0 +1,102 @@
+const { LLMError, classifyError, getBackoffDelay } = require('../../../src/services/llm/errors');
+
+/**
+ * Build an error the way providers raise them
+ * @param {string} message - Error message
+ * @param {Object} fields - Extra fields such as status, code or name
+ * @returns {Error} Error
+ */
+function providerError(message, fields = {}) {
+    return Object.assign(new Error(message), fields);
+}
+
+describe('classifyError', () => {
+    test.each([
+        ['HTTP 429', providerError('Too Many Requests', { status: 429 }), 'quota'],
+        ['Gemini quota message', providerError('[429] RESOURCE_EXHAUSTED: quota exceeded'), 'quota'],
+        ['HTTP 503', providerError('Service Unavailable', { status: 503 }), 'transient'],
+        ['connection reset', providerError('read ECONNRESET'), 'transient'],
+        ['fetch failure with a network cause', Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }), 'transient'],
+        ['network code only', providerError('other side closed', { code: 'UND_ERR_SOCKET' }), 'transient'],
+        ['abort signal timeout', providerError('The operation was aborted due to timeout', { name: 'TimeoutError' }), 'timeout'],
+        ['safety block', providerError('Candidate was blocked due to SAFETY'), 'safety'],
+        ['HTTP 400', providerError('Invalid model', { status: 400 }), 'invalid'],
+        ['HTTP 401', providerError('Unauthorized', { status: 401 }), 'invalid'],
+        ['programming error', new TypeError("Cannot read properties of undefined (reading 'text')"), 'invalid'],
+        ['local validation error', providerError('Prompt is empty'), 'invalid']
+    ])('classifies %s', (description, error, type) => {
+        expect(classifyError(error).type).toBe(type);
+    });
+
+    test('retries only quota, transient and timeout errors', () => {
+        expect(classifyError(providerError('x', { status: 429 })).retryable).toBe(true);
+        expect(classifyError(providerError('x', { status: 500 })).retryable).toBe(true);
+        expect(classifyError(providerError('x', { name: 'AbortError' })).retryable).toBe(true);
+        expect(classifyError(providerError('blocked')).retryable).toBe(false);
+        expect(classifyError(new RangeError('Invalid array length')).retryable).toBe(false);
+    });
+
+    test('keeps the status, the cause and a user-facing message', () => {
+        const original = providerError('Service Unavailable', { status: 503 });
+
+        const error = classifyError(original);
+
+        expect(error).toBeInstanceOf(LLMError);
+        expect(error.status).toBe(503);
+        expect(error.cause).toBe(original);
+        expect(error.userMessage).toMatch(/temporarily unavailable/);
+    });
+
+    test('returns errors that are already classified unchanged', () => {
+        const error = new LLMError('Media type audio/ogg is not supported', { type: 'invalid' });
+
+        expect(classifyError(error)).toBe(error);
+        expect(error.retryable).toBe(false);
+    });
+
+    test('reads the retry delay from Retry-After and from Gemini RetryInfo', () => {
+        expect(classifyError(providerError('x', { status: 429, retryAfterMs: 5000 })).retryAfterMs).toBe(5000);
+
+        const geminiError = providerError('[429] quota', {
+            status: 429,
+            errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '23s' }]
+        });
+        expect(classifyError(geminiError).retryAfterMs).toBe(23000);
+    });
+});
+
+describe('getBackoffDelay', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 30000 };
+    const transient = new LLMError('Service Unavailable', { type: 'transient' });
+
+    test('doubles the upper bound with every attempt', () => {
+        const random = () => 0.999999;
+
+        expect(getBackoffDelay(1, transient, { ...options, random })).toBe(1000);
+        expect(getBackoffDelay(2, transient, { ...options, random })).toBe(2000);
+        expect(getBackoffDelay(3, transient, { ...options, random })).toBe(4000);
+    });
+
+    test('never exceeds the maximum delay', () => {
+        expect(getBackoffDelay(10, transient, { ...options, random: () => 0.999999 })).toBe(30000);
+    });
+
+    test('spreads delays between zero and the upper bound', () => {
+        expect(getBackoffDelay(3, transient, { ...options, random: () => 0 })).toBe(0);
+        expect(getBackoffDelay(3, transient, { ...options, random: () => 0.5 })).toBe(2000);
+
+        for (let i = 0; i < 100; i++) {
+            const delay = getBackoffDelay(2, transient, options);
+            expect(delay).toBeGreaterThanOrEqual(0);
+            expect(delay).toBeLessThanOrEqual(2000);
+        }
+    });
+
+    test('waits at least as long as the server asked, up to the maximum', () => {
+        const quota = new LLMError('quota', { type: 'quota', retryAfterMs: 10000 });
+        const longQuota = new LLMError('quota', { type: 'quota', retryAfterMs: 120000 });
+
+        expect(getBackoffDelay(1, quota, { ...options, random: () => 0 })).toBe(10000);
+        expect(getBackoffDelay(1, longQuota, { ...options, random: () => 0 })).toBe(30000);
+    });
+});
@@ -0,0 +1,16 @@
+const OpenAICompatibleProvider = require('../../../src/services/llm/openai');
+const { LLMError } = require('../../../src/services/llm/errors');
+
+describe('OpenAICompatibleProvider', () => {
+    test('rejects unsupported media without calling the server', async () => {
+        const fetchSpy = jest.spyOn(global, 'fetch');
+        const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1', model: 'llama3', vision: false });
+
+        const request = provider.generate({ prompt: 'Transcribe', media: { mimetype: 'audio/ogg', data: '' } });
+
+        await expect(request).rejects.toBeInstanceOf(LLMError);
+        await expect(request).rejects.toMatchObject({ type: 'invalid', retryable: false });
+        expect(fetchSpy).not.toHaveBeenCalled();
+        fetchSpy.mockRestore();
+    });
+});
@@ -0,0 +1,58 @@
+const StubProvider = require('../../../src/services/llm/stub');
+
+describe('StubProvider', () => {
+    const createProvider = (options = {}) => new StubProvider({ charsPerToken: 4, ...options });
+
+    test('returns the same answer for the same prompt', async () => {
+        const provider = createProvider();
+
+        const first = await provider.generate({ prompt: 'Summarize these messages' });
+        const second = await provider.generate({ prompt: 'Summarize these messages' });
+
+        expect(first.text).toBe(second.text);
+        expect(first.text).toMatch(/^• Stub response to a 24-character prompt \([0-9a-f]{8}\)$/);
+        expect(first.model).toBe('stub');
+    });
+
+    test('returns different answers for different prompts', async () => {
+        const provider = createProvider();
+
+        const first = await provider.generate({ prompt: 'one' });
+        const second = await provider.generate({ prompt: 'two' });
+
+        expect(first.text).not.toBe(second.text);
+    });
+
+    test('returns the configured response', async () => {
+        const provider = createProvider({ response: 'Fixed summary' });
+
+        const result = await provider.generate({ prompt: 'anything' });
+
+        expect(result.text).toBe('Fixed summary');
+    });
+
+    test('describes media by its type', async () => {
+        const provider = createProvider();
+
+        const result = await provider.generate({
+            prompt: 'Describe this image',
+            media: { mimetype: 'image/jpeg; charset=binary', data: Buffer.from('image').toString('base64') }
+        });
+
+        expect(result.text).toMatch(/^Stub description of image\/jpeg \([0-9a-f]{8}\)$/);
+        expect(provider.supportsMedia('audio/ogg')).toBe(true);
+    });
+
+    test('estimates token usage from the configured characters per token', async () => {
+        const provider = createProvider({ response: '12345678' });
+
+        const result = await provider.generate({ prompt: 'a'.repeat(10) });
+
+        expect(result.usage).toEqual({ inputTokens: 3, outputTokens: 2 });
+        expect(await provider.countTokens('')).toBe(0);
+    });
+
+    test('reports its model', () => {
+        expect(createProvider().getModelInfo()).toEqual({ provider: 'stub', model: 'stub' });
+    });
+});
@@ -0,0 +1,97 @@
+const { MAX_MESSAGE_LENGTH, getFormatter, renderMarkdown, renderChunks } = require('../../src/utils/telegramFormat');
+
+describe('renderMarkdown', () => {
+    test('converts headings, bullets and inline formatting to HTML', () => {
+        const markdown = '# Title\n* **Bold** and *italic* and `a<b`\n- [link](https://example.com/?a=1&b=2)';
+
+        expect(renderMarkdown(markdown, 'HTML')).toBe(
+            '<b>Title</b>\n' +
+            '• <b>Bold</b> and <i>italic</i> and <code>a&lt;b</code>\n' +
+            '• <a href="https://example.com/?a=1&amp;b=2">link</a>'
+        );
+    });
+
+    test('keeps unbalanced markers and markers inside words as escaped text', () => {
+        expect(renderMarkdown('**open and <tag> & 5 * 3', 'HTML')).toBe('**open and &lt;tag&gt; &amp; 5 * 3');
+        expect(renderMarkdown('snake_case_name', 'HTML')).toBe('snake_case_name');
+    });
+
+    test('escapes MarkdownV2 special characters outside formatting', () => {
+        expect(renderMarkdown('**Due** 12.05 (Mon) - page 3!', 'MarkdownV2')).toBe('*Due* 12\\.05 \\(Mon\\) \\- page 3\\!');
+    });
+
+    test('drops formatting in plain text', () => {
+        expect(renderMarkdown('**Bold** [site](https://example.com)', 'plain')).toBe('Bold site (https://example.com)');
+    });
+
+    test('renders fenced code blocks without inline formatting', () => {
+        expect(renderMarkdown('```js\nconst a = **b** < c;\n```', 'HTML')).toBe('<pre>const a = **b** &lt; c;</pre>');
+    });
+});
+
+describe('getFormatter', () => {
+    test('rejects unknown parse modes', () => {
+        expect(() => getFormatter('Markdown')).toThrow('Unsupported parse mode: Markdown');
+    });
+});
+
+describe('renderChunks', () => {
+    test('returns short texts as one chunk', () => {
+        expect(renderChunks('**Hello**\n\nWorld', 'HTML')).toEqual(['<b>Hello</b>\n\nWorld']);
+        expect(MAX_MESSAGE_LENGTH).toBe(4096);
+    });
+
+    test('breaks between paragraphs first', () => {
+        expect(renderChunks('one\n\ntwo\n\nthree', 'HTML', 10)).toEqual(['one\n\ntwo', 'three']);
+    });
+
+    test('breaks long paragraphs between lines, then words', () => {
+        const chunks = renderChunks(`* ${'word '.repeat(10).trim()}\n* short`, 'HTML', 20);
+
+        chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(20));
+        expect(chunks.join(' ').replace(/\s+/g, ' ')).toBe(`• ${'word '.repeat(10)}• short`);
+    });
+
+    test('cuts words longer than the limit by characters', () => {
+        const chunks = renderChunks('a'.repeat(50), 'HTML', 20);
+
+        chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(20));
+        expect(chunks.join('')).toBe('a'.repeat(50));
+    });
+
+    test('re-fences a long code block in every chunk and ends it at its closing fence', () => {
+        const code = Array.from({ length: 200 }, (_, i) => `line ${i} <x>`);
+        const markdown = `Intro\n\`\`\`\n${code.join('\n')}\n\`\`\`\nafter`;
+
+        const chunks = renderChunks(markdown, 'HTML', 500);
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => {
+            expect(chunk.length).toBeLessThanOrEqual(500);
+            expect(chunk).toMatch(/<pre>[\s\S]*<\/pre>/);
+        });
+        expect(chunks[0].startsWith('Intro\n<pre>line 0 &lt;x&gt;')).toBe(true);
+        expect(chunks[chunks.length - 1].endsWith('line 199 &lt;x&gt;</pre>\nafter')).toBe(true);
+
+        const renderedCode = chunks.join('\n').match(/<pre>([\s\S]*?)<\/pre>/g)
+            .map(block => block.replace(/<\/?pre>/g, ''))
+            .join('\n');
+        expect(renderedCode).toBe(code.join('\n').replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+        expect(chunks.join('\n')).not.toContain('<pre>after</pre>');
+    });
+
+    test('splits a code block whose closing fence was cut off by lines', () => {
+        const markdown = `\`\`\`\n${'x\n'.repeat(10)}cut off`;
+
+        expect(renderChunks(markdown, 'HTML', 30)).toEqual([
+            `<pre>${Array(10).fill('x').join('\n')}</pre>`,
+            '<pre>cut off</pre>'
+        ]);
+    });
+
+    test('keeps MarkdownV2 chunks within the limit after escaping', () => {
+        const chunks = renderChunks('1. a.b.c.d.e.f\n\n'.repeat(20), 'MarkdownV2', 60);
+
+        chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(60));
+    });
+});
@@ -0,0 +1,189 @@
+const zlib = require('zlib');
+const { parseChatExport, readExportText, getGroupNameFromFilename } = require('../../src/utils/whatsappExport');
+
+/**
+ * Build an uncompressed .zip archive
+ * @param {Object} files - File name -> text content
+ * @returns {Buffer} Zip file contents
+ */
+function buildZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, text] of Object.entries(files)) {
+        const nameBuffer = Buffer.from(name);
+        const data = Buffer.from(text);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, data);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centralParts.length / 2, 8);
+    end.writeUInt16LE(centralParts.length / 2, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+describe('parseChatExport', () => {
+    test('reads Android US exports with 12-hour times', () => {
+        const { messages, dateOrder } = parseChatExport('12/31/23, 9:41 PM - Dana: See you tomorrow\n1/2/24, 12:05 AM - +1 555 0100: Happy new year');
+
+        expect(dateOrder).toBe('MDY');
+        expect(messages).toEqual([
+            expect.objectContaining({ timestamp: '2023-12-31 21:41:00', senderName: 'Dana', content: 'See you tomorrow' }),
+            expect.objectContaining({ timestamp: '2024-01-02 00:05:00', senderName: '+1 555 0100', content: 'Happy new year' })
+        ]);
+    });
+
+    test('reads Android 24-hour exports with the day first', () => {
+        const { messages, dateOrder } = parseChatExport('31/12/2023, 21:41 - Dana: See you tomorrow');
+
+        expect(dateOrder).toBe('DMY');
+        expect(messages[0]).toMatchObject({ timestamp: '2023-12-31 21:41:00', senderName: 'Dana' });
+    });
+
+    test('reads German exports with dots', () => {
+        const { messages } = parseChatExport('31.12.23, 21:41 - Dana: Bis morgen');
+
+        expect(messages[0]).toMatchObject({ timestamp: '2023-12-31 21:41:00', senderName: 'Dana', content: 'Bis morgen' });
+    });
+
+    test('reads iOS exports with brackets and seconds', () => {
+        const { messages } = parseChatExport('\u200e[31/12/2023, 21:41:05] Dana: See you tomorrow');
+
+        expect(messages[0]).toMatchObject({ timestamp: '2023-12-31 21:41:05', senderName: 'Dana', content: 'See you tomorrow' });
+    });
+
+    test('reads exports with the year first', () => {
+        const { messages, dateOrder } = parseChatExport('2023-12-31, 21:41 - Dana: See you tomorrow');
+
+        expect(dateOrder).toBe('YMD');
+        expect(messages[0].timestamp).toBe('2023-12-31 21:41:00');
+    });
+
+    test('joins continuation lines to the previous message', () => {
+        const { messages } = parseChatExport('31/12/2023, 21:41 - Dana: Shopping list:\r\n- milk\r\n- bread\r\n31/12/2023, 21:42 - Bob: OK');
+
+        expect(messages).toHaveLength(2);
+        expect(messages[0].content).toBe('Shopping list:\n- milk\n- bread');
+    });
+
+    test('reads attachments, omitted media, deleted and edited markers', () => {
+        const { messages } = parseChatExport([
+            '[31/12/2023, 21:41:05] Dana: \u200e<attached: 00000012-PHOTO-2023-12-31-21-41-05.jpg>',
+            '31/12/2023, 21:42 - Dana: IMG-20231231-WA0001.jpg (file attached)',
+            'Look at this',
+            '31/12/2023, 21:43 - Bob: <Media omitted>',
+            '[31/12/2023, 21:44:00] Bob: \u200eThis message was deleted.',
+            '31/12/2023, 21:45 - Dana: Meeting at 9 <This message was edited>'
+        ].join('\n'));
+
+        expect(messages).toEqual([
+            expect.objectContaining({ mediaType: 'image', mediaFilename: '00000012-PHOTO-2023-12-31-21-41-05.jpg', content: '' }),
+            expect.objectContaining({ mediaType: 'image', mediaFilename: 'IMG-20231231-WA0001.jpg', content: 'Look at this' }),
+            expect.objectContaining({ mediaType: 'media', content: '' }),
+            expect.objectContaining({ deleted: true, content: '' }),
+            expect.objectContaining({ edited: true, content: 'Meeting at 9' })
+        ]);
+    });
+
+    test('skips system lines, including iOS ones marked after the colon', () => {
+        const { messages, skipped } = parseChatExport([
+            '31/12/2023, 21:40 - Messages and calls are end-to-end encrypted.',
+            '31/12/2023, 21:40 - Dana changed the subject to "Trip: Friday"',
+            '[31/12/2023, 21:42:05] Class 3B: \u200eMessages and calls are end-to-end encrypted.',
+            '[31/12/2023, 21:42:06] Class 3B: \u200eDana added Bob',
+            '[31/12/2023, 21:42:07] Dana: Welcome Bob'
+        ].join('\n'));
+
+        expect(skipped).toBe(4);
+        expect(messages).toEqual([expect.objectContaining({ senderName: 'Dana', content: 'Welcome Bob' })]);
+    });
+
+    test('uses a day above 12 to settle the date order', () => {
+        const text = '01/02/2024, 9:00 AM - Dana: First\n13/02/2024, 9:00 AM - Dana: Second';
+
+        expect(parseChatExport(text).dateOrder).toBe('DMY');
+        expect(parseChatExport(text).messages[0].timestamp).toBe('2024-02-01 09:00:00');
+    });
+
+    test('lets callers override the date order of ambiguous files', () => {
+        const { messages, dateOrder } = parseChatExport('01/02/2024, 09:00 - Dana: Hello', { dateOrder: 'MDY' });
+
+        expect(dateOrder).toBe('MDY');
+        expect(messages[0].timestamp).toBe('2024-01-02 09:00:00');
+    });
+
+    test('counts lines with impossible dates as skipped', () => {
+        const { messages, skipped } = parseChatExport('31/12/2023, 21:41 - Dana: Hi\n31/02/2023, 21:41 - Dana: Never', { dateOrder: 'DMY' });
+
+        expect(messages).toHaveLength(1);
+        expect(skipped).toBe(1);
+    });
+
+    test('rejects files without messages', () => {
+        expect(() => parseChatExport('just some notes\nwithout dates')).toThrow(expect.objectContaining({ code: 'INVALID_EXPORT' }));
+    });
+});
+
+describe('readExportText', () => {
+    test('reads .txt files and strips the byte order mark', async () => {
+        await expect(readExportText(Buffer.from('\ufeff31/12/2023, 21:41 - Dana: Hi'), 'chat.txt')).resolves.toBe('31/12/2023, 21:41 - Dana: Hi');
+    });
+
+    test('prefers _chat.txt in .zip exports', async () => {
+        const zip = buildZip({
+            'notes.txt': 'not the chat',
+            '_chat.txt': '\ufeff[31/12/2023, 21:41:05] Dana: Hi',
+            '00000012-PHOTO.jpg': 'image'
+        });
+
+        await expect(readExportText(zip, 'export.zip')).resolves.toBe('[31/12/2023, 21:41:05] Dana: Hi');
+    });
+
+    test('rejects .zip files without chat text', async () => {
+        await expect(readExportText(buildZip({ 'photo.jpg': 'image' }), 'export.zip')).rejects.toMatchObject({ code: 'INVALID_EXPORT' });
+    });
+
+    test('rejects broken .zip files', async () => {
+        await expect(readExportText(Buffer.from('not a zip'), 'export.zip')).rejects.toMatchObject({ code: 'INVALID_EXPORT' });
+    });
+});
+
+describe('getGroupNameFromFilename', () => {
+    test('reads the group name from WhatsApp export file names', () => {
+        expect(getGroupNameFromFilename('WhatsApp Chat with Class 3B.txt')).toBe('Class 3B');
+        expect(getGroupNameFromFilename('/tmp/WhatsApp Chat - Class 3B (2).zip')).toBe('Class 3B');
+    });
+
+    test('returns null for other file names', () => {
+        expect(getGroupNameFromFilename('chat.txt')).toBeNull();
+        expect(getGroupNameFromFilename(undefined)).toBeNull();
+    });
+});